@@ -3,9 +3,14 @@ import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { isDeepStrictEqual } from "node:util";
 
+import { structuredPatch } from "diff";
 import express from "express";
 import httpProxy from "http-proxy";
+import JSON5 from "json5";
 import * as tar from "tar";
 
 // Migrate deprecated CLAWDBOT_* env vars → OPENCLAW_* so existing Railway deployments
@@ -70,6 +75,35 @@ function resolveGatewayToken() {
 const OPENCLAW_GATEWAY_TOKEN = resolveGatewayToken();
 process.env.OPENCLAW_GATEWAY_TOKEN = OPENCLAW_GATEWAY_TOKEN;
 
+// Signing key for /login session cookies. Persisted next to gateway.token so sessions
+// survive redeploys; delete the file (or rotate SESSION_SECRET) to log everyone out.
+function resolveSessionSecret() {
+  const envSecret = process.env.SESSION_SECRET?.trim();
+  if (envSecret) return envSecret;
+
+  const keyPath = path.join(STATE_DIR, "session.key");
+  try {
+    const existing = fs.readFileSync(keyPath, "utf8").trim();
+    if (existing) return existing;
+  } catch {
+    // ignore
+  }
+
+  const generated = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, generated, { encoding: "utf8", mode: 0o600 });
+  } catch {
+    // best-effort
+  }
+  return generated;
+}
+
+const SESSION_SECRET = resolveSessionSecret();
+const SESSION_COOKIE = "openclaw_session";
+const WS_REQUIRE_SESSION = /^(1|true|yes)$/i.test(process.env.WS_REQUIRE_SESSION?.trim() || "");
+const SESSION_MAX_AGE_MS = Math.max(1, Number.parseFloat(process.env.SESSION_MAX_AGE_HOURS ?? "") || 24) * 60 * 60 * 1000;
+
 // Where the gateway will listen internally (we proxy to it).
 const INTERNAL_GATEWAY_PORT = Number.parseInt(process.env.INTERNAL_GATEWAY_PORT ?? "18789", 10);
 const INTERNAL_GATEWAY_HOST = process.env.INTERNAL_GATEWAY_HOST ?? "127.0.0.1";
@@ -136,6 +170,7 @@ function isConfigured() {
 
 let gatewayProc = null;
 let gatewayStarting = null;
+let gatewayStartedAt = null;
 
 // Debug breadcrumbs for common Railway failures (502 / "Application failed to respond").
 let lastGatewayError = null;
@@ -147,6 +182,543 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+function envInt(name, fallback) {
+  const n = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Append one JSON record to an append-only .jsonl file, moving it to `<file>.1` once it
+// grows past `maxBytes`. Best-effort: a failed write is logged, never thrown.
+function appendJsonl(filePath, entry, maxBytes, label) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+      if (fs.statSync(filePath).size > maxBytes) fs.renameSync(filePath, `${filePath}.1`);
+    } catch {
+      // no file yet
+    }
+    fs.appendFileSync(filePath, JSON.stringify(entry) + "\n", { encoding: "utf8", mode: 0o600 });
+  } catch (err) {
+    console.warn(`[${label}] write failed: ${String(err)}`);
+  }
+}
+
+// Parse the tail of a .jsonl file, skipping malformed lines.
+function readJsonlTail(filePath, maxBytes) {
+  const out = [];
+  for (const line of readFileTailLines(filePath, maxBytes)) {
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // skip malformed lines
+    }
+  }
+  return out;
+}
+
+// Read the last `maxBytes` of a text file as lines (dropping a leading partial line).
+// Returns [] if the file does not exist.
+function readFileTailLines(filePath, maxBytes = 512 * 1024) {
+  let fd;
+  try {
+    const stat = fs.statSync(filePath);
+    const readBytes = Math.min(stat.size, maxBytes);
+    fd = fs.openSync(filePath, "r");
+    const buf = Buffer.alloc(readBytes);
+    fs.readSync(fd, buf, 0, readBytes, stat.size - readBytes);
+    const lines = buf.toString("utf8").split("\n");
+    if (readBytes < stat.size) lines.shift();
+    return lines.filter(Boolean);
+  } catch {
+    return [];
+  } finally {
+    if (fd !== undefined) {
+      try { fs.closeSync(fd); } catch {}
+    }
+  }
+}
+
+// --- Secrets file ---
+// Tokens and keys collected by /setup live in STATE_DIR/secrets.enc (AES-256-GCM), not in
+// openclaw.json. The config only holds ${NAME} references; the values are added to the
+// environment of the gateway and of every CLI command, where OpenClaw substitutes them.
+// The key comes from SECRETS_KEY, or is generated once and persisted like session.key.
+const SECRETS_PATH = path.join(STATE_DIR, "secrets.enc");
+const SECRET_ENV_PREFIX = "OPENCLAW_SECRET_";
+const SECRET_CONFIG_KEY_RE = /(token|secret|password|api[-_]?key|authorization)$/i;
+
+function resolveSecretsKey() {
+  const envKey = process.env.SECRETS_KEY?.trim();
+  if (envKey) return envKey;
+
+  const keyPath = path.join(STATE_DIR, "secrets.key");
+  try {
+    const existing = fs.readFileSync(keyPath, "utf8").trim();
+    if (existing) return existing;
+  } catch {
+    // ignore
+  }
+
+  const generated = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, generated, { encoding: "utf8", mode: 0o600 });
+  } catch {
+    // best-effort
+  }
+  return generated;
+}
+
+const SECRETS_CIPHER_KEY = crypto.scryptSync(resolveSecretsKey(), "openclaw-secrets", 32);
+
+function encryptSecrets(values, key = SECRETS_CIPHER_KEY) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(values), "utf8"), cipher.final()]);
+  return { version: 1, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decryptSecrets(file, key = SECRETS_CIPHER_KEY) {
+  if (file?.version !== 1) throw new Error(`Unsupported secrets file version: ${file?.version}`);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(file.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+  try {
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]).toString("utf8"));
+  } catch {
+    throw new Error("Cannot decrypt secrets.enc: SECRETS_KEY (or secrets.key) is not the key it was written with");
+  }
+}
+
+// Read on every use (the file is tiny) so restores and imports take effect without a restart.
+function loadSecrets() {
+  if (!fs.existsSync(SECRETS_PATH)) return {};
+  return decryptSecrets(JSON.parse(fs.readFileSync(SECRETS_PATH, "utf8")));
+}
+
+function saveSecrets(values) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${SECRETS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(encryptSecrets(values)) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, SECRETS_PATH);
+}
+
+let lastSecretsError = null;
+
+// Environment additions for child processes. An unreadable file is logged, not fatal: the
+// gateway then starts without those values and OpenClaw reports the missing variables.
+function secretsEnv() {
+  try {
+    const values = loadSecrets();
+    lastSecretsError = null;
+    return values;
+  } catch (err) {
+    if (lastSecretsError !== String(err.message || err)) console.error(`[secrets] ${err.message || err}`);
+    lastSecretsError = String(err.message || err);
+    return {};
+  }
+}
+
+// channels.telegram.botToken -> OPENCLAW_SECRET_CHANNELS_TELEGRAM_BOT_TOKEN
+function secretEnvName(dotted) {
+  return (
+    SECRET_ENV_PREFIX +
+    dotted
+      .split(".")
+      .map((part) => part.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[^A-Za-z0-9]+/g, "_"))
+      .join("_")
+      .replace(/_+/g, "_")
+      .toUpperCase()
+  );
+}
+
+function isSecretConfigKey(key, parentKey) {
+  return SECRET_CONFIG_KEY_RE.test(key) || parentKey === "headers";
+}
+
+// Inline secret strings under `value` (which lives at config path `dotted`), as
+// [{ path, name, value }]. Values that already use ${...} are left alone; arrays are not
+// searched. The gateway token maps to the OPENCLAW_GATEWAY_TOKEN the wrapper already exports.
+function findInlineSecrets(value, dotted = "") {
+  const found = [];
+  const walk = (node, prefix, parentKey) => {
+    for (const [key, v] of Object.entries(node)) {
+      const p = prefix ? `${prefix}.${key}` : key;
+      if (v && typeof v === "object" && !Array.isArray(v)) walk(v, p, key);
+      else if (typeof v === "string" && v && !v.includes("${") && isSecretConfigKey(key, parentKey)) {
+        found.push({ path: p, name: v === OPENCLAW_GATEWAY_TOKEN ? "OPENCLAW_GATEWAY_TOKEN" : secretEnvName(p), value: v });
+      }
+    }
+  };
+  if (value && typeof value === "object" && !Array.isArray(value)) walk(value, dotted, dotted.split(".").at(-1));
+  return found;
+}
+
+// Copy of `value` with its inline secrets replaced by ${NAME}; the values go to `store`.
+function withSecretRefs(value, dotted, store) {
+  const found = findInlineSecrets(value, dotted);
+  if (!found.length) return value;
+  const out = structuredClone(value);
+  for (const { path: p, name, value: secret } of found) {
+    if (name !== "OPENCLAW_GATEWAY_TOKEN") store[name] = secret;
+    setDotted(out, p.slice(dotted.length + 1), "${" + name + "}");
+  }
+  return out;
+}
+
+// Moves the secrets in a value about to be written at `dotted` into the secrets file and
+// returns what should be written to the config instead.
+function externalizeSecrets(value, dotted) {
+  if (!findInlineSecrets(value, dotted).length) return value;
+  const store = loadSecrets();
+  const out = withSecretRefs(value, dotted, store);
+  saveSecrets(store);
+  return out;
+}
+
+// The value behind a ${NAME} reference (secrets file first, then the wrapper's environment);
+// anything else is returned unchanged.
+function resolveSecretRef(value, store = secretsEnv()) {
+  const name = typeof value === "string" ? ENV_REF_RE.exec(value)?.[1] : null;
+  if (!name) return value;
+  return store[name] ?? process.env[name] ?? "";
+}
+
+// Moves every inline secret already in openclaw.json into the secrets file, one
+// `config set` per value. Runs at boot and from the Secrets card.
+async function migrateInlineSecrets() {
+  if (!isConfigured()) return { moved: [], failed: [] };
+  const found = findInlineSecrets(readConfigObject());
+  if (!found.length) return { moved: [], failed: [] };
+  const store = loadSecrets();
+  for (const { name, value } of found) if (name !== "OPENCLAW_GATEWAY_TOKEN") store[name] = value;
+  saveSecrets(store);
+
+  const moved = [];
+  const failed = [];
+  for (const { path: p, name } of found) {
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", p, JSON.stringify("${" + name + "}")]));
+    if (r.code === 0) moved.push({ path: p, name });
+    else failed.push({ path: p, name, error: redactSecrets(r.output).trim().slice(0, 500) });
+  }
+  return { moved, failed };
+}
+
+// Names in the secrets file with the config paths that reference them (no values).
+function describeSecrets() {
+  const refs = new Map();
+  const walk = (node, prefix) => {
+    for (const [key, v] of Object.entries(node || {})) {
+      const p = prefix ? `${prefix}.${key}` : key;
+      if (v && typeof v === "object") walk(v, p);
+      else if (typeof v === "string") {
+        for (const m of v.matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g)) refs.set(m[1], [...(refs.get(m[1]) || []), p]);
+      }
+    }
+  };
+  walk(readConfigObject(), "");
+  for (const hook of loadNotifySettings().webhooks) refs.set(webhookSecretName(hook.id), [`notifications.${hook.id}`]);
+  return {
+    secrets: Object.keys(loadSecrets())
+      .sort()
+      .map((name) => ({ name, usedBy: refs.get(name) || [] })),
+    inline: findInlineSecrets(readConfigObject()).map(({ path: p, name }) => ({ path: p, name })),
+  };
+}
+
+// --- Secret redaction ---
+// redactSecrets() masks secrets in free text (CLI output, gateway logs, errors): values the
+// wrapper knows (gateway token, setup password, session key, secrets.enc), key formats listed
+// in SECRET_PATTERNS, and `key: value` / `key=value` pairs whose key names a secret. Config
+// documents shown in the editor use maskConfigText() instead, which can be undone on save.
+const REDACTED = "[REDACTED]";
+
+// Known key formats; add one entry per new format. With `prefix`, the first capture group
+// (e.g. "Bearer ") stays visible.
+const SECRET_PATTERNS = [
+  { id: "openai", re: /sk-[A-Za-z0-9_-]{10,}/g }, // also Anthropic (sk-ant-) and OpenRouter (sk-or-)
+  { id: "github", re: /gh[opsur]_[A-Za-z0-9_]{10,}/g },
+  { id: "slack", re: /xox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { id: "slack-app", re: /xapp-\d-[A-Za-z0-9-]{10,}/g },
+  { id: "telegram", re: /\d{5,}:[A-Za-z0-9_-]{10,}/g },
+  { id: "telegram-aa", re: /AA[A-Za-z0-9_-]{10,}:\S{10,}/g },
+  { id: "discord", re: /[A-Za-z0-9_-]{23,28}\.[A-Za-z0-9_-]{6,7}\.[A-Za-z0-9_-]{27,40}/g },
+  { id: "google", re: /AIza[0-9A-Za-z_-]{35}/g },
+  { id: "aws-access-key", re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: "jwt", re: /eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { id: "bearer", re: /(Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/gi, prefix: true },
+];
+
+// token: abc / "apiKey": "abc" / password=abc / Authorization: Basic abc. ${NAME} references are kept.
+const SECRET_ASSIGNMENT_RE =
+  /(["']?[A-Za-z0-9_-]*(?:token|secret|password|api[-_]?key|authorization)["']?\s*[:=]\s*["']?(?:(?:Bearer|Basic)\s+)?)([^\s"',;}\]]{4,})/gi;
+
+function matchesSecretPattern(value) {
+  return SECRET_PATTERNS.some(({ re }) => {
+    re.lastIndex = 0;
+    return re.test(value);
+  });
+}
+
+let knownSecretsCache = { mtimeMs: null, values: [] };
+
+// Longest first, so a value containing another is replaced whole. Short values are skipped:
+// masking every "admin" in the logs would hide more than it protects.
+function knownSecretValues() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(SECRETS_PATH).mtimeMs;
+  } catch {
+    // no secrets file
+  }
+  if (knownSecretsCache.mtimeMs !== mtimeMs) knownSecretsCache = { mtimeMs, values: Object.values(secretsEnv()) };
+  return [OPENCLAW_GATEWAY_TOKEN, SETUP_PASSWORD, SESSION_SECRET, process.env.BACKUP_PASSPHRASE?.trim(), ...knownSecretsCache.values]
+    .filter((v) => typeof v === "string" && v.length >= 8)
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactSecrets(text) {
+  if (!text) return text;
+  let out = String(text);
+  for (const value of knownSecretValues()) out = out.split(value).join(REDACTED);
+  for (const { re, prefix } of SECRET_PATTERNS) out = out.replace(re, (m, p1) => (prefix ? p1 + REDACTED : REDACTED));
+  return out.replace(SECRET_ASSIGNMENT_RE, (m, key, value) =>
+    value.startsWith("${") || value.startsWith("[REDACTED") || /^(true|false|null)$/i.test(value) ? m : key + REDACTED,
+  );
+}
+
+// --- Metrics ---
+// Counters, gauges and histograms for GET /metrics (Prometheus text format, version 0.0.4).
+// Values live in memory and start from zero with the process. Label values are kept to small
+// fixed sets (status class, CLI subcommand, backup kind) so series counts stay bounded.
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim() || "";
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const COMMAND_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const READY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+const WRAPPER_STARTED_AT = Date.now();
+
+const metrics = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> series) }
+
+function defineMetric(name, type, help, buckets = null) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === "histogram"
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function metricInc(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+function metricSet(name, labels, value) {
+  metricSeries(name, labels).value = value;
+}
+
+function metricObserve(name, labels, value) {
+  const metric = metrics.get(name);
+  const series = metricSeries(name, labels);
+  metric.buckets.forEach((le, i) => {
+    if (value <= le) series.counts[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels) {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`,
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const s of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${name}${formatMetricLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => lines.push(`${name}_bucket${formatMetricLabels({ ...s.labels, le })} ${s.counts[i]}`));
+      lines.push(`${name}_bucket${formatMetricLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(s.labels)} ${s.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(s.labels)} ${s.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function statusClass(status) {
+  return status >= 100 && status < 600 ? `${Math.floor(status / 100)}xx` : "other";
+}
+
+// The openclaw subcommand for CLI runs (`config`, `devices`, ...), else the program name.
+function commandLabel(cmd, args) {
+  if (cmd === OPENCLAW_NODE && args[0] === OPENCLAW_ENTRY) {
+    return /^[a-z][a-z0-9-]{0,30}$/.test(args[1] || "") ? args[1] : "other";
+  }
+  return path.basename(String(cmd)) || "other";
+}
+
+defineMetric("openclaw_wrapper_uptime_seconds", "gauge", "Seconds since the wrapper started.");
+defineMetric("openclaw_gateway_up", "gauge", "1 while the gateway process is running.");
+defineMetric("openclaw_gateway_degraded", "gauge", "1 while automatic restarts are stopped after a crash loop.");
+defineMetric("openclaw_gateway_uptime_seconds", "gauge", "Seconds since the running gateway process started (0 when it is down).");
+defineMetric("openclaw_gateway_crashes_total", "counter", "Unexpected gateway exits.");
+defineMetric("openclaw_gateway_restarts_total", "counter", "Automatic gateway restarts after a crash.");
+defineMetric("openclaw_gateway_ready_seconds", "histogram", "Time waitForGatewayReady took, by result.", READY_BUCKETS);
+defineMetric("openclaw_proxy_requests_total", "counter", "HTTP requests proxied to the gateway, by status class.");
+defineMetric("openclaw_proxy_request_duration_seconds", "histogram", "Latency of HTTP requests proxied to the gateway, by status class.", LATENCY_BUCKETS);
+defineMetric("openclaw_proxy_websockets_active", "gauge", "WebSocket connections currently proxied to the gateway.");
+defineMetric("openclaw_proxy_websocket_upgrades_total", "counter", "WebSocket upgrades proxied to the gateway.");
+defineMetric("openclaw_proxy_errors_total", "counter", "Errors reported by the gateway proxy, by error code.");
+defineMetric("openclaw_command_runs_total", "counter", "CLI commands run by the wrapper, by subcommand and result (ok, error, timeout).");
+defineMetric("openclaw_command_duration_seconds", "histogram", "Duration of CLI commands run by the wrapper, by subcommand.", COMMAND_BUCKETS);
+defineMetric("openclaw_backups_total", "counter", "Backup archives written, by kind and result.");
+defineMetric("openclaw_backup_uploads_total", "counter", "Off-site backup uploads, by result.");
+defineMetric("openclaw_backup_last_success_timestamp_seconds", "gauge", "Unix time of the last successful backup, by kind.");
+defineMetric("openclaw_restores_total", "counter", "Backup imports and restores, by result.");
+
+// Gauges read from current state, refreshed on every scrape.
+function collectStateMetrics() {
+  metricSet("openclaw_wrapper_uptime_seconds", {}, (Date.now() - WRAPPER_STARTED_AT) / 1000);
+  metricSet("openclaw_gateway_up", {}, gatewayProc ? 1 : 0);
+  metricSet("openclaw_gateway_degraded", {}, gatewaySupervisor.degraded ? 1 : 0);
+  metricSet("openclaw_gateway_uptime_seconds", {}, gatewayStartedAt ? (Date.now() - gatewayStartedAt) / 1000 : 0);
+  metricSet("openclaw_gateway_restarts_total", {}, gatewaySupervisor.restarts);
+  // Unlabelled counters show 0 before their first event.
+  for (const name of ["openclaw_gateway_crashes_total", "openclaw_proxy_websocket_upgrades_total", "openclaw_proxy_websockets_active"]) {
+    metricSeries(name, {});
+  }
+}
+
+// --- Gateway supervisor ---
+// Restarts the gateway when it exits unexpectedly so polling channels (Telegram etc.) don't
+// silently stop until someone visits the UI. Backoff doubles per consecutive crash; too many
+// crashes inside the window trips a circuit breaker and marks the gateway degraded until an
+// operator starts/restarts it from /setup.
+const GATEWAY_RESTART_BASE_MS = envInt("GATEWAY_RESTART_BASE_MS", 1_000);
+const GATEWAY_RESTART_MAX_MS = envInt("GATEWAY_RESTART_MAX_MS", 60_000);
+const GATEWAY_CRASH_LOOP_LIMIT = envInt("GATEWAY_CRASH_LOOP_LIMIT", 5);
+const GATEWAY_CRASH_LOOP_WINDOW_MS = envInt("GATEWAY_CRASH_LOOP_WINDOW_MS", 10 * 60 * 1000);
+// A gateway that stayed up this long is considered healthy again (backoff resets).
+const GATEWAY_STABLE_UPTIME_MS = 60_000;
+
+const gatewaySupervisor = {
+  restarts: 0,
+  consecutiveCrashes: 0,
+  crashTimes: [],
+  history: [],
+  degraded: false,
+  degradedAt: null,
+  nextRestartAt: null,
+  timer: null,
+};
+
+// Child processes we stopped on purpose (gateway.stop, reset, import, restarts, shutdown).
+const intentionallyStopped = new WeakSet();
+
+function recordGatewayEvent(entry) {
+  gatewaySupervisor.history.push({ at: new Date().toISOString(), ...entry });
+  if (gatewaySupervisor.history.length > 50) gatewaySupervisor.history.shift();
+}
+
+function resetGatewaySupervisor() {
+  if (gatewaySupervisor.timer) clearTimeout(gatewaySupervisor.timer);
+  gatewaySupervisor.timer = null;
+  gatewaySupervisor.nextRestartAt = null;
+  gatewaySupervisor.consecutiveCrashes = 0;
+  gatewaySupervisor.crashTimes = [];
+  gatewaySupervisor.degraded = false;
+  gatewaySupervisor.degradedAt = null;
+}
+
+function scheduleGatewayRestart() {
+  if (gatewaySupervisor.timer || gatewaySupervisor.degraded) return;
+
+  const now = Date.now();
+  gatewaySupervisor.crashTimes = gatewaySupervisor.crashTimes.filter(
+    (t) => now - t < GATEWAY_CRASH_LOOP_WINDOW_MS,
+  );
+  if (gatewaySupervisor.crashTimes.length >= GATEWAY_CRASH_LOOP_LIMIT) {
+    gatewaySupervisor.degraded = true;
+    gatewaySupervisor.degradedAt = new Date().toISOString();
+    const msg =
+      `[gateway] crash loop: ${gatewaySupervisor.crashTimes.length} exits in ` +
+      `${Math.round(GATEWAY_CRASH_LOOP_WINDOW_MS / 1000)}s; not restarting (degraded). ` +
+      "Use /setup to start the gateway again.";
+    console.error(msg);
+    lastGatewayError = msg;
+    recordGatewayEvent({ event: "degraded", crashes: gatewaySupervisor.crashTimes.length });
+    notify("gateway.degraded", msg, { crashes: gatewaySupervisor.crashTimes.length });
+    return;
+  }
+
+  const delayMs = Math.min(
+    GATEWAY_RESTART_MAX_MS,
+    GATEWAY_RESTART_BASE_MS * 2 ** Math.max(0, gatewaySupervisor.consecutiveCrashes - 1),
+  );
+  gatewaySupervisor.nextRestartAt = new Date(now + delayMs).toISOString();
+  console.warn(`[gateway] restarting in ${delayMs}ms (crash #${gatewaySupervisor.consecutiveCrashes})`);
+
+  gatewaySupervisor.timer = setTimeout(async () => {
+    gatewaySupervisor.timer = null;
+    gatewaySupervisor.nextRestartAt = null;
+    if (gatewayProc || !isConfigured()) return;
+    try {
+      await ensureGatewayRunning();
+      gatewaySupervisor.restarts += 1;
+      recordGatewayEvent({ event: "restarted", attempt: gatewaySupervisor.consecutiveCrashes });
+    } catch (err) {
+      // If the new process died too, its exit handler has already scheduled the next attempt.
+      recordGatewayEvent({ event: "restart-failed", error: String(err) });
+    }
+  }, delayMs);
+  gatewaySupervisor.timer.unref?.();
+}
+
+function onGatewayCrash(uptimeMs, info = {}) {
+  notify("gateway.crashed", `Gateway exited unexpectedly (code ${info.code ?? "-"}, signal ${info.signal ?? "-"}) after ${Math.round(uptimeMs / 1000)}s`, { ...info, uptimeMs });
+  metricInc("openclaw_gateway_crashes_total");
+  if (uptimeMs >= GATEWAY_STABLE_UPTIME_MS) {
+    gatewaySupervisor.consecutiveCrashes = 0;
+  }
+  gatewaySupervisor.consecutiveCrashes += 1;
+  gatewaySupervisor.crashTimes.push(Date.now());
+  scheduleGatewayRestart();
+}
+
+function gatewaySupervisorSnapshot(historyLimit = 50) {
+  let state = "stopped";
+  if (gatewayProc) state = "running";
+  else if (gatewaySupervisor.degraded) state = "degraded";
+  else if (gatewaySupervisor.timer) state = "backoff";
+
+  return {
+    state,
+    restarts: gatewaySupervisor.restarts,
+    consecutiveCrashes: gatewaySupervisor.consecutiveCrashes,
+    crashesInWindow: gatewaySupervisor.crashTimes.filter(
+      (t) => Date.now() - t < GATEWAY_CRASH_LOOP_WINDOW_MS,
+    ).length,
+    degraded: gatewaySupervisor.degraded,
+    degradedAt: gatewaySupervisor.degradedAt,
+    nextRestartAt: gatewaySupervisor.nextRestartAt,
+    startedAt: gatewayStartedAt ? new Date(gatewayStartedAt).toISOString() : null,
+    history: gatewaySupervisor.history.slice(-historyLimit),
+  };
+}
+
 async function waitForGatewayReady(opts = {}) {
   const timeoutMs = opts.timeoutMs ?? 20_000;
   const start = Date.now();
@@ -158,7 +730,10 @@ async function waitForGatewayReady(opts = {}) {
         try {
           const res = await fetch(`${GATEWAY_TARGET}${p}`, { method: "GET" });
           // Any HTTP response means the port is open.
-          if (res) return true;
+          if (res) {
+            metricObserve("openclaw_gateway_ready_seconds", { result: "ready" }, (Date.now() - start) / 1000);
+            return true;
+          }
         } catch {
           // try next
         }
@@ -168,9 +743,121 @@ async function waitForGatewayReady(opts = {}) {
     }
     await sleep(250);
   }
+  metricObserve("openclaw_gateway_ready_seconds", { result: "timeout" }, (Date.now() - start) / 1000);
   return false;
 }
 
+// --- Gateway log capture ---
+// The gateway's stdout/stderr is mirrored to the console (Railway logs), appended to a
+// size-rotated file under STATE_DIR and kept in an in-memory ring buffer for /setup/api/logs.
+// Lines are redacted before they are stored so secrets never reach the volume or backups.
+const GATEWAY_LOG_DIR = path.join(STATE_DIR, "logs");
+const GATEWAY_LOG_PATH = path.join(GATEWAY_LOG_DIR, "gateway.log");
+const GATEWAY_LOG_MAX_BYTES = envInt("GATEWAY_LOG_MAX_BYTES", 5 * 1024 * 1024);
+const GATEWAY_LOG_FILES = Math.max(1, envInt("GATEWAY_LOG_FILES", 3));
+const GATEWAY_LOG_BUFFER_LINES = 2_000;
+
+const gatewayLog = {
+  entries: [],
+  seq: 0,
+  stream: null,
+  bytes: 0,
+};
+
+function pushGatewayLogEntry(entry) {
+  gatewayLog.seq += 1;
+  gatewayLog.entries.push({ seq: gatewayLog.seq, ...entry });
+  if (gatewayLog.entries.length > GATEWAY_LOG_BUFFER_LINES) {
+    gatewayLog.entries.splice(0, gatewayLog.entries.length - GATEWAY_LOG_BUFFER_LINES);
+  }
+}
+
+function rotateGatewayLog() {
+  try { gatewayLog.stream?.end(); } catch {}
+  gatewayLog.stream = null;
+  for (let i = GATEWAY_LOG_FILES - 1; i >= 1; i--) {
+    const from = i === 1 ? GATEWAY_LOG_PATH : `${GATEWAY_LOG_PATH}.${i - 1}`;
+    try {
+      if (fs.existsSync(from)) fs.renameSync(from, `${GATEWAY_LOG_PATH}.${i}`);
+    } catch {
+      // best-effort
+    }
+  }
+  if (GATEWAY_LOG_FILES === 1) {
+    try { fs.rmSync(GATEWAY_LOG_PATH, { force: true }); } catch {}
+  }
+  gatewayLog.bytes = 0;
+}
+
+function openGatewayLogStream() {
+  fs.mkdirSync(GATEWAY_LOG_DIR, { recursive: true });
+  try {
+    gatewayLog.bytes = fs.statSync(GATEWAY_LOG_PATH).size;
+  } catch {
+    gatewayLog.bytes = 0;
+  }
+  gatewayLog.stream = fs.createWriteStream(GATEWAY_LOG_PATH, { flags: "a", mode: 0o600 });
+  gatewayLog.stream.on("error", (err) => {
+    console.warn(`[gateway-log] write failed: ${String(err)}`);
+    gatewayLog.stream = null;
+  });
+}
+
+function writeGatewayLogFile(text) {
+  try {
+    if (!gatewayLog.stream) openGatewayLogStream();
+    const len = Buffer.byteLength(text);
+    if (gatewayLog.bytes > 0 && gatewayLog.bytes + len > GATEWAY_LOG_MAX_BYTES) {
+      rotateGatewayLog();
+      openGatewayLogStream();
+    }
+    gatewayLog.stream.write(text);
+    gatewayLog.bytes += len;
+  } catch (err) {
+    console.warn(`[gateway-log] write failed: ${String(err)}`);
+  }
+}
+
+function appendGatewayLog(stream, line) {
+  const ts = new Date().toISOString();
+  const text = redactSecrets(line);
+  pushGatewayLogEntry({ ts, stream, line: text });
+  writeGatewayLogFile(`${ts} [${stream}] ${text}\n`);
+  return text;
+}
+
+// Seed the ring buffer from the current log file so logs survive wrapper restarts.
+function loadGatewayLogTail() {
+  for (const raw of readFileTailLines(GATEWAY_LOG_PATH).slice(-GATEWAY_LOG_BUFFER_LINES)) {
+    const m = raw.match(/^(\S+) \[(stdout|stderr)\] (.*)$/);
+    if (m) pushGatewayLogEntry({ ts: m[1], stream: m[2], line: m[3] });
+  }
+}
+
+loadGatewayLogTail();
+
+// Pipe one child stream to the console and the gateway log, line by line. The console gets
+// the redacted lines too: platform logs (Railway) are not a place for tokens either.
+function captureGatewayStream(source, stream, mirror) {
+  if (!source) return;
+  const lines = createLineBuffer((line) => mirror.write(appendGatewayLog(stream, line) + "\n"));
+  source.on("data", (d) => lines.push(d.toString("utf8")));
+  source.on("end", () => lines.flush());
+}
+
+// Query the ring buffer. `after` is a cursor (seq) for follow mode, `since` a timestamp.
+function queryGatewayLog({ tail, since, after, q } = {}) {
+  let entries = gatewayLog.entries;
+  if (Number.isFinite(after)) entries = entries.filter((e) => e.seq > after);
+  if (Number.isFinite(since)) entries = entries.filter((e) => Date.parse(e.ts) >= since);
+  if (q) {
+    const needle = q.toLowerCase();
+    entries = entries.filter((e) => e.line.toLowerCase().includes(needle));
+  }
+  if (Number.isFinite(tail)) entries = entries.slice(-tail);
+  return entries;
+}
+
 async function startGateway() {
   if (gatewayProc) return;
   if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
@@ -191,30 +878,74 @@ async function startGateway() {
     OPENCLAW_GATEWAY_TOKEN,
   ];
 
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
-    stdio: "inherit",
+  const proc = childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
+    stdio: ["ignore", "pipe", "pipe"],
     env: {
       ...process.env,
+      ...secretsEnv(),
       OPENCLAW_STATE_DIR: STATE_DIR,
       OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
     },
   });
+  captureGatewayStream(proc.stdout, "stdout", process.stdout);
+  captureGatewayStream(proc.stderr, "stderr", process.stderr);
+  const startedAt = Date.now();
+  gatewayProc = proc;
+  gatewayStartedAt = startedAt;
+
+  // "error" and "exit" can both fire for one child; only handle its end once.
+  let ended = false;
+  const onEnded = (info) => {
+    if (ended) return;
+    ended = true;
+    const uptimeMs = Date.now() - startedAt;
+    if (gatewayProc === proc) {
+      gatewayProc = null;
+      gatewayStartedAt = null;
+    }
+    const intentional = intentionallyStopped.has(proc);
+    recordGatewayEvent({ event: intentional ? "stopped" : "crashed", ...info, uptimeMs });
+    if (!intentional) onGatewayCrash(uptimeMs, info);
+  };
 
-  gatewayProc.on("error", (err) => {
+  proc.on("error", (err) => {
     const msg = `[gateway] spawn error: ${String(err)}`;
     console.error(msg);
     lastGatewayError = msg;
-    gatewayProc = null;
+    onEnded({ error: String(err) });
   });
 
-  gatewayProc.on("exit", (code, signal) => {
+  proc.on("exit", (code, signal) => {
     const msg = `[gateway] exited code=${code} signal=${signal}`;
     console.error(msg);
     lastGatewayExit = { code, signal, at: new Date().toISOString() };
-    gatewayProc = null;
+    onEnded({ code, signal });
   });
 }
 
+// Stop the gateway on purpose (gateway.stop, reset, import, restart). The supervisor
+// does not restart processes stopped through here.
+async function stopGateway() {
+  if (gatewaySupervisor.timer) clearTimeout(gatewaySupervisor.timer);
+  gatewaySupervisor.timer = null;
+  gatewaySupervisor.nextRestartAt = null;
+
+  const proc = gatewayProc;
+  if (!proc) return;
+  intentionallyStopped.add(proc);
+  try {
+    proc.kill("SIGTERM");
+  } catch {
+    // ignore
+  }
+  // Give it a moment to exit and release the port.
+  await sleep(750);
+  if (gatewayProc === proc) {
+    gatewayProc = null;
+    gatewayStartedAt = null;
+  }
+}
+
 async function runDoctorBestEffort() {
   // Avoid spamming `openclaw doctor` in a crash loop.
   const now = Date.now();
@@ -225,6 +956,7 @@ async function runDoctorBestEffort() {
     const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
     const out = redactSecrets(r.output || "");
     lastDoctorOutput = out.length > 50_000 ? out.slice(0, 50_000) + "\n... (truncated)\n" : out;
+    if (r.code !== 0) notify("doctor.failed", `openclaw doctor exited with ${r.code}`, { code: r.code, output: out.slice(-2000) });
   } catch (err) {
     lastDoctorOutput = `doctor failed: ${String(err)}`;
   }
@@ -233,6 +965,10 @@ async function runDoctorBestEffort() {
 async function ensureGatewayRunning() {
   if (!isConfigured()) return { ok: false, reason: "not configured" };
   if (gatewayProc) return { ok: true };
+  if (gatewaySupervisor.degraded) {
+    // Don't let every proxied request defeat the crash-loop circuit breaker.
+    throw new Error("Gateway is degraded after repeated crashes; start it again from /setup");
+  }
   if (!gatewayStarting) {
     gatewayStarting = (async () => {
       try {
@@ -245,6 +981,7 @@ async function ensureGatewayRunning() {
       } catch (err) {
         const msg = `[gateway] start failure: ${String(err)}`;
         lastGatewayError = msg;
+        notify("gateway.start_failed", msg, { error: String(err) });
         // Collect extra diagnostics to help users file issues.
         await runDoctorBestEffort();
         throw err;
@@ -258,54 +995,571 @@ async function ensureGatewayRunning() {
 }
 
 async function restartGateway() {
-  if (gatewayProc) {
-    try {
-      gatewayProc.kill("SIGTERM");
-    } catch {
-      // ignore
-    }
-    // Give it a moment to exit and release the port.
-    await sleep(750);
-    gatewayProc = null;
-  }
+  await stopGateway();
+  // An explicit restart is an operator action: clear any crash-loop state.
+  resetGatewaySupervisor();
   return ensureGatewayRunning();
 }
 
-function requireSetupAuth(req, res, next) {
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
+// --- Users & roles ---
+// Named operators live in STATE_DIR/users.json (scrypt-hashed passwords). SETUP_PASSWORD
+// stays the bootstrap admin credential: it works with any username, so existing deployments
+// and recovery keep working even if the user store is empty or broken.
+//   viewer:   Control UI only
+//   operator: /setup, debug console, logs, device/pairing approval
+//   admin:    onboarding, config editor, export/import, reset, user management
+const USERS_PATH = path.join(STATE_DIR, "users.json");
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const USERNAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function loadUsers() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(USERS_PATH, "utf8"));
+    return Array.isArray(parsed?.users) ? parsed.users : [];
+  } catch {
+    return [];
   }
+}
+
+function saveUsers(users) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${USERS_PATH}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, USERS_PATH);
+  authCache.clear();
+}
 
+function publicUser(u) {
+  return { username: u.username, role: u.role, createdAt: u.createdAt || null, updatedAt: u.updatedAt || null };
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && (ROLE_LEVELS[user.role] || 0) >= (ROLE_LEVELS[role] || Infinity);
+}
+
+function parseBasicAuth(req) {
   const header = req.headers.authorization || "";
   const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Auth required");
-  }
+  if (scheme !== "Basic" || !encoded) return null;
   const decoded = Buffer.from(encoded, "base64").toString("utf8");
   const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Invalid password");
-  }
-  return next();
+  return {
+    username: idx >= 0 ? decoded.slice(0, idx) : decoded,
+    password: idx >= 0 ? decoded.slice(idx + 1) : "",
+  };
 }
 
-const app = express();
-app.disable("x-powered-by");
-app.use(express.json({ limit: "1mb" }));
+// scrypt is deliberately slow; the dashboard re-sends Basic credentials on every proxied
+// request, so remember successful checks for a few minutes (cleared on any user change).
+const authCache = new Map();
+const AUTH_CACHE_TTL_MS = 5 * 60 * 1000;
 
-// Minimal health endpoint for Railway.
-app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
+// Compare secrets without leaking their length or content through timing.
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
 
-async function probeGateway() {
-  // Don't assume HTTP — the gateway primarily speaks WebSocket.
-  // A simple TCP connect check is enough for "is it up".
-  const net = await import("node:net");
+// `opts.onVerified(user)` runs only when the password was actually checked (not a cache hit),
+// which is what the auth event log records.
+function authenticateCredentials(username, password, opts = {}) {
+  const key = crypto.createHash("sha256").update(`${username}\0${password}`).digest("hex");
+  const cached = authCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.user;
+
+  let user = null;
+  const stored = loadUsers().find((u) => u.username === username);
+  if (stored && verifyPassword(password, stored.passwordHash)) {
+    user = { username: stored.username, role: stored.role, source: "user" };
+  } else if (SETUP_PASSWORD && safeEqual(password, SETUP_PASSWORD)) {
+    user = { username: username || "admin", role: "admin", source: "setup-password" };
+  }
+
+  if (user) {
+    if (authCache.size > 1000) authCache.clear();
+    authCache.set(key, { user, expires: Date.now() + AUTH_CACHE_TTL_MS });
+    opts.onVerified?.(user);
+  }
+  return user;
+}
+
+// --- Brute-force protection & auth event log ---
+// Failed password checks are counted per client IP. After AUTH_MAX_FAILURES the IP is
+// locked out, doubling each further failure (capped at an hour). Everything is recorded
+// in an append-only JSONL file so operators can see who logged in from where.
+const AUTH_MAX_FAILURES = Math.max(1, envInt("AUTH_MAX_FAILURES", 5));
+const AUTH_LOCKOUT_BASE_MS = 30_000;
+const AUTH_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const AUTH_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_LOG_PATH = path.join(STATE_DIR, "logs", "auth.jsonl");
+const AUTH_LOG_MAX_BYTES = 10 * 1024 * 1024;
+
+const authFailures = new Map();
+
+// Railway's edge appends the real client address to X-Forwarded-For. Use the last hop:
+// earlier entries come from the client and could be spoofed to dodge the lockout.
+function clientIp(req) {
+  const hops = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((h) => h.trim())
+    .filter(Boolean);
+  return hops[hops.length - 1] || req.socket?.remoteAddress || "unknown";
+}
+
+function authLockRemainingMs(ip) {
+  const entry = authFailures.get(ip);
+  if (!entry || !entry.lockedUntil) return 0;
+  return Math.max(0, entry.lockedUntil - Date.now());
+}
+
+function recordAuthFailure(ip) {
+  const now = Date.now();
+  let entry = authFailures.get(ip);
+  if (!entry || now - entry.lastFailureAt > AUTH_FAILURE_WINDOW_MS) {
+    entry = { failures: 0, lockedUntil: 0, lastFailureAt: now };
+  }
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  if (entry.failures >= AUTH_MAX_FAILURES) {
+    const lockMs = Math.min(AUTH_LOCKOUT_MAX_MS, AUTH_LOCKOUT_BASE_MS * 2 ** (entry.failures - AUTH_MAX_FAILURES));
+    entry.lockedUntil = now + lockMs;
+  }
+  authFailures.set(ip, entry);
+
+  if (authFailures.size > 10_000) {
+    for (const [key, e] of authFailures) {
+      if (now - e.lastFailureAt > AUTH_FAILURE_WINDOW_MS && e.lockedUntil < now) authFailures.delete(key);
+    }
+  }
+  return entry;
+}
+
+function clearAuthFailures(ip) {
+  authFailures.delete(ip);
+}
+
+function logAuthEvent(req, event, extra = {}) {
+  const entry = {
+    ts: new Date().toISOString(),
+    event,
+    ip: clientIp(req),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+    method: req.method,
+    route: String(req.originalUrl || req.url || "").split("?")[0].slice(0, 300),
+    ...extra,
+  };
+  appendJsonl(AUTH_LOG_PATH, entry, AUTH_LOG_MAX_BYTES, "auth-log");
+  if (event === "failure" || event === "lockout") {
+    console.warn(`[auth] ${event} ip=${entry.ip} user=${extra.username ?? ""} route=${entry.route}`);
+  }
+}
+
+// Check a username/password for `req`, applying lockout and writing auth events.
+// Returns { user } or { user: null, failure: "invalid" | "locked", retryAfterSec }.
+function checkPasswordForRequest(req, username, password, via) {
+  const ip = clientIp(req);
+  const lockedMs = authLockRemainingMs(ip);
+  if (lockedMs > 0) {
+    return { user: null, failure: "locked", retryAfterSec: Math.ceil(lockedMs / 1000) };
+  }
+
+  const user = authenticateCredentials(username, password, {
+    onVerified: (u) => logAuthEvent(req, "success", { username: u.username, role: u.role, via }),
+  });
+  if (user) {
+    clearAuthFailures(ip);
+    return { user };
+  }
+
+  const entry = recordAuthFailure(ip);
+  logAuthEvent(req, "failure", { username: String(username).slice(0, 64), via, failures: entry.failures });
+  if (entry.lockedUntil > Date.now()) {
+    const retryAfterSec = Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+    logAuthEvent(req, "lockout", { username: String(username).slice(0, 64), retryAfterSec });
+    return { user: null, failure: "locked", retryAfterSec };
+  }
+  return { user: null, failure: "invalid" };
+}
+
+// --- Admin audit log ---
+// Every mutating /setup action is recorded as one JSONL line: who (auth identity), what
+// (action, route and redacted arguments), when, and the HTTP status it finished with, or
+// `aborted` when the client disconnected before the response was sent.
+const AUDIT_LOG_PATH = path.join(STATE_DIR, "logs", "audit.jsonl");
+const AUDIT_LOG_MAX_BYTES = 20 * 1024 * 1024;
+const AUDIT_SECRET_KEY_RE = /token|secret|password|passphrase|apikey|api_key|key$|^code$|content/i;
+
+function redactAuditArgs(value, depth = 0) {
+  if (value == null || depth > 4) return value;
+  if (typeof value === "string") return redactSecrets(value.length > 500 ? value.slice(0, 500) + "…" : value);
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => redactAuditArgs(v, depth + 1));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (AUDIT_SECRET_KEY_RE.test(k)) {
+        out[k] = v === "" || v == null ? v : "[REDACTED]";
+      } else {
+        out[k] = redactAuditArgs(v, depth + 1);
+      }
+    }
+    return out;
+  }
+  return value;
+}
+
+// Route middleware: `audit("config.save")`. Use after requireSetupAuth so the actor is known.
+// `describe(req)` may return extra (non-secret) args; by default the redacted JSON body is kept.
+function audit(action, describe) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    // "finish" when the response was sent, "close" alone when the client went away first
+    // (e.g. a long console run); either way the request is recorded once.
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const aborted = !res.writableFinished;
+      let args;
+      try {
+        args = describe ? describe(req) : req.body && Object.keys(req.body).length ? req.body : undefined;
+      } catch {
+        args = undefined;
+      }
+      appendJsonl(
+        AUDIT_LOG_PATH,
+        {
+          ts: new Date(startedAt).toISOString(),
+          username: req.authUser?.username ?? null,
+          role: req.authUser?.role ?? null,
+          via: req.authUser?.via ?? null,
+          ip: clientIp(req),
+          action,
+          method: req.method,
+          route: String(req.originalUrl || req.url || "").split("?")[0],
+          args: redactAuditArgs(args),
+          status: res.statusCode,
+          ok: !aborted && res.statusCode < 400,
+          aborted,
+          durationMs: Date.now() - startedAt,
+        },
+        AUDIT_LOG_MAX_BYTES,
+        "audit",
+      );
+    };
+    res.on("finish", record);
+    res.on("close", record);
+    next();
+  };
+}
+
+// Audit describers for requests whose body is binary or too sensitive to keep.
+function describeUpload(req) {
+  return { bytes: Number(req.headers["content-length"]) || null };
+}
+
+function describeConfigSave(req) {
+  return { bytes: String(req.body?.content || "").length, note: req.body?.note || undefined };
+}
+
+function auditToCsv(entries) {
+  const cols = ["ts", "username", "role", "ip", "action", "method", "route", "status", "args"];
+  const cell = (v) => {
+    let text = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+    // Spreadsheets run cells starting with = + - @ as formulas; a leading ' keeps them text.
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [cols.join(","), ...entries.map((e) => cols.map((c) => cell(e[c])).join(","))].join("\n") + "\n";
+}
+
+// --- Session cookies ---
+// Stateless signed cookie: base64url(JSON) + "." + HMAC. The role is looked up on every
+// request (so role changes apply immediately) and `v` fingerprints the credential used to
+// log in, so changing a user's password or SETUP_PASSWORD invalidates existing sessions.
+function credentialFingerprint(user) {
+  let material = null;
+  if (user.source === "setup-password") {
+    material = SETUP_PASSWORD ? `setup:${SETUP_PASSWORD}` : null;
+  } else {
+    material = loadUsers().find((u) => u.username === user.username)?.passwordHash || null;
+  }
+  return material ? crypto.createHash("sha256").update(material).digest("hex").slice(0, 16) : null;
+}
+
+function signSession(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
+
+function createSessionCookieValue(user) {
+  const now = Date.now();
+  return signSession({
+    u: user.username,
+    s: user.source,
+    v: credentialFingerprint(user),
+    iat: now,
+    exp: now + SESSION_MAX_AGE_MS,
+  });
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      out[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[key] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+function verifySessionCookie(req) {
+  const raw = parseCookies(req)[SESSION_COOKIE];
+  if (!raw) return null;
+  const [body, sig] = raw.split(".");
+  if (!body || !sig) return null;
+
+  const expected = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest();
+  const actual = Buffer.from(sig, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== "number" || payload.exp < Date.now()) return null;
+
+  let user = null;
+  if (payload.s === "setup-password") {
+    user = { username: payload.u || "admin", role: "admin", source: "setup-password" };
+  } else {
+    const stored = loadUsers().find((u) => u.username === payload.u);
+    if (stored) user = { username: stored.username, role: stored.role, source: "user" };
+  }
+  if (!user || !payload.v || credentialFingerprint(user) !== payload.v) return null;
+  return { ...user, via: "session" };
+}
+
+function isHttpsRequest(req) {
+  // Railway terminates TLS at its edge and forwards X-Forwarded-Proto.
+  return req.secure || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+function sessionCookieAttributes(req, maxAgeSeconds) {
+  const attrs = [`Path=/`, "HttpOnly", "SameSite=Lax", `Max-Age=${maxAgeSeconds}`];
+  if (isHttpsRequest(req)) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+// Cookie session first (browsers), then HTTP Basic (scripts, existing bookmarks).
+// Returns { user } or { user: null, failure: "missing" | "invalid" | "locked", retryAfterSec }.
+function authenticateRequest(req) {
+  const session = verifySessionCookie(req);
+  if (session) return { user: session };
+  const creds = parseBasicAuth(req);
+  if (!creds) return { user: null, failure: "missing" };
+  const r = checkPasswordForRequest(req, creds.username, creds.password, "basic");
+  return r.user ? { user: { ...r.user, via: "basic" } } : r;
+}
+
+// Browsers navigating to a page get the login form; API clients and scripts get a Basic challenge.
+function rejectUnauthenticated(req, res, realm, auth = {}) {
+  if (auth.failure === "locked") {
+    res.set("Retry-After", String(auth.retryAfterSec || 60));
+    return res
+      .status(429)
+      .type("text/plain")
+      .send(`Too many failed login attempts. Try again in ${auth.retryAfterSec || 60}s.`);
+  }
+  const hasBasic = Boolean(parseBasicAuth(req));
+  const wantsHtml = req.method === "GET" && String(req.headers.accept || "").includes("text/html");
+  if (wantsHtml && !hasBasic) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl || "/")}`);
+  }
+  res.set("WWW-Authenticate", `Basic realm="${realm}"`);
+  return res.status(401).send(hasBasic ? "Invalid password" : "Auth required");
+}
+
+function requireSetupAuth(req, res, next) {
+  if (!SETUP_PASSWORD) {
+    return res
+      .status(500)
+      .type("text/plain")
+      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
+  }
+
+  const auth = authenticateRequest(req);
+  const user = auth.user;
+  if (!user) return rejectUnauthenticated(req, res, "OpenClaw Setup", auth);
+  if (!hasRole(user, "operator")) {
+    return res.status(403).type("text/plain").send("Your account can only access the Control UI.");
+  }
+  req.authUser = user;
+  return next();
+}
+
+// Per-route role check; use after requireSetupAuth.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.authUser, role)) return next();
+    return res.status(403).json({ ok: false, error: `This action requires the ${role} role` });
+  };
+}
+
+const app = express();
+app.disable("x-powered-by");
+app.use(express.json({ limit: "1mb" }));
+
+// Per-IP request budget for the setup API (fixed one-minute window). Authentication
+// failures have their own, much stricter lockout; this just caps scripted hammering.
+const SETUP_API_RATE_LIMIT = Math.max(1, envInt("SETUP_API_RATE_LIMIT", 240));
+const setupApiHits = new Map();
+
+app.use("/setup/api", (req, res, next) => {
+  const ip = clientIp(req);
+  const now = Date.now();
+  let bucket = setupApiHits.get(ip);
+  if (!bucket || now - bucket.windowStart >= 60_000) {
+    bucket = { windowStart: now, count: 0 };
+    setupApiHits.set(ip, bucket);
+    if (setupApiHits.size > 10_000) {
+      for (const [key, b] of setupApiHits) {
+        if (now - b.windowStart >= 60_000) setupApiHits.delete(key);
+      }
+    }
+  }
+  bucket.count += 1;
+  if (bucket.count > SETUP_API_RATE_LIMIT) {
+    const retryAfterSec = Math.ceil((bucket.windowStart + 60_000 - now) / 1000);
+    res.set("Retry-After", String(retryAfterSec));
+    return res.status(429).json({ ok: false, error: "Rate limit exceeded", retryAfterSec });
+  }
+  return next();
+});
+
+// Railway's deploy health check (railway.toml). Liveness only, like /livez: a fresh service
+// has to pass it before anyone can reach /setup to configure the gateway.
+app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
+
+// --- Login / logout (session cookie alternative to HTTP Basic) ---
+function safeNextPath(raw) {
+  const next = String(raw || "");
+  // Only same-origin relative paths; "//host" and "/\\host" would be open redirects.
+  if (!next.startsWith("/") || next.startsWith("//") || next.startsWith("/\\")) return "/setup";
+  return next;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+app.get("/login", (req, res) => {
+  const next = safeNextPath(req.query.next);
+  let error = "";
+  if (req.query.error === "locked") error = '<p class="error">Too many failed attempts. Try again later.</p>';
+  else if (req.query.error) error = '<p class="error">Invalid username or password.</p>';
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>OpenClaw Login</title>
+  <style>
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem auto; max-width: 380px; padding: 0 1rem; }
+    .card { border: 1px solid #ddd; border-radius: 12px; padding: 1.25rem; margin: 1rem 0; }
+    label { display:block; margin-top: 0.75rem; font-weight: 600; }
+    input { width: 100%; padding: 0.6rem; margin-top: 0.25rem; box-sizing: border-box; }
+    button { margin-top: 1rem; width: 100%; padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
+    .muted { color: #555; }
+    .error { color: #b91c1c; font-weight: 600; }
+  </style>
+</head>
+<body>
+  <h1>OpenClaw</h1>
+  <div class="card">
+    ${error}
+    <form method="post" action="/login">
+      <input type="hidden" name="next" value="${escapeHtml(next)}" />
+      <label for="username">Username</label>
+      <input id="username" name="username" autocomplete="username" placeholder="admin" />
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" autofocus />
+      <button type="submit">Log in</button>
+    </form>
+    <p class="muted">Use your user account, or any username with <code>SETUP_PASSWORD</code>.</p>
+  </div>
+</body>
+</html>`);
+});
+
+app.post("/login", express.urlencoded({ extended: false, limit: "16kb" }), (req, res) => {
+  const body = req.body || {};
+  const next = safeNextPath(body.next);
+  const username = String(body.username || "").trim();
+  const password = String(body.password || "");
+  const auth = SETUP_PASSWORD ? checkPasswordForRequest(req, username, password, "login") : { user: null };
+  const user = auth.user;
+
+  if (auth.failure === "locked") {
+    res.set("Retry-After", String(auth.retryAfterSec));
+    if (req.is("application/json")) return res.status(429).json({ ok: false, error: "Too many failed login attempts" });
+    return res.redirect(303, `/login?error=locked&next=${encodeURIComponent(next)}`);
+  }
+  if (!user) {
+    if (req.is("application/json")) return res.status(401).json({ ok: false, error: "Invalid username or password" });
+    return res.redirect(303, `/login?error=1&next=${encodeURIComponent(next)}`);
+  }
+
+  res.set(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${createSessionCookieValue(user)}; ${sessionCookieAttributes(req, Math.floor(SESSION_MAX_AGE_MS / 1000))}`,
+  );
+  if (req.is("application/json")) return res.json({ ok: true, username: user.username, role: user.role });
+  return res.redirect(303, next);
+});
+
+function logout(req, res) {
+  const session = verifySessionCookie(req);
+  if (session) logAuthEvent(req, "logout", { username: session.username });
+  res.set("Set-Cookie", `${SESSION_COOKIE}=; ${sessionCookieAttributes(req, 0)}`);
+  return res.redirect(303, "/login");
+}
+
+// POST only: a GET would let any page log the user out with an <img> or a link.
+app.post("/logout", logout);
+
+async function probeGateway() {
+  // Don't assume HTTP — the gateway primarily speaks WebSocket.
+  // A simple TCP connect check is enough for "is it up".
+  const net = await import("node:net");
 
   return await new Promise((resolve) => {
     const sock = net.createConnection({
@@ -325,35 +1579,140 @@ async function probeGateway() {
   });
 }
 
-// Public health endpoint (no auth) so Railway can probe without /setup.
-// Keep this free of secrets.
+// --- Health checks ---
+// /livez: the wrapper process is up and serving requests (never looks at the gateway).
+// /readyz: configured and the gateway accepts TCP connections, plus `openclaw health` when
+// READY_DEEP_CHECK is on; 503 otherwise. Probe results are cached so frequent checks don't
+// hammer the gateway. `?verbose=1` adds diagnostics and requires a /setup login.
+const HEALTH_PROBE_CACHE_MS = envInt("HEALTH_PROBE_CACHE_MS", 5_000);
+const READY_DEEP_CHECK = /^(1|true|yes)$/i.test(process.env.READY_DEEP_CHECK?.trim() || "");
+const READY_DEEP_CACHE_MS = envInt("READY_DEEP_CACHE_MS", 30_000);
+// For deploy health checks on a fresh service that has not been through /setup yet.
+const READY_WHEN_UNCONFIGURED = /^(1|true|yes)$/i.test(process.env.READY_WHEN_UNCONFIGURED?.trim() || "");
+
+const healthProbes = new Map(); // name -> { at, value, pending }
+
+// Runs fn() at most once per ttlMs; concurrent callers share the in-flight run.
+async function cachedProbe(name, ttlMs, fn) {
+  const entry = healthProbes.get(name);
+  if (entry?.pending) return entry.pending;
+  if (entry && Date.now() - entry.at < ttlMs) return entry.value;
+  const pending = Promise.resolve()
+    .then(fn)
+    .catch((err) => ({ ok: false, error: String(err) }))
+    .then((value) => {
+      healthProbes.set(name, { at: Date.now(), value, pending: null });
+      return value;
+    });
+  healthProbes.set(name, { ...entry, pending });
+  return pending;
+}
+
+function probeAgeMs(name) {
+  const at = healthProbes.get(name)?.at;
+  return at ? Date.now() - at : null;
+}
+
+async function deepHealthCheck() {
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["health"]), { timeoutMs: 15_000 });
+  const output = redactSecrets(r.output || "").trim();
+  return { ok: r.code === 0, code: r.code, output: output.length > 4000 ? output.slice(-4000) : output };
+}
+
+async function readinessReport() {
+  const configured = isConfigured();
+  const checks = { configured, gateway: null, deep: null };
+  let deep = null;
+  if (configured) {
+    checks.gateway = (await cachedProbe("gateway", HEALTH_PROBE_CACHE_MS, probeGateway)) === true;
+    if (READY_DEEP_CHECK && checks.gateway) {
+      deep = await cachedProbe("deep", READY_DEEP_CACHE_MS, deepHealthCheck);
+      checks.deep = deep.ok;
+    }
+  }
+  const ready = configured ? checks.gateway && checks.deep !== false : READY_WHEN_UNCONFIGURED;
+  return { ready, checks, deep };
+}
+
+// `?verbose=1` needs a /setup login; the plain answer stays public.
+function verboseNeedsSetupAuth(req, res, next) {
+  if (!/^(1|true|yes)$/i.test(String(req.query.verbose || ""))) return next();
+  return requireSetupAuth(req, res, () => {
+    req.healthVerbose = true;
+    next();
+  });
+}
+
+app.get("/livez", verboseNeedsSetupAuth, (req, res) => {
+  const body = { ok: true, uptimeSeconds: Math.round(process.uptime()) };
+  if (req.healthVerbose) {
+    Object.assign(body, { pid: process.pid, node: process.version, memoryRssBytes: process.memoryUsage().rss });
+  }
+  res.set("Cache-Control", "no-store").json(body);
+});
+
+app.get("/readyz", verboseNeedsSetupAuth, async (req, res) => {
+  const { ready, checks, deep } = await readinessReport();
+  const body = { ok: ready, checks };
+  if (req.healthVerbose) {
+    body.wrapper = { stateDir: STATE_DIR, workspaceDir: WORKSPACE_DIR, readyWhenUnconfigured: READY_WHEN_UNCONFIGURED };
+    body.gateway = {
+      target: GATEWAY_TARGET,
+      probeAgeMs: probeAgeMs("gateway"),
+      lastError: lastGatewayError,
+      lastExit: lastGatewayExit,
+      lastDoctorAt,
+      supervisor: gatewaySupervisorSnapshot(10),
+    };
+    body.backups = backupHealthSnapshot();
+    body.deep = READY_DEEP_CHECK ? { ...deep, ageMs: probeAgeMs("deep") } : { enabled: false };
+  }
+  res.set("Cache-Control", "no-store").status(ready ? 200 : 503).json(body);
+});
+
+// Public summary (no auth), kept for existing monitors; always 200. Keep it free of paths and
+// error text: those are in /readyz?verbose=1 behind a /setup login.
 app.get("/healthz", async (_req, res) => {
   let gatewayReachable = false;
   if (isConfigured()) {
-    try {
-      gatewayReachable = await probeGateway();
-    } catch {
-      gatewayReachable = false;
-    }
+    gatewayReachable = (await cachedProbe("gateway", HEALTH_PROBE_CACHE_MS, probeGateway)) === true;
   }
+  const supervisor = gatewaySupervisorSnapshot(10);
+  const lastBackup = backupState.lastScheduled;
 
   res.json({
     ok: true,
     wrapper: {
       configured: isConfigured(),
-      stateDir: STATE_DIR,
-      workspaceDir: WORKSPACE_DIR,
     },
     gateway: {
-      target: GATEWAY_TARGET,
       reachable: gatewayReachable,
-      lastError: lastGatewayError,
-      lastExit: lastGatewayExit,
-      lastDoctorAt,
+      supervisor: {
+        state: supervisor.state,
+        restarts: supervisor.restarts,
+        history: supervisor.history.map(({ error: _error, ...event }) => event),
+      },
+    },
+    backups: {
+      last: lastBackup ? { ok: lastBackup.ok, at: lastBackup.at } : null,
     },
   });
 });
 
+// Prometheus scrape endpoint. Open like /healthz unless METRICS_TOKEN is set, in which case
+// scrapers must send `Authorization: Bearer <METRICS_TOKEN>`.
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+    if (!m || !safeEqual(m[1].trim(), METRICS_TOKEN)) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).type("text/plain").send("Unauthorized\n");
+    }
+  }
+  collectStateMetrics();
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 app.get("/setup/app.js", requireSetupAuth, (_req, res) => {
   // Serve JS for /setup (kept external to avoid inline encoding/template issues)
   res.type("application/javascript");
@@ -376,9 +1735,12 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     button { padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
     code { background: #f6f6f6; padding: 0.1rem 0.3rem; border-radius: 6px; }
     .muted { color: #555; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eee; }
   </style>
 </head>
 <body>
+  <div style="float:right; margin-top:0.5rem" class="muted"><span id="whoami"></span> &nbsp;<form method="post" action="/logout" style="display:inline"><button type="submit" style="padding:0; background:none; color:#06c; font-weight:normal; text-decoration:underline">Log out</button></form></div>
   <h1>OpenClaw Setup</h1>
   <p class="muted">This wizard configures OpenClaw by running the same onboarding command it uses in the terminal, but from the browser.</p>
 
@@ -388,15 +1750,107 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     <div id="statusDetails" class="muted" style="margin-top:0.5rem"></div>
     <div style="margin-top: 0.75rem">
       <a href="/openclaw" target="_blank">Open OpenClaw UI</a>
-      &nbsp;|&nbsp;
-      <a href="/setup/export" target="_blank">Download backup (.tar.gz)</a>
     </div>
 
-    <div style="margin-top: 0.75rem">
-      <div class="muted" style="margin-bottom:0.25rem"><strong>Import backup</strong> (advanced): restores into <code>/data</code> and restarts the gateway.</div>
-      <input id="importFile" type="file" accept=".tar.gz,application/gzip" />
-      <button id="importRun" style="background:#7c2d12; margin-top:0.5rem">Import</button>
-      <pre id="importOut" style="white-space:pre-wrap"></pre>
+    <form method="post" action="/setup/export" style="margin-top: 0.75rem" data-role="admin">
+      <div class="muted" style="margin-bottom:0.25rem"><strong>Download backup</strong>: config, tokens and workspace as a <code>.tar.gz</code>. With a passphrase it is encrypted (<code>.tar.gz.enc</code>); keep the passphrase, it is needed to import it.</div>
+      <div style="display:flex; gap:0.5rem; align-items:center">
+        <input name="passphrase" type="password" autocomplete="new-password" placeholder="passphrase (optional, 8+ characters)" style="flex: 1" />
+        <button type="submit" style="background:#0f172a">Download backup</button>
+      </div>
+    </form>
+
+    <div style="margin-top: 0.75rem" data-role="admin">
+      <div class="muted" style="margin-bottom:0.25rem"><strong>Import backup</strong> (advanced): preview an archive, then restore it (or some of its directories) into <code>/data</code>. The gateway restarts.</div>
+      <input id="importFile" type="file" accept=".tar.gz,.enc,application/gzip" />
+      <input id="importPassphrase" type="password" autocomplete="off" placeholder="passphrase (encrypted backups only)" style="margin-top:0.5rem" />
+      <button id="importRun" style="background:#0f172a; margin-top:0.5rem">Preview</button>
+      <pre id="importOut" style="white-space:pre-wrap; max-height: 300px; overflow:auto"></pre>
+      <div id="importPreview" style="display:none">
+        <div class="muted">Restore these directories:</div>
+        <div id="importGroups"></div>
+        <label style="display:block; margin:0.5rem 0"><input id="importClean" type="checkbox" style="width:auto" /> Clean restore: snapshot, then delete the selected directories before extracting (removes files not in the archive)</label>
+        <button id="importApply" style="background:#7c2d12">Restore selected</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Scheduled backups</h2>
+    <p class="muted">Archives written to <code id="backupsDir">the backup directory</code> on the volume. Scheduled backups keep the newest one per day and per week; manual ones are kept until deleted.</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <label style="margin:0">Every (hours, 0 = off)</label>
+      <input id="backupInterval" type="number" min="0" step="1" style="flex: 1" />
+      <label style="margin:0">Daily</label>
+      <input id="backupKeepDaily" type="number" min="0" style="flex: 1" />
+      <label style="margin:0">Weekly</label>
+      <input id="backupKeepWeekly" type="number" min="0" style="flex: 1" />
+      <button id="backupSettingsSave" style="background:#0f172a">Save</button>
+    </div>
+    <div id="backupsStatus" class="muted" style="margin-top:0.5rem"></div>
+    <div id="backupsList" class="muted" style="margin-top:0.5rem"></div>
+    <button id="backupNow" style="background:#0f172a; margin-top:0.5rem">Back up now</button>
+    <div id="backupsRemote" style="display:none; margin-top:0.75rem">
+      <div class="muted"><strong>Off-site copies</strong> <span id="backupsRemoteWhere"></span></div>
+      <div id="backupsRemoteList" class="muted" style="margin-top:0.25rem"></div>
+    </div>
+    <input id="backupRestorePassphrase" type="password" autocomplete="off" placeholder="passphrase for restoring .enc backups (default: BACKUP_PASSPHRASE)" style="margin-top:0.5rem" />
+    <pre id="backupsOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Restore previous state</h2>
+    <p class="muted">Config and credentials are snapshotted automatically before setup runs, config saves, resets, imports and approvals. Restoring one puts those files back as they were and restarts the gateway (the current state is snapshotted first, so this can be undone too).</p>
+    <div id="snapshotsList" class="muted"></div>
+    <pre id="snapshotsOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Users</h2>
+    <p class="muted">Named logins for <code>/setup</code> and the Control UI. <strong>viewer</strong>: Control UI only. <strong>operator</strong>: also this page, debug console, logs and device approval. <strong>admin</strong>: everything. <code>SETUP_PASSWORD</code> always works as an admin login.</p>
+    <div id="usersList" class="muted"></div>
+    <div style="display:flex; gap:0.5rem; align-items:center; margin-top:0.5rem">
+      <input id="userName" placeholder="username" style="flex: 1" />
+      <input id="userPassword" type="password" placeholder="password (blank keeps current)" style="flex: 1" />
+      <select id="userRole" style="flex: 1">
+        <option value="viewer">viewer</option>
+        <option value="operator">operator</option>
+        <option value="admin">admin</option>
+      </select>
+      <button id="userSave" style="background:#0f172a">Save user</button>
+    </div>
+    <pre id="usersOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Sign-in activity</h2>
+    <p class="muted">Successful and failed logins (by IP) from the auth event log. Repeated failures lock the IP out for a while.</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <select id="authEventsFilter" style="flex: 1">
+        <option value="">all events</option>
+        <option value="failure">failures</option>
+        <option value="lockout">lockouts</option>
+        <option value="success">successes</option>
+      </select>
+      <button id="authEventsRefresh" style="background:#0f172a">Refresh</button>
+    </div>
+    <pre id="authEventsOut" style="white-space:pre-wrap; max-height: 300px; overflow:auto"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Audit log</h2>
+    <p class="muted">Who changed what through this page: config saves, resets, imports, approvals, console commands and user changes.</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <input id="auditUser" placeholder="user" style="flex: 1" />
+      <input id="auditAction" placeholder="action (e.g. gateway.restart)" style="flex: 2" />
+      <button id="auditRefresh" style="background:#0f172a">Search</button>
+    </div>
+    <pre id="auditOut" style="white-space:pre-wrap; max-height: 300px; overflow:auto"></pre>
+    <div>
+      <button id="auditPrev" style="background:#1f2937">Newer</button>
+      <button id="auditNext" style="background:#1f2937; margin-left:0.5rem">Older</button>
+      <span class="muted" id="auditPage" style="margin-left:0.5rem"></span>
+      <span style="float:right">Download: <a id="auditCsv" href="/setup/api/audit?format=csv">CSV</a> | <a id="auditJsonl" href="/setup/api/audit?format=jsonl">JSONL</a></span>
     </div>
   </div>
 
@@ -427,18 +1881,94 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
   </div>
 
   <div class="card">
+    <h2>Gateway logs</h2>
+    <p class="muted">Output captured from the gateway process (secrets redacted). Also written to <code>logs/gateway.log</code> in the state dir.</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <input id="logsFilter" placeholder="Filter (substring)" style="flex: 2" />
+      <select id="logsTail" style="flex: 1">
+        <option value="100">last 100</option>
+        <option value="200" selected>last 200</option>
+        <option value="500">last 500</option>
+        <option value="2000">last 2000</option>
+      </select>
+      <button id="logsRefresh" style="background:#0f172a">Refresh</button>
+    </div>
+    <label style="font-weight:normal"><input id="logsFollow" type="checkbox" style="width:auto" /> Follow</label>
+    <pre id="logsOut" style="white-space:pre-wrap; max-height: 360px; overflow:auto; background:#f6f6f6; padding:0.5rem; border-radius:8px"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
     <h2>Config editor (advanced)</h2>
-    <p class="muted">Edits the full config file on disk (JSON5). Saving creates a timestamped <code>.bak-*</code> backup and restarts the gateway.</p>
+    <p class="muted">Edits the full config file on disk (JSON5). Saving checks the syntax, shows the diff against the current file, creates a timestamped <code>.bak-*</code> backup and restarts the gateway. If the gateway doesn't come back, the backup is put back automatically. Tokens and keys are shown as <code>[REDACTED:...]</code> placeholders; saving keeps the real value for every placeholder left in place.</p>
     <div class="muted" id="configPath"></div>
     <textarea id="configText" style="width:100%; height: 260px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace;"></textarea>
     <div style="margin-top:0.5rem">
       <button id="configReload" style="background:#1f2937">Reload</button>
+      <button id="configValidate" style="background:#1f2937; margin-left:0.5rem">Validate</button>
+      <input id="configNote" placeholder="note for this save (optional)" maxlength="200" style="margin-left:0.5rem; width: 40%" />
       <button id="configSave" style="background:#111; margin-left:0.5rem">Save</button>
     </div>
     <pre id="configOut" style="white-space:pre-wrap"></pre>
   </div>
 
-  <div class="card">
+  <div class="card" data-role="admin">
+    <h2>Config history</h2>
+    <p class="muted">Earlier versions of the config file (the <code>.bak-*</code> copies kept by every save), newest first. Diffs mask tokens and keys. Restoring a version saves it like an edit: it is validated, the current file becomes a new version and the gateway restarts.</p>
+    <div id="configHistoryCurrent" class="muted"></div>
+    <div id="configHistoryList" class="muted"></div>
+    <div style="margin-top:0.5rem">
+      Compare <select id="configHistoryFrom"></select> with <select id="configHistoryTo"></select>
+      <button id="configHistoryDiff" style="background:#1f2937; margin-left:0.5rem">Show diff</button>
+    </div>
+    <div style="margin-top:0.5rem">
+      <button id="configHistoryRefresh" style="background:#1f2937">Refresh</button>
+      <label style="margin-left:0.5rem">Keep newest <input id="configHistoryKeep" type="number" min="0" style="width:5rem" /></label>
+      <label style="margin-left:0.5rem">Max age (days, 0 = any) <input id="configHistoryMaxAge" type="number" min="0" style="width:5rem" /></label>
+      <button id="configHistoryPrune" style="background:#7c2d12; margin-left:0.5rem">Prune</button>
+    </div>
+    <pre id="configHistoryOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Manage channels</h2>
+    <p class="muted">Add, change, disable or remove Telegram, Discord and Slack at any time. Tokens are never shown again once saved; leave a token field blank to keep the current one. Each change restarts the gateway.</p>
+    <div id="channelsManage" class="muted"></div>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Custom providers</h2>
+    <p class="muted">OpenAI-compatible endpoints under <code>models.providers</code> (Ollama, vLLM, LM Studio, proxies). Reference API keys by env var name. Headers are one <code>Name: value</code> per line; stored values are hidden, and a line with an empty value keeps the stored one. Models are one id per line. <code>models.mode</code> stays <code>merge</code> so the built-in providers remain available. Each change restarts the gateway.</p>
+    <div id="providersManage" class="muted"></div>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Secrets</h2>
+    <p class="muted">Tokens and keys entered here are kept encrypted in <code>secrets.enc</code> in the state directory; the config only holds <code>${NAME}</code> references, filled in from that file when the gateway starts. Values are never shown. Config versions and snapshots saved before a value was moved still contain it.</p>
+    <div id="secretsList" class="muted"></div>
+    <div style="margin-top:0.5rem">
+      <button id="secretsRefresh" style="background:#1f2937">Refresh</button>
+      <button id="secretsMigrate" style="background:#111; margin-left:0.5rem">Move inline secrets out of the config</button>
+    </div>
+    <pre id="secretsOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
+    <h2>Notifications</h2>
+    <p class="muted">Webhooks called when the gateway crashes, keeps crashing or fails to start, when <code>openclaw doctor</code> or a backup fails, and when a device is waiting for approval. Deliveries are JSON POSTs, signed with the webhook's secret (<code>X-OpenClaw-Signature</code>) and retried on errors. No events ticked means all events.</p>
+    <div id="notifyList" class="muted"></div>
+    <h3>Add or update a webhook</h3>
+    <input id="notifyId" placeholder="id (ops-slack)" style="width: 20%" />
+    <input id="notifyUrl" placeholder="https://hooks.example.com/..." style="width: 45%" />
+    <input id="notifySecret" type="password" placeholder="signing secret (optional)" style="width: 25%" />
+    <div id="notifyEvents" class="muted" style="margin-top:0.25rem"></div>
+    <button id="notifySave" style="background:#0f172a; margin-top:0.5rem">Save webhook</button>
+    <h3>Recent deliveries</h3>
+    <button id="notifyLogRefresh" style="background:#1f2937">Refresh</button>
+    <div id="notifyLog" class="muted" style="margin-top:0.5rem"></div>
+    <pre id="notifyOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-role="admin">
     <h2>1) Model/auth provider</h2>
     <p class="muted">Matches the groups shown in the terminal onboarding.</p>
     <label>Provider group</label>
@@ -453,6 +1983,8 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 
     <label>Key / Token (if required)</label>
     <input id="authSecret" type="password" placeholder="Paste API key / token if applicable" />
+    <button id="authTestKey" style="background:#1f2937; margin-top:0.5rem">Test key</button>
+    <div id="authTestOut" class="muted" style="margin-top:0.25rem; white-space:pre-wrap"></div>
 
     <label>Wizard flow</label>
     <select id="flow">
@@ -462,7 +1994,7 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     </select>
   </div>
 
-  <div class="card">
+  <div class="card" data-role="admin">
     <h2>2) Optional: Channels</h2>
     <p class="muted">You can also add channels later inside OpenClaw, but this helps you get messaging working immediately.</p>
 
@@ -486,7 +2018,7 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     <input id="slackAppToken" type="password" placeholder="xapp-..." />
   </div>
 
-  <div class="card">
+  <div class="card" data-role="admin">
     <h2>2b) Advanced: Custom OpenAI-compatible provider (optional)</h2>
     <p class="muted">Use this to configure an OpenAI-compatible API that requires a custom base URL (e.g. Ollama, vLLM, LM Studio, hosted proxies). You usually set the API key as a Railway variable and reference it here.</p>
 
@@ -507,22 +2039,36 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 
     <label>Optional model id to register (e.g. llama3.1:8b)</label>
     <input id="customProviderModelId" placeholder="" />
+    <div style="margin-top:0.5rem">
+      <button id="customProviderListModels" style="background:#1f2937">List models</button>
+      <select id="customProviderModelSelect" style="display:none; margin-left:0.5rem"></select>
+    </div>
+    <div id="customProviderModelsOut" class="muted" style="margin-top:0.25rem"></div>
   </div>
 
   <div class="card">
     <h2>3) Run onboarding</h2>
-    <button id="run">Run setup</button>
-    <button id="pairingApprove" style="background:#1f2937; margin-left:0.5rem">Approve pairing</button>
-    <button id="reset" style="background:#444; margin-left:0.5rem">Reset setup</button>
+    <button id="run" data-role="admin">Run setup</button>
+    <button id="reset" data-role="admin" style="background:#444; margin-left:0.5rem">Reset setup</button>
     <pre id="log" style="white-space:pre-wrap"></pre>
-    <p class="muted">Reset deletes the OpenClaw config file so you can rerun onboarding. Pairing approval lets you grant DM access when dmPolicy=pairing.</p>
-
-    <details style="margin-top: 0.75rem">
-      <summary><strong>Pairing helper</strong> (for “disconnected (1008): pairing required”)</summary>
-      <p class="muted">This lists pending device requests and lets you approve them without SSH.</p>
-      <button id="devicesRefresh" style="background:#0f172a">Refresh pending devices</button>
-      <div id="devicesList" class="muted" style="margin-top:0.5rem"></div>
-    </details>
+    <p class="muted">Reset deletes the OpenClaw config file so you can rerun onboarding.</p>
+  </div>
+
+  <div class="card">
+    <h2>Devices and pairing</h2>
+    <p class="muted">Devices are browsers and nodes connecting to the gateway (approve pending ones to fix “disconnected (1008): pairing required”; revoke ones you no longer trust). DM pairing requests are people messaging the bot on a channel with <code>dmPolicy=pairing</code>.</p>
+    <button id="devicesRefresh" style="background:#0f172a">Refresh</button>
+    <h3>Devices</h3>
+    <div id="devicesList" class="muted"></div>
+    <h3>DM pairing requests</h3>
+    <div id="pairingList" class="muted"></div>
+    <div style="margin-top:0.5rem">
+      Approve a code by hand:
+      <input id="pairingChannel" placeholder="channel (telegram)" style="width: 30%" />
+      <input id="pairingCode" placeholder="code (3EY4PUYS)" style="width: 30%" />
+      <button id="pairingApprove" style="background:#1f2937; margin-left:0.5rem">Approve</button>
+    </div>
+    <pre id="devicesOut" style="white-space:pre-wrap"></pre>
   </div>
 
   <script src="/setup/app.js"></script>
@@ -595,21 +2141,131 @@ app.get("/setup/api/auth-groups", requireSetupAuth, (_req, res) => {
   res.json({ ok: true, authGroups: AUTH_GROUPS });
 });
 
-function buildOnboardArgs(payload) {
-  const args = [
-    "onboard",
-    "--non-interactive",
-    "--accept-risk",
-    "--json",
-    "--no-install-daemon",
-    "--skip-health",
-    "--workspace",
-    WORKSPACE_DIR,
-    // The wrapper owns public networking; keep the gateway internal.
-    "--gateway-bind",
-    "loopback",
-    "--gateway-port",
-    String(INTERNAL_GATEWAY_PORT),
+app.get("/setup/api/me", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, username: req.authUser.username, role: req.authUser.role, source: req.authUser.source });
+});
+
+// Sign-in activity from the append-only auth event log, newest first.
+app.get("/setup/api/auth-events", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number.parseInt(String(req.query.limit || "200"), 10) || 200));
+  const eventFilter = String(req.query.event || "").trim();
+  const events = readJsonlTail(AUTH_LOG_PATH, 1024 * 1024).filter((e) => !eventFilter || e.event === eventFilter);
+  const lockouts = [];
+  for (const [ip, e] of authFailures) {
+    if (e.lockedUntil > Date.now()) lockouts.push({ ip, failures: e.failures, lockedUntil: new Date(e.lockedUntil).toISOString() });
+  }
+  res.json({ ok: true, path: AUTH_LOG_PATH, lockouts, events: events.slice(-limit).reverse() });
+});
+
+// Admin audit log, newest first. Filters: user, action (substring), since (ISO/epoch ms), ok=true|false.
+// Paging with offset/limit; format=csv|jsonl downloads the filtered set.
+app.get("/setup/api/audit", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const user = String(req.query.user || "").trim();
+  const action = String(req.query.action || "").trim().toLowerCase();
+  const sinceRaw = String(req.query.since || "").trim();
+  const since = sinceRaw ? (/^\d+$/.test(sinceRaw) ? Number(sinceRaw) : Date.parse(sinceRaw)) : undefined;
+  if (sinceRaw && !Number.isFinite(since)) {
+    return res.status(400).json({ ok: false, error: "Invalid since (use an ISO timestamp or epoch ms)" });
+  }
+  const okFilter = req.query.ok === "true" ? true : req.query.ok === "false" ? false : undefined;
+
+  const entries = readJsonlTail(AUDIT_LOG_PATH, 10 * 1024 * 1024)
+    .filter((e) => !user || e.username === user)
+    .filter((e) => !action || String(e.action || "").toLowerCase().includes(action) || JSON.stringify(e.args || {}).toLowerCase().includes(action))
+    .filter((e) => !Number.isFinite(since) || Date.parse(e.ts) >= since)
+    .filter((e) => okFilter === undefined || e.ok === okFilter)
+    .reverse();
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  if (req.query.format === "csv") {
+    res.setHeader("content-disposition", `attachment; filename="openclaw-audit-${stamp}.csv"`);
+    return res.type("text/csv").send(auditToCsv(entries));
+  }
+  if (req.query.format === "jsonl") {
+    res.setHeader("content-disposition", `attachment; filename="openclaw-audit-${stamp}.jsonl"`);
+    return res.type("application/x-ndjson").send(entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  }
+
+  const limit = Math.max(1, Math.min(500, Number.parseInt(String(req.query.limit || "50"), 10) || 50));
+  const offset = Math.max(0, Number.parseInt(String(req.query.offset || "0"), 10) || 0);
+  res.json({ ok: true, path: AUDIT_LOG_PATH, total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) });
+});
+
+// --- User management (admin) ---
+app.get("/setup/api/users", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  res.json({ ok: true, roles: Object.keys(ROLE_LEVELS), users: loadUsers().map(publicUser) });
+});
+
+// Create a user, or update an existing user's role and/or password.
+app.post("/setup/api/users", requireSetupAuth, requireRole("admin"), audit("users.save"), (req, res) => {
+  const payload = req.body || {};
+  const username = String(payload.username || "").trim();
+  const role = String(payload.role || "").trim();
+  const password = String(payload.password || "");
+
+  if (!USERNAME_RE.test(username)) {
+    return res.status(400).json({ ok: false, error: "Invalid username (letters, numbers, . _ @ -; max 64)" });
+  }
+  if (!ROLE_LEVELS[role]) {
+    return res.status(400).json({ ok: false, error: `Invalid role (use ${Object.keys(ROLE_LEVELS).join(", ")})` });
+  }
+
+  try {
+    const users = loadUsers();
+    const existing = users.find((u) => u.username === username);
+    const now = new Date().toISOString();
+
+    if (!existing && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ ok: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (existing && password && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ ok: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    if (existing) {
+      existing.role = role;
+      if (password) existing.passwordHash = hashPassword(password);
+      existing.updatedAt = now;
+    } else {
+      users.push({ username, role, passwordHash: hashPassword(password), createdAt: now, updatedAt: now });
+    }
+    saveUsers(users);
+    return res.json({ ok: true, created: !existing, user: publicUser(existing || users[users.length - 1]) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.delete("/setup/api/users/:username", requireSetupAuth, requireRole("admin"), audit("users.delete", (req) => req.params), (req, res) => {
+  const username = String(req.params.username || "");
+  try {
+    const users = loadUsers();
+    const remaining = users.filter((u) => u.username !== username);
+    if (remaining.length === users.length) {
+      return res.status(404).json({ ok: false, error: "User not found" });
+    }
+    saveUsers(remaining);
+    return res.json({ ok: true });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+function buildOnboardArgs(payload) {
+  const args = [
+    "onboard",
+    "--non-interactive",
+    "--accept-risk",
+    "--json",
+    "--no-install-daemon",
+    "--skip-health",
+    "--workspace",
+    WORKSPACE_DIR,
+    // The wrapper owns public networking; keep the gateway internal.
+    "--gateway-bind",
+    "loopback",
+    "--gateway-port",
+    String(INTERNAL_GATEWAY_PORT),
     "--gateway-auth",
     "token",
     "--gateway-token",
@@ -669,14 +2325,31 @@ function runCmd(cmd, args, opts = {}) {
       ...opts,
       env: {
         ...process.env,
+        ...secretsEnv(),
         OPENCLAW_STATE_DIR: STATE_DIR,
         OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
+        ...opts.env,
       },
     });
 
     let out = "";
-    proc.stdout?.on("data", (d) => (out += d.toString("utf8")));
-    proc.stderr?.on("data", (d) => (out += d.toString("utf8")));
+    const label = commandLabel(cmd, args);
+    const startedAt = Date.now();
+    let settled = false;
+    const finish = (code, result) => {
+      if (settled) return;
+      settled = true;
+      metricInc("openclaw_command_runs_total", { command: label, result });
+      metricObserve("openclaw_command_duration_seconds", { command: label }, (Date.now() - startedAt) / 1000);
+      resolve({ code, output: out });
+    };
+    // Optional incremental output hook (used to stream long-running commands to the browser).
+    const append = (s) => {
+      out += s;
+      if (typeof opts.onOutput === "function") opts.onOutput(s);
+    };
+    proc.stdout?.on("data", (d) => append(d.toString("utf8")));
+    proc.stderr?.on("data", (d) => append(d.toString("utf8")));
 
     let killTimer;
     const timer = setTimeout(() => {
@@ -684,53 +2357,120 @@ function runCmd(cmd, args, opts = {}) {
       killTimer = setTimeout(() => {
         try { proc.kill("SIGKILL"); } catch {}
       }, 2_000);
-      out += `\n[timeout] Command exceeded ${timeoutMs}ms and was terminated.\n`;
-      resolve({ code: 124, output: out });
+      append(`\n[timeout] Command exceeded ${timeoutMs}ms and was terminated.\n`);
+      finish(124, "timeout");
     }, timeoutMs);
 
     proc.on("error", (err) => {
       clearTimeout(timer);
       if (killTimer) clearTimeout(killTimer);
-      out += `\n[spawn error] ${String(err)}\n`;
-      resolve({ code: 127, output: out });
+      append(`\n[spawn error] ${String(err)}\n`);
+      finish(127, "error");
     });
 
     proc.on("close", (code) => {
       clearTimeout(timer);
       if (killTimer) clearTimeout(killTimer);
-      resolve({ code: code ?? 0, output: out });
+      finish(code ?? 0, (code ?? 0) === 0 ? "ok" : "error");
     });
   });
 }
 
-app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
-  try {
-    const respondJson = (status, body) => {
-      if (res.writableEnded || res.headersSent) return;
-      res.status(status).json(body);
-    };
-    if (isConfigured()) {
-      await ensureGatewayRunning();
-      return respondJson(200, {
-        ok: true,
-        output: "Already configured.\nUse Reset setup if you want to rerun onboarding.\n",
-      });
-    }
-
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-    fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+// Split streamed process output into lines so progress can be forwarded as it arrives.
+function createLineBuffer(onLine) {
+  let buf = "";
+  return {
+    push(chunk) {
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf("\n")) >= 0) {
+        onLine(buf.slice(0, idx).replace(/\r$/, ""));
+        buf = buf.slice(idx + 1);
+      }
+    },
+    flush() {
+      if (buf) onLine(buf.replace(/\r$/, ""));
+      buf = "";
+    },
+  };
+}
 
-    const payload = req.body || {};
+// What the audit log keeps of an onboarding request: choices, never the secrets themselves.
+function summarizeSetupPayload(req) {
+  const payload = req.body || {};
+  return {
+    flow: payload.flow,
+    authChoice: payload.authChoice,
+    telegram: Boolean(payload.telegramToken?.trim()),
+    discord: Boolean(payload.discordToken?.trim()),
+    slack: Boolean(payload.slackBotToken?.trim() || payload.slackAppToken?.trim()),
+    customProviderId: payload.customProviderId?.trim() || undefined,
+  };
+}
 
-    let onboardArgs;
+// Runs onboarding plus the follow-up config/doctor/restart steps behind /setup/api/run.
+// `emit` receives progress events as they happen:
+//   { type: "step", step }            a step started
+//   { type: "line", step, line }      one (redacted) output line from that step
+//   { type: "step-end", step, code }  the step finished with an exit code
+// The combined output is also returned so the buffered JSON endpoint keeps working.
+async function runSetup(payload, emit = () => {}) {
+  const runStep = async (step, args) => {
+    emit({ type: "step", step });
+    const lines = createLineBuffer((line) => emit({ type: "line", step, line: redactSecrets(line) }));
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(args), { onOutput: lines.push });
+    lines.flush();
+    emit({ type: "step-end", step, code: r.code });
+    return r;
+  };
+
+  // A gateway that does not come back fails the whole run, not just this step.
+  let restartFailure = "";
+  const restartStep = async (step) => {
+    emit({ type: "step", step });
     try {
-      onboardArgs = buildOnboardArgs(payload);
+      await restartGateway();
+      emit({ type: "step-end", step, code: 0 });
     } catch (err) {
-      return respondJson(400, { ok: false, output: `Setup input error: ${String(err)}` });
+      const line = redactSecrets(String(err));
+      restartFailure += `\n[${step}] failed: ${line}`;
+      emit({ type: "line", step, line });
+      emit({ type: "step-end", step, code: 1 });
     }
+  };
+
+  // Channel tokens are checked against the platform before they are written.
+  const tokenCheckStep = async (name, tokens) => {
+    const step = `${name} token check`;
+    emit({ type: "step", step });
+    const { ok, results } = await validateChannelCredentials(name, tokens);
+    const text = describeCredentialResults(name, results);
+    for (const line of text.split("\n")) emit({ type: "line", step, line });
+    emit({ type: "step-end", step, code: ok ? 0 : 1 });
+    return { ok, text };
+  };
+
+  if (isConfigured()) {
+    await ensureGatewayRunning();
+    return {
+      status: 200,
+      ok: true,
+      output: "Already configured.\nUse Reset setup if you want to rerun onboarding.\n",
+    };
+  }
+
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+
+  let onboardArgs;
+  try {
+    onboardArgs = buildOnboardArgs(payload);
+  } catch (err) {
+    return { status: 400, ok: false, output: `Setup input error: ${String(err)}` };
+  }
 
-    const prefix = "[setup] running openclaw onboard...\n";
-    const onboard = await runCmd(OPENCLAW_NODE, clawArgs(onboardArgs));
+  const prefix = "[setup] running openclaw onboard...\n";
+  const onboard = await runStep("onboard", onboardArgs);
 
   let extra = "";
 
@@ -742,79 +2482,70 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
     // (We also enforce loopback bind since the wrapper proxies externally.)
     // IMPORTANT: Set both gateway.auth.token (server-side) and gateway.remote.token (client-side)
     // to the same value so the Control UI can connect without "token mismatch" errors.
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.mode", "token"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", OPENCLAW_GATEWAY_TOKEN]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", OPENCLAW_GATEWAY_TOKEN]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.bind", "loopback"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)]));
+    await runStep("config gateway.auth.mode", ["config", "set", "gateway.auth.mode", "token"]);
+    // Both are references to the OPENCLAW_GATEWAY_TOKEN the wrapper exports, not the token itself.
+    await runStep("config gateway.auth.token", ["config", "set", "gateway.auth.token", "${OPENCLAW_GATEWAY_TOKEN}"]);
+    await runStep("config gateway.remote.token", ["config", "set", "gateway.remote.token", "${OPENCLAW_GATEWAY_TOKEN}"]);
+    await runStep("config gateway.bind", ["config", "set", "gateway.bind", "loopback"]);
+    await runStep("config gateway.port", ["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)]);
 
     // Railway runs behind a reverse proxy. Trust loopback as a proxy hop so local client detection
     // remains correct when X-Forwarded-* headers are present.
-    await runCmd(
-      OPENCLAW_NODE,
-      clawArgs(["config", "set", "--json", "gateway.trustedProxies", JSON.stringify(["127.0.0.1"]) ]),
+    await runStep(
+      "config gateway.trustedProxies",
+      ["config", "set", "--json", "gateway.trustedProxies", JSON.stringify(["127.0.0.1"])],
     );
 
     // Optional: configure a custom OpenAI-compatible provider (base URL) for advanced users.
     if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) {
       const providerId = payload.customProviderId.trim();
-      const baseUrl = payload.customProviderBaseUrl.trim();
-      const api = (payload.customProviderApi || "openai-completions").trim();
-      const apiKeyEnv = (payload.customProviderApiKeyEnv || "").trim();
       const modelId = (payload.customProviderModelId || "").trim();
-
-      if (!/^[A-Za-z0-9_-]+$/.test(providerId)) {
-        extra += `\n[custom provider] skipped: invalid provider id (use letters/numbers/_/-)`;
-      } else if (!/^https?:\/\//.test(baseUrl)) {
-        extra += `\n[custom provider] skipped: baseUrl must start with http(s)://`;
-      } else if (api !== "openai-completions" && api !== "openai-responses") {
-        extra += `\n[custom provider] skipped: api must be openai-completions or openai-responses`;
-      } else if (apiKeyEnv && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(apiKeyEnv)) {
-        extra += `\n[custom provider] skipped: invalid api key env var name`;
+      const idError = customProviderIdError(providerId);
+      const { config: providerCfg, error } = idError
+        ? { error: idError }
+        : buildCustomProviderConfig({
+            baseUrl: payload.customProviderBaseUrl,
+            api: payload.customProviderApi,
+            apiKeyEnv: payload.customProviderApiKeyEnv || "",
+            models: modelId ? [modelId] : [],
+          });
+
+      if (error) {
+        extra += `\n[custom provider] skipped: ${error}`;
       } else {
-        const providerCfg = {
-          baseUrl,
-          api,
-          apiKey: apiKeyEnv ? "${" + apiKeyEnv + "}" : undefined,
-          models: modelId ? [{ id: modelId, name: modelId }] : undefined,
-        };
-
         // Ensure we merge in this provider rather than replacing other providers.
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "models.mode", "merge"]));
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", `models.providers.${providerId}`, JSON.stringify(providerCfg)]),
+        await runStep("config models.mode", ["config", "set", "models.mode", "merge"]);
+        const set = await runStep(
+          "custom provider",
+          ["config", "set", "--json", `models.providers.${providerId}`, JSON.stringify(providerCfg)],
         );
         extra += `\n[custom provider] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
       }
     }
 
-    const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+    const channelsHelp = await runStep("channels add --help", ["channels", "add", "--help"]);
     const helpText = channelsHelp.output || "";
 
     const supports = (name) => helpText.includes(name);
 
     if (payload.telegramToken?.trim()) {
+      const check = supports("telegram") && (await tokenCheckStep("telegram", { botToken: payload.telegramToken }));
       if (!supports("telegram")) {
         extra += "\n[telegram] skipped (this openclaw build does not list telegram in `channels add --help`)\n";
+      } else if (!check.ok) {
+        extra += `\n${check.text}\n[telegram] not saved: fix the token and run setup again or add it under Manage channels\n`;
       } else {
+        extra += `\n${check.text}\n`;
         // Avoid `channels add` here (it has proven flaky across builds); write config directly.
-        const token = payload.telegramToken.trim();
-        const cfgObj = {
-          enabled: true,
-          dmPolicy: "pairing",
-          botToken: token,
-          groupPolicy: "allowlist",
-          streamMode: "partial",
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)]),
+        const { config: cfgObj } = buildChannelConfig("telegram", { botToken: payload.telegramToken });
+        const set = await runStep(
+          "telegram config",
+          ["config", "set", "--json", "channels.telegram", JSON.stringify(externalizeSecrets(cfgObj, "channels.telegram"))],
         );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]));
+        const get = await runStep("telegram verify", ["config", "get", "channels.telegram"]);
 
         // Best-effort: enable the telegram plugin explicitly (some builds require this even when configured).
-        const plug = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", "telegram"]));
+        const plug = await runStep("telegram plugin enable", ["plugins", "enable", "telegram"]);
 
         extra += `\n[telegram config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
         extra += `\n[telegram verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
@@ -823,66 +2554,121 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
     }
 
     if (payload.discordToken?.trim()) {
+      const check = supports("discord") && (await tokenCheckStep("discord", { token: payload.discordToken }));
       if (!supports("discord")) {
         extra += "\n[discord] skipped (this openclaw build does not list discord in `channels add --help`)\n";
+      } else if (!check.ok) {
+        extra += `\n${check.text}\n[discord] not saved: fix the token and run setup again or add it under Manage channels\n`;
       } else {
-        const token = payload.discordToken.trim();
-        const cfgObj = {
-          enabled: true,
-          token,
-          groupPolicy: "allowlist",
-          dm: {
-            policy: "pairing",
-          },
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)]),
+        extra += `\n${check.text}\n`;
+        const { config: cfgObj } = buildChannelConfig("discord", { token: payload.discordToken });
+        const set = await runStep(
+          "discord config",
+          ["config", "set", "--json", "channels.discord", JSON.stringify(externalizeSecrets(cfgObj, "channels.discord"))],
         );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]));
+        const get = await runStep("discord verify", ["config", "get", "channels.discord"]);
         extra += `\n[discord config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
         extra += `\n[discord verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
       }
     }
 
     if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
+      const check =
+        supports("slack") &&
+        (await tokenCheckStep("slack", { botToken: payload.slackBotToken, appToken: payload.slackAppToken }));
       if (!supports("slack")) {
         extra += "\n[slack] skipped (this openclaw build does not list slack in `channels add --help`)\n";
+      } else if (!check.ok) {
+        extra += `\n${check.text}\n[slack] not saved: fix the tokens and run setup again or add them under Manage channels\n`;
       } else {
-        const cfgObj = {
-          enabled: true,
-          botToken: payload.slackBotToken?.trim() || undefined,
-          appToken: payload.slackAppToken?.trim() || undefined,
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)]),
+        extra += `\n${check.text}\n`;
+        const { config: cfgObj } = buildChannelConfig("slack", {
+          botToken: payload.slackBotToken,
+          appToken: payload.slackAppToken,
+        });
+        const set = await runStep(
+          "slack config",
+          ["config", "set", "--json", "channels.slack", JSON.stringify(externalizeSecrets(cfgObj, "channels.slack"))],
         );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.slack"]));
+        const get = await runStep("slack verify", ["config", "get", "channels.slack"]);
         extra += `\n[slack config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
         extra += `\n[slack verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
       }
     }
 
     // Apply changes immediately.
-    await restartGateway();
+    await restartStep("gateway restart");
 
     // Ensure OpenClaw applies any "configured but not enabled" channel/plugin changes.
     // This makes Telegram/Discord pairing issues much less "silent".
-    const fix = await runCmd(OPENCLAW_NODE, clawArgs(["doctor", "--fix"]));
+    const fix = await runStep("doctor --fix", ["doctor", "--fix"]);
     extra += `\n[doctor --fix] exit=${fix.code} (output ${fix.output.length} chars)\n${fix.output || "(no output)"}`;
 
     // Doctor may require a restart depending on changes.
-    await restartGateway();
+    await restartStep("gateway restart (post-doctor)");
   }
 
-  return respondJson(ok ? 200 : 500, {
-    ok,
-    output: `${prefix}${onboard.output}${extra}`,
-  });
+  const succeeded = ok && !restartFailure;
+  return {
+    status: succeeded ? 200 : 500,
+    ok: succeeded,
+    output: `${prefix}${onboard.output}${extra}${restartFailure}`,
+  };
+}
+
+app.post("/setup/api/run", requireSetupAuth, requireRole("admin"), audit("setup.run", summarizeSetupPayload), snapshotState("setup.run"), async (req, res) => {
+  try {
+    const result = await runSetup(req.body || {});
+    if (res.writableEnded || res.headersSent) return;
+    return res.status(result.status).json({ ok: result.ok, output: result.output });
   } catch (err) {
     console.error("[/setup/api/run] error:", err);
-    return respondJson(500, { ok: false, output: `Internal error: ${String(err)}` });
+    if (res.writableEnded || res.headersSent) return;
+    return res.status(500).json({ ok: false, output: `Internal error: ${String(err)}` });
+  }
+});
+
+// Streaming variant of /setup/api/run (Server-Sent Events over a POST response).
+// Onboarding can take minutes; streaming keeps proxies from timing out and lets the
+// wizard show each step live. Events: step, line, step-end, done.
+app.post("/setup/api/run/stream", requireSetupAuth, requireRole("admin"), audit("setup.run", summarizeSetupPayload), snapshotState("setup.run"), async (req, res) => {
+  res.writeHead(200, {
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache, no-transform",
+    connection: "keep-alive",
+    // Disable response buffering in nginx-style proxies.
+    "x-accel-buffering": "no",
+  });
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // SSE comments keep idle connections alive while a long step produces no output.
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, 15_000);
+
+  try {
+    let sawStep = false;
+    const result = await runSetup(req.body || {}, (evt) => {
+      sawStep = true;
+      send(evt.type, evt);
+    });
+    // Early exits (already configured / input errors) run no steps; forward their message instead.
+    if (!sawStep) {
+      for (const line of redactSecrets(result.output).trimEnd().split("\n")) {
+        send("line", { type: "line", step: "setup", line });
+      }
+    }
+    send("done", { type: "done", ok: result.ok, status: result.status });
+  } catch (err) {
+    console.error("[/setup/api/run/stream] error:", err);
+    send("done", { type: "done", ok: false, status: 500, error: `Internal error: ${String(err)}` });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
@@ -915,6 +2701,7 @@ app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
       gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
       lastGatewayError,
       lastGatewayExit,
+      gatewaySupervisor: gatewaySupervisorSnapshot(),
       lastDoctorAt,
       lastDoctorOutput,
       railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
@@ -928,7 +2715,7 @@ app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
         telegram: {
           exit: tg.code,
           configuredEnabled: /"enabled"\s*:\s*true/.test(tg.output || "") || /enabled\s*[:=]\s*true/.test(tg.output || ""),
-          botTokenPresent: /(\d{5,}:[A-Za-z0-9_-]{10,})/.test(tg.output || ""),
+          botTokenPresent: /(\d{5,}:[A-Za-z0-9_-]{10,})/.test(tg.output || "") || /"botToken"\s*:\s*"\$\{/.test(tg.output || ""),
           output: tgOut,
         },
         discord: {
@@ -944,18 +2731,6 @@ app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
 
 // --- Debug console (Option A: allowlisted commands + config editor) ---
 
-function redactSecrets(text) {
-  if (!text) return text;
-  // Very small best-effort redaction. (Config paths/values may still contain secrets.)
-  return String(text)
-    .replace(/(sk-[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
-    .replace(/(gho_[A-Za-z0-9_]{10,})/g, "[REDACTED]")
-    .replace(/(xox[baprs]-[A-Za-z0-9-]{10,})/g, "[REDACTED]")
-    // Telegram bot tokens look like: 123456:ABCDEF...
-    .replace(/(\d{5,}:[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
-    .replace(/(AA[A-Za-z0-9_-]{10,}:\S{10,})/g, "[REDACTED]");
-}
-
 function extractDeviceRequestIds(text) {
   const s = String(text || "");
   const out = new Set();
@@ -989,7 +2764,7 @@ const ALLOWED_CONSOLE_COMMANDS = new Set([
   "openclaw.plugins.enable",
 ]);
 
-app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/console/run", requireSetupAuth, audit("console.run"), snapshotState("console.run", isMutatingConsoleCommand), async (req, res) => {
   const payload = req.body || {};
   const cmd = String(payload.cmd || "").trim();
   const arg = String(payload.arg || "").trim();
@@ -1004,14 +2779,11 @@ app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
       return res.json({ ok: true, output: "Gateway restarted (wrapper-managed).\n" });
     }
     if (cmd === "gateway.stop") {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch {}
-        await sleep(750);
-        gatewayProc = null;
-      }
+      await stopGateway();
       return res.json({ ok: true, output: "Gateway stopped (wrapper-managed).\n" });
     }
     if (cmd === "gateway.start") {
+      resetGatewaySupervisor();
       const r = await ensureGatewayRunning();
       return res.json({ ok: Boolean(r.ok), output: r.ok ? "Gateway started.\n" : `Gateway not started: ${r.reason}\n` });
     }
@@ -1075,237 +2847,2867 @@ app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
 
     return res.status(400).json({ ok: false, error: "Unhandled command" });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: String(err) });
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Captured gateway output (see "Gateway log capture"). Query params:
+//   tail=N      last N matching lines (default 200, max 2000)
+//   since=T     ISO timestamp or epoch ms; only lines at/after T
+//   after=SEQ   cursor from a previous response (follow mode)
+//   q=TEXT      case-insensitive substring filter
+//   format=text plain-text output instead of JSON
+app.get("/setup/api/logs", requireSetupAuth, (req, res) => {
+  const tail = Math.max(1, Math.min(GATEWAY_LOG_BUFFER_LINES, Number.parseInt(String(req.query.tail || "200"), 10) || 200));
+  const sinceRaw = String(req.query.since || "").trim();
+  const since = sinceRaw ? (/^\d+$/.test(sinceRaw) ? Number(sinceRaw) : Date.parse(sinceRaw)) : undefined;
+  if (sinceRaw && !Number.isFinite(since)) {
+    return res.status(400).json({ ok: false, error: "Invalid since (use an ISO timestamp or epoch ms)" });
+  }
+  const afterRaw = String(req.query.after || "").trim();
+  const after = afterRaw ? Number.parseInt(afterRaw, 10) : undefined;
+  const q = String(req.query.q || "").trim();
+
+  const entries = queryGatewayLog({ tail, since, after, q });
+
+  if (req.query.format === "text") {
+    res.type("text/plain");
+    return res.send(entries.map((e) => `${e.ts} [${e.stream}] ${redactSecrets(e.line)}`).join("\n") + "\n");
+  }
+
+  res.json({
+    ok: true,
+    path: GATEWAY_LOG_PATH,
+    cursor: gatewayLog.seq,
+    entries: entries.map((e) => ({ ...e, line: redactSecrets(e.line) })),
+  });
+});
+
+// --- Config editor ---
+// Saves from the raw editor are parsed as JSON5 here, checked by the openclaw CLI against a
+// temporary copy, and rolled back to the .bak file if the gateway doesn't come back afterwards.
+const CONFIG_DIFF_TIMEOUT_MS = 2_000;
+
+// JSON5.parse, with syntax errors as CONFIG_SYNTAX errors carrying the 1-based line and column.
+function parseJson5(text) {
+  try {
+    return JSON5.parse(String(text));
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    const e = new Error(err.message.replace(/^JSON5: /, ""));
+    e.code = "CONFIG_SYNTAX";
+    e.line = err.lineNumber || 1;
+    e.column = Math.max(1, err.columnNumber || 1);
+    throw e;
+  }
+}
+
+// Unified diff (3 lines of context by default) between two versions of the config.
+// Returns "" when nothing changed.
+function unifiedConfigDiff(oldText, newText, { context = 3, fromLabel = "current", toLabel = "pending" } = {}) {
+  if (oldText === newText) return "";
+  const patch = structuredPatch(fromLabel, toLabel, oldText, newText, undefined, undefined, { context, timeout: CONFIG_DIFF_TIMEOUT_MS });
+  const lines = (text) => (text ? text.replace(/\n$/, "").split("\n") : []);
+  // Too different to align in time: show the whole file as replaced.
+  const hunks = patch?.hunks ?? [
+    {
+      oldStart: 1,
+      oldLines: lines(oldText).length,
+      newStart: 1,
+      newLines: lines(newText).length,
+      lines: [...lines(oldText).map((l) => `-${l}`), ...lines(newText).map((l) => `+${l}`)],
+    },
+  ];
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    const range = (start, len) => `${len ? start : start - 1},${len}`;
+    out.push(`@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`, ...h.lines);
+  }
+  return out.join("\n") + "\n";
+}
+
+// Parses editor content, returning { parsed } or { error: { message, line, column } }.
+function parseConfigContent(content) {
+  let parsed;
+  try {
+    parsed = parseJson5(content);
+  } catch (err) {
+    if (err?.code !== "CONFIG_SYNTAX") throw err;
+    return { error: { message: err.message, line: err.line, column: err.column } };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { error: { message: "Config must be a JSON5 object", line: 1, column: 1 } };
+  }
+  return { parsed };
+}
+
+// The editor never receives secrets: each one is replaced by "[REDACTED:<hmac>]", the same
+// placeholder for the same value, keyed per process. On save, placeholders still matching a
+// value in the current file are put back, so untouched secrets survive a round trip.
+const CONFIG_MASK_KEY = crypto.randomBytes(32);
+const CONFIG_MASK_RE = /\[REDACTED(?::[0-9a-f]{12})?\]/g;
+
+function configMaskFor(value) {
+  return `[REDACTED:${crypto.createHmac("sha256", CONFIG_MASK_KEY).update(value).digest("hex").slice(0, 12)}]`;
+}
+
+// Strings under secret key names (see isSecretConfigKey) plus any string in a known key
+// format, whatever its key. Values using ${NAME} references are not secrets.
+function configSecretValues(obj) {
+  const values = new Set();
+  const walk = (node, parentKey) => {
+    for (const [key, v] of Object.entries(node)) {
+      if (v && typeof v === "object") walk(v, key);
+      else if (typeof v === "string" && v && !v.includes("${") && !v.startsWith("[REDACTED")) {
+        if (isSecretConfigKey(key, parentKey) || matchesSecretPattern(v)) values.add(v);
+      }
+    }
+  };
+  if (obj && typeof obj === "object") walk(obj, "");
+  return [...values];
+}
+
+// Returns { text, masked }. Only whole string literals are replaced, so comments and layout
+// stay as they are. A file that does not parse falls back to redactSecrets, which cannot be
+// undone; saving it with those placeholders is refused by unmaskConfigText.
+function maskConfigText(text) {
+  const { parsed, error } = parseConfigContent(text);
+  if (error) return { text: redactSecrets(text), masked: 0 };
+  let out = text;
+  let masked = 0;
+  for (const value of configSecretValues(parsed)) {
+    const escaped = JSON.stringify(value).slice(1, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    out = out.replace(new RegExp(`(["'])${escaped}\\1`, "g"), (_m, quote) => {
+      masked++;
+      return quote + configMaskFor(value) + quote;
+    });
+  }
+  return { text: out, masked };
+}
+
+// Puts the secrets from `current` back in place of their placeholders. Returns { text } or
+// { error } when a placeholder matches nothing (edited by hand, or from before a restart).
+function unmaskConfigText(content, current) {
+  const byMask = new Map(configSecretValues(parseConfigContent(current).parsed).map((v) => [configMaskFor(v), v]));
+  let unknown = null;
+  const text = content.replace(CONFIG_MASK_RE, (m) => {
+    if (byMask.has(m)) return JSON.stringify(byMask.get(m)).slice(1, -1);
+    unknown ||= m;
+    return m;
+  });
+  if (unknown) {
+    return { error: `${unknown} does not match a secret in the current config. Reload the editor, or replace it with the real value.` };
+  }
+  return { text };
+}
+
+// Lets the openclaw CLI load the pending config from a temporary copy (OPENCLAW_CONFIG_PATH),
+// so errors surface before the live file is touched. The temporary directory is also the
+// CLI's state dir, so whatever `doctor` would migrate or repair never lands in STATE_DIR.
+// `config get <first key>` only shows that the CLI can read the file; `doctor` checks the
+// config as a whole, so it runs unless the caller opts out (the editor's quick preview).
+async function validateConfigWithCli(content, parsed, { doctor = true } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "openclaw-config-"));
+  const tmpPath = path.join(tmpDir, path.basename(configPath()));
+  try {
+    fs.writeFileSync(tmpPath, content, { encoding: "utf8", mode: 0o600 });
+    const env = { OPENCLAW_CONFIG_PATH: tmpPath, OPENCLAW_STATE_DIR: tmpDir };
+    const checks = [];
+    const firstKey = Object.keys(parsed)[0];
+    if (firstKey) {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", firstKey]), { env, timeoutMs: 60_000 });
+      checks.push({ step: `config get ${firstKey}`, ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (doctor) {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]), { env, timeoutMs: 120_000 });
+      checks.push({ step: "doctor", ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    return { ok: checks.every((c) => c.ok), checks };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// --- Config history ---
+// Every save keeps the previous file as `<config>.bak-<timestamp>` next to it. Notes, who saved
+// and when live in STATE_DIR/config-history.json, keyed by backup file name; "current" describes
+// the live file and only applies while its hash still matches (imports and snapshot restores
+// replace the config without going through the editor).
+const CONFIG_HISTORY_META_PATH = path.join(STATE_DIR, "config-history.json");
+const CONFIG_HISTORY_KEEP = envInt("CONFIG_HISTORY_KEEP", 50);
+const CONFIG_HISTORY_MAX_AGE_DAYS = envInt("CONFIG_HISTORY_MAX_AGE_DAYS", 0);
+const MAX_CONFIG_NOTE_LENGTH = 200;
+
+function configVersionRe() {
+  const base = path.basename(configPath()).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${base}\\.bak-(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z)$`);
+}
+
+// "2026-03-08T12-30-00-123Z" (the .bak suffix) back to an ISO timestamp.
+function configVersionTime(stamp) {
+  return stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+}
+
+function sha256Text(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function loadConfigHistoryMeta() {
+  try {
+    const meta = JSON.parse(fs.readFileSync(CONFIG_HISTORY_META_PATH, "utf8"));
+    return { current: meta.current ?? null, versions: meta.versions ?? {} };
+  } catch {
+    return { current: null, versions: {} };
+  }
+}
+
+function saveConfigHistoryMeta(meta) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(CONFIG_HISTORY_META_PATH, JSON.stringify(meta, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+// Newest first.
+function listConfigVersions() {
+  const dir = path.dirname(configPath());
+  const re = configVersionRe();
+  const { versions } = loadConfigHistoryMeta();
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    const m = re.exec(name);
+    if (!m) continue;
+    let st;
+    try {
+      st = fs.statSync(path.join(dir, name));
+    } catch {
+      continue;
+    }
+    const info = versions[name] || {};
+    out.push({
+      id: name,
+      createdAt: configVersionTime(m[1]),
+      bytes: st.size,
+      savedAt: info.savedAt ?? null,
+      username: info.username ?? null,
+      note: info.note ?? null,
+    });
+  }
+  return out.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+// "current" is the live file; anything else must be one of the .bak names.
+function readConfigVersion(id) {
+  if (id === "current") {
+    const p = configPath();
+    return fs.existsSync(p) ? fs.readFileSync(p, "utf8") : "";
+  }
+  if (typeof id !== "string" || !configVersionRe().test(id)) return null;
+  try {
+    return fs.readFileSync(path.join(path.dirname(configPath()), id), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// versions: newest first. Keeps the newest `keep` (0 = no count limit) and drops anything older
+// than `maxAgeDays` (0 = no age limit).
+function selectConfigVersionsToPrune(versions, { keep, maxAgeDays, now = Date.now() }) {
+  const cutoff = maxAgeDays > 0 ? now - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  return versions
+    .filter((v, idx) => (keep > 0 && idx >= keep) || (cutoff !== null && Date.parse(v.createdAt) < cutoff))
+    .map((v) => v.id);
+}
+
+function pruneConfigHistory(policy = { keep: CONFIG_HISTORY_KEEP, maxAgeDays: CONFIG_HISTORY_MAX_AGE_DAYS }) {
+  const dir = path.dirname(configPath());
+  const removed = selectConfigVersionsToPrune(listConfigVersions(), policy);
+  if (!removed.length) return removed;
+  const meta = loadConfigHistoryMeta();
+  for (const id of removed) {
+    fs.rmSync(path.join(dir, id), { force: true });
+    delete meta.versions[id];
+  }
+  saveConfigHistoryMeta(meta);
+  return removed;
+}
+
+// Copies the live config to a timestamped version in `meta`, carrying over the current
+// version's details when the file hasn't changed since they were recorded. Returns the copy's
+// path, or null when there is no config yet.
+function backupConfigVersion(p, meta) {
+  if (!fs.existsSync(p)) return null;
+  const backupPath = `${p}.bak-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  fs.copyFileSync(p, backupPath);
+  const previous = meta.current?.sha256 === sha256Text(fs.readFileSync(backupPath)) ? meta.current : null;
+  meta.versions[path.basename(backupPath)] = {
+    savedAt: previous?.savedAt ?? null,
+    username: previous?.username ?? null,
+    note: previous?.note ?? null,
+  };
+  return backupPath;
+}
+
+// Restarts the gateway on a config that was just written. If it doesn't become ready (the
+// restart waits for that and throws otherwise), the file at `backupPath` is put back and the
+// gateway restarted on that. Returns null once the gateway is up, otherwise
+// { error, rolledBack, backupPath, rollbackError }.
+async function restartGatewayOrRollBack(p, backupPath) {
+  let startError;
+  try {
+    await restartGateway();
+    return null;
+  } catch (err) {
+    startError = String(err);
+  }
+  let rollbackError = null;
+  if (backupPath) {
+    fs.copyFileSync(backupPath, p);
+    try {
+      await restartGateway();
+    } catch (err) {
+      rollbackError = String(err);
+    }
+  }
+  return {
+    error: startError,
+    rolledBack: Boolean(backupPath),
+    backupPath,
+    rollbackError,
+  };
+}
+
+// Validates and writes new config content, keeping the old file as a version and restarting
+// the gateway; the old file is put back if the gateway doesn't come up. Used by the editor and
+// by version restores. Returns the JSON response body, with `status` for failures.
+async function applyConfigContent(content, { note, username }) {
+  const { parsed, error } = parseConfigContent(content);
+  if (error) {
+    return { status: 400, ok: false, error: error.message, line: error.line, column: error.column };
+  }
+  const cli = await validateConfigWithCli(content, parsed);
+  if (!cli.ok) {
+    return { status: 400, ok: false, error: "openclaw rejected the config", checks: cli.checks };
+  }
+
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+
+  const p = configPath();
+  const meta = loadConfigHistoryMeta();
+  const backupPath = backupConfigVersion(p, meta);
+
+  fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
+
+  // Apply immediately; put the previous file back if the gateway won't come up on the new one.
+  if (isConfigured()) {
+    const failure = await restartGatewayOrRollBack(p, backupPath);
+    if (failure) {
+      saveConfigHistoryMeta(meta);
+      return { status: 502, ok: false, ...failure };
+    }
+  }
+
+  meta.current = {
+    savedAt: new Date().toISOString(),
+    username: username ?? null,
+    note: note || null,
+    sha256: sha256Text(content),
+  };
+  saveConfigHistoryMeta(meta);
+  try {
+    pruneConfigHistory();
+  } catch (err) {
+    console.warn(`[config] history prune failed: ${String(err)}`);
+  }
+  return { ok: true, path: p, backupPath };
+}
+
+function configNoteFromBody(body) {
+  return String(body?.note || "").trim().slice(0, MAX_CONFIG_NOTE_LENGTH);
+}
+
+app.get("/setup/api/config/raw", requireSetupAuth, requireRole("admin"), async (_req, res) => {
+  try {
+    const p = configPath();
+    const exists = fs.existsSync(p);
+    const { text: content, masked } = maskConfigText(exists ? fs.readFileSync(p, "utf8") : "");
+    res.json({ ok: true, path: p, exists, content, masked });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Dry run for the editor: syntax check, diff against the file on disk and CLI validation
+// (`doctor: false` in the body skips `openclaw doctor`).
+app.post("/setup/api/config/validate", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const content = String((req.body && req.body.content) || "");
+    if (content.length > 500_000) {
+      return res.status(413).json({ ok: false, error: "Config too large" });
+    }
+    const p = configPath();
+    const current = fs.existsSync(p) ? fs.readFileSync(p, "utf8") : "";
+    const unmasked = unmaskConfigText(content, current);
+    if (unmasked.error) {
+      return res.json({ ok: true, valid: false, error: { message: unmasked.error }, diff: "", changed: false });
+    }
+    // Both sides are masked again so the diff shows which secrets changed, not their values.
+    const diff = unifiedConfigDiff(maskConfigText(current).text, maskConfigText(unmasked.text).text);
+    const { parsed, error } = parseConfigContent(unmasked.text);
+    if (error) {
+      return res.json({ ok: true, valid: false, error, diff, changed: Boolean(diff) });
+    }
+    const cli = await validateConfigWithCli(unmasked.text, parsed, { doctor: req.body?.doctor !== false });
+    res.json({ ok: true, valid: cli.ok, diff, changed: Boolean(diff), checks: cli.checks });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/config/raw", requireSetupAuth, requireRole("admin"), audit("config.save", describeConfigSave), snapshotState("config.save"), async (req, res) => {
+  try {
+    const content = String((req.body && req.body.content) || "");
+    if (content.length > 500_000) {
+      return res.status(413).json({ ok: false, error: "Config too large" });
+    }
+    const p = configPath();
+    const unmasked = unmaskConfigText(content, fs.existsSync(p) ? fs.readFileSync(p, "utf8") : "");
+    if (unmasked.error) return res.status(400).json({ ok: false, error: unmasked.error });
+    const { status = 200, ...result } = await applyConfigContent(unmasked.text, {
+      note: configNoteFromBody(req.body),
+      username: req.authUser?.username,
+    });
+    res.status(status).json(result);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.get("/setup/api/config/history", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  try {
+    const p = configPath();
+    const { current } = loadConfigHistoryMeta();
+    const live = fs.existsSync(p) ? fs.readFileSync(p) : null;
+    const known = live && current?.sha256 === sha256Text(live) ? current : null;
+    res.json({
+      ok: true,
+      current: {
+        path: p,
+        exists: Boolean(live),
+        savedAt: known?.savedAt ?? null,
+        username: known?.username ?? null,
+        note: known?.note ?? null,
+      },
+      versions: listConfigVersions(),
+      policy: { keep: CONFIG_HISTORY_KEEP, maxAgeDays: CONFIG_HISTORY_MAX_AGE_DAYS },
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// ?from=<version>&to=<version|current>; both sides are masked (maskConfigText) before diffing.
+app.get("/setup/api/config/history/diff", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || "current");
+  const a = readConfigVersion(from);
+  const b = readConfigVersion(to);
+  if (a === null || b === null) {
+    return res.status(404).json({ ok: false, error: "Unknown config version" });
+  }
+  const diff = unifiedConfigDiff(maskConfigText(a).text, maskConfigText(b).text, { fromLabel: from, toLabel: to });
+  res.json({ ok: true, from, to, changed: Boolean(diff), diff });
+});
+
+app.post("/setup/api/config/history/prune", requireSetupAuth, requireRole("admin"), audit("config.history.prune"), (req, res) => {
+  const keep = Number.parseInt(req.body?.keep ?? CONFIG_HISTORY_KEEP, 10);
+  const maxAgeDays = Number.parseInt(req.body?.maxAgeDays ?? CONFIG_HISTORY_MAX_AGE_DAYS, 10);
+  if (!Number.isFinite(keep) || keep < 0 || !Number.isFinite(maxAgeDays) || maxAgeDays < 0) {
+    return res.status(400).json({ ok: false, error: "keep and maxAgeDays must be non-negative integers" });
+  }
+  try {
+    const removed = pruneConfigHistory({ keep, maxAgeDays });
+    res.json({ ok: true, removed });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/config/history/:id/restore", requireSetupAuth, requireRole("admin"), audit("config.restore", (req) => ({ id: req.params.id, note: req.body?.note || undefined })), snapshotState("config.restore"), async (req, res) => {
+  const content = readConfigVersion(req.params.id);
+  if (content === null || req.params.id === "current") {
+    return res.status(404).json({ ok: false, error: "Unknown config version" });
+  }
+  try {
+    const { status = 200, ...result } = await applyConfigContent(content, {
+      note: configNoteFromBody(req.body) || `Restored ${req.params.id}`,
+      username: req.authUser?.username,
+    });
+    res.status(status).json(result);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// --- Channel credential checks ---
+// Tokens are tried against each platform's identity endpoint before they are written, so a
+// typo shows up as "401 Unauthorized" instead of a channel that silently never connects. The
+// base URLs can point at a local mock for testing.
+const TELEGRAM_API_BASE_URL = (process.env.TELEGRAM_API_BASE_URL?.trim() || "https://api.telegram.org").replace(/\/+$/, "");
+const DISCORD_API_BASE_URL = (process.env.DISCORD_API_BASE_URL?.trim() || "https://discord.com/api/v10").replace(/\/+$/, "");
+const SLACK_API_BASE_URL = (process.env.SLACK_API_BASE_URL?.trim() || "https://slack.com/api").replace(/\/+$/, "");
+const CHANNEL_CHECK_TIMEOUT_MS = 10_000;
+
+// fetch + JSON body; never lets the token leak into an error message (Telegram puts it in the URL).
+// Shared with the provider key checks below.
+async function fetchJsonWithToken(url, token, init = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: AbortSignal.timeout(CHANNEL_CHECK_TIMEOUT_MS) });
+  } catch (err) {
+    const reason = err?.name === "TimeoutError" ? "timed out" : String(err?.cause?.message || err?.message || err);
+    throw new Error(`Could not reach ${new URL(url).host}: ${token ? reason.split(token).join("[REDACTED]") : reason}`);
+  }
+  let body = null;
+  try {
+    body = await res.json();
+  } catch {
+    // Non-JSON error pages are reported by status below.
+  }
+  return { status: res.status, statusText: res.statusText, body };
+}
+
+async function checkTelegramToken(token) {
+  const { status, statusText, body } = await fetchJsonWithToken(`${TELEGRAM_API_BASE_URL}/bot${token}/getMe`, token);
+  if (body?.ok && body.result) {
+    const bot = body.result;
+    return { id: String(bot.id), username: bot.username ?? null, name: bot.first_name ?? null };
+  }
+  throw new Error(`Telegram getMe failed: ${body?.description || `${status} ${statusText}`}`);
+}
+
+async function checkDiscordToken(token) {
+  const { status, statusText, body } = await fetchJsonWithToken(`${DISCORD_API_BASE_URL}/users/@me`, token, {
+    headers: { authorization: `Bot ${token}` },
+  });
+  if (status === 200 && body?.id) {
+    return { id: String(body.id), username: body.username ?? null, name: body.global_name ?? null, bot: body.bot === true };
+  }
+  throw new Error(`Discord users/@me failed: ${status} (${body?.message || statusText})`);
+}
+
+async function checkSlackMethod(method, token) {
+  const { status, statusText, body } = await fetchJsonWithToken(`${SLACK_API_BASE_URL}/${method}`, token, {
+    method: "POST",
+    headers: { authorization: `Bearer ${token}`, "content-type": "application/x-www-form-urlencoded" },
+  });
+  if (body?.ok) return body;
+  throw new Error(`Slack ${method} failed: ${body?.error || `${status} ${statusText}`}`);
+}
+
+// The identity check for each token field a channel uses.
+const CHANNEL_TOKEN_CHECKS = {
+  telegram: { botToken: checkTelegramToken },
+  discord: { token: checkDiscordToken },
+  slack: {
+    botToken: async (token) => {
+      const r = await checkSlackMethod("auth.test", token);
+      return { id: r.user_id ?? null, username: r.user ?? null, team: r.team ?? null, teamId: r.team_id ?? null, botId: r.bot_id ?? null };
+    },
+    // Socket Mode app-level token: opening a connection URL proves it has connections:write.
+    appToken: async (token) => {
+      await checkSlackMethod("apps.connections.open", token);
+      return { socketMode: true };
+    },
+  },
+};
+
+// Checks every non-empty token in `tokens` ({ botToken: "..." }). Returns
+// { ok, results: [{ field, ok, identity | error }] }.
+async function validateChannelCredentials(name, tokens) {
+  const results = [];
+  for (const [field, check] of Object.entries(CHANNEL_TOKEN_CHECKS[name] || {})) {
+    const token = typeof tokens[field] === "string" ? tokens[field].trim() : "";
+    if (!token) continue;
+    try {
+      results.push({ field, ok: true, identity: await check(token) });
+    } catch (err) {
+      results.push({ field, ok: false, error: String(err?.message || err) });
+    }
+  }
+  return { ok: results.every((r) => r.ok), results };
+}
+
+function describeCredentialResults(name, results) {
+  return results
+    .map((r) => {
+      if (!r.ok) return `[${name} ${r.field}] ${r.error}`;
+      const who = r.identity.username ? `@${r.identity.username}` : r.identity.id || "ok";
+      return `[${name} ${r.field}] ok${r.identity.socketMode ? " (Socket Mode)" : ` (${who}${r.identity.team ? ` in ${r.identity.team}` : ""})`}`;
+    })
+    .join("\n");
+}
+
+// --- Provider key checks / model discovery ---
+// "Test key" on /setup: one cheap authenticated request against the provider behind the
+// selected auth choice, so a bad key is caught before onboarding writes it. Base URLs can be
+// overridden to point at a local fake. Choices without a listed check (OAuth flows, providers
+// without a reliable authenticated endpoint) just report that no check is available.
+const PROVIDER_KEY_CHECKS = {
+  "openai-api-key": { provider: "OpenAI", style: "openai", baseUrlEnv: "OPENAI_API_BASE_URL", baseUrl: "https://api.openai.com/v1" },
+  apiKey: { provider: "Anthropic", style: "anthropic", baseUrlEnv: "ANTHROPIC_API_BASE_URL", baseUrl: "https://api.anthropic.com/v1" },
+  "gemini-api-key": {
+    provider: "Google Gemini",
+    style: "gemini",
+    baseUrlEnv: "GEMINI_API_BASE_URL",
+    baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+  },
+  // OpenRouter's model list is public, so the key is checked against /key instead.
+  "openrouter-api-key": { provider: "OpenRouter", style: "openrouter", baseUrlEnv: "OPENROUTER_API_BASE_URL", baseUrl: "https://openrouter.ai/api/v1" },
+  "moonshot-api-key": { provider: "Moonshot AI", style: "openai", baseUrlEnv: "MOONSHOT_API_BASE_URL", baseUrl: "https://api.moonshot.ai/v1" },
+};
+const MAX_LISTED_MODELS = 500;
+
+function providerBaseUrl(check) {
+  return (process.env[check.baseUrlEnv]?.trim() || check.baseUrl).replace(/\/+$/, "");
+}
+
+function providerErrorText({ status, statusText, body }) {
+  const msg =
+    body?.error?.message || (typeof body?.error === "string" ? body.error : null) || body?.message || statusText;
+  return `${status}${msg ? ` (${msg})` : ""}`;
+}
+
+// Model ids from an OpenAI-style { data: [{ id }] } or Gemini-style { models: [{ name }] } list.
+function modelIdsFromList(body) {
+  const items = Array.isArray(body?.data) ? body.data : Array.isArray(body?.models) ? body.models : [];
+  const ids = items
+    .map((m) => (typeof m === "string" ? m : m?.id || m?.name))
+    .filter((id) => typeof id === "string" && id)
+    .map((id) => id.replace(/^models\//, ""));
+  return [...new Set(ids)].sort().slice(0, MAX_LISTED_MODELS);
+}
+
+// GET <baseUrl>/models for an OpenAI-compatible endpoint (also used for custom providers).
+async function listOpenAiCompatibleModels(baseUrl, apiKey) {
+  const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+  const r = await fetchJsonWithToken(`${baseUrl.replace(/\/+$/, "")}/models`, apiKey, { headers });
+  if (r.status !== 200) throw new Error(`GET /models failed: ${providerErrorText(r)}`);
+  return modelIdsFromList(r.body);
+}
+
+// Returns { ok, provider, models? , error? , supported }.
+async function testProviderKey(authChoice, secret) {
+  const check = PROVIDER_KEY_CHECKS[authChoice];
+  if (!check) return { ok: false, supported: false, error: `No key check is available for ${authChoice}` };
+  const key = String(secret || "").trim();
+  if (!key) return { ok: false, supported: true, provider: check.provider, error: "Enter the key first" };
+  const base = providerBaseUrl(check);
+  try {
+    if (check.style === "openai") {
+      return { ok: true, supported: true, provider: check.provider, models: await listOpenAiCompatibleModels(base, key) };
+    }
+    if (check.style === "anthropic") {
+      const r = await fetchJsonWithToken(`${base}/models?limit=100`, key, {
+        headers: { "x-api-key": key, "anthropic-version": "2023-06-01" },
+      });
+      if (r.status !== 200) throw new Error(`GET /models failed: ${providerErrorText(r)}`);
+      return { ok: true, supported: true, provider: check.provider, models: modelIdsFromList(r.body) };
+    }
+    if (check.style === "gemini") {
+      // Header rather than ?key= so the key never ends up in a URL.
+      const r = await fetchJsonWithToken(`${base}/models?pageSize=1000`, key, { headers: { "x-goog-api-key": key } });
+      if (r.status !== 200) throw new Error(`GET /models failed: ${providerErrorText(r)}`);
+      return { ok: true, supported: true, provider: check.provider, models: modelIdsFromList(r.body) };
+    }
+    const r = await fetchJsonWithToken(`${base}/key`, key, { headers: { authorization: `Bearer ${key}` } });
+    if (r.status !== 200) throw new Error(`GET /key failed: ${providerErrorText(r)}`);
+    return { ok: true, supported: true, provider: check.provider, label: r.body?.data?.label ?? null };
+  } catch (err) {
+    return { ok: false, supported: true, provider: check.provider, error: String(err?.message || err) };
+  }
+}
+
+app.post("/setup/api/providers/test-key", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const authChoice = String(req.body?.authChoice || "");
+  if (authChoice === "token") {
+    return res.json({ ok: false, supported: false, error: "Setup tokens can only be checked by running onboarding" });
+  }
+  res.json(await testProviderKey(authChoice, req.body?.authSecret));
+});
+
+// The models route sends the named env var to an arbitrary URL, so beyond the vars configured
+// providers already use, only provider-style key names qualify, and never the wrapper's own
+// credentials, even for an admin.
+const PROVIDER_KEY_ENV_RE = /^[A-Z][A-Z0-9_]*_API_KEY$/;
+const WRAPPER_SECRET_ENV_RE = /^(SETUP_PASSWORD|SESSION_SECRET|SECRETS_KEY|METRICS_TOKEN|NOTIFY_WEBHOOK_SECRET|(OPENCLAW|CLAWDBOT)_GATEWAY_TOKEN|BACKUP_PASSPHRASE|BACKUP_S3_\w+)$/;
+
+// Env vars that configured providers already use as their apiKey (`${NAME}`).
+function providerApiKeyEnvNames() {
+  const providers = readConfigObject().models?.providers || {};
+  return new Set(Object.values(providers).map((p) => ENV_REF_RE.exec(String(p?.apiKey || ""))?.[1]).filter(Boolean));
+}
+
+// The key for a model listing: any env var a configured provider references (including ones
+// kept in the secrets file), or another wrapper env var named like a provider key (`*_API_KEY`)
+// that is not one of its own credentials. Returns { apiKey } or { error }.
+function modelListingKey(apiKeyEnv) {
+  if (!apiKeyEnv) return { apiKey: "" };
+  if (!ENV_VAR_NAME_RE.test(apiKeyEnv)) return { error: "invalid api key env var name" };
+  if (providerApiKeyEnvNames().has(apiKeyEnv)) {
+    const apiKey = (process.env[apiKeyEnv] ?? secretsEnv()[apiKeyEnv])?.trim();
+    return apiKey ? { apiKey } : { error: `${apiKeyEnv} is not set` };
+  }
+  if (!PROVIDER_KEY_ENV_RE.test(apiKeyEnv) || WRAPPER_SECRET_ENV_RE.test(apiKeyEnv) || apiKeyEnv.startsWith(SECRET_ENV_PREFIX)) {
+    return { error: `${apiKeyEnv} is not a provider key (expected a name ending in _API_KEY)` };
+  }
+  const apiKey = process.env[apiKeyEnv]?.trim();
+  return apiKey ? { apiKey } : { error: `${apiKeyEnv} is not set in the wrapper's environment` };
+}
+
+// Models offered by a custom OpenAI-compatible base URL, using the key from the named env var.
+app.post("/setup/api/providers/custom/models", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const baseUrl = String(req.body?.baseUrl || "").trim();
+  if (!/^https?:\/\//.test(baseUrl)) {
+    return res.status(400).json({ ok: false, error: "baseUrl must start with http(s)://" });
+  }
+  const { apiKey, error } = modelListingKey(String(req.body?.apiKeyEnv || "").trim());
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    res.json({ ok: true, models: await listOpenAiCompatibleModels(baseUrl, apiKey) });
+  } catch (err) {
+    res.json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// --- Channel management ---
+// Add/update/disable/remove Telegram, Discord and Slack after onboarding. The objects are the
+// same ones runSetup writes (buildChannelConfig), merged over whatever the channel already has
+// so hand-added keys survive. Tokens are write-only: responses only say whether one is set.
+const CHANNEL_DEFS = {
+  telegram: {
+    secrets: ["botToken"],
+    fields: { dmPolicy: "dmPolicy", allowFrom: "allowFrom", groupPolicy: "groupPolicy", streamMode: "streamMode" },
+    defaults: { dmPolicy: "pairing", groupPolicy: "allowlist", streamMode: "partial" },
+  },
+  discord: {
+    secrets: ["token"],
+    fields: { dmPolicy: "dm.policy", allowFrom: "dm.allowFrom", groupPolicy: "groupPolicy" },
+    defaults: { groupPolicy: "allowlist", dmPolicy: "pairing" },
+  },
+  slack: {
+    secrets: ["botToken", "appToken"],
+    fields: { dmPolicy: "dm.policy", allowFrom: "dm.allowFrom", groupPolicy: "groupPolicy" },
+    defaults: {},
+  },
+};
+const CHANNEL_FIELD_VALUES = {
+  dmPolicy: ["pairing", "allowlist", "open", "disabled"],
+  groupPolicy: ["allowlist", "open", "disabled"],
+  streamMode: ["off", "partial", "block"],
+};
+
+function getDotted(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), obj);
+}
+
+function setDotted(obj, dotted, value) {
+  const keys = dotted.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) {
+    if (!o[k] || typeof o[k] !== "object") o[k] = {};
+    o = o[k];
+  }
+  if (value === undefined) delete o[keys.at(-1)];
+  else o[keys.at(-1)] = value;
+}
+
+// Builds the channels.<name> object from form input on top of `existing` (null for a new
+// channel, which gets the onboarding defaults). Returns { config } or { error }.
+function buildChannelConfig(name, input, existing = null) {
+  const def = CHANNEL_DEFS[name];
+  const cfg = existing ? structuredClone(existing) : { enabled: true };
+  if (input.enabled !== undefined) cfg.enabled = Boolean(input.enabled);
+
+  for (const key of def.secrets) {
+    const value = typeof input[key] === "string" ? input[key].trim() : "";
+    if (value) cfg[key] = value;
+  }
+  if (!def.secrets.some((key) => cfg[key])) {
+    return { error: `${def.secrets.join(" or ")} is required` };
+  }
+
+  for (const [field, dotted] of Object.entries(def.fields)) {
+    // An empty select means "leave as is" (or the default for a new channel); an empty
+    // allowFrom clears the list.
+    const given = input[field] !== undefined && (field === "allowFrom" || input[field] !== "");
+    let value = given ? input[field] : existing ? undefined : def.defaults[field];
+    if (value === undefined) continue;
+    if (field === "allowFrom") {
+      const list = Array.isArray(value) ? value : String(value ?? "").split(/[,\n]/);
+      value = list.map((v) => String(v).trim()).filter(Boolean);
+      setDotted(cfg, dotted, value.length ? value : undefined);
+      continue;
+    }
+    if (!CHANNEL_FIELD_VALUES[field].includes(value)) {
+      return { error: `${field} must be one of ${CHANNEL_FIELD_VALUES[field].join(", ")}` };
+    }
+    setDotted(cfg, dotted, value);
+  }
+  return { config: cfg };
+}
+
+function summarizeChannel(name, cfg) {
+  const def = CHANNEL_DEFS[name];
+  const out = {
+    name,
+    configured: Boolean(cfg),
+    enabled: Boolean(cfg) && cfg.enabled !== false,
+    fields: Object.keys(def.fields),
+    secrets: {},
+  };
+  for (const key of def.secrets) out.secrets[key] = Boolean(cfg?.[key]);
+  for (const [field, dotted] of Object.entries(def.fields)) out[field] = cfg ? getDotted(cfg, dotted) ?? null : null;
+  return out;
+}
+
+function readConfigObject() {
+  const p = configPath();
+  if (!fs.existsSync(p)) return {};
+  return parseJson5(fs.readFileSync(p, "utf8"));
+}
+
+function readChannelConfig(name) {
+  const cfg = readConfigObject().channels?.[name];
+  return cfg && typeof cfg === "object" ? cfg : null;
+}
+
+// Writes (or, with value null, removes) one config path through the CLI, restarts the gateway
+// and checks the file now holds what was written. The old file is kept as a version and put
+// back if the gateway doesn't come up, as in the config editor. `before`/`after` are extra
+// CLI steps as [label, args] pairs. Shared by channel and provider management.
+async function applyConfigValue(dotted, value, { label, before = [], after = [] }) {
+  const p = configPath();
+  const meta = loadConfigHistoryMeta();
+  const backupPath = backupConfigVersion(p, meta);
+  saveConfigHistoryMeta(meta);
+
+  const steps = [];
+  const step = async (stepLabel, args) => {
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(args));
+    steps.push({ step: stepLabel, code: r.code, output: redactSecrets(r.output) });
+    return r;
+  };
+  for (const [stepLabel, args] of before) await step(stepLabel, args);
+  const written = value !== null ? externalizeSecrets(value, dotted) : null;
+  const write =
+    written !== null
+      ? await step(`${label} config`, ["config", "set", "--json", dotted, JSON.stringify(written)])
+      : await step(`${label} remove`, ["config", "unset", dotted]);
+  if (write.code !== 0) return { ok: false, steps, error: `openclaw config exited with ${write.code}` };
+  for (const [stepLabel, args] of after) await step(stepLabel, args);
+
+  const verified = isDeepStrictEqual(getDotted(readConfigObject(), dotted) ?? null, written);
+  let failure = null;
+  let gatewayReady = null;
+  if (isConfigured()) {
+    failure = await restartGatewayOrRollBack(p, backupPath);
+    gatewayReady = !failure;
+  }
+  try {
+    pruneConfigHistory();
+  } catch (err) {
+    console.warn(`[config] history prune failed: ${String(err)}`);
+  }
+  return {
+    ...failure,
+    ok: verified && !failure,
+    verified,
+    gatewayReady,
+    error: !verified ? `The config file does not contain the new ${label} settings` : (failure?.error ?? null),
+    steps,
+  };
+}
+
+function applyChannelConfig(name, cfgObj) {
+  // Same as onboarding: some builds need the telegram plugin enabled explicitly.
+  const after = name === "telegram" && cfgObj?.enabled ? [["telegram plugin enable", ["plugins", "enable", "telegram"]]] : [];
+  return applyConfigValue(`channels.${name}`, cfgObj, { label: name, after });
+}
+
+function requireKnownChannel(req, res, next) {
+  if (!Object.hasOwn(CHANNEL_DEFS, req.params.channel)) {
+    return res.status(404).json({ ok: false, error: "Unknown channel" });
+  }
+  next();
+}
+
+// Audit entries keep the settings but only whether a token was sent, never its value.
+function describeChannelChange(req) {
+  const body = { ...(req.body || {}) };
+  for (const key of CHANNEL_DEFS[req.params.channel]?.secrets || []) {
+    if (key in body) body[key] = Boolean(body[key]);
+  }
+  return { channel: req.params.channel, ...body };
+}
+
+app.get("/setup/api/channels", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  try {
+    const channels = readConfigObject().channels || {};
+    res.json({
+      ok: true,
+      channels: Object.keys(CHANNEL_DEFS).map((name) => summarizeChannel(name, channels[name] || null)),
+      values: CHANNEL_FIELD_VALUES,
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.put("/setup/api/channels/:channel", requireSetupAuth, requireRole("admin"), requireKnownChannel, audit("channel.save", describeChannelChange), snapshotState("channel.save"), async (req, res) => {
+  const name = req.params.channel;
+  try {
+    const { config: cfgObj, error } = buildChannelConfig(name, req.body || {}, readChannelConfig(name));
+    if (error) return res.status(400).json({ ok: false, error });
+    // Only tokens sent with this request are checked; stored ones were checked when saved.
+    const credentials = req.body?.skipValidation === true ? null : await validateChannelCredentials(name, req.body || {});
+    if (credentials && !credentials.ok) {
+      const failed = credentials.results.find((r) => !r.ok);
+      return res.status(400).json({ ok: false, error: failed.error, field: failed.field, credentials });
+    }
+    const result = await applyChannelConfig(name, cfgObj);
+    res.status(result.ok ? 200 : 500).json({ ...result, credentials, channel: summarizeChannel(name, readChannelConfig(name)) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Dry run of the token check. Blank fields fall back to the stored token, so this also
+// re-checks a channel that is already configured.
+app.post("/setup/api/channels/:channel/validate", requireSetupAuth, requireRole("admin"), requireKnownChannel, async (req, res) => {
+  const name = req.params.channel;
+  try {
+    const stored = readChannelConfig(name) || {};
+    const store = secretsEnv();
+    const tokens = {};
+    for (const key of CHANNEL_DEFS[name].secrets) {
+      const given = typeof req.body?.[key] === "string" ? req.body[key].trim() : "";
+      tokens[key] = given || (typeof stored[key] === "string" ? resolveSecretRef(stored[key], store) : "");
+    }
+    const credentials = await validateChannelCredentials(name, tokens);
+    if (!credentials.results.length) {
+      return res.status(400).json({ ok: false, error: `No ${name} token to check` });
+    }
+    res.json({ ...credentials, output: describeCredentialResults(name, credentials.results) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.delete("/setup/api/channels/:channel", requireSetupAuth, requireRole("admin"), requireKnownChannel, audit("channel.remove", (req) => ({ channel: req.params.channel })), snapshotState("channel.remove"), async (req, res) => {
+  const name = req.params.channel;
+  try {
+    if (!readChannelConfig(name)) return res.status(404).json({ ok: false, error: `${name} is not configured` });
+    const result = await applyChannelConfig(name, null);
+    res.status(result.ok ? 200 : 500).json({ ...result, channel: summarizeChannel(name, null) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// --- Custom providers ---
+// Entries under models.providers (OpenAI-compatible endpoints). The same validation backs the
+// onboarding form's single custom provider and this card. models.mode is set to "merge" before
+// every change so OpenClaw's built-in providers stay available next to these.
+const CUSTOM_PROVIDER_ID_RE = /^[A-Za-z0-9_-]+$/;
+const CUSTOM_PROVIDER_APIS = ["openai-completions", "openai-responses"];
+const ENV_VAR_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ENV_REF_RE = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/;
+const HTTP_HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+function customProviderIdError(id) {
+  return CUSTOM_PROVIDER_ID_RE.test(id) ? null : "invalid provider id (use letters/numbers/_/-)";
+}
+
+// Builds a models.providers.<id> object from form input over `existing` (null for a new
+// provider). Unset inputs keep what is there; an empty header value keeps the stored value.
+// Returns { config } or { error }.
+function buildCustomProviderConfig(input, existing = null) {
+  const cfg = existing ? structuredClone(existing) : {};
+
+  if (input.baseUrl !== undefined) cfg.baseUrl = String(input.baseUrl).trim();
+  if (!/^https?:\/\//.test(cfg.baseUrl || "")) return { error: "baseUrl must start with http(s)://" };
+
+  const api = String(input.api || "").trim() || cfg.api || "openai-completions";
+  if (!CUSTOM_PROVIDER_APIS.includes(api)) return { error: "api must be openai-completions or openai-responses" };
+  cfg.api = api;
+
+  if (input.apiKeyEnv !== undefined) {
+    const apiKeyEnv = String(input.apiKeyEnv || "").trim();
+    if (apiKeyEnv && !ENV_VAR_NAME_RE.test(apiKeyEnv)) return { error: "invalid api key env var name" };
+    if (apiKeyEnv) cfg.apiKey = "${" + apiKeyEnv + "}";
+    else delete cfg.apiKey;
+  }
+
+  if (input.headers !== undefined) {
+    const headers = {};
+    for (const [name, raw] of Object.entries(input.headers || {})) {
+      if (!HTTP_HEADER_NAME_RE.test(name)) return { error: `invalid header name: ${name}` };
+      const value = String(raw ?? "").trim() || existing?.headers?.[name];
+      if (!value) return { error: `header ${name} needs a value` };
+      headers[name] = value;
+    }
+    if (Object.keys(headers).length) cfg.headers = headers;
+    else delete cfg.headers;
+  }
+
+  if (input.models !== undefined) {
+    const previous = new Map((Array.isArray(existing?.models) ? existing.models : []).map((m) => [m?.id, m]));
+    const models = [];
+    for (const entry of Array.isArray(input.models) ? input.models : []) {
+      const id = String(typeof entry === "string" ? entry : entry?.id || "").trim();
+      if (!id) continue;
+      if (id.length > 200 || /\s/.test(id)) return { error: `invalid model id: ${id.slice(0, 40)}` };
+      if (models.some((m) => m.id === id)) continue;
+      const name = (typeof entry === "object" && String(entry.name || "").trim()) || previous.get(id)?.name || id;
+      models.push({ ...previous.get(id), id, name });
+    }
+    if (models.length) cfg.models = models;
+    else delete cfg.models;
+  }
+  return { config: cfg };
+}
+
+// What the card shows. Env references are shown as-is; literal keys and header values are not.
+function summarizeCustomProvider(id, cfg) {
+  const envRef = (v) => (typeof v === "string" ? ENV_REF_RE.exec(v)?.[1] ?? null : null);
+  return {
+    id,
+    baseUrl: cfg.baseUrl ?? null,
+    api: cfg.api ?? null,
+    apiKeyEnv: envRef(cfg.apiKey),
+    apiKeyLiteral: Boolean(cfg.apiKey) && !envRef(cfg.apiKey),
+    headers: Object.fromEntries(Object.entries(cfg.headers || {}).map(([k, v]) => [k, envRef(v) ? v : null])),
+    models: (Array.isArray(cfg.models) ? cfg.models : []).map((m) => ({ id: m?.id ?? null, name: m?.name ?? null })),
+  };
+}
+
+function applyCustomProviderConfig(id, cfgObj) {
+  return applyConfigValue(`models.providers.${id}`, cfgObj, {
+    label: `provider ${id}`,
+    before: [["config models.mode", ["config", "set", "models.mode", "merge"]]],
+  });
+}
+
+function requireCustomProviderId(req, res, next) {
+  const error = customProviderIdError(req.params.id);
+  if (error) return res.status(400).json({ ok: false, error });
+  next();
+}
+
+function describeProviderChange(req) {
+  const body = req.body || {};
+  return {
+    id: req.params.id,
+    baseUrl: body.baseUrl,
+    api: body.api,
+    apiKeyEnv: body.apiKeyEnv,
+    headers: body.headers ? Object.keys(body.headers) : undefined,
+    models: Array.isArray(body.models) ? body.models.length : undefined,
+  };
+}
+
+app.get("/setup/api/providers", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  try {
+    const models = readConfigObject().models || {};
+    const providers = Object.entries(models.providers || {})
+      .filter(([, cfg]) => cfg && typeof cfg === "object")
+      .map(([id, cfg]) => summarizeCustomProvider(id, cfg));
+    res.json({ ok: true, mode: models.mode ?? null, providers, apis: CUSTOM_PROVIDER_APIS });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.put("/setup/api/providers/:id", requireSetupAuth, requireRole("admin"), requireCustomProviderId, audit("provider.save", describeProviderChange), snapshotState("provider.save"), async (req, res) => {
+  const id = req.params.id;
+  try {
+    const existing = getDotted(readConfigObject(), `models.providers.${id}`) ?? null;
+    const { config: cfgObj, error } = buildCustomProviderConfig(req.body || {}, existing);
+    if (error) return res.status(400).json({ ok: false, error });
+    const result = await applyCustomProviderConfig(id, cfgObj);
+    res.status(result.ok ? 200 : 500).json({ ...result, provider: summarizeCustomProvider(id, cfgObj) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.delete("/setup/api/providers/:id", requireSetupAuth, requireRole("admin"), requireCustomProviderId, audit("provider.remove", (req) => ({ id: req.params.id })), snapshotState("provider.remove"), async (req, res) => {
+  const id = req.params.id;
+  try {
+    if (!getDotted(readConfigObject(), `models.providers.${id}`)) {
+      return res.status(404).json({ ok: false, error: `Provider ${id} is not configured` });
+    }
+    const result = await applyCustomProviderConfig(id, null);
+    res.status(result.ok ? 200 : 500).json(result);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// --- Secrets ---
+app.get("/setup/api/secrets", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  try {
+    res.json({ ok: true, keySource: process.env.SECRETS_KEY?.trim() ? "env" : "file", ...describeSecrets() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.post("/setup/api/secrets/migrate", requireSetupAuth, requireRole("admin"), audit("secrets.migrate"), snapshotState("secrets.migrate"), async (_req, res) => {
+  try {
+    const { moved, failed } = await migrateInlineSecrets();
+    let gatewayReady = null;
+    if (moved.length && isConfigured()) {
+      // restartGateway() waits for the gateway and throws if it doesn't become ready.
+      gatewayReady = await restartGateway().then(
+        () => true,
+        () => false,
+      );
+    }
+    res.status(failed.length ? 500 : 200).json({ ok: !failed.length, moved, failed, gatewayReady });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Only unreferenced values can be removed; the config still needs the others.
+app.delete("/setup/api/secrets/:name", requireSetupAuth, requireRole("admin"), audit("secrets.remove", (req) => ({ name: req.params.name })), snapshotState("secrets.remove"), (req, res) => {
+  try {
+    const name = req.params.name;
+    const entry = describeSecrets().secrets.find((s) => s.name === name);
+    if (!entry) return res.status(404).json({ ok: false, error: `No secret named ${name}` });
+    if (entry.usedBy.length) {
+      return res.status(409).json({ ok: false, error: `${name} is still used by ${entry.usedBy.join(", ")}` });
+    }
+    const store = loadSecrets();
+    delete store[name];
+    saveSecrets(store);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// --- Devices & pairing ---
+// Gateway devices (Control UI / nodes asking to connect) and DM pairing codes (people asking to
+// talk to the bot when dmPolicy=pairing). Both come from the CLI's --json output; builds that
+// print only text fall back to scraping request IDs / codes, with fewer fields filled in.
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]+$/;
+const PAIRING_CHANNEL_RE = /^[a-z0-9_-]+$/;
+const PAIRING_CODE_RE = /^[A-Za-z0-9]+$/;
+
+// The JSON document in CLI output, which may follow log lines. null when there is none.
+function parseCliJson(output) {
+  const text = String(output || "").trim();
+  const starts = [0];
+  for (const m of text.matchAll(/\n(?=[[{])/g)) starts.push(m.index + 1);
+  for (const start of starts) {
+    try {
+      return JSON.parse(text.slice(start));
+    } catch {
+      // try the next line that opens an object or array
+    }
+  }
+  return null;
+}
+
+// Milliseconds, seconds or a date string to ISO; null if it is none of those.
+function isoTime(value) {
+  if (value == null || value === "") return null;
+  const num = typeof value === "number" ? value : /^\d+$/.test(String(value)) ? Number(value) : null;
+  const ms = num !== null ? (num < 1e12 ? num * 1000 : num) : Date.parse(String(value));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function firstOf(obj, keys) {
+  for (const key of keys) if (obj?.[key] != null && obj[key] !== "") return obj[key];
+  return null;
+}
+
+function normalizeDevice(raw, status) {
+  const roles = Array.isArray(raw?.roles) ? raw.roles.map(String) : raw?.role ? [String(raw.role)] : [];
+  return {
+    id: String(firstOf(raw, status === "pending" ? ["requestId", "id", "deviceId"] : ["deviceId", "id"]) ?? ""),
+    deviceId: firstOf(raw, ["deviceId"]),
+    name: firstOf(raw, ["displayName", "deviceName", "name", "clientId"]),
+    platform: firstOf(raw, ["platform", "os", "clientMode"]),
+    roles,
+    requestedAt: isoTime(firstOf(raw, ["requestedAt", "createdAtMs", "createdAt", "ts"])),
+    approvedAt: status === "paired" ? isoTime(firstOf(raw, ["approvedAtMs", "approvedAt", "pairedAt"])) : null,
+    status,
+  };
+}
+
+// `openclaw devices list` output -> { source, pending, paired }.
+function parseDeviceList(output) {
+  const json = parseCliJson(output);
+  if (json && typeof json === "object") {
+    const list = (v) => (Array.isArray(v) ? v : []);
+    const byStatus = Array.isArray(json)
+      ? {
+          pending: json.filter((d) => d?.status !== "paired" && !d?.approvedAtMs),
+          paired: json.filter((d) => d?.status === "paired" || d?.approvedAtMs),
+        }
+      : { pending: list(json.pending ?? json.requests), paired: list(json.paired ?? json.devices) };
+    const keep = (d) => DEVICE_ID_RE.test(d.id);
+    return {
+      source: "json",
+      pending: byStatus.pending.map((d) => normalizeDevice(d, "pending")).filter(keep),
+      paired: byStatus.paired.map((d) => normalizeDevice(d, "paired")).filter(keep),
+    };
+  }
+  return {
+    source: "text",
+    pending: extractDeviceRequestIds(output).map((id) => normalizeDevice({ requestId: id }, "pending")),
+    paired: [],
+  };
+}
+
+async function listDevices() {
+  let r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list", "--json"]));
+  let list;
+  if (r.code === 0 && parseCliJson(r.output)) {
+    list = { ok: true, ...parseDeviceList(r.output) };
+  } else {
+    // Older builds have no --json flag.
+    r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]));
+    list = { ok: r.code === 0, ...parseDeviceList(r.output), output: redactSecrets(r.output) };
+  }
+  noticePendingDevices(list.pending);
+  return list;
+}
+
+// `openclaw pairing list <channel>` output -> [{ channel, code, senderId, name, requestedAt }].
+// The text fallback only trusts 8-character codes with a digit (OpenClaw's code alphabet).
+function parsePairingList(channel, output) {
+  const json = parseCliJson(output);
+  if (json && typeof json === "object") {
+    const list = Array.isArray(json) ? json : json.requests ?? json.pending ?? [];
+    return (Array.isArray(list) ? list : [])
+      .map((raw) => ({
+        channel,
+        code: String(firstOf(raw, ["code", "pairingCode"]) ?? ""),
+        senderId: firstOf(raw, ["id", "senderId", "from", "userId"]),
+        name: firstOf(raw?.meta, ["username", "name", "firstName"]) ?? firstOf(raw, ["name", "username"]),
+        requestedAt: isoTime(firstOf(raw, ["createdAt", "createdAtMs", "requestedAt", "ts"])),
+      }))
+      .filter((p) => PAIRING_CODE_RE.test(p.code));
+  }
+  const codes = new Set(String(output || "").match(/\b(?=[A-Z2-9]*\d)[A-HJ-NP-Z2-9]{8}\b/g) || []);
+  return [...codes].map((code) => ({ channel, code, senderId: null, name: null, requestedAt: null }));
+}
+
+// Channels that can have pairing requests: every enabled channel in the config.
+function pairingChannels() {
+  return Object.entries(readConfigObject().channels || {})
+    .filter(([name, cfg]) => PAIRING_CHANNEL_RE.test(name) && cfg && typeof cfg === "object" && cfg.enabled !== false)
+    .map(([name]) => name);
+}
+
+async function listPairingRequests(channel) {
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "list", channel, "--json"]));
+  if (r.code !== 0) return { channel, requests: [], error: redactSecrets(r.output).trim().slice(0, 500) || `exit ${r.code}` };
+  return { channel, requests: parsePairingList(channel, r.output) };
+}
+
+function requireDeviceId(req, res, next) {
+  if (!DEVICE_ID_RE.test(req.params.id)) return res.status(400).json({ ok: false, error: "Invalid device ID" });
+  next();
+}
+
+// approve/reject take a pending request ID, revoke a paired device ID.
+const DEVICE_ACTIONS = {
+  approve: (id) => ["devices", "approve", id],
+  reject: (id) => ["devices", "reject", id],
+  revoke: (id) => ["devices", "revoke", "--device", id],
+};
+
+let deviceActionsCache = null;
+
+// The DEVICE_ACTIONS the pinned CLI lists in `openclaw devices --help` (reject and revoke are
+// missing from older builds). The CLI only changes with a redeploy, so ask once; when the help
+// can't be read or lists none of them, assume all are there and let the CLI report errors.
+async function supportedDeviceActions() {
+  if (deviceActionsCache) return deviceActionsCache;
+  const all = Object.keys(DEVICE_ACTIONS);
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "--help"]));
+  if (r.code !== 0) return all;
+  const listed = all.filter((action) => new RegExp(`^\\s+${action}\\b`, "m").test(r.output));
+  deviceActionsCache = listed.length ? listed : all;
+  return deviceActionsCache;
+}
+
+function unsupportedDeviceAction(action) {
+  return `This OpenClaw build has no \`openclaw devices ${action}\` command; update OpenClaw to ${action} devices from /setup.`;
+}
+
+app.get("/setup/api/devices", requireSetupAuth, async (_req, res) => {
+  try {
+    res.json({ ...(await listDevices()), actions: await supportedDeviceActions() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+for (const [action, cliArgs] of Object.entries(DEVICE_ACTIONS)) {
+  app.post(`/setup/api/devices/:id/${action}`, requireSetupAuth, requireDeviceId, audit(`devices.${action}`, (req) => ({ id: req.params.id })), snapshotState(`devices.${action}`), async (req, res) => {
+    if (!(await supportedDeviceActions()).includes(action)) {
+      return res.status(501).json({ ok: false, error: unsupportedDeviceAction(action) });
+    }
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(cliArgs(req.params.id)));
+    const output = redactSecrets(r.output);
+    // A build whose help we misread still rejects the command; say so instead of a bare exit code.
+    const error = r.code !== 0 && /unknown (command|option)/i.test(output) ? unsupportedDeviceAction(action) : undefined;
+    return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, error, output });
+  });
+}
+
+app.get("/setup/api/pairing", requireSetupAuth, async (_req, res) => {
+  try {
+    const channels = [];
+    for (const channel of pairingChannels()) channels.push(await listPairingRequests(channel));
+    res.json({ ok: true, channels });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.post("/setup/api/pairing/approve", requireSetupAuth, audit("pairing.approve"), snapshotState("pairing.approve"), async (req, res) => {
+  const channel = String(req.body?.channel || "").trim().toLowerCase();
+  const code = String(req.body?.code || "").trim();
+  if (!channel || !code) {
+    return res.status(400).json({ ok: false, error: "Missing channel or code" });
+  }
+  if (!PAIRING_CHANNEL_RE.test(channel) || !PAIRING_CODE_RE.test(code)) {
+    return res.status(400).json({ ok: false, error: "Invalid channel or code" });
+  }
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "approve", channel, code]));
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+});
+
+// Kept for scripts written against the text-scraping version.
+app.get("/setup/api/devices/pending", requireSetupAuth, async (_req, res) => {
+  const list = await listDevices();
+  return res.status(list.ok ? 200 : 500).json({ ok: list.ok, requestIds: list.pending.map((d) => d.id), pending: list.pending, output: list.output ?? "" });
+});
+
+app.post("/setup/api/devices/approve", requireSetupAuth, audit("devices.approve"), snapshotState("devices.approve"), async (req, res) => {
+  const requestId = String((req.body && req.body.requestId) || "").trim();
+  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
+  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+});
+
+app.post("/setup/api/reset", requireSetupAuth, requireRole("admin"), audit("setup.reset"), snapshotState("setup.reset"), async (_req, res) => {
+  // Reset: stop gateway (frees memory) + delete config file(s) so /setup can rerun.
+  // Keep credentials/sessions/workspace by default.
+  try {
+    // Stop gateway to avoid running gateway + onboard concurrently on small Railway instances.
+    try {
+      await stopGateway();
+    } catch {
+      // ignore
+    }
+
+    const candidates = typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : [configPath()];
+    for (const p of candidates) {
+      try { fs.rmSync(p, { force: true }); } catch {}
+    }
+
+    res.type("text/plain").send("OK - stopped gateway and deleted config file(s). You can rerun setup now.");
+  } catch (err) {
+    res.status(500).type("text/plain").send(String(err));
+  }
+});
+
+// --- State snapshots ---
+// Before each mutating /setup action the wrapper copies OpenClaw's config and credentials into
+// STATE_DIR/snapshots/<id>/ (skipped when nothing changed since the last one), keeping the newest
+// STATE_SNAPSHOT_LIMIT. Restoring one puts exactly those files back and restarts the gateway.
+const SNAPSHOT_DIR = path.join(STATE_DIR, "snapshots");
+const SNAPSHOT_LIMIT = envInt("STATE_SNAPSHOT_LIMIT", 20);
+const SNAPSHOT_ID_RE = /^[0-9TZ-]+-[a-z][a-z.-]*$/;
+
+function isMutatingConsoleCommand(req) {
+  const cmd = String(req.body?.cmd || "");
+  return cmd === "openclaw.devices.approve" || cmd === "openclaw.plugins.enable";
+}
+
+function listFilesUnder(dir, rel) {
+  const out = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const e of entries) {
+    const childRel = path.posix.join(rel, e.name);
+    if (e.isDirectory()) out.push(...listFilesUnder(dir, childRel));
+    else if (e.isFile()) out.push(childRel);
+  }
+  return out;
+}
+
+// The config and credential files a snapshot covers, relative to STATE_DIR. A config outside
+// STATE_DIR (OPENCLAW_CONFIG_PATH elsewhere) is left out: its "../" path would have snapshots
+// copy files from, and restore them to, places outside the state dir.
+function stateSnapshotFiles() {
+  const files = [];
+  const config = configPath();
+  const configRel = isUnderDir(config, STATE_DIR) ? path.relative(STATE_DIR, config).split(path.sep).join("/") : "";
+  for (const rel of [configRel, "gateway.token", "secrets.enc"]) {
+    if (rel && fs.existsSync(path.join(STATE_DIR, rel))) files.push(rel);
+  }
+  files.push(...listFilesUnder(STATE_DIR, "credentials"));
+  files.push(...listFilesUnder(STATE_DIR, "devices"));
+  // Provider API keys from onboarding live next to each agent.
+  for (const agent of listFilesUnder(STATE_DIR, "agents")) {
+    if (/^agents\/[^/]+\/agent\/auth-profiles\.json$/.test(agent)) files.push(agent);
+  }
+  return files;
+}
+
+function readSnapshotMeta(id) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, id, "meta.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function listStateSnapshots() {
+  let ids = [];
+  try {
+    ids = fs.readdirSync(SNAPSHOT_DIR).filter((id) => SNAPSHOT_ID_RE.test(id));
+  } catch {
+    return [];
+  }
+  return ids
+    .sort()
+    .reverse()
+    .map(readSnapshotMeta)
+    .filter(Boolean);
+}
+
+async function takeStateSnapshot(action, username) {
+  const files = stateSnapshotFiles();
+  const digest = crypto.createHash("sha256");
+  for (const rel of files) digest.update(`${rel}\0${await sha256File(path.join(STATE_DIR, rel))}\0`);
+  const fingerprint = digest.digest("hex");
+
+  const latest = listStateSnapshots()[0];
+  if (latest?.fingerprint === fingerprint) return latest;
+
+  const id = `${backupFileStamp()}-${action}`;
+  const dir = path.join(SNAPSHOT_DIR, id);
+  for (const rel of files) {
+    const dest = path.join(dir, "files", rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true, mode: 0o700 });
+    fs.copyFileSync(path.join(STATE_DIR, rel), dest);
+  }
+  const meta = { id, createdAt: new Date().toISOString(), action, username, files, fingerprint };
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(path.join(dir, "meta.json"), JSON.stringify(meta, null, 2), { mode: 0o600 });
+
+  for (const old of listStateSnapshots().slice(SNAPSHOT_LIMIT)) {
+    fs.rmSync(path.join(SNAPSHOT_DIR, old.id), { recursive: true, force: true });
+  }
+  return meta;
+}
+
+// Route middleware: `snapshotState("config.save")`, after audit(). A failed snapshot is logged
+// but never blocks the action. `when(req)` limits it to requests that actually change state.
+function snapshotState(action, when) {
+  return async (req, _res, next) => {
+    if (!when || when(req)) {
+      try {
+        await takeStateSnapshot(action, req.authUser?.username ?? null);
+      } catch (err) {
+        console.warn(`[snapshot] before ${action} failed: ${String(err)}`);
+      }
+    }
+    next();
+  };
+}
+
+async function restoreStateSnapshot(id) {
+  const meta = SNAPSHOT_ID_RE.test(id) ? readSnapshotMeta(id) : null;
+  if (!meta) return null;
+  const dir = path.join(SNAPSHOT_DIR, id, "files");
+  const safe = (rel) => isUnderDir(path.join(STATE_DIR, rel), STATE_DIR) && !isUnderDir(path.join(STATE_DIR, rel), SNAPSHOT_DIR);
+
+  await stopGateway();
+  // Files the snapshot didn't have (e.g. a config created later) are removed, the rest copied back.
+  for (const rel of stateSnapshotFiles()) {
+    if (!meta.files.includes(rel) && safe(rel)) fs.rmSync(path.join(STATE_DIR, rel), { force: true });
+  }
+  for (const rel of meta.files) {
+    if (!safe(rel)) continue;
+    const dest = path.join(STATE_DIR, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(path.join(dir, rel), dest);
+  }
+  if (isConfigured()) await restartGateway();
+  return meta;
+}
+
+app.get("/setup/api/snapshots", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  const snapshots = listStateSnapshots().map(({ id, createdAt, action, username, files }) => ({
+    id,
+    createdAt,
+    action,
+    username,
+    files: files.length,
+    hasConfig: files.some((f) => path.posix.basename(f) === "openclaw.json"),
+  }));
+  res.json({ ok: true, limit: SNAPSHOT_LIMIT, snapshots });
+});
+
+app.post(
+  "/setup/api/snapshots/:id/restore",
+  requireSetupAuth,
+  requireRole("admin"),
+  audit("snapshot.restore", (req) => req.params),
+  snapshotState("snapshot.restore"),
+  async (req, res) => {
+    try {
+      const meta = await restoreStateSnapshot(String(req.params.id || ""));
+      if (!meta) return res.status(404).json({ ok: false, error: "Snapshot not found" });
+      res.json({
+        ok: true,
+        output: `Restored config and credentials from before ${meta.action} (${meta.createdAt}).${
+          isConfigured() ? " Gateway restarted." : " No config in that snapshot; run setup again."
+        }\n`,
+      });
+    } catch (err) {
+      console.error("[snapshot restore]", err);
+      res.status(500).json({ ok: false, error: String(err) });
+    }
+  },
+);
+
+function isUnderDir(p, root) {
+  const abs = path.resolve(p);
+  const r = path.resolve(root);
+  return abs === r || abs.startsWith(r + path.sep);
+}
+
+// Never archived and kept through a clean restore: earlier backups, state snapshots
+// (BACKUP_DIR may live inside the state dir) and the key files. An archive that carried
+// secrets.key next to secrets.enc would hand out the secrets with it.
+function backupExcludedPaths() {
+  return [BACKUP_DIR, SNAPSHOT_DIR, path.join(STATE_DIR, "secrets.key"), path.join(STATE_DIR, "session.key")];
+}
+
+// Prefer archiving from a common /data root so archives are easy to inspect and restore.
+// This preserves dotfiles like /data/.openclaw/openclaw.json.
+function backupArchiveLayout() {
+  const stateAbs = path.resolve(STATE_DIR);
+  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+
+  const dataRoot = "/data";
+  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+
+  let cwd = "/";
+  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+
+  if (underData(stateAbs) && underData(workspaceAbs)) {
+    cwd = dataRoot;
+    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
+    paths = [
+      path.relative(dataRoot, stateAbs) || ".",
+      path.relative(dataRoot, workspaceAbs) || ".",
+    ];
+  }
+  return { cwd, paths };
+}
+
+// Every archive starts with this manifest: versions, layout and a SHA-256 per file.
+const BACKUP_MANIFEST_NAME = "openclaw-backup-manifest.json";
+const BACKUP_MANIFEST_FORMAT = 1;
+
+let openclawVersionCache = null;
+
+// The CLI version can only change with a redeploy, so ask once.
+async function openclawVersion() {
+  if (openclawVersionCache) return openclawVersionCache;
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
+  if (r.code !== 0) return null;
+  openclawVersionCache = r.output.trim() || null;
+  return openclawVersionCache;
+}
+
+// Files in a .tar.gz with size and sha256 (strict, so a truncated archive throws).
+// `keepContent(path)` selects entries whose bytes are returned too.
+async function listArchiveFiles(archivePath, { keepContent } = {}) {
+  const files = [];
+  await tar.t({
+    file: archivePath,
+    strict: true,
+    onReadEntry: (entry) => {
+      if (entry.type !== "File") return;
+      const rec = { path: entry.path, size: entry.size || 0 };
+      files.push(rec);
+      const hash = crypto.createHash("sha256");
+      const chunks = keepContent?.(entry.path) ? [] : null;
+      entry.on("data", (chunk) => {
+        hash.update(chunk);
+        if (chunks) chunks.push(chunk);
+      });
+      entry.on("end", () => {
+        rec.sha256 = hash.digest("hex");
+        if (chunks) rec.content = Buffer.concat(chunks);
+      });
+    },
+  });
+  return files;
+}
+
+// Gzipped tar of STATE_DIR + WORKSPACE_DIR (shared by /setup/export and scheduled backups).
+// The files are archived to a staging file first so the manifest checksums describe exactly
+// the bytes in the archive (logs keep changing while we read them); the final archive is the
+// manifest followed by the staged entries. Call `cleanup()` once the stream is consumed.
+async function createBackupArchiveStream() {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "openclaw-backup-"));
+  const cleanup = () => fs.rmSync(stagingDir, { recursive: true, force: true });
+  try {
+    const { cwd, paths } = backupArchiveLayout();
+    const stagedPath = path.join(stagingDir, "files.tar.gz");
+    const excluded = backupExcludedPaths();
+    await tar.c(
+      {
+        file: stagedPath,
+        gzip: true,
+        portable: true,
+        noMtime: true,
+        cwd,
+        onwarn: () => {},
+        filter: (p) => !excluded.some((x) => isUnderDir(path.resolve(cwd, p), x)),
+      },
+      paths,
+    );
+
+    const files = (await listArchiveFiles(stagedPath)).map(({ path: p, size, sha256 }) => ({ path: p, size, sha256 }));
+    const secretsEntry = path.relative(cwd, SECRETS_PATH);
+    const manifest = {
+      format: BACKUP_MANIFEST_FORMAT,
+      createdAt: new Date().toISOString(),
+      openclawVersion: await openclawVersion(),
+      wrapperCommit: process.env.RAILWAY_GIT_COMMIT_SHA?.trim() || null,
+      layout: { root: cwd, stateDir: paths[0], workspaceDir: paths[1] },
+      // secrets.enc is archived without its key (see backupExcludedPaths): restoring it needs
+      // the SECRETS_KEY or secrets.key of the deployment that made the backup.
+      secrets: files.some((f) => f.path === secretsEntry)
+        ? { path: secretsEntry, keyIncluded: false, keySource: process.env.SECRETS_KEY?.trim() ? "SECRETS_KEY" : "secrets.key" }
+        : null,
+      files,
+    };
+    fs.writeFileSync(path.join(stagingDir, BACKUP_MANIFEST_NAME), JSON.stringify(manifest, null, 2));
+
+    // jobs: Infinity — with the default limit of 4, re-packing entries read from another
+    // archive ("@file") stalls as soon as it has more than 4 entries.
+    const stream = tar.c({ gzip: true, portable: true, jobs: Infinity, cwd: stagingDir }, [
+      BACKUP_MANIFEST_NAME,
+      `@${stagedPath}`,
+    ]);
+    stream.on("end", cleanup);
+    stream.on("error", cleanup);
+    return { stream, cleanup, manifest };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+// Maps the archive's state/workspace directories onto this deployment's, longest first.
+// e.g. an archive from OPENCLAW_STATE_DIR=/data/.clawdbot restores into /data/.openclaw.
+function backupPathRemap(layout, current) {
+  if (!layout) return [];
+  return [
+    [layout.stateDir, current.stateDir],
+    [layout.workspaceDir, current.workspaceDir],
+  ]
+    .filter(([from, to]) => from && to && from !== to && from !== "." && to !== ".")
+    .sort((a, b) => b[0].length - a[0].length);
+}
+
+function remapArchivePath(p, pairs) {
+  const clean = String(p).replace(/^(\.\/)+/, "");
+  for (const [from, to] of pairs) {
+    if (clean === from || clean.startsWith(`${from}/`)) return to + clean.slice(from.length);
+  }
+  return p;
+}
+
+function currentBackupLayout() {
+  return {
+    stateDir: path.relative("/data", STATE_DIR) || ".",
+    workspaceDir: path.relative("/data", WORKSPACE_DIR) || ".",
+  };
+}
+
+// Reads the manifest and checks every file against it. `problems` (missing, altered or
+// truncated content) block a restore; `warnings` (older archive, version mismatch) don't.
+async function checkBackupArchive(archivePath, { keepContent } = {}) {
+  const problems = [];
+  const warnings = [];
+  let files = [];
+  try {
+    files = await listArchiveFiles(archivePath, {
+      keepContent: (p) => p === BACKUP_MANIFEST_NAME || path.basename(p) === "secrets.enc" || keepContent?.(p),
+    });
+  } catch (err) {
+    problems.push(`archive is unreadable or truncated (${String(err.message || err)})`);
+  }
+
+  const manifestEntry = files.find((f) => f.path === BACKUP_MANIFEST_NAME);
+  files = files.filter((f) => f.path !== BACKUP_MANIFEST_NAME);
+  let manifest = null;
+  if (manifestEntry) {
+    try {
+      manifest = JSON.parse(manifestEntry.content.toString("utf8"));
+    } catch {
+      problems.push("manifest is not valid JSON");
+    }
+  } else if (!problems.length) {
+    warnings.push("Archive has no manifest (made by an older version); contents cannot be verified.");
+  }
+
+  if (manifest) {
+    if (manifest.format !== BACKUP_MANIFEST_FORMAT) {
+      warnings.push(`Manifest format ${manifest.format} is newer than this wrapper understands.`);
+    }
+    const byPath = new Map(files.map((f) => [f.path, f]));
+    for (const m of manifest.files || []) {
+      const f = byPath.get(m.path);
+      if (!f) problems.push(`missing ${m.path}`);
+      else if (f.sha256 !== m.sha256) problems.push(`checksum mismatch for ${m.path}`);
+      byPath.delete(m.path);
+    }
+    for (const extra of byPath.keys()) problems.push(`${extra} is not listed in the manifest`);
+
+    const current = await openclawVersion();
+    if (manifest.openclawVersion && current && manifest.openclawVersion !== current) {
+      warnings.push(`Backup was made with OpenClaw ${manifest.openclawVersion}; this deployment runs ${current}.`);
+    }
+  }
+
+  // Manifests from before `secrets` was recorded still give the state directory.
+  const secretsPath = manifest?.secrets?.path ?? (manifest?.layout && path.posix.join(manifest.layout.stateDir, "secrets.enc"));
+  const secretsWarning = archivedSecretsKeyWarning(files.find((f) => f.path === secretsPath));
+  if (secretsWarning) warnings.push(secretsWarning);
+
+  const remap = canRestoreIntoData() ? backupPathRemap(manifest?.layout, currentBackupLayout()) : [];
+  for (const [from, to] of remap) warnings.push(`Archive directory ${from}/ will be restored into ${to}/.`);
+  return { manifest, files, problems, warnings, remap };
+}
+
+// Archives never carry the secrets key, so an archived secrets.enc is only readable here if
+// this deployment has the key it was written with (SECRETS_KEY or secrets.key).
+function archivedSecretsKeyWarning(entry) {
+  if (!entry?.content) return null;
+  if (!process.env.SECRETS_KEY?.trim() && !fs.existsSync(path.join(STATE_DIR, "secrets.key"))) {
+    return "The archive's secrets.enc needs the key it was written with, and neither SECRETS_KEY nor secrets.key is set up here; set SECRETS_KEY (or copy secrets.key) from the original deployment before restoring, or the stored secrets cannot be read.";
+  }
+  try {
+    decryptSecrets(JSON.parse(entry.content.toString("utf8")));
+    return null;
+  } catch {
+    return "The archive's secrets.enc cannot be decrypted with this deployment's SECRETS_KEY (or secrets.key); set the key of the original deployment before restoring, or the stored secrets cannot be read.";
+  }
+}
+
+function backupFileStamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+// --- Backup encryption ---
+// Encrypted archives are "OCBACKUP", a format version, the KDF id and scrypt parameters, a salt
+// and a nonce, followed by the AES-256-GCM ciphertext of the .tar.gz and the 16-byte auth tag.
+// The header is authenticated as AAD, so tampering with the KDF parameters fails decryption.
+const BACKUP_ENC_MAGIC = Buffer.from("OCBACKUP", "ascii");
+const BACKUP_ENC_VERSION = 1;
+const BACKUP_ENC_KDF_SCRYPT = 1;
+const BACKUP_ENC_SCRYPT = { log2N: 15, r: 8, p: 1 };
+const BACKUP_ENC_HEADER_BYTES = BACKUP_ENC_MAGIC.length + 5 + 16 + 12;
+const BACKUP_ENC_TAG_BYTES = 16;
+const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+function backupError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function deriveBackupKey(passphrase, salt, { log2N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(passphrase), salt, 32, { N: 2 ** log2N, r, p, maxmem: 256 * 1024 * 1024 }, (err, key) =>
+      err ? reject(err) : resolve(key),
+    );
+  });
+}
+
+function parseBackupEncHeader(header) {
+  if (header.length < BACKUP_ENC_HEADER_BYTES || !header.subarray(0, BACKUP_ENC_MAGIC.length).equals(BACKUP_ENC_MAGIC)) {
+    throw backupError("BACKUP_DECRYPT_FAILED", "Not an encrypted OpenClaw backup");
+  }
+  let off = BACKUP_ENC_MAGIC.length;
+  const version = header[off++];
+  const kdf = header[off++];
+  const scrypt = { log2N: header[off++], r: header[off++], p: header[off++] };
+  if (version !== BACKUP_ENC_VERSION || kdf !== BACKUP_ENC_KDF_SCRYPT) {
+    throw backupError("BACKUP_DECRYPT_FAILED", `Unsupported encrypted backup format (version ${version}, kdf ${kdf})`);
+  }
+  // Bound the cost parameters so a crafted header can't make us burn memory.
+  if (scrypt.log2N < 10 || scrypt.log2N > 20 || scrypt.r < 1 || scrypt.r > 16 || scrypt.p < 1 || scrypt.p > 4) {
+    throw backupError("BACKUP_DECRYPT_FAILED", "Encrypted backup has invalid key-derivation parameters");
+  }
+  const salt = header.subarray(off, off + 16);
+  const iv = header.subarray(off + 16, off + 28);
+  return { version, scrypt, salt, iv };
+}
+
+// Transform that turns a .tar.gz stream into an encrypted archive.
+async function createBackupEncryptStream(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const { log2N, r, p } = BACKUP_ENC_SCRYPT;
+  const header = Buffer.concat([
+    BACKUP_ENC_MAGIC,
+    Buffer.from([BACKUP_ENC_VERSION, BACKUP_ENC_KDF_SCRYPT, log2N, r, p]),
+    salt,
+    iv,
+  ]);
+  const key = await deriveBackupKey(passphrase, salt, BACKUP_ENC_SCRYPT);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(header);
+  const out = new Transform({
+    transform(chunk, _encoding, cb) {
+      cb(null, cipher.update(chunk));
+    },
+    flush(cb) {
+      this.push(cipher.final());
+      cb(null, cipher.getAuthTag());
+    },
+  });
+  out.push(header);
+  return out;
+}
+
+function isEncryptedBackupFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(BACKUP_ENC_MAGIC.length);
+    const n = fs.readSync(fd, head, 0, head.length, 0);
+    return n === head.length && head.equals(BACKUP_ENC_MAGIC);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function decryptBackupFile(inPath, outPath, passphrase) {
+  const size = fs.statSync(inPath).size;
+  if (size < BACKUP_ENC_HEADER_BYTES + BACKUP_ENC_TAG_BYTES + 1) {
+    throw backupError("BACKUP_DECRYPT_FAILED", "Encrypted backup is truncated");
+  }
+  const header = Buffer.alloc(BACKUP_ENC_HEADER_BYTES);
+  const tag = Buffer.alloc(BACKUP_ENC_TAG_BYTES);
+  const fd = fs.openSync(inPath, "r");
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+    fs.readSync(fd, tag, 0, tag.length, size - tag.length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const meta = parseBackupEncHeader(header);
+  const key = await deriveBackupKey(passphrase, meta.salt, meta.scrypt);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, meta.iv);
+  decipher.setAAD(header);
+  decipher.setAuthTag(tag);
+  try {
+    await pipeline(
+      fs.createReadStream(inPath, { start: header.length, end: size - tag.length - 1 }),
+      decipher,
+      fs.createWriteStream(outPath, { mode: 0o600 }),
+    );
+  } catch {
+    fs.rmSync(outPath, { force: true });
+    throw backupError("BACKUP_DECRYPT_FAILED", "Could not decrypt backup: wrong passphrase or corrupted archive");
+  }
+}
+
+async function sendBackupExport(res, passphrase) {
+  const encrypted = Boolean(passphrase);
+  const name = `openclaw-backup-${backupFileStamp()}`;
+  let archive;
+  try {
+    archive = await createBackupArchiveStream();
+  } catch (err) {
+    console.error("[export]", err);
+    return res.status(500).type("text/plain").send(String(err));
+  }
+  res.on("close", archive.cleanup);
+  let stream = archive.stream;
+  const onError = (err) => {
+    console.error("[export]", err);
+    if (!res.headersSent) res.status(500);
+    res.end(String(err));
+  };
+  stream.on("error", onError);
+  if (encrypted) {
+    const encrypt = await createBackupEncryptStream(passphrase);
+    encrypt.on("error", onError);
+    stream = stream.pipe(encrypt);
+  }
+
+  const fileName = `${name}.tar.gz${encrypted ? ".enc" : ""}`;
+  res.setHeader("content-type", encrypted ? "application/octet-stream" : "application/gzip");
+  res.setHeader("content-disposition", `attachment; filename="${fileName}"`);
+
+  // With an off-site destination configured, keep a copy of the export and upload it once written.
+  // An unencrypted export is still encrypted for the bucket when BACKUP_PASSPHRASE is set.
+  if (s3BackupConfigured()) {
+    let copySource = stream;
+    if (!encrypted && BACKUP_PASSPHRASE) {
+      copySource = archive.stream.pipe(await createBackupEncryptStream(BACKUP_PASSPHRASE));
+    }
+    const remoteName = `${name}-export.tar.gz${copySource !== archive.stream ? ".enc" : ""}`;
+    const tmpPath = path.join(os.tmpdir(), `${remoteName}.${process.pid}`);
+    const copy = fs.createWriteStream(tmpPath, { mode: 0o600 });
+    // A failed archive or copy leaves a truncated file: drop it once the copy is closed.
+    let failed = false;
+    const discard = (err) => {
+      if (failed) return;
+      failed = true;
+      console.warn(`[export] off-site copy failed: ${String(err)}`);
+      copy.destroy();
+    };
+    archive.stream.on("error", discard);
+    if (copySource !== archive.stream) copySource.on("error", discard);
+    copy.on("error", discard);
+    copy.on("close", () => {
+      if (failed) fs.rmSync(tmpPath, { force: true });
+    });
+    copy.on("finish", () => {
+      uploadBackupOffsite(tmpPath, remoteName).finally(() => fs.rmSync(tmpPath, { force: true }));
+    });
+    copySource.pipe(copy);
+  }
+
+  stream.pipe(res);
+}
+
+app.get("/setup/export", requireSetupAuth, requireRole("admin"), audit("backup.export"), async (_req, res) => {
+  await sendBackupExport(res, "");
+});
+
+// Same as GET, but from the setup page's form so an optional passphrase can encrypt the archive.
+app.post(
+  "/setup/export",
+  requireSetupAuth,
+  requireRole("admin"),
+  express.urlencoded({ extended: false, limit: "16kb" }),
+  audit("backup.export", (req) => ({ encrypted: Boolean(req.body?.passphrase) })),
+  async (req, res) => {
+    const passphrase = String(req.body?.passphrase || "");
+    if (passphrase && passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+      return res
+        .status(400)
+        .type("text/plain")
+        .send(`Backup passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters.\n`);
+    }
+    await sendBackupExport(res, passphrase);
+  },
+);
+
+function looksSafeTarPath(p) {
+  if (!p) return false;
+  // tar paths always use / separators
+  if (p.startsWith("/") || p.startsWith("\\")) return false;
+  // windows drive letters
+  if (/^[A-Za-z]:[\\/]/.test(p)) return false;
+  // path traversal
+  if (p.split("/").includes("..")) return false;
+  return true;
+}
+
+async function readBodyBuffer(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    req.on("data", (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        reject(new Error("payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Restores are intentionally limited to /data to avoid overwriting arbitrary host paths.
+function canRestoreIntoData() {
+  return isUnderDir(STATE_DIR, "/data") && isUnderDir(WORKSPACE_DIR, "/data");
+}
+
+const RESTORE_UNSUPPORTED_MESSAGE =
+  "Import is only supported when OPENCLAW_STATE_DIR and OPENCLAW_WORKSPACE_DIR are under /data (Railway volume).\n";
+
+// First path segment of an archive entry ("./.openclaw/x" -> ".openclaw").
+function archiveTopDir(p) {
+  return String(p).replace(/^(\.\/)+/, "").split("/")[0];
+}
+
+// Empty a top-level /data directory for a clean restore, keeping backupExcludedPaths()
+// if they live inside.
+function clearDirForCleanRestore(dir) {
+  const keep = backupExcludedPaths();
+  if (!fs.existsSync(dir) || keep.some((k) => isUnderDir(dir, k))) return;
+  if (!keep.some((k) => isUnderDir(k, dir))) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return;
+  }
+  for (const name of fs.readdirSync(dir)) clearDirForCleanRestore(path.join(dir, name));
+}
+
+// Extract a backup archive into /data and restart the gateway (the /setup/import pipeline).
+// We only allow safe relative paths, and by default we do NOT delete existing files.
+// `groups` limits the restore to those top-level directories; `clean` empties them first.
+// Encrypted archives are decrypted to a temp file first, before anything on the volume is touched;
+// without a passphrase, BACKUP_PASSPHRASE is tried.
+// The archive is verified against its manifest before the gateway is stopped, and paths are
+// remapped when the archive came from a deployment with different directory names.
+// Resolves to the verification warnings (version mismatch, no manifest, remapped paths).
+async function restoreBackupArchive(archivePath, { passphrase, groups, clean = false } = {}) {
+  let source = archivePath;
+  let decryptedPath = null;
+  if (isEncryptedBackupFile(archivePath)) {
+    passphrase ||= BACKUP_PASSPHRASE;
+    if (!passphrase) {
+      throw backupError("BACKUP_PASSPHRASE_REQUIRED", "This backup is encrypted; enter its passphrase to restore it.");
+    }
+    decryptedPath = path.join(os.tmpdir(), `openclaw-restore-${process.pid}-${Date.now()}.tar.gz`);
+    await decryptBackupFile(archivePath, decryptedPath, passphrase);
+    source = decryptedPath;
+  }
+
+  try {
+    const check = await checkBackupArchive(source);
+    if (check.problems.length) {
+      const more = check.problems.length > 5 ? ` (+${check.problems.length - 5} more)` : "";
+      throw backupError(
+        "BACKUP_INTEGRITY_FAILED",
+        `Backup failed verification: ${check.problems.slice(0, 5).join("; ")}${more}`,
+      );
+    }
+
+    // Stop gateway before restore so we don't overwrite live files.
+    await stopGateway();
+
+    if (clean) {
+      // Clear where the selected directories land on this deployment (after remapping).
+      const targets = new Set(
+        check.files
+          .filter((f) => (groups || []).includes(archiveTopDir(f.path)) && looksSafeTarPath(f.path))
+          .map((f) => archiveTopDir(remapArchivePath(f.path, check.remap))),
+      );
+      for (const t of targets) {
+        if (t && t !== "." && t !== "..") clearDirForCleanRestore(path.join("/data", t));
+      }
+    }
+
+    await tar.x({
+      file: source,
+      cwd: "/data",
+      gzip: true,
+      strict: true,
+      onwarn: () => {},
+      filter: (p) => {
+        // Allow only paths that look safe.
+        if (!looksSafeTarPath(p) || p === BACKUP_MANIFEST_NAME) return false;
+        return !groups || groups.includes(archiveTopDir(p));
+      },
+      onReadEntry: (entry) => {
+        if (check.remap.length) entry.path = remapArchivePath(entry.path, check.remap);
+      },
+    });
+
+    // Restart gateway after restore.
+    if (isConfigured()) {
+      await restartGateway();
+    }
+    metricInc("openclaw_restores_total", { result: "ok" });
+    return check.warnings;
+  } catch (err) {
+    // "rejected": the archive failed its checks and nothing was changed.
+    metricInc("openclaw_restores_total", { result: isBackupArchiveError(err) ? "rejected" : "error" });
+    throw err;
+  } finally {
+    if (decryptedPath) fs.rmSync(decryptedPath, { force: true });
+  }
+}
+
+// Errors about the archive itself (passphrase, verification): reported as 400, nothing was changed.
+function isBackupArchiveError(err) {
+  return ["BACKUP_PASSPHRASE_REQUIRED", "BACKUP_DECRYPT_FAILED", "BACKUP_INTEGRITY_FAILED"].includes(err?.code);
+}
+
+// The passphrase for encrypted archives travels in a header (URI-encoded) since the body is the archive.
+function backupPassphraseHeader(req) {
+  try {
+    return decodeURIComponent(String(req.headers["x-backup-passphrase"] || ""));
+  } catch {
+    return "";
+  }
+}
+
+// Import a backup created by /setup/export.
+app.post("/setup/import", requireSetupAuth, requireRole("admin"), audit("backup.import", describeUpload), snapshotState("backup.import"), async (req, res) => {
+  try {
+    if (!canRestoreIntoData()) {
+      return res.status(400).type("text/plain").send(RESTORE_UNSUPPORTED_MESSAGE);
+    }
+
+    // Stop gateway before reading the upload so a large body doesn't race live writes.
+    await stopGateway();
+
+    const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
+    if (!buf.length) return res.status(400).type("text/plain").send("Empty body\n");
+
+    const passphrase = backupPassphraseHeader(req);
+    const tmpPath = path.join(os.tmpdir(), `openclaw-import-${Date.now()}.tar.gz`);
+    fs.writeFileSync(tmpPath, buf);
+    let warnings = [];
+    try {
+      warnings = await restoreBackupArchive(tmpPath, { passphrase });
+    } finally {
+      try { fs.rmSync(tmpPath, { force: true }); } catch {}
+    }
+
+    res
+      .type("text/plain")
+      .send(`OK - imported backup into /data and restarted gateway.\n${warnings.map((w) => `warning: ${w}\n`).join("")}`);
+  } catch (err) {
+    console.error("[import]", err);
+    if (isBackupArchiveError(err)) {
+      // Nothing was extracted; bring back the gateway we stopped for the upload.
+      if (isConfigured()) await ensureGatewayRunning().catch(() => {});
+      return res.status(400).type("text/plain").send(`${err.message}\n`);
+    }
+    res.status(500).type("text/plain").send(String(err));
+  }
+});
+
+// --- Import preview / selective restore ---
+// POST /setup/import/preview stages an uploaded archive (decrypted, if it was encrypted) and
+// describes what restoring it would do without touching /data or the gateway.
+// POST /setup/import/apply then restores all or some of its top-level directories.
+const IMPORT_PREVIEW_TTL_MS = 30 * 60 * 1000;
+const IMPORT_PREVIEW_MAX_ENTRIES = 2000;
+const importPreviews = new Map(); // id -> { path, groups, createdAt, timer }
+
+function dropImportPreview(id) {
+  const staged = importPreviews.get(id);
+  if (!staged) return;
+  clearTimeout(staged.timer);
+  importPreviews.delete(id);
+  fs.rmSync(staged.path, { force: true });
+}
+
+// Channel names (and whether they are enabled) from an archived openclaw.json.
+function summarizeArchivedConfig(content) {
+  try {
+    const cfg = parseJson5(content.toString("utf8"));
+    const channels = Object.entries(cfg?.channels || {})
+      .filter(([, c]) => c && typeof c === "object")
+      .map(([name, c]) => ({ name, enabled: c.enabled !== false }));
+    return { parsed: true, channels };
+  } catch {
+    return { parsed: false, channels: [] };
+  }
+}
+
+// Verifies a plain .tar.gz against its manifest, then compares each file with /data (after any
+// layout remapping): "new" (no such file), "same" (identical content), "changed" (would be
+// overwritten), "skipped" (unsafe path, never extracted).
+async function inspectBackupArchive(archivePath) {
+  const check = await checkBackupArchive(archivePath, {
+    keepContent: (p) => path.posix.basename(p) === "openclaw.json",
+  });
+
+  const groups = new Map();
+  const totals = { files: 0, bytes: 0, new: 0, same: 0, changed: 0, skipped: 0 };
+  let config = null;
+  for (const e of check.files) {
+    e.target = remapArchivePath(e.path, check.remap);
+    if (!looksSafeTarPath(e.path)) {
+      e.status = "skipped";
+    } else {
+      let existing = null;
+      try {
+        existing = fs.statSync(path.join("/data", e.target)).isFile() ? await sha256File(path.join("/data", e.target)) : "";
+      } catch {
+        existing = null;
+      }
+      e.status = existing === null ? "new" : existing === e.sha256 ? "same" : "changed";
+    }
+    totals[e.status] += 1;
+    if (e.status === "skipped") continue;
+    totals.files += 1;
+    totals.bytes += e.size;
+    const name = archiveTopDir(e.path);
+    const g = groups.get(name) || { name, targets: [], files: 0, bytes: 0, changed: 0 };
+    const target = archiveTopDir(e.target);
+    if (!g.targets.includes(target)) g.targets.push(target);
+    g.files += 1;
+    g.bytes += e.size;
+    if (e.status === "changed") g.changed += 1;
+    groups.set(name, g);
+    if (e.content && (!config || e.path.split("/").length < config.path.split("/").length)) {
+      config = { path: e.path, ...summarizeArchivedConfig(e.content) };
+    }
+  }
+  const m = check.manifest;
+  return {
+    manifest: m
+      ? { createdAt: m.createdAt, openclawVersion: m.openclawVersion, wrapperCommit: m.wrapperCommit, layout: m.layout }
+      : null,
+    verified: Boolean(m) && !check.problems.length,
+    problems: check.problems,
+    warnings: check.warnings,
+    totals,
+    groups: [...groups.values()],
+    config,
+    entries: check.files
+      .slice(0, IMPORT_PREVIEW_MAX_ENTRIES)
+      .map(({ path: p, target, size, status }) => ({ path: p, target: target !== p ? target : undefined, size, status })),
+    truncated: check.files.length > IMPORT_PREVIEW_MAX_ENTRIES,
+  };
+}
+
+app.post("/setup/import/preview", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  if (!canRestoreIntoData()) return res.status(400).json({ ok: false, error: RESTORE_UNSUPPORTED_MESSAGE.trim() });
+  const id = crypto.randomBytes(12).toString("hex");
+  const uploadPath = path.join(os.tmpdir(), `openclaw-import-upload-${id}`);
+  const stagedPath = path.join(os.tmpdir(), `openclaw-import-${id}.tar.gz`);
+  try {
+    const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
+    if (!buf.length) return res.status(400).json({ ok: false, error: "Empty body" });
+    fs.writeFileSync(uploadPath, buf, { mode: 0o600 });
+
+    const encrypted = isEncryptedBackupFile(uploadPath);
+    if (encrypted) {
+      const passphrase = backupPassphraseHeader(req) || BACKUP_PASSPHRASE;
+      if (!passphrase) {
+        throw backupError("BACKUP_PASSPHRASE_REQUIRED", "This backup is encrypted; enter its passphrase to preview it.");
+      }
+      await decryptBackupFile(uploadPath, stagedPath, passphrase);
+    } else {
+      fs.renameSync(uploadPath, stagedPath);
+    }
+
+    const preview = await inspectBackupArchive(stagedPath);
+    const timer = setTimeout(() => dropImportPreview(id), IMPORT_PREVIEW_TTL_MS);
+    timer.unref?.();
+    importPreviews.set(id, { path: stagedPath, groups: preview.groups.map((g) => g.name), createdAt: Date.now(), timer });
+    res.json({ ok: true, id, encrypted, expiresAt: new Date(Date.now() + IMPORT_PREVIEW_TTL_MS).toISOString(), ...preview });
+  } catch (err) {
+    fs.rmSync(stagedPath, { force: true });
+    if (isBackupArchiveError(err)) return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    console.error("[import preview]", err);
+    res.status(400).json({ ok: false, error: `Could not read backup archive: ${String(err)}` });
+  } finally {
+    fs.rmSync(uploadPath, { force: true });
+  }
+});
+
+function describeImportApply(req) {
+  return { groups: req.body?.groups, mode: req.body?.mode === "clean" ? "clean" : "merge" };
+}
+
+app.post("/setup/import/apply", requireSetupAuth, requireRole("admin"), audit("backup.import", describeImportApply), snapshotState("backup.import"), async (req, res) => {
+  const id = String(req.body?.id || "");
+  const staged = importPreviews.get(id);
+  if (!staged) return res.status(404).json({ ok: false, error: "Preview expired or not found; upload the archive again." });
+  if (!canRestoreIntoData()) return res.status(400).json({ ok: false, error: RESTORE_UNSUPPORTED_MESSAGE.trim() });
+
+  const groups = Array.isArray(req.body?.groups) ? req.body.groups.map(String) : staged.groups;
+  const unknown = groups.filter((g) => !staged.groups.includes(g));
+  if (!groups.length || unknown.length) {
+    return res.status(400).json({ ok: false, error: `Pick directories from the archive (${staged.groups.join(", ")})` });
+  }
+  const clean = req.body?.mode === "clean";
+  if (clean && groups.some((g) => !g || g === "." || g === "..")) {
+    return res.status(400).json({ ok: false, error: "Clean restore needs named top-level directories" });
+  }
+
+  try {
+    let snapshot = null;
+    // A clean restore deletes files, so keep everything as it is now in a snapshot archive first.
+    if (clean) snapshot = await writeBackupArchive("snapshot");
+    const warnings = await restoreBackupArchive(staged.path, { groups, clean });
+    dropImportPreview(id);
+    res.json({
+      ok: true,
+      snapshot: snapshot ? snapshot.name : null,
+      warnings,
+      output:
+        `${clean ? "Clean-restored" : "Restored"} ${groups.join(", ")} into /data and restarted gateway.\n` +
+        (snapshot ? `Previous contents saved as ${snapshot.name}.\n` : ""),
+    });
+  } catch (err) {
+    console.error("[import apply]", err);
+    if (isBackupArchiveError(err)) return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.delete("/setup/import/preview/:id", requireSetupAuth, requireRole("admin"), (req, res) => {
+  dropImportPreview(String(req.params.id || ""));
+  res.json({ ok: true });
+});
+
+// --- Scheduled backups ---
+// Archives are written to BACKUP_DIR on the volume with the same tar logic as /setup/export.
+// Scheduled archives are pruned by a daily/weekly retention policy; "manual" ones (Back up now)
+// are kept until deleted. Settings come from env defaults, overridable from /setup.
+const BACKUP_DIR =
+  process.env.BACKUP_DIR?.trim() ||
+  (isUnderDir(STATE_DIR, "/data") ? "/data/backups" : path.join(STATE_DIR, "backups"));
+const BACKUP_SETTINGS_PATH = path.join(STATE_DIR, "backup-settings.json");
+// Encrypts scheduled and "Back up now" archives, and every off-site copy, like a passphrase
+// entered next to Download backup. Also tried when restoring an encrypted archive without one.
+const BACKUP_PASSPHRASE = process.env.BACKUP_PASSPHRASE?.trim() || "";
+const BACKUP_NAME_RE = /^openclaw-backup-[0-9TZ-]+-(scheduled|manual|export|snapshot)\.tar\.gz(?:\.enc)?$/;
+
+const backupState = {
+  running: false,
+  lastScheduled: null,
+  lastManual: null,
+  lastUpload: null,
+  lastScheduledAt: null,
+};
+
+function backupSettingsFromEnv() {
+  return {
+    intervalHours: Math.max(0, Number.parseFloat(process.env.BACKUP_INTERVAL_HOURS ?? "") || 0),
+    keepDaily: envInt("BACKUP_KEEP_DAILY", 7),
+    keepWeekly: envInt("BACKUP_KEEP_WEEKLY", 4),
+  };
+}
+
+function loadBackupSettings() {
+  const defaults = backupSettingsFromEnv();
+  try {
+    const saved = JSON.parse(fs.readFileSync(BACKUP_SETTINGS_PATH, "utf8"));
+    return { ...defaults, ...saved };
+  } catch {
+    return defaults;
+  }
+}
+
+function saveBackupSettings(settings) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(BACKUP_SETTINGS_PATH, JSON.stringify(settings, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+function backupContentType(name) {
+  return name.endsWith(".enc") ? "application/octet-stream" : "application/gzip";
+}
+
+function listBackups() {
+  let names = [];
+  try {
+    names = fs.readdirSync(BACKUP_DIR);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    const m = name.match(BACKUP_NAME_RE);
+    if (!m) continue;
+    try {
+      const st = fs.statSync(path.join(BACKUP_DIR, name));
+      out.push({ name, kind: m[1], bytes: st.size, createdAt: st.mtime.toISOString() });
+    } catch {
+      // vanished
+    }
+  }
+  return out.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+// Keep the newest backup of each of the last `keepDaily` days and of each of the last
+// `keepWeekly` ISO weeks (UTC). `backups` must be sorted newest first; returns names to delete.
+// Keeping nothing (0/0, e.g. from BACKUP_KEEP_DAILY=0 and BACKUP_KEEP_WEEKLY=0) turns pruning off.
+function selectBackupsToPrune(backups, { keepDaily, keepWeekly }) {
+  if (!(keepDaily > 0) && !(keepWeekly > 0)) return [];
+  const keep = new Set();
+  const days = new Set();
+  const weeks = new Set();
+  for (const b of backups) {
+    const d = new Date(b.createdAt);
+    const dayKey = d.toISOString().slice(0, 10);
+    const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+    const weekKey = monday.toISOString().slice(0, 10);
+    if (!days.has(dayKey) && days.size < keepDaily) {
+      days.add(dayKey);
+      keep.add(b.name);
+    }
+    if (!weeks.has(weekKey) && weeks.size < keepWeekly) {
+      weeks.add(weekKey);
+      keep.add(b.name);
+    }
+  }
+  return backups.filter((b) => !keep.has(b.name)).map((b) => b.name);
+}
+
+function applyBackupRetention() {
+  const settings = loadBackupSettings();
+  const scheduled = listBackups().filter((b) => b.kind === "scheduled");
+  const prune = selectBackupsToPrune(scheduled, settings);
+  for (const name of prune) {
+    try {
+      fs.rmSync(path.join(BACKUP_DIR, name), { force: true });
+      console.log(`[backup] pruned ${name}`);
+    } catch (err) {
+      console.warn(`[backup] failed to prune ${name}: ${String(err)}`);
+    }
+  }
+  return prune;
+}
+
+// Write one archive into BACKUP_DIR (via a .partial file so listings never see half an archive).
+async function writeBackupArchive(kind) {
+  if (backupState.running) throw new Error("A backup is already running");
+  backupState.running = true;
+  const startedAt = Date.now();
+  const name = `openclaw-backup-${backupFileStamp()}-${kind}.tar.gz${BACKUP_PASSPHRASE ? ".enc" : ""}`;
+  const finalPath = path.join(BACKUP_DIR, name);
+  const partialPath = `${finalPath}.partial`;
+  try {
+    if (BACKUP_PASSPHRASE && BACKUP_PASSPHRASE.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+      throw new Error(`BACKUP_PASSPHRASE must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`);
+    }
+    fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+    const archive = await createBackupArchiveStream();
+    try {
+      const encrypt = BACKUP_PASSPHRASE ? [await createBackupEncryptStream(BACKUP_PASSPHRASE)] : [];
+      await pipeline(archive.stream, ...encrypt, fs.createWriteStream(partialPath, { mode: 0o600 }));
+    } finally {
+      archive.cleanup();
+    }
+    fs.renameSync(partialPath, finalPath);
+    const bytes = fs.statSync(finalPath).size;
+    const result = { at: new Date(startedAt).toISOString(), ok: true, name, bytes, durationMs: Date.now() - startedAt };
+    metricInc("openclaw_backups_total", { kind, result: "ok" });
+    metricSet("openclaw_backup_last_success_timestamp_seconds", { kind }, Math.floor(Date.now() / 1000));
+    if (s3BackupConfigured()) {
+      result.upload = await uploadBackupOffsite(finalPath, name);
+      metricInc("openclaw_backup_uploads_total", { result: result.upload.ok ? "ok" : "error" });
+    }
+    if (result.upload && !result.upload.ok) {
+      notify("backup.failed", `Off-site upload of ${name} failed: ${result.upload.error}`, { kind, name, stage: "upload", error: result.upload.error }, { key: `${kind}:upload` });
+    }
+    if (kind === "scheduled") backupState.lastScheduled = result;
+    else backupState.lastManual = result;
+    console.log(`[backup] wrote ${name} (${bytes} bytes)`);
+    return result;
+  } catch (err) {
+    try { fs.rmSync(partialPath, { force: true }); } catch {}
+    const result = { at: new Date(startedAt).toISOString(), ok: false, error: String(err), durationMs: Date.now() - startedAt };
+    if (kind === "scheduled") backupState.lastScheduled = result;
+    else backupState.lastManual = result;
+    console.error(`[backup] ${kind} backup failed: ${String(err)}`);
+    metricInc("openclaw_backups_total", { kind, result: "error" });
+    notify("backup.failed", `${kind} backup failed: ${String(err)}`, { kind, stage: "archive", error: String(err) }, { key: kind });
+    throw err;
+  } finally {
+    backupState.running = false;
+  }
+}
+
+async function runScheduledBackup() {
+  backupState.lastScheduledAt = Date.now();
+  try {
+    await writeBackupArchive("scheduled");
+    applyBackupRetention();
+  } catch {
+    // recorded in backupState.lastScheduled
+  }
+}
+
+function backupHealthSnapshot() {
+  const settings = loadBackupSettings();
+  return {
+    enabled: settings.intervalHours > 0,
+    intervalHours: settings.intervalHours,
+    offsite: s3BackupConfigured(),
+    encrypted: Boolean(BACKUP_PASSPHRASE),
+    running: backupState.running,
+    lastScheduled: backupState.lastScheduled
+      ? {
+          at: backupState.lastScheduled.at,
+          ok: backupState.lastScheduled.ok,
+          error: backupState.lastScheduled.error ? redactSecrets(backupState.lastScheduled.error) : undefined,
+        }
+      : null,
+  };
+}
+
+function startBackupScheduler() {
+  // Resume the cadence across restarts from the newest scheduled archive on disk.
+  const newest = listBackups().find((b) => b.kind === "scheduled");
+  if (newest) backupState.lastScheduledAt = Date.parse(newest.createdAt);
+
+  const timer = setInterval(() => {
+    const { intervalHours } = loadBackupSettings();
+    if (!(intervalHours > 0) || backupState.running || !isConfigured()) return;
+    const due = !backupState.lastScheduledAt || Date.now() - backupState.lastScheduledAt >= intervalHours * 60 * 60 * 1000;
+    if (due) runScheduledBackup();
+  }, 60_000);
+  timer.unref?.();
+}
+
+function backupPathFromParam(name) {
+  const n = String(name || "");
+  if (!BACKUP_NAME_RE.test(n)) return null;
+  const p = path.join(BACKUP_DIR, n);
+  return fs.existsSync(p) ? p : null;
+}
+
+app.get("/setup/api/backups", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  res.json({
+    ok: true,
+    dir: BACKUP_DIR,
+    offsite: s3BackupConfigured() ? { bucket: S3_BACKUP.bucket, prefix: S3_BACKUP.prefix } : null,
+    encrypted: Boolean(BACKUP_PASSPHRASE),
+    settings: loadBackupSettings(),
+    status: backupState,
+    backups: listBackups(),
+  });
+});
+
+app.post("/setup/api/backups", requireSetupAuth, requireRole("admin"), audit("backup.create"), async (_req, res) => {
+  try {
+    const result = await writeBackupArchive("manual");
+    res.json({ ok: true, backup: result });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/backups/settings", requireSetupAuth, requireRole("admin"), audit("backup.settings"), (req, res) => {
+  const payload = req.body || {};
+  const intervalHours = Number(payload.intervalHours);
+  const keepDaily = Number.parseInt(String(payload.keepDaily), 10);
+  const keepWeekly = Number.parseInt(String(payload.keepWeekly), 10);
+  if (!Number.isFinite(intervalHours) || intervalHours < 0 || intervalHours > 24 * 30) {
+    return res.status(400).json({ ok: false, error: "intervalHours must be between 0 (off) and 720" });
+  }
+  if (!Number.isInteger(keepDaily) || keepDaily < 0 || !Number.isInteger(keepWeekly) || keepWeekly < 0) {
+    return res.status(400).json({ ok: false, error: "keepDaily/keepWeekly must be non-negative integers" });
+  }
+  if (keepDaily + keepWeekly === 0) {
+    return res.status(400).json({ ok: false, error: "Keep at least one daily or weekly backup" });
+  }
+  try {
+    saveBackupSettings({ intervalHours, keepDaily, keepWeekly });
+    const pruned = applyBackupRetention();
+    res.json({ ok: true, settings: loadBackupSettings(), pruned });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
   }
 });
 
-app.get("/setup/api/config/raw", requireSetupAuth, async (_req, res) => {
+app.get("/setup/api/backups/:name/download", requireSetupAuth, requireRole("admin"), audit("backup.download", (req) => req.params), async (req, res) => {
+  const p = backupPathFromParam(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  res.setHeader("content-type", backupContentType(req.params.name));
+  res.setHeader("content-disposition", `attachment; filename="${req.params.name}"`);
   try {
-    const p = configPath();
-    const exists = fs.existsSync(p);
-    const content = exists ? fs.readFileSync(p, "utf8") : "";
-    res.json({ ok: true, path: p, exists, content });
+    await pipeline(fs.createReadStream(p), res);
   } catch (err) {
-    res.status(500).json({ ok: false, error: String(err) });
+    // pipeline() has already closed the response; a client that went away is not an error.
+    if (err?.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("[backup download]", err);
   }
 });
 
-app.post("/setup/api/config/raw", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/backups/:name/restore", requireSetupAuth, requireRole("admin"), audit("backup.restore", (req) => req.params), snapshotState("backup.restore"), async (req, res) => {
+  const p = backupPathFromParam(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  if (!canRestoreIntoData()) return res.status(400).json({ ok: false, error: RESTORE_UNSUPPORTED_MESSAGE.trim() });
   try {
-    const content = String((req.body && req.body.content) || "");
-    if (content.length > 500_000) {
-      return res.status(413).json({ ok: false, error: "Config too large" });
-    }
-
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-
-    const p = configPath();
-    // Backup
-    if (fs.existsSync(p)) {
-      const backupPath = `${p}.bak-${new Date().toISOString().replace(/[:.]/g, "-")}`;
-      fs.copyFileSync(p, backupPath);
-    }
-
-    fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
-
-    // Apply immediately.
-    if (isConfigured()) {
-      await restartGateway();
-    }
-
-    res.json({ ok: true, path: p });
+    const warnings = await restoreBackupArchive(p, { passphrase: req.body?.passphrase });
+    res.json({ ok: true, warnings, output: `Restored ${req.params.name} into /data and restarted gateway.\n` });
   } catch (err) {
+    console.error("[backup restore]", err);
+    if (isBackupArchiveError(err)) return res.status(400).json({ ok: false, code: err.code, error: err.message });
     res.status(500).json({ ok: false, error: String(err) });
   }
 });
 
-app.post("/setup/api/pairing/approve", requireSetupAuth, async (req, res) => {
-  const { channel, code } = req.body || {};
-  if (!channel || !code) {
-    return res.status(400).json({ ok: false, error: "Missing channel or code" });
+app.delete("/setup/api/backups/:name", requireSetupAuth, requireRole("admin"), audit("backup.delete", (req) => req.params), (req, res) => {
+  const p = backupPathFromParam(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  try {
+    fs.rmSync(p, { force: true });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
   }
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "approve", String(channel), String(code)]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
 });
 
-// Device pairing helper (list + approve) to avoid needing SSH.
-app.get("/setup/api/devices/pending", requireSetupAuth, async (_req, res) => {
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]));
-  const output = redactSecrets(r.output);
-  const requestIds = extractDeviceRequestIds(output);
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, requestIds, output });
-});
+// --- Off-site backups (S3-compatible) ---
+// Every backup archive (scheduled, "Back up now" and /setup/export) is also uploaded to an
+// S3-compatible bucket when BACKUP_S3_* is configured. Requests are signed with AWS SigV4 here
+// rather than pulling in an SDK; path-style URLs by default so MinIO and friends work as-is.
+const S3_BACKUP = {
+  endpoint: (process.env.BACKUP_S3_ENDPOINT?.trim() || "").replace(/\/+$/, ""),
+  bucket: process.env.BACKUP_S3_BUCKET?.trim() || "",
+  region: process.env.BACKUP_S3_REGION?.trim() || "us-east-1",
+  accessKeyId: process.env.BACKUP_S3_ACCESS_KEY_ID?.trim() || "",
+  secretAccessKey: process.env.BACKUP_S3_SECRET_ACCESS_KEY?.trim() || "",
+  prefix: (process.env.BACKUP_S3_PREFIX ?? "openclaw-backups/").trim().replace(/^\/+/, ""),
+  pathStyle: (process.env.BACKUP_S3_PATH_STYLE ?? "true").trim().toLowerCase() !== "false",
+};
+
+function s3BackupConfigured() {
+  return Boolean(S3_BACKUP.endpoint && S3_BACKUP.bucket && S3_BACKUP.accessKeyId && S3_BACKUP.secretAccessKey);
+}
 
-app.post("/setup/api/devices/approve", requireSetupAuth, async (req, res) => {
-  const requestId = String((req.body && req.body.requestId) || "").trim();
-  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
-  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
-});
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone).
+function awsUriEncode(value, encodeSlash = true) {
+  const out = encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return encodeSlash ? out : out.replace(/%2F/g, "/");
+}
 
-app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
-  // Reset: stop gateway (frees memory) + delete config file(s) so /setup can rerun.
-  // Keep credentials/sessions/workspace by default.
-  try {
-    // Stop gateway to avoid running gateway + onboard concurrently on small Railway instances.
-    try {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch {}
-        await sleep(750);
-        gatewayProc = null;
-      }
-    } catch {
-      // ignore
-    }
+// Returns the headers to send (x-amz-*, authorization plus the given ones) for a SigV4-signed
+// request. `url` must already be encoded with awsUriEncode; `host` is signed from the URL.
+function signAwsRequest({ method, url, headers = {}, payloadHash, region, service = "s3", accessKeyId, secretAccessKey, now = new Date() }) {
+  const u = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const signed = { host: u.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+  for (const [k, v] of Object.entries(headers)) signed[k.toLowerCase()] = String(v).trim().replace(/\s+/g, " ");
+  const names = Object.keys(signed).sort();
+  const canonicalHeaders = names.map((n) => `${n}:${signed[n]}\n`).join("");
+  const signedHeaders = names.join(";");
+  const canonicalQuery = [...u.searchParams]
+    .map(([k, v]) => [awsUriEncode(k), awsUriEncode(v)])
+    .sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : av > bv ? 1 : 0) : ak < bk ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const canonicalRequest = [method, u.pathname || "/", canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+  ].join("\n");
+  const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+  let key = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  key = hmac(key, region);
+  key = hmac(key, service);
+  key = hmac(key, "aws4_request");
+  const signature = crypto.createHmac("sha256", key).update(stringToSign).digest("hex");
+  const out = { ...signed };
+  delete out.host;
+  out.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return out;
+}
 
-    const candidates = typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : [configPath()];
-    for (const p of candidates) {
-      try { fs.rmSync(p, { force: true }); } catch {}
-    }
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function s3Url(key = "", query = "") {
+  const encodedKey = awsUriEncode(key, false);
+  const base = S3_BACKUP.pathStyle
+    ? `${S3_BACKUP.endpoint}/${awsUriEncode(S3_BACKUP.bucket)}/${encodedKey}`
+    : (() => {
+        const u = new URL(S3_BACKUP.endpoint);
+        return `${u.protocol}//${S3_BACKUP.bucket}.${u.host}/${encodedKey}`;
+      })();
+  return query ? `${base}?${query}` : base;
+}
 
-    res.type("text/plain").send("OK - stopped gateway and deleted config file(s). You can rerun setup now.");
-  } catch (err) {
-    res.status(500).type("text/plain").send(String(err));
+async function s3Fetch(method, url, { headers = {}, payloadHash = EMPTY_SHA256, body } = {}) {
+  const signedHeaders = signAwsRequest({
+    method,
+    url,
+    headers,
+    payloadHash,
+    region: S3_BACKUP.region,
+    accessKeyId: S3_BACKUP.accessKeyId,
+    secretAccessKey: S3_BACKUP.secretAccessKey,
+  });
+  const init = { method, headers: signedHeaders, signal: AbortSignal.timeout(10 * 60_000) };
+  if (body) {
+    init.body = body;
+    init.duplex = "half";
   }
-});
-
-app.get("/setup/export", requireSetupAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
-  );
+  return fetch(url, init);
+}
 
-  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
-  // This preserves dotfiles like /data/.openclaw/openclaw.json.
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+async function s3ErrorText(res) {
+  const text = await res.text().catch(() => "");
+  const code = text.match(/<Code>([^<]*)<\/Code>/)?.[1];
+  const message = text.match(/<Message>([^<]*)<\/Message>/)?.[1];
+  return `HTTP ${res.status}${code ? ` ${code}` : ""}${message ? `: ${message}` : ""}`;
+}
 
-  const dataRoot = "/data";
-  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+async function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
 
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+async function uploadBackupToS3(filePath, name) {
+  const payloadHash = await sha256File(filePath);
+  const size = fs.statSync(filePath).size;
+  const key = `${S3_BACKUP.prefix}${name}`;
+  const res = await s3Fetch("PUT", s3Url(key), {
+    headers: { "content-length": String(size), "content-type": backupContentType(name) },
+    payloadHash,
+    body: Readable.toWeb(fs.createReadStream(filePath)),
+  });
+  if (!res.ok) throw new Error(`S3 upload failed: ${await s3ErrorText(res)}`);
+  await res.arrayBuffer().catch(() => {});
+  return { key, bytes: size };
+}
 
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = dataRoot;
-    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
-    paths = [
-      path.relative(dataRoot, stateAbs) || ".",
-      path.relative(dataRoot, workspaceAbs) || ".",
-    ];
+// Never throws: an off-site failure must not fail the local backup it belongs to.
+async function uploadBackupOffsite(filePath, name) {
+  const startedAt = Date.now();
+  try {
+    const { key, bytes } = await uploadBackupToS3(filePath, name);
+    backupState.lastUpload = { at: new Date(startedAt).toISOString(), ok: true, name, key, bytes, durationMs: Date.now() - startedAt };
+    console.log(`[backup] uploaded ${name} to s3://${S3_BACKUP.bucket}/${key}`);
+  } catch (err) {
+    backupState.lastUpload = { at: new Date(startedAt).toISOString(), ok: false, name, error: String(err), durationMs: Date.now() - startedAt };
+    console.error(`[backup] off-site upload of ${name} failed: ${String(err)}`);
   }
+  return backupState.lastUpload;
+}
 
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => {},
-    },
-    paths,
-  );
-
-  stream.on("error", (err) => {
-    console.error("[export]", err);
-    if (!res.headersSent) res.status(500);
-    res.end(String(err));
-  });
+function xmlUnescape(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
 
-  stream.pipe(res);
-});
+// Minimal ListObjectsV2 parser: only the fields the backup list needs.
+function parseS3ListXml(xml) {
+  const objects = [];
+  for (const m of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+    const field = (tag) => m[1].match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1] ?? "";
+    objects.push({ key: xmlUnescape(field("Key")), size: Number(field("Size")) || 0, lastModified: field("LastModified") });
+  }
+  const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+  const next = xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/)?.[1];
+  return { objects, next: truncated && next ? xmlUnescape(next) : null };
+}
 
-function isUnderDir(p, root) {
-  const abs = path.resolve(p);
-  const r = path.resolve(root);
-  return abs === r || abs.startsWith(r + path.sep);
+async function listS3Backups() {
+  const out = [];
+  let token = null;
+  do {
+    let query = `list-type=2&prefix=${awsUriEncode(S3_BACKUP.prefix)}`;
+    if (token) query += `&continuation-token=${awsUriEncode(token)}`;
+    const res = await s3Fetch("GET", s3Url("", query));
+    if (!res.ok) throw new Error(`S3 list failed: ${await s3ErrorText(res)}`);
+    const page = parseS3ListXml(await res.text());
+    for (const obj of page.objects) {
+      const name = obj.key.slice(S3_BACKUP.prefix.length);
+      const m = name.match(BACKUP_NAME_RE);
+      if (!m) continue;
+      out.push({ name, kind: m[1], key: obj.key, bytes: obj.size, createdAt: obj.lastModified });
+    }
+    token = page.next;
+  } while (token);
+  return out.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
 }
 
-function looksSafeTarPath(p) {
-  if (!p) return false;
-  // tar paths always use / separators
-  if (p.startsWith("/") || p.startsWith("\\")) return false;
-  // windows drive letters
-  if (/^[A-Za-z]:[\\/]/.test(p)) return false;
-  // path traversal
-  if (p.split("/").includes("..")) return false;
+async function downloadS3Backup(name, destPath) {
+  const res = await s3Fetch("GET", s3Url(`${S3_BACKUP.prefix}${name}`));
+  if (res.status === 404) return false;
+  if (!res.ok) throw new Error(`S3 download failed: ${await s3ErrorText(res)}`);
+  await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(destPath, { mode: 0o600 }));
   return true;
 }
 
-async function readBodyBuffer(req, maxBytes) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    let total = 0;
-    req.on("data", (chunk) => {
-      total += chunk.length;
-      if (total > maxBytes) {
-        reject(new Error("payload too large"));
-        req.destroy();
-        return;
-      }
-      chunks.push(chunk);
+function requireS3Backup(_req, res, next) {
+  if (!s3BackupConfigured()) {
+    return res.status(400).json({
+      ok: false,
+      error: "Off-site backups are not configured (set BACKUP_S3_ENDPOINT, BACKUP_S3_BUCKET, BACKUP_S3_ACCESS_KEY_ID and BACKUP_S3_SECRET_ACCESS_KEY)",
     });
-    req.on("end", () => resolve(Buffer.concat(chunks)));
-    req.on("error", reject);
-  });
+  }
+  next();
 }
 
-// Import a backup created by /setup/export.
-// This is intentionally limited to restoring into /data to avoid overwriting arbitrary host paths.
-app.post("/setup/import", requireSetupAuth, async (req, res) => {
+app.get("/setup/api/backups/remote", requireSetupAuth, requireRole("admin"), requireS3Backup, async (_req, res) => {
   try {
-    const dataRoot = "/data";
-    if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
-      return res
-        .status(400)
-        .type("text/plain")
-        .send("Import is only supported when OPENCLAW_STATE_DIR and OPENCLAW_WORKSPACE_DIR are under /data (Railway volume).\n");
-    }
-
-    // Stop gateway before restore so we don't overwrite live files.
-    if (gatewayProc) {
-      try { gatewayProc.kill("SIGTERM"); } catch {}
-      await sleep(750);
-      gatewayProc = null;
-    }
-
-    const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
-    if (!buf.length) return res.status(400).type("text/plain").send("Empty body\n");
-
-    // Extract into /data.
-    // We only allow safe relative paths, and we intentionally do NOT delete existing files.
-    // (Users can reset/redeploy or manually clean the volume if desired.)
-    const tmpPath = path.join(os.tmpdir(), `openclaw-import-${Date.now()}.tar.gz`);
-    fs.writeFileSync(tmpPath, buf);
-
-    await tar.x({
-      file: tmpPath,
-      cwd: dataRoot,
-      gzip: true,
-      strict: true,
-      onwarn: () => {},
-      filter: (p) => {
-        // Allow only paths that look safe.
-        return looksSafeTarPath(p);
-      },
+    res.json({
+      ok: true,
+      bucket: S3_BACKUP.bucket,
+      prefix: S3_BACKUP.prefix,
+      lastUpload: backupState.lastUpload,
+      backups: await listS3Backups(),
     });
+  } catch (err) {
+    res.status(502).json({ ok: false, error: String(err) });
+  }
+});
 
-    try { fs.rmSync(tmpPath, { force: true }); } catch {}
-
-    // Restart gateway after restore.
-    if (isConfigured()) {
-      await restartGateway();
-    }
+app.post("/setup/api/backups/:name/upload", requireSetupAuth, requireRole("admin"), requireS3Backup, audit("backup.upload", (req) => req.params), async (req, res) => {
+  const p = backupPathFromParam(req.params.name);
+  if (!p) return res.status(404).json({ ok: false, error: "Backup not found" });
+  const upload = await uploadBackupOffsite(p, req.params.name);
+  res.status(upload.ok ? 200 : 502).json({ ok: upload.ok, upload });
+});
 
-    res.type("text/plain").send("OK - imported backup into /data and restarted gateway.\n");
+app.post("/setup/api/backups/remote/:name/restore", requireSetupAuth, requireRole("admin"), requireS3Backup, audit("backup.restore-remote", (req) => req.params), snapshotState("backup.restore"), async (req, res) => {
+  const name = String(req.params.name || "");
+  if (!BACKUP_NAME_RE.test(name)) return res.status(404).json({ ok: false, error: "Backup not found" });
+  if (!canRestoreIntoData()) return res.status(400).json({ ok: false, error: RESTORE_UNSUPPORTED_MESSAGE.trim() });
+  const tmpPath = path.join(os.tmpdir(), `restore-${process.pid}-${Date.now()}.tar.gz`);
+  try {
+    if (!(await downloadS3Backup(name, tmpPath))) return res.status(404).json({ ok: false, error: "Backup not found" });
+    const warnings = await restoreBackupArchive(tmpPath, { passphrase: req.body?.passphrase });
+    res.json({ ok: true, warnings, output: `Restored ${name} from s3://${S3_BACKUP.bucket}/${S3_BACKUP.prefix} into /data and restarted gateway.\n` });
   } catch (err) {
-    console.error("[import]", err);
-    res.status(500).type("text/plain").send(String(err));
+    console.error("[backup restore-remote]", err);
+    if (isBackupArchiveError(err)) return res.status(400).json({ ok: false, code: err.code, error: err.message });
+    res.status(500).json({ ok: false, error: String(err) });
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
   }
 });
 
@@ -1318,6 +5720,7 @@ const proxy = httpProxy.createProxyServer({
 
 proxy.on("error", (err, _req, res) => {
   console.error("[proxy]", err);
+  metricInc("openclaw_proxy_errors_total", { code: /^[A-Z_]{1,30}$/.test(err?.code || "") ? err.code : "other" });
   try {
     if (res && typeof res.writeHead === "function" && !res.headersSent) {
       res.writeHead(502, { "Content-Type": "text/plain" });
@@ -1328,26 +5731,266 @@ proxy.on("error", (err, _req, res) => {
   }
 });
 
+// --- Notifications ---
+// Outbound webhooks for things nobody sees unless /setup is open: gateway crashes, crash loops
+// and start failures, doctor failures, failed backups/uploads and new pending device requests.
+// A delivery is a JSON POST, signed with HMAC-SHA256 when the webhook has a secret, retried with
+// backoff on network errors, 429 and 5xx, and logged to logs/notifications.jsonl. Webhooks are
+// kept in notify-settings.json; their secrets live in the secrets file.
+const NOTIFY_SETTINGS_PATH = path.join(STATE_DIR, "notify-settings.json");
+const NOTIFY_LOG_PATH = path.join(STATE_DIR, "logs", "notifications.jsonl");
+const NOTIFY_LOG_MAX_BYTES = 5 * 1024 * 1024;
+const NOTIFY_EVENTS = ["gateway.crashed", "gateway.degraded", "gateway.start_failed", "doctor.failed", "backup.failed", "device.pending"];
+const NOTIFY_MAX_ATTEMPTS = Math.max(1, envInt("NOTIFY_MAX_ATTEMPTS", 5));
+const NOTIFY_RETRY_BASE_MS = envInt("NOTIFY_RETRY_BASE_MS", 5_000);
+const NOTIFY_TIMEOUT_MS = 10_000;
+// One delivery per event and subject per window, so a crash loop is not a message storm.
+const NOTIFY_THROTTLE_MS = envInt("NOTIFY_THROTTLE_SECONDS", 300) * 1000;
+const NOTIFY_DEVICE_POLL_MS = envInt("NOTIFY_DEVICE_POLL_SECONDS", 120) * 1000;
+const WEBHOOK_ID_RE = /^[a-z0-9-]{1,40}$/;
+
+function loadNotifySettings() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(NOTIFY_SETTINGS_PATH, "utf8"));
+    return { webhooks: Array.isArray(saved.webhooks) ? saved.webhooks : [] };
+  } catch {
+    return { webhooks: [] };
+  }
+}
+
+function saveNotifySettings(settings) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(NOTIFY_SETTINGS_PATH, JSON.stringify(settings, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+function webhookSecretName(id) {
+  return `${SECRET_ENV_PREFIX}NOTIFY_${id.replace(/-/g, "_").toUpperCase()}`;
+}
+
+// Saved webhooks plus the one from NOTIFY_WEBHOOK_URL, with secrets resolved for delivery.
+function notifyWebhooks() {
+  const secrets = secretsEnv();
+  const hooks = loadNotifySettings().webhooks.map((h) => ({ ...h, secret: secrets[webhookSecretName(h.id)] || "" }));
+  const envUrl = process.env.NOTIFY_WEBHOOK_URL?.trim();
+  if (envUrl) {
+    hooks.unshift({ id: "env", url: envUrl, events: [], enabled: true, fromEnv: true, secret: process.env.NOTIFY_WEBHOOK_SECRET?.trim() || "" });
+  }
+  return hooks;
+}
+
+function summarizeWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return { ...rest, hasSecret: Boolean(secret) };
+}
+
+function wantsEvent(hook, event) {
+  return hook.enabled !== false && (event === "test" || !hook.events?.length || hook.events.includes(event));
+}
+
+// Receivers recompute this over "<X-OpenClaw-Timestamp>.<raw body>" and compare.
+function signWebhookPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// One attempt. Resolves to { ok, status, error, durationMs }; never throws.
+async function postWebhook(hook, delivery) {
+  const startedAt = Date.now();
+  const body = JSON.stringify(delivery);
+  const timestamp = String(Math.floor(startedAt / 1000));
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "openclaw-railway-wrapper",
+    "x-openclaw-event": delivery.event,
+    "x-openclaw-delivery": delivery.id,
+    "x-openclaw-timestamp": timestamp,
+  };
+  if (hook.secret) headers["x-openclaw-signature"] = signWebhookPayload(hook.secret, timestamp, body);
+  try {
+    const res = await fetch(hook.url, { method: "POST", headers, body, signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS) });
+    await res.arrayBuffer().catch(() => null);
+    return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}`, durationMs: Date.now() - startedAt };
+  } catch (err) {
+    return { ok: false, status: null, error: String(err?.cause?.message || err?.message || err), durationMs: Date.now() - startedAt };
+  }
+}
+
+// Delivers with retries in the background; the promise settles after the first attempt.
+async function deliverWebhook(hook, delivery, attempt = 1) {
+  const result = await postWebhook(hook, delivery);
+  const retry = !result.ok && attempt < NOTIFY_MAX_ATTEMPTS && (result.status === null || isRetryableStatus(result.status));
+  const retryInMs = retry ? NOTIFY_RETRY_BASE_MS * 2 ** (attempt - 1) : null;
+  appendJsonl(
+    NOTIFY_LOG_PATH,
+    { ts: new Date().toISOString(), delivery: delivery.id, webhook: hook.id, event: delivery.event, attempt, ...result, retryInMs },
+    NOTIFY_LOG_MAX_BYTES,
+    "notify",
+  );
+  if (retry) setTimeout(() => deliverWebhook(hook, delivery, attempt + 1), retryInMs).unref?.();
+  return { ...result, attempt, retryInMs };
+}
+
+// The JSON body every webhook receives.
+function buildDelivery(event, summary, data, suppressedSinceLast = 0) {
+  const domain = process.env.RAILWAY_PUBLIC_DOMAIN?.trim();
+  return {
+    id: crypto.randomUUID(),
+    event,
+    at: new Date().toISOString(),
+    summary: redactSecrets(summary),
+    instance: domain || os.hostname(),
+    setupUrl: domain ? `https://${domain}/setup` : null,
+    suppressedSinceLast,
+    data: redactAuditArgs(data),
+  };
+}
+
+const notifyThrottle = new Map(); // `${event}:${key}` -> { at, suppressed }
+
+// Fire-and-forget from the places that notice problems. `key` names the subject (a device
+// ID, a backup kind) so different subjects are throttled separately.
+function notify(event, summary, data = {}, { key = "" } = {}) {
+  try {
+    const hooks = notifyWebhooks().filter((h) => wantsEvent(h, event));
+    if (!hooks.length) return 0;
+    const throttleKey = `${event}:${key}`;
+    const last = notifyThrottle.get(throttleKey);
+    if (last && Date.now() - last.at < NOTIFY_THROTTLE_MS) {
+      last.suppressed += 1;
+      return 0;
+    }
+    notifyThrottle.set(throttleKey, { at: Date.now(), suppressed: 0 });
+    const delivery = buildDelivery(event, summary, data, last?.suppressed || 0);
+    for (const hook of hooks) deliverWebhook(hook, delivery);
+    return hooks.length;
+  } catch (err) {
+    console.warn(`[notify] ${event} not sent: ${String(err)}`);
+    return 0;
+  }
+}
+
+// Pending device requests already notified in this process.
+const notifiedDeviceRequests = new Set();
+
+function noticePendingDevices(pending) {
+  for (const device of pending) {
+    if (notifiedDeviceRequests.has(device.id)) continue;
+    notifiedDeviceRequests.add(device.id);
+    const name = device.name ? `${device.name} (${device.id})` : device.id;
+    notify("device.pending", `Device ${name} is waiting for approval`, device, { key: device.id });
+  }
+}
+
+// Device requests are only seen when someone lists them, so poll while anyone is subscribed.
+function startNotifyPoller() {
+  if (!(NOTIFY_DEVICE_POLL_MS > 0)) return;
+  const timer = setInterval(async () => {
+    if (!gatewayProc || !notifyWebhooks().some((h) => wantsEvent(h, "device.pending"))) return;
+    try {
+      await listDevices();
+    } catch (err) {
+      console.warn(`[notify] device poll failed: ${String(err)}`);
+    }
+  }, NOTIFY_DEVICE_POLL_MS);
+  timer.unref?.();
+}
+
+function requireWebhookId(req, res, next) {
+  if (!WEBHOOK_ID_RE.test(req.params.id) || req.params.id === "env") {
+    return res.status(400).json({ ok: false, error: "Webhook id must be 1-40 lowercase letters, digits or dashes (not \"env\")" });
+  }
+  next();
+}
+
+app.get("/setup/api/notifications", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  res.json({
+    ok: true,
+    events: NOTIFY_EVENTS,
+    webhooks: notifyWebhooks().map(summarizeWebhook),
+    maxAttempts: NOTIFY_MAX_ATTEMPTS,
+    throttleSeconds: NOTIFY_THROTTLE_MS / 1000,
+    devicePollSeconds: NOTIFY_DEVICE_POLL_MS / 1000,
+  });
+});
+
+// Body: { url, events, enabled, secret }. An empty or missing secret keeps the stored one;
+// clearSecret: true removes it.
+app.put("/setup/api/notifications/webhooks/:id", requireSetupAuth, requireRole("admin"), requireWebhookId, audit("notify.webhook.save", (req) => ({ id: req.params.id, ...req.body })), (req, res) => {
+  try {
+    const id = req.params.id;
+    const body = req.body || {};
+    const url = String(body.url || "").trim();
+    if (!/^https?:\/\/\S+$/.test(url)) return res.status(400).json({ ok: false, error: "url must start with http(s)://" });
+    const events = Array.isArray(body.events) ? body.events.map(String) : [];
+    const unknown = events.filter((e) => !NOTIFY_EVENTS.includes(e));
+    if (unknown.length) return res.status(400).json({ ok: false, error: `Unknown event: ${unknown.join(", ")}` });
+
+    const settings = loadNotifySettings();
+    const existing = settings.webhooks.find((h) => h.id === id);
+    const hook = { id, url, events, enabled: body.enabled !== false, createdAt: existing?.createdAt || new Date().toISOString() };
+    settings.webhooks = [...settings.webhooks.filter((h) => h.id !== id), hook];
+
+    const secret = typeof body.secret === "string" ? body.secret.trim() : "";
+    if (secret || body.clearSecret === true) {
+      const store = loadSecrets();
+      if (secret) store[webhookSecretName(id)] = secret;
+      else delete store[webhookSecretName(id)];
+      saveSecrets(store);
+    }
+    saveNotifySettings(settings);
+    res.json({ ok: true, webhook: summarizeWebhook(notifyWebhooks().find((h) => h.id === id)) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.delete("/setup/api/notifications/webhooks/:id", requireSetupAuth, requireRole("admin"), requireWebhookId, audit("notify.webhook.remove", (req) => ({ id: req.params.id })), (req, res) => {
+  try {
+    const settings = loadNotifySettings();
+    if (!settings.webhooks.some((h) => h.id === req.params.id)) {
+      return res.status(404).json({ ok: false, error: "Unknown webhook" });
+    }
+    settings.webhooks = settings.webhooks.filter((h) => h.id !== req.params.id);
+    saveNotifySettings(settings);
+    const store = loadSecrets();
+    if (webhookSecretName(req.params.id) in store) {
+      delete store[webhookSecretName(req.params.id)];
+      saveSecrets(store);
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Sends a "test" event now (no throttling) and reports the first attempt.
+app.post("/setup/api/notifications/webhooks/:id/test", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const hook = notifyWebhooks().find((h) => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  const result = await deliverWebhook(hook, buildDelivery("test", "Test notification from /setup", { username: req.authUser?.username ?? null }));
+  res.json(result);
+});
+
+app.get("/setup/api/notifications/log", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const limit = Math.max(1, Math.min(500, Number.parseInt(String(req.query.limit || "100"), 10) || 100));
+  const entries = readJsonlTail(NOTIFY_LOG_PATH, 2 * 1024 * 1024).reverse().slice(0, limit);
+  res.json({ ok: true, path: NOTIFY_LOG_PATH, entries });
+});
+
 // --- Dashboard password protection ---
 // Require the same SETUP_PASSWORD for the entire Control UI dashboard,
 // not just the /setup routes.  Healthcheck is excluded so Railway probes work.
 function requireDashboardAuth(req, res, next) {
-  if (req.path === "/healthz" || req.path === "/setup/healthz") return next();
+  if (["/healthz", "/setup/healthz", "/livez", "/readyz"].includes(req.path)) return next();
   if (req.path.startsWith("/hooks")) return next(); // allow OpenClaw webhook endpoints to bypass dashboard auth
   if (!SETUP_PASSWORD) return next(); // no password configured → open
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Dashboard"');
-    return res.status(401).send("Auth required");
-  }
-  const decoded = Buffer.from(encoded, "base64").toString("utf8");
-  const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Dashboard"');
-    return res.status(401).send("Invalid password");
-  }
+  const auth = authenticateRequest(req);
+  const user = auth.user;
+  if (!user || !hasRole(user, "viewer")) return rejectUnauthenticated(req, res, "OpenClaw Dashboard", auth);
+  req.authUser = user;
   return next();
 }
 
@@ -1361,6 +6004,18 @@ function attachGatewayAuthHeader(req) {
   }
 }
 
+// The wrapper's session cookie is meaningless to the gateway; don't forward it.
+function stripSessionCookie(req) {
+  const cookie = req?.headers?.cookie;
+  if (!cookie || !cookie.includes(SESSION_COOKIE)) return;
+  const kept = cookie
+    .split(";")
+    .map((c) => c.trim())
+    .filter((c) => c && !c.startsWith(`${SESSION_COOKIE}=`));
+  if (kept.length) req.headers.cookie = kept.join("; ");
+  else delete req.headers.cookie;
+}
+
 proxy.on("proxyReqWs", (_proxyReq, req) => {
   attachGatewayAuthHeader(req);
 });
@@ -1388,6 +6043,13 @@ app.use(requireDashboardAuth, async (req, res) => {
   }
 
   attachGatewayAuthHeader(req);
+  stripSessionCookie(req);
+  const startedAt = Date.now();
+  res.once("close", () => {
+    const labels = { status_class: statusClass(res.statusCode) };
+    metricInc("openclaw_proxy_requests_total", labels);
+    metricObserve("openclaw_proxy_request_duration_seconds", labels, (Date.now() - startedAt) / 1000);
+  });
   return proxy.web(req, res, { target: GATEWAY_TARGET });
 });
 
@@ -1431,21 +6093,35 @@ const server = app.listen(PORT, "0.0.0.0", async () => {
     }
   }
 
-  // Sync gateway tokens in config with the current env var on every startup.
+  // Point the gateway tokens in config at the current env var on every startup.
   // This prevents "gateway token mismatch" when OPENCLAW_GATEWAY_TOKEN changes
-  // (e.g. Railway variable update) but the config file still has the old value.
+  // (e.g. Railway variable update) but the config file still has an old literal value.
   if (isConfigured() && OPENCLAW_GATEWAY_TOKEN) {
     console.log("[wrapper] syncing gateway tokens in config...");
     try {
       await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.mode", "token"]));
-      await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", OPENCLAW_GATEWAY_TOKEN]));
-      await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", OPENCLAW_GATEWAY_TOKEN]));
+      await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", "${OPENCLAW_GATEWAY_TOKEN}"]));
+      await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", "${OPENCLAW_GATEWAY_TOKEN}"]));
       console.log("[wrapper] gateway tokens synced");
     } catch (err) {
       console.warn(`[wrapper] failed to sync gateway tokens: ${String(err)}`);
     }
   }
 
+  // Older installs (and hand edits) have tokens and keys inline in openclaw.json.
+  if (isConfigured()) {
+    try {
+      const { moved, failed } = await migrateInlineSecrets();
+      if (moved.length) console.log(`[secrets] moved ${moved.length} inline secret(s) out of the config: ${moved.map((m) => m.path).join(", ")}`);
+      for (const f of failed) console.warn(`[secrets] could not replace ${f.path}: ${f.error}`);
+    } catch (err) {
+      console.warn(`[secrets] migration failed: ${String(err)}`);
+    }
+  }
+
+  startBackupScheduler();
+  startNotifyPoller();
+
   // Auto-start the gateway if already configured so polling channels (Telegram/Discord/etc.)
   // work even if nobody visits the web UI.
   if (isConfigured()) {
@@ -1463,11 +6139,18 @@ server.on("upgrade", async (req, socket, head) => {
   // Note: browsers cannot attach arbitrary HTTP headers (including Authorization: Basic)
   // in WebSocket handshakes. Do not enforce dashboard Basic auth at the upgrade layer.
   // The gateway authenticates at the protocol layer and we inject the gateway token below.
+  // Browsers *do* send cookies, so deployments that log in via /login can opt into
+  // requiring a valid session cookie here (WS_REQUIRE_SESSION=true).
 
   if (!isConfigured()) {
     socket.destroy();
     return;
   }
+  if (WS_REQUIRE_SESSION && SETUP_PASSWORD && !hasRole(verifySessionCookie(req), "viewer")) {
+    try { socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n"); } catch {}
+    socket.destroy();
+    return;
+  }
   try {
     await ensureGatewayRunning();
   } catch {
@@ -1475,13 +6158,20 @@ server.on("upgrade", async (req, socket, head) => {
     return;
   }
   attachGatewayAuthHeader(req);
+  stripSessionCookie(req);
+  metricInc("openclaw_proxy_websocket_upgrades_total");
+  metricInc("openclaw_proxy_websockets_active");
+  socket.once("close", () => metricInc("openclaw_proxy_websockets_active", {}, -1));
   proxy.ws(req, socket, head, { target: GATEWAY_TARGET });
 });
 
 process.on("SIGTERM", () => {
   // Best-effort shutdown
   try {
-    if (gatewayProc) gatewayProc.kill("SIGTERM");
+    if (gatewayProc) {
+      intentionallyStopped.add(gatewayProc);
+      gatewayProc.kill("SIGTERM");
+    }
   } catch {
     // ignore
   }
@@ -19,13 +19,29 @@
   var configTextEl = document.getElementById('configText');
   var configReloadEl = document.getElementById('configReload');
   var configSaveEl = document.getElementById('configSave');
+  var configValidateEl = document.getElementById('configValidate');
   var configOutEl = document.getElementById('configOut');
+  var configNoteEl = document.getElementById('configNote');
 
   // Import
   var importFileEl = document.getElementById('importFile');
   var importRunEl = document.getElementById('importRun');
   var importOutEl = document.getElementById('importOut');
 
+  // Current login (filled by loadMe). Admin-only elements are marked with data-role="admin".
+  var me = { username: '', role: 'operator' };
+
+  function isAdmin() {
+    return me.role === 'admin';
+  }
+
+  function applyRole() {
+    var adminOnly = document.querySelectorAll('[data-role="admin"]');
+    for (var i = 0; i < adminOnly.length; i++) {
+      adminOnly[i].style.display = isAdmin() ? '' : 'none';
+    }
+  }
+
   function setStatus(s) {
     statusEl.textContent = s;
   }
@@ -125,10 +141,18 @@
       }
 
       // Attempt to load config editor content if present.
-      if (configReloadEl && configTextEl) {
+      if (isAdmin() && configReloadEl && configTextEl) {
         loadConfigRaw();
       }
 
+      // Setup runs, saves, resets and imports all add a snapshot.
+      loadSnapshots();
+      loadConfigHistory();
+      loadChannels();
+      loadProviders();
+      loadSecrets();
+      loadNotifications();
+
     }).catch(function (e) {
       setStatus('Error: ' + String(e));
       if (statusDetailsEl) statusDetailsEl.textContent = '';
@@ -168,7 +192,17 @@
 
     logEl.textContent = 'Running...\n';
 
-    fetch('/setup/api/run', {
+    // Prefer the streaming endpoint so each step shows up live; fall back to the
+    // buffered JSON endpoint on browsers without fetch streaming support.
+    if (window.TextDecoder && window.ReadableStream) {
+      runSetupStream(payload);
+    } else {
+      runSetupBuffered(payload);
+    }
+  };
+
+  function runSetupBuffered(payload) {
+    return fetch('/setup/api/run', {
       method: 'POST',
       credentials: 'same-origin',
       headers: { 'content-type': 'application/json' },
@@ -183,7 +217,83 @@
     }).catch(function (e) {
       logEl.textContent += '\nError: ' + String(e) + '\n';
     });
-  };
+  }
+
+  function appendLog(text) {
+    logEl.textContent += text;
+    logEl.scrollTop = logEl.scrollHeight;
+  }
+
+  function handleSetupEvent(name, data) {
+    if (name === 'step') {
+      appendLog('\n[' + data.step + ']\n');
+    } else if (name === 'line') {
+      appendLog(data.line + '\n');
+    } else if (name === 'step-end') {
+      appendLog('[' + data.step + '] exit=' + data.code + '\n');
+    } else if (name === 'done') {
+      if (data.error) appendLog('\nError: ' + data.error + '\n');
+      appendLog(data.ok ? '\nSetup finished.\n' : '\nSetup failed (HTTP ' + data.status + ').\n');
+    }
+  }
+
+  // Parse one SSE frame ("event: x\ndata: {...}") and dispatch it.
+  function handleSseFrame(frame) {
+    var name = 'message';
+    var data = '';
+    var lines = frame.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i];
+      if (line.indexOf('event:') === 0) name = line.slice(6).trim();
+      else if (line.indexOf('data:') === 0) data += line.slice(5).trim();
+    }
+    if (!data) return;
+    try {
+      handleSetupEvent(name, JSON.parse(data));
+    } catch (_e) {
+      appendLog(data + '\n');
+    }
+  }
+
+  function runSetupStream(payload) {
+    return fetch('/setup/api/run/stream', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload)
+    }).then(function (res) {
+      if (!res.ok || !res.body || !res.body.getReader) {
+        return res.text().then(function (t) {
+          throw new Error('HTTP ' + res.status + ': ' + (t || res.statusText));
+        });
+      }
+      var reader = res.body.getReader();
+      var decoder = new TextDecoder();
+      var buf = '';
+
+      function pump() {
+        return reader.read().then(function (r) {
+          if (r.done) {
+            if (buf.trim()) handleSseFrame(buf);
+            return;
+          }
+          buf += decoder.decode(r.value, { stream: true });
+          var idx;
+          while ((idx = buf.indexOf('\n\n')) !== -1) {
+            handleSseFrame(buf.slice(0, idx));
+            buf = buf.slice(idx + 2);
+          }
+          return pump();
+        });
+      }
+
+      return pump();
+    }).then(function () {
+      return refreshStatus();
+    }).catch(function (e) {
+      appendLog('\nError: ' + String(e) + '\n');
+    });
+  }
 
   // Debug console runner
   function runConsole() {
@@ -214,7 +324,8 @@
     if (configOutEl) configOutEl.textContent = '';
     return httpJson('/setup/api/config/raw').then(function (j) {
       if (configPathEl) {
-        configPathEl.textContent = 'Config file: ' + (j.path || '(unknown)') + (j.exists ? '' : ' (does not exist yet)');
+        configPathEl.textContent = 'Config file: ' + (j.path || '(unknown)') + (j.exists ? '' : ' (does not exist yet)') +
+          (j.masked ? ' | ' + j.masked + ' secret value(s) masked; leave the [REDACTED:...] placeholders as they are to keep them' : '');
       }
       configTextEl.value = j.content || '';
     }).catch(function (e) {
@@ -222,17 +333,84 @@
     });
   }
 
-  function saveConfigRaw() {
-    if (!configTextEl) return;
-    if (!confirm('Save config and restart gateway? A timestamped .bak backup will be created.')) return;
-    if (configOutEl) configOutEl.textContent = 'Saving...\n';
-    return httpJson('/setup/api/config/raw', {
+  // Put the caret on a JSON5 syntax error reported by the server.
+  function selectConfigPosition(line, column) {
+    if (!configTextEl || !line) return;
+    var lines = configTextEl.value.split('\n');
+    var offset = 0;
+    for (var i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+    offset += Math.max(0, (column || 1) - 1);
+    configTextEl.focus();
+    try { configTextEl.setSelectionRange(offset, offset); } catch (_e) {}
+  }
+
+  function formatConfigChecks(checks) {
+    var out = '';
+    for (var i = 0; i < (checks || []).length; i++) {
+      var c = checks[i];
+      out += '\n[' + (c.ok ? 'ok' : 'failed') + '] openclaw ' + c.step + '\n' + (c.output || '');
+    }
+    return out;
+  }
+
+  function validateConfigRaw(doctor) {
+    return httpJson('/setup/api/config/validate', {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ content: configTextEl.value })
+      body: JSON.stringify({ content: configTextEl.value, doctor: Boolean(doctor) })
     }).then(function (j) {
-      if (configOutEl) configOutEl.textContent = 'Saved: ' + (j.path || '') + '\nGateway restarted.\n';
-      return refreshStatus();
+      var out = '';
+      if (j.error) {
+        out += 'Syntax error: ' + j.error.message + '\n';
+        selectConfigPosition(j.error.line, j.error.column);
+      } else {
+        out += (j.valid ? 'Config is valid.' : 'openclaw rejected the config.') + '\n';
+      }
+      out += formatConfigChecks(j.checks);
+      out += '\n' + (j.changed ? j.diff : '(no changes against the file on disk)\n');
+      if (configOutEl) configOutEl.textContent = out;
+      return j;
+    });
+  }
+
+  function runConfigValidate() {
+    if (!configTextEl) return;
+    if (configOutEl) configOutEl.textContent = 'Validating (config + doctor)...\n';
+    return validateConfigRaw(true).catch(function (e) {
+      if (configOutEl) configOutEl.textContent += '\nError: ' + String(e) + '\n';
+    });
+  }
+
+  function saveConfigRaw() {
+    if (!configTextEl) return;
+    if (configOutEl) configOutEl.textContent = 'Validating...\n';
+    return validateConfigRaw(false).then(function (j) {
+      if (!j.valid) return;
+      if (!j.changed) return;
+      if (!confirm('Save the changes shown below and restart the gateway? A timestamped .bak backup will be created.')) return;
+      if (configOutEl) configOutEl.textContent = 'Saving...\n';
+      return fetch('/setup/api/config/raw', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ content: configTextEl.value, note: configNoteEl ? configNoteEl.value : '' })
+      }).then(function (res) {
+        return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+      }).then(function (r) {
+        if (r.ok) {
+          if (configOutEl) configOutEl.textContent = 'Saved: ' + (r.path || '') + '\nGateway restarted.\n';
+          if (configNoteEl) configNoteEl.value = '';
+        } else if (r.rolledBack) {
+          if (configOutEl) {
+            configOutEl.textContent = 'The gateway did not come back with the new config: ' + (r.error || '') +
+              '\nRolled back to ' + r.backupPath + (r.rollbackError ? '\nRollback restart failed: ' + r.rollbackError : '') + '\n';
+          }
+        } else {
+          if (configOutEl) configOutEl.textContent = 'Error: ' + (r.error || 'save failed') + formatConfigChecks(r.checks) + '\n';
+          selectConfigPosition(r.line, r.column);
+        }
+        return refreshStatus();
+      });
     }).catch(function (e) {
       if (configOutEl) configOutEl.textContent += '\nError: ' + String(e) + '\n';
     });
@@ -240,8 +418,1217 @@
 
   if (configReloadEl) configReloadEl.onclick = loadConfigRaw;
   if (configSaveEl) configSaveEl.onclick = saveConfigRaw;
+  if (configValidateEl) configValidateEl.onclick = runConfigValidate;
+
+  // Gateway log viewer
+  var logsFilterEl = document.getElementById('logsFilter');
+  var logsTailEl = document.getElementById('logsTail');
+  var logsRefreshEl = document.getElementById('logsRefresh');
+  var logsFollowEl = document.getElementById('logsFollow');
+  var logsOutEl = document.getElementById('logsOut');
+  var logsCursor = null;
+  var logsTimer = null;
+
+  function formatLogEntries(entries) {
+    var out = '';
+    for (var i = 0; i < entries.length; i++) {
+      var e = entries[i];
+      out += e.ts + ' [' + e.stream + '] ' + e.line + '\n';
+    }
+    return out;
+  }
+
+  function logsQuery() {
+    var q = logsFilterEl ? logsFilterEl.value.trim() : '';
+    var qs = 'tail=' + encodeURIComponent(logsTailEl ? logsTailEl.value : '200');
+    if (q) qs += '&q=' + encodeURIComponent(q);
+    return qs;
+  }
+
+  function loadLogs() {
+    if (!logsOutEl) return;
+    return httpJson('/setup/api/logs?' + logsQuery()).then(function (j) {
+      logsCursor = j.cursor;
+      logsOutEl.textContent = formatLogEntries(j.entries || []) || '(no gateway output captured yet)';
+      logsOutEl.scrollTop = logsOutEl.scrollHeight;
+    }).catch(function (e) {
+      logsOutEl.textContent = 'Error loading logs: ' + String(e);
+    });
+  }
+
+  function pollLogs() {
+    if (!logsOutEl || logsCursor === null) return loadLogs();
+    return httpJson('/setup/api/logs?' + logsQuery() + '&after=' + encodeURIComponent(logsCursor)).then(function (j) {
+      logsCursor = j.cursor;
+      var entries = j.entries || [];
+      if (!entries.length) return;
+      var atBottom = logsOutEl.scrollTop + logsOutEl.clientHeight >= logsOutEl.scrollHeight - 10;
+      if (logsOutEl.textContent === '(no gateway output captured yet)') logsOutEl.textContent = '';
+      logsOutEl.textContent += formatLogEntries(entries);
+      if (atBottom) logsOutEl.scrollTop = logsOutEl.scrollHeight;
+    }).catch(function (e) {
+      console.warn('[setup] log poll failed:', e);
+    });
+  }
+
+  function setLogsFollow(on) {
+    if (logsTimer) clearInterval(logsTimer);
+    logsTimer = null;
+    if (on) logsTimer = setInterval(pollLogs, 2000);
+  }
+
+  if (logsRefreshEl) logsRefreshEl.onclick = loadLogs;
+  if (logsTailEl) logsTailEl.onchange = loadLogs;
+  if (logsFilterEl) {
+    logsFilterEl.onkeydown = function (ev) {
+      if (ev.key === 'Enter') loadLogs();
+    };
+  }
+  if (logsFollowEl) {
+    logsFollowEl.onchange = function () { setLogsFollow(logsFollowEl.checked); };
+  }
+
+  // Users (admin)
+  var usersListEl = document.getElementById('usersList');
+  var usersOutEl = document.getElementById('usersOut');
+  var userNameEl = document.getElementById('userName');
+  var userPasswordEl = document.getElementById('userPassword');
+  var userRoleEl = document.getElementById('userRole');
+  var userSaveEl = document.getElementById('userSave');
+
+  function deleteUser(username) {
+    if (!confirm('Delete user ' + username + '?')) return;
+    return httpJson('/setup/api/users/' + encodeURIComponent(username), { method: 'DELETE' }).then(function () {
+      if (usersOutEl) usersOutEl.textContent = 'Deleted ' + username + '.';
+      return loadUsers();
+    }).catch(function (e) {
+      if (usersOutEl) usersOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function loadUsers() {
+    if (!usersListEl || !isAdmin()) return;
+    return httpJson('/setup/api/users').then(function (j) {
+      var users = j.users || [];
+      if (!users.length) {
+        usersListEl.textContent = 'No named users yet (only SETUP_PASSWORD can log in).';
+        return;
+      }
+      usersListEl.innerHTML = '';
+      for (var i = 0; i < users.length; i++) {
+        (function (u) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var code = document.createElement('code');
+          code.textContent = u.username;
+          var role = document.createElement('span');
+          role.textContent = ' ' + u.role + ' ';
+          var edit = document.createElement('button');
+          edit.textContent = 'Edit';
+          edit.style.background = '#1f2937';
+          edit.style.padding = '0.3rem 0.6rem';
+          edit.onclick = function () {
+            userNameEl.value = u.username;
+            userRoleEl.value = u.role;
+            userPasswordEl.value = '';
+          };
+          var del = document.createElement('button');
+          del.textContent = 'Delete';
+          del.style.background = '#7c2d12';
+          del.style.padding = '0.3rem 0.6rem';
+          del.style.marginLeft = '0.25rem';
+          del.onclick = function () { deleteUser(u.username); };
+          row.appendChild(code);
+          row.appendChild(role);
+          row.appendChild(edit);
+          row.appendChild(del);
+          usersListEl.appendChild(row);
+        })(users[i]);
+      }
+    }).catch(function (e) {
+      usersListEl.textContent = 'Error loading users: ' + String(e);
+    });
+  }
+
+  function saveUser() {
+    var username = userNameEl.value.trim();
+    if (!username) {
+      alert('Enter a username');
+      return;
+    }
+    if (usersOutEl) usersOutEl.textContent = 'Saving ' + username + '...';
+    return httpJson('/setup/api/users', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username: username, password: userPasswordEl.value, role: userRoleEl.value })
+    }).then(function (j) {
+      if (usersOutEl) usersOutEl.textContent = (j.created ? 'Created ' : 'Updated ') + username + ' (' + j.user.role + ').';
+      userPasswordEl.value = '';
+      return loadUsers();
+    }).catch(function (e) {
+      if (usersOutEl) usersOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (userSaveEl) userSaveEl.onclick = saveUser;
+
+  function formatWarnings(warnings) {
+    var out = '';
+    for (var i = 0; i < (warnings || []).length; i++) out += 'warning: ' + warnings[i] + '\n';
+    return out;
+  }
+
+  // Scheduled backups (admin)
+  var backupsListEl = document.getElementById('backupsList');
+  var backupsStatusEl = document.getElementById('backupsStatus');
+  var backupsOutEl = document.getElementById('backupsOut');
+  var backupIntervalEl = document.getElementById('backupInterval');
+  var backupKeepDailyEl = document.getElementById('backupKeepDaily');
+  var backupKeepWeeklyEl = document.getElementById('backupKeepWeekly');
+  var backupRestorePassphraseEl = document.getElementById('backupRestorePassphrase');
+
+  function formatBackupResult(label, r) {
+    if (!r) return label + ': never';
+    return label + ': ' + r.at + ' ' + (r.ok ? 'ok (' + r.name + ')' : 'FAILED: ' + r.error);
+  }
+
+  function backupAction(name, action) {
+    var url = '/setup/api/backups/' + encodeURIComponent(name);
+    var method = 'POST';
+    var question = 'Restore ' + name + '? This overwrites files under /data and restarts the gateway.';
+    var busy = 'Restoring ';
+    if (action === 'restore') url += '/restore';
+    if (action === 'restore-remote') url = '/setup/api/backups/remote/' + encodeURIComponent(name) + '/restore';
+    if (action === 'upload') {
+      url += '/upload';
+      question = 'Upload ' + name + ' to the off-site bucket?';
+      busy = 'Uploading ';
+    }
+    if (action === 'delete') {
+      method = 'DELETE';
+      question = 'Delete ' + name + '?';
+      busy = 'Deleting ';
+    }
+    // Without a passphrase the server tries BACKUP_PASSPHRASE and says so if that does not work.
+    var passphrase = '';
+    if (/\.enc$/.test(name) && (action === 'restore' || action === 'restore-remote')) {
+      passphrase = backupRestorePassphraseEl ? backupRestorePassphraseEl.value : '';
+    }
+    if (!confirm(question)) return;
+    var opts = { method: method };
+    if (passphrase) {
+      opts.headers = { 'content-type': 'application/json' };
+      opts.body = JSON.stringify({ passphrase: passphrase });
+      backupRestorePassphraseEl.value = '';
+    }
+    if (backupsOutEl) backupsOutEl.textContent = busy + name + '...';
+    return httpJson(url, opts).then(function (j) {
+      var done = j.output ? j.output + formatWarnings(j.warnings) : (action === 'upload' ? 'Uploaded ' + name + '.' : 'Deleted ' + name + '.');
+      if (backupsOutEl) backupsOutEl.textContent = done;
+      if (action === 'restore' || action === 'restore-remote') refreshStatus();
+      return loadBackups();
+    }).catch(function (e) {
+      if (backupsOutEl) backupsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function loadBackups() {
+    if (!backupsListEl || !isAdmin()) return;
+    var offsite = null;
+    return httpJson('/setup/api/backups').then(function (j) {
+      var dirEl = document.getElementById('backupsDir');
+      if (dirEl) dirEl.textContent = j.dir;
+      offsite = j.offsite;
+      var remoteEl = document.getElementById('backupsRemote');
+      if (remoteEl) remoteEl.style.display = offsite ? 'block' : 'none';
+      var whereEl = document.getElementById('backupsRemoteWhere');
+      if (whereEl && offsite) whereEl.textContent = 's3://' + offsite.bucket + '/' + offsite.prefix;
+      if (backupIntervalEl) backupIntervalEl.value = j.settings.intervalHours;
+      if (backupKeepDailyEl) backupKeepDailyEl.value = j.settings.keepDaily;
+      if (backupKeepWeeklyEl) backupKeepWeeklyEl.value = j.settings.keepWeekly;
+      if (backupsStatusEl) {
+        backupsStatusEl.textContent = (j.status.running ? 'Backup running... ' : '') +
+          formatBackupResult('Last scheduled', j.status.lastScheduled) + ' | ' +
+          formatBackupResult('last manual', j.status.lastManual) +
+          (j.encrypted ? ' | encrypted with BACKUP_PASSPHRASE' : '');
+      }
+      var backups = j.backups || [];
+      if (!backups.length) {
+        backupsListEl.textContent = 'No backups yet.';
+        return;
+      }
+      backupsListEl.innerHTML = '';
+      for (var i = 0; i < backups.length; i++) {
+        (function (b) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var link = document.createElement('a');
+          link.href = '/setup/api/backups/' + encodeURIComponent(b.name) + '/download';
+          link.textContent = b.name;
+          var info = document.createElement('span');
+          info.textContent = ' ' + Math.ceil(b.bytes / 1024) + ' KiB ';
+          var restore = document.createElement('button');
+          restore.textContent = 'Restore';
+          restore.style.background = '#7c2d12';
+          restore.style.padding = '0.3rem 0.6rem';
+          restore.onclick = function () { backupAction(b.name, 'restore'); };
+          var del = document.createElement('button');
+          del.textContent = 'Delete';
+          del.style.background = '#1f2937';
+          del.style.padding = '0.3rem 0.6rem';
+          del.style.marginLeft = '0.25rem';
+          del.onclick = function () { backupAction(b.name, 'delete'); };
+          row.appendChild(link);
+          row.appendChild(info);
+          row.appendChild(restore);
+          row.appendChild(del);
+          if (offsite) {
+            var upload = document.createElement('button');
+            upload.textContent = 'Upload';
+            upload.style.background = '#1f2937';
+            upload.style.padding = '0.3rem 0.6rem';
+            upload.style.marginLeft = '0.25rem';
+            upload.onclick = function () { backupAction(b.name, 'upload'); };
+            row.appendChild(upload);
+          }
+          backupsListEl.appendChild(row);
+        })(backups[i]);
+      }
+    }).catch(function (e) {
+      backupsListEl.textContent = 'Error loading backups: ' + String(e);
+    }).then(function () {
+      if (offsite) return loadRemoteBackups();
+    });
+  }
+
+  function loadRemoteBackups() {
+    var listEl = document.getElementById('backupsRemoteList');
+    if (!listEl) return;
+    listEl.textContent = 'Loading...';
+    return httpJson('/setup/api/backups/remote').then(function (j) {
+      var backups = j.backups || [];
+      if (j.lastUpload) {
+        listEl.textContent = 'Last upload: ' + j.lastUpload.at + ' ' + (j.lastUpload.ok ? 'ok' : 'FAILED: ' + j.lastUpload.error);
+      } else {
+        listEl.textContent = backups.length ? '' : 'No off-site backups yet.';
+      }
+      for (var i = 0; i < backups.length; i++) {
+        (function (b) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var name = document.createElement('code');
+          name.textContent = b.name;
+          var info = document.createElement('span');
+          info.textContent = ' ' + Math.ceil(b.bytes / 1024) + ' KiB ';
+          var restore = document.createElement('button');
+          restore.textContent = 'Restore';
+          restore.style.background = '#7c2d12';
+          restore.style.padding = '0.3rem 0.6rem';
+          restore.onclick = function () { backupAction(b.name, 'restore-remote'); };
+          row.appendChild(name);
+          row.appendChild(info);
+          row.appendChild(restore);
+          listEl.appendChild(row);
+        })(backups[i]);
+      }
+    }).catch(function (e) {
+      listEl.textContent = 'Error listing off-site backups: ' + String(e);
+    });
+  }
+
+  var backupNowEl = document.getElementById('backupNow');
+  if (backupNowEl) {
+    backupNowEl.onclick = function () {
+      if (backupsOutEl) backupsOutEl.textContent = 'Writing backup...';
+      httpJson('/setup/api/backups', { method: 'POST' }).then(function (j) {
+        if (backupsOutEl) backupsOutEl.textContent = 'Wrote ' + j.backup.name + ' (' + j.backup.bytes + ' bytes).';
+        return loadBackups();
+      }).catch(function (e) {
+        if (backupsOutEl) backupsOutEl.textContent = 'Error: ' + String(e);
+      });
+    };
+  }
+
+  var backupSettingsSaveEl = document.getElementById('backupSettingsSave');
+  if (backupSettingsSaveEl) {
+    backupSettingsSaveEl.onclick = function () {
+      httpJson('/setup/api/backups/settings', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          intervalHours: Number(backupIntervalEl.value),
+          keepDaily: Number(backupKeepDailyEl.value),
+          keepWeekly: Number(backupKeepWeeklyEl.value)
+        })
+      }).then(function (j) {
+        if (backupsOutEl) {
+          backupsOutEl.textContent = 'Saved.' + (j.pruned && j.pruned.length ? ' Pruned ' + j.pruned.length + ' old backup(s).' : '');
+        }
+        return loadBackups();
+      }).catch(function (e) {
+        if (backupsOutEl) backupsOutEl.textContent = 'Error: ' + String(e);
+      });
+    };
+  }
+
+  // Restore previous state (admin)
+  var snapshotsListEl = document.getElementById('snapshotsList');
+  var snapshotsOutEl = document.getElementById('snapshotsOut');
+
+  function restoreSnapshot(snap) {
+    if (!confirm('Restore config and credentials from before ' + snap.action + ' (' + snap.createdAt + ')? The gateway restarts.')) return;
+    if (snapshotsOutEl) snapshotsOutEl.textContent = 'Restoring...';
+    return httpJson('/setup/api/snapshots/' + encodeURIComponent(snap.id) + '/restore', { method: 'POST' }).then(function (j) {
+      if (snapshotsOutEl) snapshotsOutEl.textContent = j.output;
+      return refreshStatus();
+    }).catch(function (e) {
+      if (snapshotsOutEl) snapshotsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function loadSnapshots() {
+    if (!snapshotsListEl || !isAdmin()) return;
+    return httpJson('/setup/api/snapshots').then(function (j) {
+      var snaps = j.snapshots || [];
+      if (!snaps.length) {
+        snapshotsListEl.textContent = 'No snapshots yet.';
+        return;
+      }
+      snapshotsListEl.innerHTML = '';
+      for (var i = 0; i < snaps.length; i++) {
+        (function (snap) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var label = document.createElement('span');
+          label.textContent = snap.createdAt + ' - before ' + snap.action + (snap.username ? ' by ' + snap.username : '') +
+            ' (' + snap.files + ' files' + (snap.hasConfig ? '' : ', no config') + ') ';
+          var btn = document.createElement('button');
+          btn.textContent = 'Restore';
+          btn.style.background = '#7c2d12';
+          btn.style.padding = '0.3rem 0.6rem';
+          btn.onclick = function () { restoreSnapshot(snap); };
+          row.appendChild(label);
+          row.appendChild(btn);
+          snapshotsListEl.appendChild(row);
+        })(snaps[i]);
+      }
+    }).catch(function (e) {
+      snapshotsListEl.textContent = 'Error loading snapshots: ' + String(e);
+    });
+  }
+
+  // Config history (admin)
+  var configHistoryCurrentEl = document.getElementById('configHistoryCurrent');
+  var configHistoryListEl = document.getElementById('configHistoryList');
+  var configHistoryFromEl = document.getElementById('configHistoryFrom');
+  var configHistoryToEl = document.getElementById('configHistoryTo');
+  var configHistoryKeepEl = document.getElementById('configHistoryKeep');
+  var configHistoryMaxAgeEl = document.getElementById('configHistoryMaxAge');
+  var configHistoryOutEl = document.getElementById('configHistoryOut');
+
+  function describeConfigVersion(v) {
+    return v.createdAt + (v.note ? ' - ' + v.note : '') + (v.username ? ' (saved by ' + v.username + ')' : '');
+  }
+
+  function fillVersionSelect(sel, versions, selected) {
+    if (!sel) return;
+    sel.innerHTML = '';
+    var opts = [{ id: 'current', label: 'current file' }];
+    for (var i = 0; i < versions.length; i++) opts.push({ id: versions[i].id, label: describeConfigVersion(versions[i]) });
+    for (var k = 0; k < opts.length; k++) {
+      var opt = document.createElement('option');
+      opt.value = opts[k].id;
+      opt.textContent = opts[k].label;
+      if (opts[k].id === selected) opt.selected = true;
+      sel.appendChild(opt);
+    }
+  }
+
+  function showConfigDiff(from, to) {
+    if (configHistoryOutEl) configHistoryOutEl.textContent = 'Loading diff...';
+    return httpJson('/setup/api/config/history/diff?from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to)).then(function (j) {
+      if (configHistoryOutEl) configHistoryOutEl.textContent = j.changed ? j.diff : 'No differences.';
+    }).catch(function (e) {
+      if (configHistoryOutEl) configHistoryOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function restoreConfigVersion(v) {
+    if (!confirm('Restore the config from ' + v.createdAt + ' and restart the gateway? The current file is kept as a new version.')) return;
+    if (configHistoryOutEl) configHistoryOutEl.textContent = 'Restoring...';
+    return fetch('/setup/api/config/history/' + encodeURIComponent(v.id) + '/restore', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({})
+    }).then(function (res) {
+      return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+    }).then(function (r) {
+      var out = r.ok ? 'Restored ' + v.id + '. Gateway restarted.' : 'Error: ' + (r.error || 'restore failed');
+      if (r.rolledBack) out += '\nThe gateway did not come back; rolled back to ' + r.backupPath;
+      if (configHistoryOutEl) configHistoryOutEl.textContent = out + formatConfigChecks(r.checks);
+      return refreshStatus();
+    }).catch(function (e) {
+      if (configHistoryOutEl) configHistoryOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function loadConfigHistory() {
+    if (!configHistoryListEl || !isAdmin()) return;
+    return httpJson('/setup/api/config/history').then(function (j) {
+      var cur = j.current || {};
+      if (configHistoryCurrentEl) {
+        configHistoryCurrentEl.textContent = 'Current: ' + (cur.exists ? (cur.savedAt ? 'saved ' + cur.savedAt + (cur.username ? ' by ' + cur.username : '') + (cur.note ? ' - ' + cur.note : '') : 'not saved from the editor') : 'no config file');
+      }
+      if (configHistoryKeepEl && configHistoryKeepEl.value === '') configHistoryKeepEl.value = j.policy.keep;
+      if (configHistoryMaxAgeEl && configHistoryMaxAgeEl.value === '') configHistoryMaxAgeEl.value = j.policy.maxAgeDays;
+      var versions = j.versions || [];
+      fillVersionSelect(configHistoryFromEl, versions, versions.length ? versions[0].id : 'current');
+      fillVersionSelect(configHistoryToEl, versions, 'current');
+      if (!versions.length) {
+        configHistoryListEl.textContent = 'No earlier versions yet.';
+        return;
+      }
+      configHistoryListEl.innerHTML = '';
+      for (var i = 0; i < versions.length; i++) {
+        (function (v) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var label = document.createElement('span');
+          label.textContent = describeConfigVersion(v) + ' (' + v.bytes + ' bytes) ';
+          var diffBtn = document.createElement('button');
+          diffBtn.textContent = 'Diff vs current';
+          diffBtn.style.background = '#1f2937';
+          diffBtn.style.padding = '0.3rem 0.6rem';
+          diffBtn.onclick = function () { showConfigDiff(v.id, 'current'); };
+          var restoreBtn = document.createElement('button');
+          restoreBtn.textContent = 'Restore';
+          restoreBtn.style.background = '#7c2d12';
+          restoreBtn.style.padding = '0.3rem 0.6rem';
+          restoreBtn.style.marginLeft = '0.5rem';
+          restoreBtn.onclick = function () { restoreConfigVersion(v); };
+          row.appendChild(label);
+          row.appendChild(diffBtn);
+          row.appendChild(restoreBtn);
+          configHistoryListEl.appendChild(row);
+        })(versions[i]);
+      }
+    }).catch(function (e) {
+      configHistoryListEl.textContent = 'Error loading config history: ' + String(e);
+    });
+  }
+
+  function pruneConfigHistory() {
+    var keep = configHistoryKeepEl ? configHistoryKeepEl.value : '';
+    var maxAgeDays = configHistoryMaxAgeEl ? configHistoryMaxAgeEl.value : '';
+    if (!confirm('Delete config versions beyond the newest ' + keep + (Number(maxAgeDays) > 0 ? ' or older than ' + maxAgeDays + ' days' : '') + '?')) return;
+    return httpJson('/setup/api/config/history/prune', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ keep: keep, maxAgeDays: maxAgeDays })
+    }).then(function (j) {
+      if (configHistoryOutEl) configHistoryOutEl.textContent = 'Removed ' + j.removed.length + ' version(s).';
+      return loadConfigHistory();
+    }).catch(function (e) {
+      if (configHistoryOutEl) configHistoryOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var configHistoryRefreshEl = document.getElementById('configHistoryRefresh');
+  var configHistoryDiffEl = document.getElementById('configHistoryDiff');
+  var configHistoryPruneEl = document.getElementById('configHistoryPrune');
+  if (configHistoryRefreshEl) configHistoryRefreshEl.onclick = loadConfigHistory;
+  if (configHistoryPruneEl) configHistoryPruneEl.onclick = pruneConfigHistory;
+  if (configHistoryDiffEl) {
+    configHistoryDiffEl.onclick = function () {
+      showConfigDiff(configHistoryFromEl.value, configHistoryToEl.value);
+    };
+  }
+
+  // Provider key test + custom provider model discovery
+  var authTestKeyEl = document.getElementById('authTestKey');
+  var authTestOutEl = document.getElementById('authTestOut');
+  var customListModelsEl = document.getElementById('customProviderListModels');
+  var customModelSelectEl = document.getElementById('customProviderModelSelect');
+  var customModelsOutEl = document.getElementById('customProviderModelsOut');
+
+  function testAuthKey() {
+    if (!authTestOutEl) return;
+    authTestOutEl.textContent = 'Testing key...';
+    return httpJson('/setup/api/providers/test-key', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ authChoice: authChoiceEl.value, authSecret: document.getElementById('authSecret').value })
+    }).then(function (j) {
+      if (!j.ok) {
+        authTestOutEl.textContent = (j.provider ? j.provider + ': ' : '') + j.error;
+        return;
+      }
+      var models = j.models || [];
+      authTestOutEl.textContent = j.provider + ': key works' + (j.label ? ' (' + j.label + ')' : '') +
+        (models.length ? '. ' + models.length + ' models available: ' + models.slice(0, 20).join(', ') + (models.length > 20 ? ', ...' : '') : '.');
+    }).catch(function (e) {
+      authTestOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function listCustomModels() {
+    if (!customModelsOutEl) return;
+    customModelsOutEl.textContent = 'Loading models...';
+    return httpJson('/setup/api/providers/custom/models', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        baseUrl: document.getElementById('customProviderBaseUrl').value,
+        apiKeyEnv: document.getElementById('customProviderApiKeyEnv').value
+      })
+    }).then(function (j) {
+      if (!j.ok) {
+        customModelsOutEl.textContent = j.error;
+        return;
+      }
+      var models = j.models || [];
+      customModelsOutEl.textContent = models.length ? models.length + ' models found; pick one to fill in the model id.' : 'The endpoint returned no models.';
+      customModelSelectEl.innerHTML = '';
+      var first = document.createElement('option');
+      first.value = '';
+      first.textContent = '(pick a model)';
+      customModelSelectEl.appendChild(first);
+      for (var i = 0; i < models.length; i++) {
+        var opt = document.createElement('option');
+        opt.value = models[i];
+        opt.textContent = models[i];
+        customModelSelectEl.appendChild(opt);
+      }
+      customModelSelectEl.style.display = models.length ? '' : 'none';
+    }).catch(function (e) {
+      customModelsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (authTestKeyEl) authTestKeyEl.onclick = testAuthKey;
+  if (customListModelsEl) customListModelsEl.onclick = listCustomModels;
+  if (customModelSelectEl) {
+    customModelSelectEl.onchange = function () {
+      if (customModelSelectEl.value) document.getElementById('customProviderModelId').value = customModelSelectEl.value;
+    };
+  }
+
+  // Channel management (admin)
+  var channelsManageEl = document.getElementById('channelsManage');
+  var CHANNEL_LABELS = { telegram: 'Telegram', discord: 'Discord', slack: 'Slack' };
+  var CHANNEL_FIELD_LABELS = { dmPolicy: 'DM policy', groupPolicy: 'Group policy', streamMode: 'Stream mode', allowFrom: 'Allowed senders (comma-separated)' };
+
+  function describeChannel(ch) {
+    if (!ch.configured) return 'Not configured';
+    var tokens = [];
+    for (var key in ch.secrets) tokens.push(key + (ch.secrets[key] ? ' set' : ' missing'));
+    return (ch.enabled ? 'Enabled' : 'Disabled') + ' - ' + tokens.join(', ');
+  }
+
+  function channelSave(ch, form, out) {
+    var body = { enabled: form.enabled.checked };
+    for (var key in form.secrets) {
+      if (form.secrets[key].value) body[key] = form.secrets[key].value;
+    }
+    for (var field in form.fields) body[field] = form.fields[field].value;
+    if (form.skipCheck.checked) body.skipValidation = true;
+    out.textContent = 'Checking tokens, saving ' + ch.name + ' and restarting the gateway...';
+    return channelRequest('PUT', ch.name, body, out);
+  }
+
+  function channelTest(ch, form, out) {
+    var body = {};
+    for (var key in form.secrets) {
+      if (form.secrets[key].value) body[key] = form.secrets[key].value;
+    }
+    out.textContent = 'Checking ' + ch.name + ' tokens...';
+    return fetch('/setup/api/channels/' + encodeURIComponent(ch.name) + '/validate', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (res) {
+      return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+    }).then(function (r) {
+      out.textContent = r.output || ('Error: ' + (r.error || 'check failed'));
+    }).catch(function (e) {
+      out.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function channelRemove(ch, out) {
+    if (!confirm('Remove the ' + CHANNEL_LABELS[ch.name] + ' channel (including its token) and restart the gateway?')) return;
+    out.textContent = 'Removing ' + ch.name + '...';
+    return channelRequest('DELETE', ch.name, null, out);
+  }
+
+  function channelRequest(method, name, body, out) {
+    var opts = { method: method, credentials: 'same-origin', headers: { 'content-type': 'application/json' } };
+    if (body) opts.body = JSON.stringify(body);
+    return fetch('/setup/api/channels/' + encodeURIComponent(name), opts).then(function (res) {
+      return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+    }).then(function (r) {
+      var text = r.ok ? 'Saved. Gateway ' + (r.gatewayReady === null ? 'not running (not configured).' : 'restarted.') : 'Error: ' + (r.error || 'request failed');
+      if (r.rolledBack) text += '\nThe gateway did not come back; rolled back to ' + r.backupPath;
+      var checks = (r.credentials && r.credentials.results) || [];
+      for (var c = 0; c < checks.length; c++) {
+        var id = checks[c].identity || {};
+        text += '\n[' + checks[c].field + '] ' + (checks[c].ok ? 'token ok' + (id.username ? ' (@' + id.username + ')' : '') : checks[c].error);
+      }
+      var steps = r.steps || [];
+      for (var i = 0; i < steps.length; i++) text += '\n[' + steps[i].step + '] exit=' + steps[i].code + '\n' + (steps[i].output || '');
+      return loadChannels().then(function () {
+        var fresh = document.getElementById('channelOut-' + name);
+        if (fresh) fresh.textContent = text;
+      });
+    }).catch(function (e) {
+      out.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function renderChannel(ch, values) {
+    var box = document.createElement('div');
+    box.style.borderTop = '1px solid #eee';
+    box.style.marginTop = '0.75rem';
+    box.style.paddingTop = '0.5rem';
+    var title = document.createElement('strong');
+    title.textContent = CHANNEL_LABELS[ch.name] || ch.name;
+    var status = document.createElement('span');
+    status.textContent = ' ' + describeChannel(ch);
+    box.appendChild(title);
+    box.appendChild(status);
+
+    var form = { secrets: {}, fields: {} };
+    var enabledLabel = document.createElement('label');
+    form.enabled = document.createElement('input');
+    form.enabled.type = 'checkbox';
+    form.enabled.style.width = 'auto';
+    form.enabled.checked = ch.configured ? ch.enabled : true;
+    enabledLabel.appendChild(form.enabled);
+    enabledLabel.appendChild(document.createTextNode(' Enabled'));
+    box.appendChild(enabledLabel);
+
+    for (var key in ch.secrets) {
+      var secretLabel = document.createElement('label');
+      secretLabel.textContent = key;
+      var secretInput = document.createElement('input');
+      secretInput.type = 'password';
+      secretInput.autocomplete = 'off';
+      secretInput.placeholder = ch.secrets[key] ? '(set - leave blank to keep)' : '';
+      form.secrets[key] = secretInput;
+      box.appendChild(secretLabel);
+      box.appendChild(secretInput);
+    }
+
+    for (var i = 0; i < ch.fields.length; i++) {
+      var field = ch.fields[i];
+      var fieldLabel = document.createElement('label');
+      fieldLabel.textContent = CHANNEL_FIELD_LABELS[field] || field;
+      var input;
+      if (field === 'allowFrom') {
+        input = document.createElement('input');
+        input.value = (ch.allowFrom || []).join(', ');
+      } else {
+        input = document.createElement('select');
+        var opts = values[field] || [];
+        if (!ch[field]) {
+          var none = document.createElement('option');
+          none.value = '';
+          none.textContent = ch.configured ? '(not set)' : '(default)';
+          input.appendChild(none);
+        }
+        for (var k = 0; k < opts.length; k++) {
+          var opt = document.createElement('option');
+          opt.value = opts[k];
+          opt.textContent = opts[k];
+          if (opts[k] === ch[field]) opt.selected = true;
+          input.appendChild(opt);
+        }
+      }
+      form.fields[field] = input;
+      box.appendChild(fieldLabel);
+      box.appendChild(input);
+    }
+
+    var out = document.createElement('pre');
+    out.id = 'channelOut-' + ch.name;
+    out.style.whiteSpace = 'pre-wrap';
+    var skipLabel = document.createElement('label');
+    skipLabel.style.fontWeight = 'normal';
+    form.skipCheck = document.createElement('input');
+    form.skipCheck.type = 'checkbox';
+    form.skipCheck.style.width = 'auto';
+    skipLabel.appendChild(form.skipCheck);
+    skipLabel.appendChild(document.createTextNode(' Save without checking tokens against ' + (CHANNEL_LABELS[ch.name] || ch.name)));
+    box.appendChild(skipLabel);
+
+    var testBtn = document.createElement('button');
+    testBtn.textContent = 'Test tokens';
+    testBtn.style.background = '#1f2937';
+    testBtn.style.marginTop = '0.5rem';
+    testBtn.style.marginRight = '0.5rem';
+    testBtn.onclick = function () { channelTest(ch, form, out); };
+    box.appendChild(testBtn);
+
+    var saveBtn = document.createElement('button');
+    saveBtn.textContent = ch.configured ? 'Save' : 'Add';
+    saveBtn.style.marginTop = '0.5rem';
+    saveBtn.onclick = function () { channelSave(ch, form, out); };
+    box.appendChild(saveBtn);
+    if (ch.configured) {
+      var removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#7c2d12';
+      removeBtn.style.marginLeft = '0.5rem';
+      removeBtn.onclick = function () { channelRemove(ch, out); };
+      box.appendChild(removeBtn);
+    }
+    box.appendChild(out);
+    return box;
+  }
+
+  function loadChannels() {
+    if (!channelsManageEl || !isAdmin()) return Promise.resolve();
+    return httpJson('/setup/api/channels').then(function (j) {
+      channelsManageEl.innerHTML = '';
+      for (var i = 0; i < j.channels.length; i++) {
+        channelsManageEl.appendChild(renderChannel(j.channels[i], j.values || {}));
+      }
+    }).catch(function (e) {
+      channelsManageEl.textContent = 'Error loading channels: ' + String(e);
+    });
+  }
+
+  // Custom providers (admin)
+  var providersManageEl = document.getElementById('providersManage');
+
+  function headersToText(headers) {
+    var lines = [];
+    for (var name in headers) lines.push(name + ': ' + (headers[name] === null ? '' : headers[name]));
+    return lines.join('\n');
+  }
+
+  function textToHeaders(text) {
+    var headers = {};
+    var lines = text.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim();
+      if (!line) continue;
+      var idx = line.indexOf(':');
+      if (idx < 0) headers[line] = '';
+      else headers[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    }
+    return headers;
+  }
+
+  function textToModels(text) {
+    var ids = [];
+    var lines = text.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].trim()) ids.push(lines[i].trim());
+    }
+    return ids;
+  }
+
+  function providerRequest(method, id, body, out) {
+    var opts = { method: method, credentials: 'same-origin', headers: { 'content-type': 'application/json' } };
+    if (body) opts.body = JSON.stringify(body);
+    return fetch('/setup/api/providers/' + encodeURIComponent(id), opts).then(function (res) {
+      return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+    }).then(function (r) {
+      if (!r.ok && !r.steps) {
+        out.textContent = 'Error: ' + (r.error || 'request failed');
+        return;
+      }
+      var text = r.ok ? 'Saved. Gateway ' + (r.gatewayReady === null ? 'not running (not configured).' : 'restarted.') : 'Error: ' + (r.error || 'request failed');
+      if (r.rolledBack) text += '\nThe gateway did not come back; rolled back to ' + r.backupPath;
+      var steps = r.steps || [];
+      for (var i = 0; i < steps.length; i++) text += '\n[' + steps[i].step + '] exit=' + steps[i].code + '\n' + (steps[i].output || '');
+      return loadProviders().then(function () {
+        var fresh = document.getElementById('providerOut-' + id);
+        if (fresh) fresh.textContent = text;
+      });
+    }).catch(function (e) {
+      out.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function providerField(box, labelText, input) {
+    var label = document.createElement('label');
+    label.textContent = labelText;
+    box.appendChild(label);
+    box.appendChild(input);
+    return input;
+  }
+
+  function renderProvider(p, apis) {
+    var isNew = !p;
+    p = p || { id: '', baseUrl: '', api: apis[0], apiKeyEnv: '', apiKeyLiteral: false, headers: {}, models: [] };
+    var box = document.createElement('div');
+    box.style.borderTop = '1px solid #eee';
+    box.style.marginTop = '0.75rem';
+    box.style.paddingTop = '0.5rem';
+    var title = document.createElement('strong');
+    title.textContent = isNew ? 'Add a provider' : p.id;
+    box.appendChild(title);
+
+    var idInput = null;
+    if (isNew) {
+      idInput = document.createElement('input');
+      idInput.placeholder = 'ollama';
+      providerField(box, 'Provider id', idInput);
+    }
+    var baseUrlInput = document.createElement('input');
+    baseUrlInput.value = p.baseUrl || '';
+    baseUrlInput.placeholder = 'http://127.0.0.1:11434/v1';
+    providerField(box, 'Base URL', baseUrlInput);
+
+    var apiSelect = document.createElement('select');
+    for (var i = 0; i < apis.length; i++) {
+      var opt = document.createElement('option');
+      opt.value = apis[i];
+      opt.textContent = apis[i];
+      if (apis[i] === p.api) opt.selected = true;
+      apiSelect.appendChild(opt);
+    }
+    providerField(box, 'API', apiSelect);
+
+    var envInput = document.createElement('input');
+    envInput.value = p.apiKeyEnv || '';
+    envInput.placeholder = p.apiKeyLiteral ? '(a literal key is stored; set an env var name to replace it)' : 'OLLAMA_API_KEY';
+    providerField(box, 'API key env var (blank for none)', envInput);
+
+    var headersInput = document.createElement('textarea');
+    headersInput.style.width = '100%';
+    headersInput.rows = 2;
+    headersInput.value = headersToText(p.headers || {});
+    providerField(box, 'Headers', headersInput);
+
+    var modelsInput = document.createElement('textarea');
+    modelsInput.style.width = '100%';
+    modelsInput.rows = 3;
+    var ids = [];
+    for (var m = 0; m < (p.models || []).length; m++) ids.push(p.models[m].id);
+    modelsInput.value = ids.join('\n');
+    providerField(box, 'Models', modelsInput);
+
+    var out = document.createElement('pre');
+    out.id = 'providerOut-' + (p.id || 'new');
+    out.style.whiteSpace = 'pre-wrap';
+
+    var fetchBtn = document.createElement('button');
+    fetchBtn.textContent = 'Load models from endpoint';
+    fetchBtn.style.background = '#1f2937';
+    fetchBtn.style.marginTop = '0.5rem';
+    fetchBtn.style.marginRight = '0.5rem';
+    fetchBtn.onclick = function () {
+      out.textContent = 'Loading models...';
+      httpJson('/setup/api/providers/custom/models', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ baseUrl: baseUrlInput.value, apiKeyEnv: envInput.value })
+      }).then(function (j) {
+        if (!j.ok) {
+          out.textContent = j.error;
+          return;
+        }
+        modelsInput.value = j.models.join('\n');
+        out.textContent = j.models.length + ' models loaded; remove the ones you do not want, then save.';
+      }).catch(function (e) {
+        out.textContent = 'Error: ' + String(e);
+      });
+    };
+    box.appendChild(fetchBtn);
+
+    var saveBtn = document.createElement('button');
+    saveBtn.textContent = isNew ? 'Add' : 'Save';
+    saveBtn.onclick = function () {
+      var id = isNew ? idInput.value.trim() : p.id;
+      if (!id) {
+        out.textContent = 'Enter a provider id.';
+        return;
+      }
+      out.textContent = 'Saving ' + id + ' and restarting the gateway...';
+      providerRequest('PUT', id, {
+        baseUrl: baseUrlInput.value,
+        api: apiSelect.value,
+        apiKeyEnv: envInput.value,
+        headers: textToHeaders(headersInput.value),
+        models: textToModels(modelsInput.value)
+      }, out);
+    };
+    box.appendChild(saveBtn);
+    if (!isNew) {
+      var removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.background = '#7c2d12';
+      removeBtn.style.marginLeft = '0.5rem';
+      removeBtn.onclick = function () {
+        if (!confirm('Remove provider ' + p.id + ' and restart the gateway? Agents using its models will fall back to other providers.')) return;
+        out.textContent = 'Removing ' + p.id + '...';
+        providerRequest('DELETE', p.id, null, out);
+      };
+      box.appendChild(removeBtn);
+    }
+    box.appendChild(out);
+    return box;
+  }
+
+  function loadProviders() {
+    if (!providersManageEl || !isAdmin()) return Promise.resolve();
+    return httpJson('/setup/api/providers').then(function (j) {
+      providersManageEl.innerHTML = '';
+      if (!j.providers.length) {
+        var none = document.createElement('div');
+        none.textContent = 'No custom providers yet.';
+        providersManageEl.appendChild(none);
+      }
+      for (var i = 0; i < j.providers.length; i++) providersManageEl.appendChild(renderProvider(j.providers[i], j.apis));
+      providersManageEl.appendChild(renderProvider(null, j.apis));
+    }).catch(function (e) {
+      providersManageEl.textContent = 'Error loading providers: ' + String(e);
+    });
+  }
+
+  // Secrets (admin)
+  var secretsListEl = document.getElementById('secretsList');
+  var secretsOutEl = document.getElementById('secretsOut');
+
+  function loadSecrets() {
+    if (!secretsListEl || !isAdmin()) return Promise.resolve();
+    return httpJson('/setup/api/secrets').then(function (j) {
+      secretsListEl.innerHTML = '';
+      var head = document.createElement('div');
+      head.textContent = 'Key: ' + (j.keySource === 'env' ? 'SECRETS_KEY env var' : 'secrets.key in the state directory') +
+        (j.inline.length ? ' | ' + j.inline.length + ' inline secret(s) still in the config: ' + j.inline.map(function (s) { return s.path; }).join(', ') : '');
+      secretsListEl.appendChild(head);
+      if (!j.secrets.length) {
+        var none = document.createElement('div');
+        none.textContent = 'No stored secrets yet.';
+        secretsListEl.appendChild(none);
+      }
+      for (var i = 0; i < j.secrets.length; i++) {
+        (function (secret) {
+          var row = document.createElement('div');
+          row.style.marginTop = '0.25rem';
+          var label = document.createElement('code');
+          label.textContent = secret.name;
+          row.appendChild(label);
+          row.appendChild(document.createTextNode(secret.usedBy.length ? ' used by ' + secret.usedBy.join(', ') + ' ' : ' unused '));
+          if (!secret.usedBy.length) {
+            var btn = document.createElement('button');
+            btn.textContent = 'Delete';
+            btn.style.background = '#7c2d12';
+            btn.style.padding = '0.3rem 0.6rem';
+            btn.onclick = function () { deleteSecret(secret.name); };
+            row.appendChild(btn);
+          }
+          secretsListEl.appendChild(row);
+        })(j.secrets[i]);
+      }
+    }).catch(function (e) {
+      secretsListEl.textContent = 'Error loading secrets: ' + String(e);
+    });
+  }
+
+  function deleteSecret(name) {
+    if (!confirm('Delete the stored value of ' + name + '?')) return;
+    httpJson('/setup/api/secrets/' + encodeURIComponent(name), { method: 'DELETE' }).then(function () {
+      secretsOutEl.textContent = 'Deleted ' + name + '.';
+      return loadSecrets();
+    }).catch(function (e) {
+      secretsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function migrateSecrets() {
+    secretsOutEl.textContent = 'Moving secrets...';
+    fetch('/setup/api/secrets/migrate', { method: 'POST', credentials: 'same-origin' }).then(function (res) {
+      return res.json().catch(function () { return { ok: false, error: 'HTTP ' + res.status }; });
+    }).then(function (r) {
+      if (r.error) {
+        secretsOutEl.textContent = 'Error: ' + r.error;
+        return;
+      }
+      var text = r.moved.length ? 'Moved ' + r.moved.length + ' secret(s):' : 'No inline secrets found.';
+      for (var i = 0; i < r.moved.length; i++) text += '\n  ' + r.moved[i].path + ' -> ${' + r.moved[i].name + '}';
+      for (var k = 0; k < r.failed.length; k++) text += '\nFailed: ' + r.failed[k].path + ': ' + r.failed[k].error;
+      if (r.gatewayReady !== null) text += '\nGateway ' + (r.gatewayReady ? 'restarted.' : 'did not come back; check the logs.');
+      secretsOutEl.textContent = text;
+      return loadSecrets();
+    }).catch(function (e) {
+      secretsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var secretsRefreshEl = document.getElementById('secretsRefresh');
+  var secretsMigrateEl = document.getElementById('secretsMigrate');
+  if (secretsRefreshEl) secretsRefreshEl.onclick = loadSecrets;
+  if (secretsMigrateEl) secretsMigrateEl.onclick = migrateSecrets;
+
+  // Sign-in activity (admin)
+  var authEventsFilterEl = document.getElementById('authEventsFilter');
+  var authEventsRefreshEl = document.getElementById('authEventsRefresh');
+  var authEventsOutEl = document.getElementById('authEventsOut');
+
+  function loadAuthEvents() {
+    if (!authEventsOutEl || !isAdmin()) return;
+    var filter = authEventsFilterEl ? authEventsFilterEl.value : '';
+    authEventsOutEl.textContent = 'Loading...';
+    return httpJson('/setup/api/auth-events?limit=200' + (filter ? '&event=' + encodeURIComponent(filter) : '')).then(function (j) {
+      var out = '';
+      var lockouts = j.lockouts || [];
+      for (var i = 0; i < lockouts.length; i++) {
+        out += 'LOCKED ' + lockouts[i].ip + ' until ' + lockouts[i].lockedUntil + ' (' + lockouts[i].failures + ' failures)\n';
+      }
+      if (lockouts.length) out += '\n';
+      var events = j.events || [];
+      for (var k = 0; k < events.length; k++) {
+        var e = events[k];
+        out += e.ts + '  ' + e.event + '  ' + (e.username || '-') + '  ' + e.ip + '  ' + e.method + ' ' + e.route + (e.via ? '  via ' + e.via : '') + '  ' + (e.userAgent || '') + '\n';
+      }
+      authEventsOutEl.textContent = out || 'No auth events recorded yet.';
+    }).catch(function (e) {
+      authEventsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (authEventsRefreshEl) authEventsRefreshEl.onclick = loadAuthEvents;
+  if (authEventsFilterEl) authEventsFilterEl.onchange = loadAuthEvents;
+
+  // Audit log (admin)
+  var auditUserEl = document.getElementById('auditUser');
+  var auditActionEl = document.getElementById('auditAction');
+  var auditOutEl = document.getElementById('auditOut');
+  var auditPageEl = document.getElementById('auditPage');
+  var auditOffset = 0;
+  var auditTotal = 0;
+  var AUDIT_PAGE = 50;
+
+  function auditFilterQuery() {
+    var qs = '';
+    if (auditUserEl && auditUserEl.value.trim()) qs += '&user=' + encodeURIComponent(auditUserEl.value.trim());
+    if (auditActionEl && auditActionEl.value.trim()) qs += '&action=' + encodeURIComponent(auditActionEl.value.trim());
+    return qs;
+  }
+
+  function loadAudit() {
+    if (!auditOutEl || !isAdmin()) return;
+    var filters = auditFilterQuery();
+    var csv = document.getElementById('auditCsv');
+    var jsonl = document.getElementById('auditJsonl');
+    if (csv) csv.href = '/setup/api/audit?format=csv' + filters;
+    if (jsonl) jsonl.href = '/setup/api/audit?format=jsonl' + filters;
+
+    return httpJson('/setup/api/audit?limit=' + AUDIT_PAGE + '&offset=' + auditOffset + filters).then(function (j) {
+      var entries = j.entries || [];
+      auditTotal = j.total || 0;
+      var out = '';
+      for (var i = 0; i < entries.length; i++) {
+        var e = entries[i];
+        out += e.ts + '  ' + (e.username || '-') + ' (' + (e.role || '?') + ')  ' + e.action + '  ' + e.status +
+          (e.args ? '  ' + JSON.stringify(e.args) : '') + '\n';
+      }
+      auditOutEl.textContent = out || 'No audit entries.';
+      if (auditPageEl) {
+        var end = Math.min(j.total, auditOffset + entries.length);
+        auditPageEl.textContent = j.total ? (auditOffset + 1) + '-' + end + ' of ' + j.total : '';
+      }
+    }).catch(function (e) {
+      auditOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var auditRefreshEl = document.getElementById('auditRefresh');
+  var auditPrevEl = document.getElementById('auditPrev');
+  var auditNextEl = document.getElementById('auditNext');
+  if (auditRefreshEl) auditRefreshEl.onclick = function () { auditOffset = 0; loadAudit(); };
+  if (auditPrevEl) auditPrevEl.onclick = function () { auditOffset = Math.max(0, auditOffset - AUDIT_PAGE); loadAudit(); };
+  if (auditNextEl) {
+    auditNextEl.onclick = function () {
+      if (auditOffset + AUDIT_PAGE >= auditTotal) return;
+      auditOffset += AUDIT_PAGE;
+      loadAudit();
+    };
+  }
+
+  function loadMe() {
+    return httpJson('/setup/api/me').then(function (j) {
+      me = j;
+      var whoamiEl = document.getElementById('whoami');
+      if (whoamiEl) whoamiEl.textContent = j.username + ' (' + j.role + ')';
+      applyRole();
+      loadUsers();
+      loadBackups();
+      loadSnapshots();
+      loadAuthEvents();
+      loadAudit();
+    }).catch(function (e) {
+      console.warn('[setup] /setup/api/me failed:', e);
+      applyRole();
+    });
+  }
+
+  // Import backup: upload for a preview first, then restore all or some directories.
+  var importPreviewEl = document.getElementById('importPreview');
+  var importGroupsEl = document.getElementById('importGroups');
+  var importCleanEl = document.getElementById('importClean');
+  var importApplyEl = document.getElementById('importApply');
+  var importPreviewId = null;
+
+  function formatImportPreview(j) {
+    var t = j.totals;
+    var out = 'Archive: ' + t.files + ' files, ' + Math.ceil(t.bytes / 1024) + ' KiB' + (j.encrypted ? ' (decrypted)' : '') + '\n';
+    out += t['new'] + ' new, ' + t.changed + ' would be overwritten, ' + t.same + ' unchanged';
+    if (t.skipped) out += ', ' + t.skipped + ' unsafe paths skipped';
+    out += '\n';
+    if (j.manifest) {
+      out += 'Made ' + j.manifest.createdAt + ' by OpenClaw ' + (j.manifest.openclawVersion || '(unknown)') +
+        (j.manifest.wrapperCommit ? ', wrapper ' + j.manifest.wrapperCommit.slice(0, 7) : '') + '\n';
+    }
+    out += j.verified ? 'Checksums: all files match the manifest\n' : '';
+    var notes = (j.problems || []).map(function (p) { return 'PROBLEM: ' + p; }).concat((j.warnings || []).map(function (w) { return 'warning: ' + w; }));
+    if (notes.length) out += notes.join('\n') + '\n';
+    if (j.config) {
+      var ch = [];
+      for (var i = 0; i < j.config.channels.length; i++) {
+        var c = j.config.channels[i];
+        ch.push(c.name + (c.enabled ? '' : ' (disabled)'));
+      }
+      out += 'Config: ' + j.config.path + (j.config.parsed ? '; channels: ' + (ch.join(', ') || 'none') : ' (could not parse)') + '\n';
+    } else {
+      out += 'Config: none in this archive\n';
+    }
+    var changed = [];
+    for (var k = 0; k < j.entries.length; k++) {
+      var e = j.entries[k];
+      if (e.status === 'changed' || e.status === 'skipped') changed.push('  ' + e.status + '  ' + e.path);
+    }
+    if (changed.length) out += '\n' + changed.join('\n') + '\n';
+    if (j.truncated) out += '  ...\n';
+    return out;
+  }
+
+  function renderImportGroups(groups) {
+    importGroupsEl.innerHTML = '';
+    for (var i = 0; i < groups.length; i++) {
+      var g = groups[i];
+      var label = document.createElement('label');
+      label.style.display = 'block';
+      label.style.margin = '0.25rem 0';
+      var box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.value = g.name;
+      box.style.width = 'auto';
+      label.appendChild(box);
+      var into = g.targets && (g.targets.length !== 1 || g.targets[0] !== g.name) ? ' into ' + g.targets.join(', ') + '/' : '';
+      label.appendChild(document.createTextNode(' ' + g.name + '/' + into + ' (' + g.files + ' files, ' + g.changed + ' changed)'));
+      importGroupsEl.appendChild(label);
+    }
+  }
 
-  // Import backup
   function runImport() {
     if (!importRunEl || !importFileEl) return;
     var f = importFileEl.files && importFileEl.files[0];
@@ -249,110 +1636,377 @@
       alert('Pick a .tar.gz file first');
       return;
     }
-    if (!confirm('Import backup? This overwrites files under /data and restarts the gateway.')) return;
 
-    if (importOutEl) importOutEl.textContent = 'Uploading ' + f.name + ' (' + f.size + ' bytes)...\n';
+    if (importPreviewEl) importPreviewEl.style.display = 'none';
+    importPreviewId = null;
+    if (importOutEl) importOutEl.textContent = 'Uploading ' + f.name + ' (' + f.size + ' bytes) for preview...\n';
+
+    var passphraseEl = document.getElementById('importPassphrase');
+    var headers = { 'content-type': 'application/gzip' };
+    if (passphraseEl && passphraseEl.value) headers['x-backup-passphrase'] = encodeURIComponent(passphraseEl.value);
 
     return f.arrayBuffer().then(function (buf) {
-      return fetch('/setup/import', {
+      return httpJson('/setup/import/preview', {
         method: 'POST',
-        credentials: 'same-origin',
-        headers: { 'content-type': 'application/gzip' },
+        headers: headers,
         body: buf
       });
-    }).then(function (res) {
-      return res.text().then(function (t) {
-        if (importOutEl) importOutEl.textContent += t + '\n';
-        if (!res.ok) throw new Error('HTTP ' + res.status + ': ' + t);
-        return refreshStatus();
-      });
+    }).then(function (j) {
+      importPreviewId = j.id;
+      if (importOutEl) importOutEl.textContent = formatImportPreview(j);
+      renderImportGroups(j.groups || []);
+      if (importCleanEl) importCleanEl.checked = false;
+      // An archive that fails verification can't be restored; don't offer it.
+      if (importPreviewEl) importPreviewEl.style.display = (j.problems && j.problems.length) ? 'none' : 'block';
     }).catch(function (e) {
       if (importOutEl) importOutEl.textContent += '\nError: ' + String(e) + '\n';
     });
   }
 
+  function applyImport() {
+    if (!importPreviewId) return;
+    var groups = [];
+    var boxes = importGroupsEl.getElementsByTagName('input');
+    for (var i = 0; i < boxes.length; i++) {
+      if (boxes[i].checked) groups.push(boxes[i].value);
+    }
+    if (!groups.length) {
+      alert('Pick at least one directory to restore');
+      return;
+    }
+    var clean = importCleanEl && importCleanEl.checked;
+    var question = clean
+      ? 'Clean restore ' + groups.join(', ') + '? Their current contents are saved as a snapshot backup, deleted, and replaced from the archive. The gateway restarts.'
+      : 'Restore ' + groups.join(', ') + '? This overwrites files under /data and restarts the gateway.';
+    if (!confirm(question)) return;
+    if (importOutEl) importOutEl.textContent += '\nRestoring...\n';
+    return httpJson('/setup/import/apply', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: importPreviewId, groups: groups, mode: clean ? 'clean' : 'merge' })
+    }).then(function (j) {
+      importPreviewId = null;
+      if (importPreviewEl) importPreviewEl.style.display = 'none';
+      if (importOutEl) importOutEl.textContent += j.output + formatWarnings(j.warnings);
+      loadBackups();
+      return refreshStatus();
+    }).catch(function (e) {
+      if (importOutEl) importOutEl.textContent += 'Error: ' + String(e) + '\n';
+    });
+  }
+
   if (importRunEl) importRunEl.onclick = runImport;
+  if (importApplyEl) importApplyEl.onclick = applyImport;
+
+  // Devices and pairing
+  var devicesRefreshBtn = document.getElementById('devicesRefresh');
+  var devicesListEl = document.getElementById('devicesList');
+  var pairingListEl = document.getElementById('pairingList');
+  var devicesOutEl = document.getElementById('devicesOut');
+
+  // rows: arrays of strings or DOM nodes.
+  function buildTable(headers, rows) {
+    var table = document.createElement('table');
+    var tr = document.createElement('tr');
+    for (var h = 0; h < headers.length; h++) {
+      var th = document.createElement('th');
+      th.textContent = headers[h];
+      tr.appendChild(th);
+    }
+    table.appendChild(tr);
+    for (var i = 0; i < rows.length; i++) {
+      var row = document.createElement('tr');
+      for (var c = 0; c < rows[i].length; c++) {
+        var td = document.createElement('td');
+        var cell = rows[i][c];
+        if (cell && cell.nodeType) td.appendChild(cell);
+        else td.textContent = cell == null || cell === '' ? '-' : String(cell);
+        row.appendChild(td);
+      }
+      table.appendChild(row);
+    }
+    return table;
+  }
+
+  function actionButton(label, color, onclick) {
+    var btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.background = color;
+    btn.style.padding = '0.3rem 0.6rem';
+    btn.style.marginRight = '0.25rem';
+    btn.onclick = onclick;
+    return btn;
+  }
+
+  function formatTime(iso) {
+    return iso ? iso.replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '';
+  }
+
+  function postDeviceAction(url, body, what) {
+    devicesOutEl.textContent = what + '...';
+    return httpJson(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body || {})
+    }).then(function (j) {
+      devicesOutEl.textContent = what + ': done.\n' + (j.output || '');
+      return refreshDevices();
+    }).catch(function (e) {
+      devicesOutEl.textContent = what + ': ' + String(e);
+    });
+  }
+
+  function deviceAction(action, device) {
+    var name = device.name ? device.name + ' (' + device.id + ')' : device.id;
+    var verb = action.charAt(0).toUpperCase() + action.slice(1);
+    if (!confirm(verb + ' device ' + name + '?')) return;
+    return postDeviceAction('/setup/api/devices/' + encodeURIComponent(device.id) + '/' + action, null, verb + ' ' + name);
+  }
+
+  function approvePairing(channel, code) {
+    return postDeviceAction('/setup/api/pairing/approve', { channel: channel, code: code }, 'Approve ' + channel + ' pairing ' + code);
+  }
+
+  function renderDevices(j) {
+    devicesListEl.innerHTML = '';
+    var rows = [];
+    var devices = (j.pending || []).concat(j.paired || []);
+    // Actions the installed CLI supports; older builds have no reject/revoke.
+    var supported = j.actions || ['approve', 'reject', 'revoke'];
+    var missing = [];
+    for (var i = 0; i < devices.length; i++) {
+      (function (d) {
+        var actions = document.createElement('span');
+        var add = function (action, label, color) {
+          if (supported.indexOf(action) === -1) {
+            if (missing.indexOf(action) === -1) missing.push(action);
+            return;
+          }
+          actions.appendChild(actionButton(label, color, function () { deviceAction(action, d); }));
+        };
+        if (d.status === 'pending') {
+          add('approve', 'Approve', '#111');
+          add('reject', 'Reject', '#7c2d12');
+        } else {
+          add('revoke', 'Revoke', '#7c2d12');
+        }
+        rows.push([d.status, d.name, d.platform, (d.roles || []).join(', '), formatTime(d.requestedAt), d.id, actions]);
+      })(devices[i]);
+    }
+    if (!rows.length) devicesListEl.textContent = 'No pending or paired devices.';
+    else devicesListEl.appendChild(buildTable(['Status', 'Device', 'Platform', 'Roles', 'Requested', 'ID', ''], rows));
+    if (j.source === 'text') {
+      var note = document.createElement('div');
+      note.textContent = 'This OpenClaw build has no JSON device list; only request IDs are shown.';
+      devicesListEl.appendChild(note);
+    }
+    if (missing.length) {
+      var unsupported = document.createElement('div');
+      unsupported.textContent = 'This OpenClaw build has no `openclaw devices ' + missing.join('` or `') + '` command; update OpenClaw to use ' + (missing.length > 1 ? 'them' : 'it') + ' from here.';
+      devicesListEl.appendChild(unsupported);
+    }
+  }
+
+  function renderPairing(j) {
+    pairingListEl.innerHTML = '';
+    var rows = [];
+    var errors = [];
+    var channels = j.channels || [];
+    for (var i = 0; i < channels.length; i++) {
+      if (channels[i].error) errors.push(channels[i].channel + ': ' + channels[i].error);
+      for (var k = 0; k < channels[i].requests.length; k++) {
+        (function (p) {
+          rows.push([p.channel, p.code, p.name, p.senderId, formatTime(p.requestedAt),
+            actionButton('Approve', '#111', function () { approvePairing(p.channel, p.code); })]);
+        })(channels[i].requests[k]);
+      }
+    }
+    if (!channels.length) pairingListEl.textContent = 'No channels configured.';
+    else if (!rows.length) pairingListEl.textContent = 'No pending pairing requests.';
+    else pairingListEl.appendChild(buildTable(['Channel', 'Code', 'From', 'Sender ID', 'Requested', ''], rows));
+    if (errors.length) {
+      var err = document.createElement('div');
+      err.textContent = 'Could not list: ' + errors.join('; ');
+      pairingListEl.appendChild(err);
+    }
+  }
+
+  function refreshDevices() {
+    if (!devicesListEl) return;
+    devicesListEl.textContent = 'Loading devices...';
+    pairingListEl.textContent = 'Loading pairing requests...';
+    return Promise.all([
+      httpJson('/setup/api/devices').then(renderDevices).catch(function (e) {
+        devicesListEl.textContent = 'Error: ' + String(e);
+      }),
+      httpJson('/setup/api/pairing').then(renderPairing).catch(function (e) {
+        pairingListEl.textContent = 'Error: ' + String(e);
+      })
+    ]);
+  }
+
+  if (devicesRefreshBtn) {
+    devicesRefreshBtn.onclick = refreshDevices;
+  }
 
-  // Pairing approve helper
   var pairingBtn = document.getElementById('pairingApprove');
   if (pairingBtn) {
     pairingBtn.onclick = function () {
-      var channel = prompt('Enter channel (telegram or discord):');
-      if (!channel) return;
-      channel = channel.trim().toLowerCase();
-      if (channel !== 'telegram' && channel !== 'discord') {
-        alert('Channel must be "telegram" or "discord"');
+      var channel = document.getElementById('pairingChannel').value.trim().toLowerCase();
+      var code = document.getElementById('pairingCode').value.trim();
+      if (!channel || !code) {
+        devicesOutEl.textContent = 'Enter a channel and a pairing code.';
         return;
       }
-      var code = prompt('Enter pairing code (e.g. 3EY4PUYS):');
-      if (!code) return;
-      logEl.textContent += '\nApproving pairing for ' + channel + '...\n';
-      fetch('/setup/api/pairing/approve', {
-        method: 'POST',
-        credentials: 'same-origin',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ channel: channel, code: code.trim() })
-      }).then(function (r) { return r.text(); })
-        .then(function (t) { logEl.textContent += t + '\n'; })
-        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+      approvePairing(channel, code);
     };
   }
 
-  // Device pairing helper
-  var devicesRefreshBtn = document.getElementById('devicesRefresh');
-  var devicesListEl = document.getElementById('devicesList');
+  // Notifications (admin)
+  var notifyListEl = document.getElementById('notifyList');
+  var notifyEventsEl = document.getElementById('notifyEvents');
+  var notifyLogEl = document.getElementById('notifyLog');
+  var notifyOutEl = document.getElementById('notifyOut');
 
-  function approveDevice(requestId) {
-    if (!requestId) return;
-    if (!confirm('Approve device request ' + requestId + '?')) return;
-    if (devicesListEl) devicesListEl.textContent = 'Approving ' + requestId + '...';
+  function eventCheckboxes(container, events, checked) {
+    container.innerHTML = '';
+    for (var i = 0; i < events.length; i++) {
+      var label = document.createElement('label');
+      label.style.display = 'inline-block';
+      label.style.marginRight = '0.75rem';
+      var box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = events[i];
+      box.checked = checked.indexOf(events[i]) !== -1;
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(' ' + events[i]));
+      container.appendChild(label);
+    }
+  }
 
-    return httpJson('/setup/api/devices/approve', {
-      method: 'POST',
+  function checkedEvents(container) {
+    var boxes = container.querySelectorAll('input[type=checkbox]');
+    var out = [];
+    for (var i = 0; i < boxes.length; i++) if (boxes[i].checked) out.push(boxes[i].value);
+    return out;
+  }
+
+  function saveWebhook(id, body) {
+    notifyOutEl.textContent = 'Saving ' + id + '...';
+    return httpJson('/setup/api/notifications/webhooks/' + encodeURIComponent(id), {
+      method: 'PUT',
       headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ requestId: requestId })
-    }).then(function (j) {
-      if (devicesListEl) devicesListEl.textContent = j.output || 'Approved.';
-      return refreshStatus();
+      body: JSON.stringify(body)
+    }).then(function () {
+      notifyOutEl.textContent = 'Saved ' + id + '.';
+      return loadNotifications();
     }).catch(function (e) {
-      if (devicesListEl) devicesListEl.textContent = 'Error: ' + String(e);
+      notifyOutEl.textContent = 'Error: ' + String(e);
     });
   }
 
-  function refreshDevices() {
-    if (!devicesListEl) return;
-    devicesListEl.textContent = 'Loading pending devices...';
-    return httpJson('/setup/api/devices/pending').then(function (j) {
-      var ids = j.requestIds || [];
-      if (!ids.length) {
-        devicesListEl.textContent = 'No pending device requests found.';
+  function testWebhook(id) {
+    notifyOutEl.textContent = 'Sending a test event to ' + id + '...';
+    return httpJson('/setup/api/notifications/webhooks/' + encodeURIComponent(id) + '/test', { method: 'POST' }).then(function (r) {
+      notifyOutEl.textContent = r.ok
+        ? 'Delivered to ' + id + ' (HTTP ' + r.status + ', ' + r.durationMs + 'ms).'
+        : 'Delivery to ' + id + ' failed: ' + r.error + (r.retryInMs ? ' (retrying in ' + Math.round(r.retryInMs / 1000) + 's)' : '');
+      return loadNotificationLog();
+    }).catch(function (e) {
+      notifyOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function removeWebhook(id) {
+    if (!confirm('Remove webhook ' + id + '?')) return;
+    httpJson('/setup/api/notifications/webhooks/' + encodeURIComponent(id), { method: 'DELETE' }).then(function () {
+      notifyOutEl.textContent = 'Removed ' + id + '.';
+      return loadNotifications();
+    }).catch(function (e) {
+      notifyOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function loadNotifications() {
+    if (!notifyListEl || !isAdmin()) return Promise.resolve();
+    return httpJson('/setup/api/notifications').then(function (j) {
+      if (!notifyEventsEl.childNodes.length) eventCheckboxes(notifyEventsEl, j.events, []);
+      notifyListEl.innerHTML = '';
+      if (!j.webhooks.length) {
+        notifyListEl.textContent = 'No webhooks yet.';
+      } else {
+        var rows = [];
+        for (var i = 0; i < j.webhooks.length; i++) {
+          (function (hook) {
+            var actions = document.createElement('span');
+            actions.appendChild(actionButton('Test', '#0f172a', function () { testWebhook(hook.id); }));
+            if (!hook.fromEnv) {
+              actions.appendChild(actionButton(hook.enabled ? 'Disable' : 'Enable', '#1f2937', function () {
+                saveWebhook(hook.id, { url: hook.url, events: hook.events, enabled: !hook.enabled });
+              }));
+              actions.appendChild(actionButton('Remove', '#7c2d12', function () { removeWebhook(hook.id); }));
+            }
+            rows.push([
+              hook.id + (hook.fromEnv ? ' (NOTIFY_WEBHOOK_URL)' : ''),
+              hook.url,
+              hook.events.length ? hook.events.join(', ') : 'all',
+              (hook.enabled ? 'on' : 'off') + (hook.hasSecret ? ', signed' : ''),
+              actions
+            ]);
+          })(j.webhooks[i]);
+        }
+        notifyListEl.appendChild(buildTable(['Id', 'URL', 'Events', 'State', ''], rows));
+      }
+      var note = document.createElement('div');
+      note.textContent = 'Up to ' + j.maxAttempts + ' attempts per delivery; repeats of an event are held back for ' + j.throttleSeconds + 's.';
+      notifyListEl.appendChild(note);
+      return loadNotificationLog();
+    }).catch(function (e) {
+      notifyListEl.textContent = 'Error loading notifications: ' + String(e);
+    });
+  }
+
+  function loadNotificationLog() {
+    return httpJson('/setup/api/notifications/log?limit=20').then(function (j) {
+      notifyLogEl.innerHTML = '';
+      if (!j.entries.length) {
+        notifyLogEl.textContent = 'Nothing sent yet.';
         return;
       }
-      devicesListEl.innerHTML = '';
-      for (var i = 0; i < ids.length; i++) {
-        (function (id) {
-          var row = document.createElement('div');
-          row.style.marginTop = '0.25rem';
-          var btn = document.createElement('button');
-          btn.textContent = 'Approve ' + id;
-          btn.style.background = '#111';
-          btn.style.marginRight = '0.5rem';
-          btn.onclick = function () { approveDevice(id); };
-          var code = document.createElement('code');
-          code.textContent = id;
-          row.appendChild(btn);
-          row.appendChild(code);
-          devicesListEl.appendChild(row);
-        })(ids[i]);
+      var rows = [];
+      for (var i = 0; i < j.entries.length; i++) {
+        var e = j.entries[i];
+        rows.push([
+          formatTime(e.ts),
+          e.event,
+          e.webhook,
+          String(e.attempt),
+          e.ok ? 'HTTP ' + e.status : (e.error || 'failed') + (e.retryInMs ? ', retry in ' + Math.round(e.retryInMs / 1000) + 's' : '')
+        ]);
       }
+      notifyLogEl.appendChild(buildTable(['Time', 'Event', 'Webhook', 'Attempt', 'Result'], rows));
     }).catch(function (e) {
-      devicesListEl.textContent = 'Error: ' + String(e);
+      notifyLogEl.textContent = 'Error loading delivery log: ' + String(e);
     });
   }
 
-  if (devicesRefreshBtn) {
-    devicesRefreshBtn.onclick = refreshDevices;
+  var notifySaveEl = document.getElementById('notifySave');
+  if (notifySaveEl) {
+    notifySaveEl.onclick = function () {
+      var id = document.getElementById('notifyId').value.trim().toLowerCase();
+      var url = document.getElementById('notifyUrl').value.trim();
+      if (!id || !url) {
+        notifyOutEl.textContent = 'Enter an id and a URL.';
+        return;
+      }
+      var secretEl = document.getElementById('notifySecret');
+      saveWebhook(id, { url: url, events: checkedEvents(notifyEventsEl), secret: secretEl.value }).then(function () {
+        secretEl.value = '';
+      });
+    };
   }
+  var notifyLogRefreshEl = document.getElementById('notifyLogRefresh');
+  if (notifyLogRefreshEl) notifyLogRefreshEl.onclick = loadNotificationLog;
 
   document.getElementById('reset').onclick = function () {
     if (!confirm('Reset setup? This deletes the config file so onboarding can run again.')) return;
@@ -366,6 +2020,7 @@
   // Populate provider/auth selects ASAP (fast endpoint, no subprocesses)
   loadAuthGroupsFast();
 
-  // Load the rest of status (version/help) in parallel
-  refreshStatus();
+  // Load the rest of status (version/help) once we know which cards this login may use.
+  loadMe().then(refreshStatus);
+  loadLogs();
 })();
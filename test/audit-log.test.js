@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { load, src } from "./helpers/server-source.js";
+
+test("auditToCsv quotes commas, quotes and JSON args", () => {
+  const csv = load(["auditToCsv"]).auditToCsv([
+    { ts: "t", username: "a,b", role: "admin", action: "console.run", status: 200, args: { cmd: 'x"y' } },
+  ]);
+  const [header, row] = csv.trim().split("\n");
+  assert.equal(header, "ts,username,role,ip,action,method,route,status,args");
+  assert.equal(row, 't,"a,b",admin,,console.run,,,200,"{""cmd"":""x\\""y""}"');
+});
+
+test("auditToCsv keeps formula-like cells as text", () => {
+  const csv = load(["auditToCsv"]).auditToCsv([
+    { ts: "t", username: "=HYPERLINK(\"http://x\")", role: "+1", ip: "-2", action: "@SUM(A1)", status: 200, args: "a=b" },
+  ]);
+  assert.equal(csv.trim().split("\n")[1], `t,"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),,,200,a=b`);
+});
+
+test("mutating setup routes are audited", () => {
+  for (const route of [
+    'app.post("/setup/api/console/run"',
+    'app.post("/setup/api/config/raw"',
+    'app.post("/setup/api/reset"',
+    'app.post("/setup/import"',
+    'app.post("/setup/api/devices/approve"',
+    'app.post("/setup/api/pairing/approve"',
+  ]) {
+    const idx = src.indexOf(route);
+    assert.ok(idx >= 0, route);
+    assert.match(src.slice(idx, idx + 160), /audit\("/, route);
+  }
+  assert.match(src, /app\.get\("\/setup\/api\/audit", requireSetupAuth, requireRole\("admin"\)/);
+});
+
+test("requests are audited once, including ones the client aborted", async () => {
+  const { default: express } = await import("express");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-close-"));
+  const logPath = path.join(dir, "audit.jsonl");
+  const { audit } = load(["AUDIT_LOG_MAX_BYTES", "appendJsonl", "audit"], {
+    fs,
+    path,
+    AUDIT_LOG_PATH: logPath,
+    clientIp: () => "127.0.0.1",
+    redactAuditArgs: (v) => v,
+  });
+  const app = express();
+  let finishSlow;
+  const slowDone = new Promise((resolve) => (finishSlow = resolve));
+  app.post("/fast", audit("t.fast"), (_req, res) => res.json({ ok: true }));
+  app.post("/slow", audit("t.slow"), (_req, res) => {
+    setTimeout(() => {
+      if (!res.destroyed) res.json({ ok: true });
+      finishSlow();
+    }, 200);
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await (await fetch(`${base}/fast`, { method: "POST" })).text();
+    const abort = new AbortController();
+    setTimeout(() => abort.abort(), 50);
+    await assert.rejects(fetch(`${base}/slow`, { method: "POST", signal: abort.signal }));
+    await slowDone;
+    await new Promise((r) => setTimeout(r, 20));
+    const entries = fs.readFileSync(logPath, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(
+      entries.map((e) => [e.action, e.ok, e.aborted]),
+      [
+        ["t.fast", true, false],
+        ["t.slow", false, true],
+      ],
+    );
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+test("clientIp uses the last X-Forwarded-For hop (appended by the edge)", () => {
+  const { clientIp } = load(["clientIp"]);
+  assert.equal(clientIp({ headers: { "x-forwarded-for": "6.6.6.6, 1.2.3.4" }, socket: {} }), "1.2.3.4");
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: "10.0.0.1" } }), "10.0.0.1");
+});
+
+test("SETUP_PASSWORD is compared in constant time", () => {
+  assert.doesNotMatch(src, /password === SETUP_PASSWORD/);
+  assert.doesNotMatch(src, /password !== SETUP_PASSWORD/);
+  assert.match(src, /safeEqual\(password, SETUP_PASSWORD\)/);
+});
+
+// Password checks against a fake clock; "right" is the only valid password.
+function loadLockout() {
+  const clock = { now: 1_000_000 };
+  const events = [];
+  const auth = load(["authFailures", "clientIp", "authLockRemainingMs", "recordAuthFailure", "clearAuthFailures", "checkPasswordForRequest"], {
+    Date: { now: () => clock.now },
+    AUTH_MAX_FAILURES: 3,
+    AUTH_LOCKOUT_BASE_MS: 30_000,
+    AUTH_LOCKOUT_MAX_MS: 60 * 60 * 1000,
+    AUTH_FAILURE_WINDOW_MS: 15 * 60 * 1000,
+    authenticateCredentials: (username, password) => (password === "right" ? { username, role: "admin" } : null),
+    logAuthEvent: (_req, event) => events.push(event),
+  });
+  const req = { headers: { "x-forwarded-for": "1.2.3.4" }, socket: {} };
+  return { ...auth, clock, events, attempt: (password) => auth.checkPasswordForRequest(req, "admin", password, "login") };
+}
+
+test("repeated failures lock the IP for longer each time", () => {
+  const a = loadLockout();
+  assert.deepEqual([a.attempt("x"), a.attempt("x")].map((r) => r.failure), ["invalid", "invalid"]);
+  assert.deepEqual(a.attempt("x"), { user: null, failure: "locked", retryAfterSec: 30 });
+  assert.equal(a.attempt("right").failure, "locked", "the right password does not get through a lock");
+
+  const locks = [];
+  for (let i = 0; i < 3; i += 1) {
+    a.clock.now += a.authLockRemainingMs("1.2.3.4") + 1;
+    locks.push(a.attempt("x").retryAfterSec);
+  }
+  assert.deepEqual(locks, [60, 120, 240]);
+  assert.equal(a.events.filter((e) => e === "lockout").length, 4);
+});
+
+test("a successful login clears the failure count", () => {
+  const a = loadLockout();
+  a.attempt("x");
+  a.attempt("x");
+  assert.equal(a.attempt("right").user.username, "admin");
+  assert.equal(a.authFailures.has("1.2.3.4"), false);
+  assert.deepEqual([a.attempt("x"), a.attempt("x")].map((r) => r.failure), ["invalid", "invalid"]);
+  assert.equal(a.attempt("x").failure, "locked");
+});
+
+test("the setup API rate limit answers 429 with Retry-After", async () => {
+  const server = await serveRoutes([route("use", "/setup/api"), 'app.get("/setup/api/status", (_req, res) => res.json({ ok: true }));'], {
+    ...load(["clientIp"]),
+    SETUP_API_RATE_LIMIT: 2,
+    setupApiHits: new Map(),
+  });
+  try {
+    const statuses = [];
+    for (let i = 0; i < 2; i += 1) statuses.push((await server.request("GET", "/setup/api/status")).status);
+    const limited = await server.request("GET", "/setup/api/status");
+    assert.deepEqual([...statuses, limited.status], [200, 200, 429]);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal(limited.json.retryAfterSec, Number(limited.headers.get("retry-after")));
+    const other = await server.request("GET", "/setup/api/status", { headers: { "x-forwarded-for": "5.6.7.8" } });
+    assert.equal(other.status, 200, "other IPs have their own budget");
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,162 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+function getBackupCrypto() {
+  return load(
+    [
+      "BACKUP_ENC_MAGIC",
+      "BACKUP_ENC_VERSION",
+      "BACKUP_ENC_KDF_SCRYPT",
+      "BACKUP_ENC_SCRYPT",
+      "BACKUP_ENC_HEADER_BYTES",
+      "BACKUP_ENC_TAG_BYTES",
+      "backupError",
+      "deriveBackupKey",
+      "parseBackupEncHeader",
+      "createBackupEncryptStream",
+      "isEncryptedBackupFile",
+      "decryptBackupFile",
+    ],
+    { crypto, fs, pipeline, Transform },
+  );
+}
+
+async function encryptToFile(plain, passphrase) {
+  const { createBackupEncryptStream } = getBackupCrypto();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-enc-"));
+  const encPath = path.join(dir, "b.tar.gz.enc");
+  await pipeline(Readable.from([plain]), await createBackupEncryptStream(passphrase), fs.createWriteStream(encPath));
+  return { dir, encPath };
+}
+
+test("encrypted backups round-trip and carry a versioned header", async () => {
+  const { decryptBackupFile, isEncryptedBackupFile, BACKUP_ENC_HEADER_BYTES } = getBackupCrypto();
+  const plain = crypto.randomBytes(100_000);
+  const { dir, encPath } = await encryptToFile(plain, "correct horse");
+  const enc = fs.readFileSync(encPath);
+  assert.equal(enc.subarray(0, 8).toString("ascii"), "OCBACKUP");
+  assert.equal(enc[8], 1, "format version");
+  assert.equal(enc.length, BACKUP_ENC_HEADER_BYTES + plain.length + 16);
+  assert.ok(isEncryptedBackupFile(encPath));
+
+  const outPath = path.join(dir, "out.tar.gz");
+  await decryptBackupFile(encPath, outPath, "correct horse");
+  assert.ok(fs.readFileSync(outPath).equals(plain));
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const other = await encryptToFile(plain, "battery staple");
+  await decryptBackupFile(other.encPath, path.join(other.dir, "out.tar.gz"), "battery staple");
+  assert.ok(fs.readFileSync(path.join(other.dir, "out.tar.gz")).equals(plain));
+  await assert.rejects(decryptBackupFile(other.encPath, path.join(other.dir, "out2.tar.gz"), "correct horse"), { code: "BACKUP_DECRYPT_FAILED" });
+  fs.rmSync(other.dir, { recursive: true, force: true });
+});
+
+test("wrong passphrase or tampering fails authentication", async () => {
+  const { decryptBackupFile } = getBackupCrypto();
+  const { dir, encPath } = await encryptToFile(Buffer.from("tarball"), "correct horse");
+  const outPath = path.join(dir, "out.tar.gz");
+  await assert.rejects(decryptBackupFile(encPath, outPath, "wrong horse"), { code: "BACKUP_DECRYPT_FAILED" });
+  assert.equal(fs.existsSync(outPath), false);
+
+  const enc = fs.readFileSync(encPath);
+  enc[13] ^= 1; // a salt byte: part of the authenticated header
+  fs.writeFileSync(encPath, enc);
+  await assert.rejects(decryptBackupFile(encPath, outPath, "correct horse"), { code: "BACKUP_DECRYPT_FAILED" });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("import asks for the passphrase before extracting", () => {
+  const fn = src.slice(src.indexOf("async function restoreBackupArchive("));
+  assert.ok(fn.indexOf("BACKUP_PASSPHRASE_REQUIRED") < fn.indexOf("await stopGateway()"));
+  assert.match(src, /req\.headers\["x-backup-passphrase"\]/);
+  assert.match(src, /app\.post\(\s*"\/setup\/export",\s*requireSetupAuth,\s*requireRole\("admin"\)/);
+});
+
+// writeBackupArchive into a temp BACKUP_DIR with an off-site bucket that records what it gets.
+function loadBackupWriter(dir, passphrase) {
+  const uploads = [];
+  const { writeBackupArchive } = load(["backupState", "writeBackupArchive"], {
+    ...getBackupCrypto(),
+    fs,
+    path,
+    pipeline,
+    BACKUP_DIR: dir,
+    BACKUP_PASSPHRASE: passphrase,
+    MIN_BACKUP_PASSPHRASE_LENGTH: 8,
+    backupFileStamp: () => "2026-01-01T00-00-00Z",
+    createBackupArchiveStream: async () => ({ stream: Readable.from([Buffer.from("tarball")]), cleanup() {} }),
+    s3BackupConfigured: () => true,
+    uploadBackupOffsite: async (filePath, name) => {
+      uploads.push([name, fs.readFileSync(filePath)]);
+      return { ok: true };
+    },
+    metricInc() {},
+    metricSet() {},
+    notify() {},
+    console: { log() {}, warn() {}, error() {} },
+  });
+  return { writeBackupArchive, uploads };
+}
+
+test("scheduled archives and their off-site copies are encrypted with BACKUP_PASSPHRASE", async () => {
+  const { decryptBackupFile, isEncryptedBackupFile } = getBackupCrypto();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-enc-scheduled-"));
+  try {
+    const encrypted = loadBackupWriter(dir, "correct horse");
+    const result = await encrypted.writeBackupArchive("scheduled");
+    assert.equal(result.name, "openclaw-backup-2026-01-01T00-00-00Z-scheduled.tar.gz.enc");
+    assert.ok(isEncryptedBackupFile(path.join(dir, result.name)));
+    await decryptBackupFile(path.join(dir, result.name), path.join(dir, "out"), "correct horse");
+    assert.equal(fs.readFileSync(path.join(dir, "out"), "utf8"), "tarball");
+    assert.deepEqual(encrypted.uploads.map(([name, body]) => [name, body.subarray(0, 8).toString()]), [[result.name, "OCBACKUP"]]);
+
+    const plain = loadBackupWriter(dir, "");
+    const manual = await plain.writeBackupArchive("manual");
+    assert.equal(manual.name, "openclaw-backup-2026-01-01T00-00-00Z-manual.tar.gz");
+    assert.equal(fs.readFileSync(path.join(dir, manual.name), "utf8"), "tarball");
+
+    await assert.rejects(loadBackupWriter(dir, "short").writeBackupArchive("scheduled"), /BACKUP_PASSPHRASE must be at least 8 characters/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the off-site copy of a plain export is encrypted with BACKUP_PASSPHRASE", async () => {
+  const { decryptBackupFile } = getBackupCrypto();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "backup-enc-export-"));
+  let uploaded;
+  const { sendBackupExport } = load(["sendBackupExport"], {
+    ...getBackupCrypto(),
+    fs,
+    path,
+    os: { tmpdir: () => tmp },
+    process: { pid: 1 },
+    BACKUP_PASSPHRASE: "correct horse",
+    backupFileStamp: () => "2026-01-01T00-00-00Z",
+    s3BackupConfigured: () => true,
+    createBackupArchiveStream: async () => ({ stream: Readable.from([Buffer.from("tarball")]), cleanup() {} }),
+    uploadBackupOffsite: async (filePath, name) => {
+      uploaded = [name, fs.readFileSync(filePath)];
+    },
+  });
+  const server = await serveRoutes(route("get", "/setup/export"), { sendBackupExport });
+  try {
+    const res = await server.request("GET", "/setup/export");
+    assert.deepEqual([res.headers.get("content-type"), res.text], ["application/gzip", "tarball"]);
+    for (let i = 0; i < 100 && !uploaded; i++) await new Promise((r) => setTimeout(r, 10));
+    assert.equal(uploaded[0], "openclaw-backup-2026-01-01T00-00-00Z-export.tar.gz.enc");
+    fs.writeFileSync(path.join(tmp, "copy.enc"), uploaded[1]);
+    await decryptBackupFile(path.join(tmp, "copy.enc"), path.join(tmp, "copy"), "correct horse");
+    assert.equal(fs.readFileSync(path.join(tmp, "copy"), "utf8"), "tarball");
+  } finally {
+    await server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
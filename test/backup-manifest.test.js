@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import * as tar from "tar";
+import { load, src } from "./helpers/server-source.js";
+
+test("archive paths are remapped onto this deployment's directory names", () => {
+  const { backupPathRemap, remapArchivePath } = load(["backupPathRemap", "remapArchivePath"]);
+  const pairs = backupPathRemap(
+    { root: "/data", stateDir: ".clawdbot", workspaceDir: "workspace" },
+    { stateDir: ".openclaw", workspaceDir: "ws" },
+  );
+  assert.deepEqual(pairs, [
+    [".clawdbot", ".openclaw"],
+    ["workspace", "ws"],
+  ]);
+  assert.equal(remapArchivePath(".clawdbot/openclaw.json", pairs), ".openclaw/openclaw.json");
+  assert.equal(remapArchivePath("./workspace/a.txt", pairs), "ws/a.txt");
+  assert.equal(remapArchivePath("workspace-old/a.txt", pairs), "workspace-old/a.txt");
+  assert.deepEqual(backupPathRemap({ stateDir: ".openclaw", workspaceDir: "workspace" }, { stateDir: ".openclaw", workspaceDir: "workspace" }), []);
+  assert.deepEqual(backupPathRemap(null, { stateDir: ".openclaw", workspaceDir: "workspace" }), []);
+});
+
+test("nested layouts remap the longest prefix first", () => {
+  const { backupPathRemap, remapArchivePath } = load(["backupPathRemap", "remapArchivePath"]);
+  const pairs = backupPathRemap(
+    { stateDir: "state", workspaceDir: "state/workspace" },
+    { stateDir: ".openclaw", workspaceDir: "workspace" },
+  );
+  assert.equal(remapArchivePath("state/workspace/x", pairs), "workspace/x");
+  assert.equal(remapArchivePath("state/openclaw.json", pairs), ".openclaw/openclaw.json");
+});
+
+test("exports lead with a manifest and restores verify it before stopping the gateway", () => {
+  assert.match(src, /\[\s*BACKUP_MANIFEST_NAME,\s*`@\$\{stagedPath\}`,?\s*\]/);
+  for (const key of ["openclawVersion", "wrapperCommit: process.env.RAILWAY_GIT_COMMIT_SHA", "layout:", "files:"]) {
+    assert.ok(src.includes(key), key);
+  }
+  const fn = src.slice(src.indexOf("async function restoreBackupArchive("));
+  assert.ok(fn.indexOf("checkBackupArchive(source)") < fn.indexOf("await stopGateway()"));
+  assert.match(fn, /BACKUP_INTEGRITY_FAILED/);
+});
+
+const secretsKey = (key) => crypto.scryptSync(key, "openclaw-secrets", 32);
+
+// The archive writer and checker over a state directory in `root`; `env` and `cipherKey` stand
+// in for this deployment's SECRETS_KEY and the key derived from it.
+function loadBackupArchive(root, { env = {}, cipherKey = secretsKey("key-a") } = {}) {
+  const stateDir = path.join(root, "state");
+  return load(
+    [
+      "BACKUP_MANIFEST_NAME",
+      "BACKUP_MANIFEST_FORMAT",
+      "isUnderDir",
+      "backupExcludedPaths",
+      "backupArchiveLayout",
+      "listArchiveFiles",
+      "createBackupArchiveStream",
+      "encryptSecrets",
+      "decryptSecrets",
+      "archivedSecretsKeyWarning",
+      "backupPathRemap",
+      "checkBackupArchive",
+    ],
+    {
+      crypto,
+      fs,
+      os,
+      path,
+      tar,
+      process: { env },
+      STATE_DIR: stateDir,
+      WORKSPACE_DIR: path.join(root, "workspace"),
+      BACKUP_DIR: path.join(stateDir, "backups"),
+      SNAPSHOT_DIR: path.join(stateDir, "snapshots"),
+      SECRETS_PATH: path.join(stateDir, "secrets.enc"),
+      SECRETS_CIPHER_KEY: cipherKey,
+      openclawVersion: async () => "test",
+      canRestoreIntoData: () => false,
+    },
+  );
+}
+
+async function writeArchive(backup, out) {
+  const { stream, manifest } = await backup.createBackupArchiveStream();
+  await new Promise((resolve, reject) => stream.pipe(fs.createWriteStream(out)).on("finish", resolve).on("error", reject));
+  return manifest;
+}
+
+test("archives leave out the key files, earlier backups and snapshots", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "backup-keys-"));
+  try {
+    const stateDir = path.join(root, "state");
+    for (const f of ["openclaw.json", "secrets.enc", "secrets.key", "session.key", "backups/old.tar.gz", "snapshots/s.tar.gz"]) {
+      fs.mkdirSync(path.dirname(path.join(stateDir, f)), { recursive: true });
+      fs.writeFileSync(path.join(stateDir, f), f);
+    }
+    const backup = loadBackupArchive(root);
+    const out = path.join(root, "out.tar.gz");
+    const manifest = await writeArchive(backup, out);
+    const archived = (await backup.listArchiveFiles(out)).map((f) => path.basename(f.path)).sort();
+    assert.deepEqual(archived, ["openclaw-backup-manifest.json", "openclaw.json", "secrets.enc"]);
+    assert.deepEqual(manifest.files.map((f) => path.basename(f.path)).sort(), ["openclaw.json", "secrets.enc"]);
+    assert.deepEqual(manifest.secrets, { path: path.relative("/", path.join(stateDir, "secrets.enc")), keyIncluded: false, keySource: "secrets.key" });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("imports warn when this deployment cannot read the archived secrets", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "backup-keys-"));
+  try {
+    const stateDir = path.join(root, "state");
+    fs.mkdirSync(stateDir, { recursive: true });
+    fs.writeFileSync(path.join(stateDir, "secrets.key"), "key-a");
+    const backup = loadBackupArchive(root);
+    fs.writeFileSync(path.join(stateDir, "secrets.enc"), JSON.stringify(backup.encryptSecrets({ OPENCLAW_SECRET_A: "a" })));
+    const out = path.join(root, "out.tar.gz");
+    await writeArchive(backup, out);
+    const secretsWarnings = async (opts) => (await loadBackupArchive(root, opts).checkBackupArchive(out)).warnings.filter((w) => w.includes("secrets.enc"));
+
+    assert.deepEqual(await secretsWarnings(), [], "the key that wrote secrets.enc reads it");
+    assert.match((await secretsWarnings({ env: { SECRETS_KEY: "key-b" }, cipherKey: secretsKey("key-b") }))[0], /cannot be decrypted/);
+    fs.rmSync(path.join(stateDir, "secrets.key"));
+    assert.match((await secretsWarnings())[0], /neither SECRETS_KEY nor secrets\.key/);
+    assert.deepEqual(await secretsWarnings({ env: { SECRETS_KEY: "key-a" } }), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
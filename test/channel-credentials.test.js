@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+const CHECKS = ["CHANNEL_CHECK_TIMEOUT_MS", "fetchJsonWithToken", "checkTelegramToken", "checkDiscordToken", "checkSlackMethod", "CHANNEL_TOKEN_CHECKS", "validateChannelCredentials"];
+
+function loadChecks(base) {
+  return load(CHECKS, {
+    TELEGRAM_API_BASE_URL: `${base}/tg`,
+    DISCORD_API_BASE_URL: `${base}/dc`,
+    SLACK_API_BASE_URL: `${base}/sl`,
+  }).validateChannelCredentials;
+}
+
+async function withMock(fn) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, method: req.method, auth: req.headers.authorization });
+    const send = (code, body) => {
+      res.writeHead(code, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const auth = req.headers.authorization || "";
+    if (req.url === "/tg/bot111:good/getMe") return send(200, { ok: true, result: { id: 7, first_name: "Bot", username: "my_bot" } });
+    if (req.url.startsWith("/tg/")) return send(401, { ok: false, error_code: 401, description: "Unauthorized" });
+    if (req.url === "/dc/users/@me") {
+      return auth === "Bot good" ? send(200, { id: "5", username: "dc", bot: true }) : send(401, { message: "401: Unauthorized" });
+    }
+    if (req.url === "/sl/auth.test") {
+      return send(200, auth === "Bearer xoxb-good" ? { ok: true, user: "sl", user_id: "U1", team: "Acme", team_id: "T1" } : { ok: false, error: "invalid_auth" });
+    }
+    if (req.url === "/sl/apps.connections.open") {
+      return send(200, auth === "Bearer xapp-good" ? { ok: true, url: "wss://example" } : { ok: false, error: "invalid_auth" });
+    }
+    send(404, {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(loadChecks(`http://127.0.0.1:${server.address().port}`), seen);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("valid tokens return the bot identity", async () => {
+  await withMock(async (validate, seen) => {
+    assert.deepEqual(await validate("telegram", { botToken: " 111:good " }), {
+      ok: true,
+      results: [{ field: "botToken", ok: true, identity: { id: "7", username: "my_bot", name: "Bot" } }],
+    });
+    const dc = await validate("discord", { token: "good" });
+    assert.equal(dc.ok, true);
+    assert.equal(dc.results[0].identity.username, "dc");
+    const sl = await validate("slack", { botToken: "xoxb-good", appToken: "xapp-good" });
+    assert.equal(sl.ok, true);
+    assert.equal(sl.results[0].identity.team, "Acme");
+    assert.deepEqual(sl.results[1], { field: "appToken", ok: true, identity: { socketMode: true } });
+    assert.ok(seen.some((r) => r.url === "/sl/auth.test" && r.method === "POST"));
+  });
+});
+
+test("rejected tokens report the platform's error", async () => {
+  await withMock(async (validate) => {
+    const tg = await validate("telegram", { botToken: "111:bad" });
+    assert.equal(tg.ok, false);
+    assert.equal(tg.results[0].error, "Telegram getMe failed: Unauthorized");
+    assert.equal((await validate("discord", { token: "bad" })).results[0].error, "Discord users/@me failed: 401 (401: Unauthorized)");
+    const sl = await validate("slack", { botToken: "xoxb-good", appToken: "xapp-bad" });
+    assert.equal(sl.ok, false);
+    assert.equal(sl.results[1].error, "Slack apps.connections.open failed: invalid_auth");
+    assert.deepEqual(await validate("slack", { botToken: "", appToken: undefined }), { ok: true, results: [] });
+  });
+});
+
+test("unreachable endpoints never echo the token", async () => {
+  const validate = loadChecks("http://127.0.0.1:1");
+  const r = await validate("telegram", { botToken: "222:secret-token" });
+  assert.equal(r.ok, false);
+  assert.match(r.results[0].error, /^Could not reach 127\.0\.0\.1:1: /);
+  assert.ok(!r.results[0].error.includes("secret-token"));
+});
+
+test("tokens are checked before channel config is written", async () => {
+  await withMock(async (validateChannelCredentials) => {
+    const applied = [];
+    const server = await serveRoutes(route("put", "/setup/api/channels/:channel"), {
+      ...load(["CHANNEL_DEFS", "CHANNEL_FIELD_VALUES", "getDotted", "setDotted", "buildChannelConfig", "summarizeChannel", "requireKnownChannel", "describeChannelChange"]),
+      readChannelConfig: () => null,
+      validateChannelCredentials,
+      applyChannelConfig: async (name) => {
+        applied.push(name);
+        return { ok: true };
+      },
+    });
+    try {
+      const rejected = await server.request("PUT", "/setup/api/channels/telegram", { body: { botToken: "111:bad" } });
+      assert.equal(rejected.status, 400);
+      assert.equal(rejected.json.field, "botToken");
+      assert.deepEqual(applied, []);
+      assert.equal((await server.request("PUT", "/setup/api/channels/telegram", { body: { botToken: "111:good" } })).status, 200);
+      assert.deepEqual(applied, ["telegram"]);
+    } finally {
+      await server.close();
+    }
+  });
+  const run = src.slice(src.indexOf("async function runSetup("));
+  for (const name of ["telegram", "discord", "slack"]) {
+    assert.ok(run.indexOf(`tokenCheckStep("${name}"`) < run.indexOf(`"${name} config"`), name);
+  }
+});
@@ -0,0 +1,166 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+const CHANNEL_HELPERS = ["CHANNEL_DEFS", "CHANNEL_FIELD_VALUES", "getDotted", "setDotted", "buildChannelConfig", "summarizeChannel"];
+
+function loadChannelHelpers() {
+  return load(CHANNEL_HELPERS);
+}
+
+test("new channels get the same objects onboarding writes", () => {
+  const { buildChannelConfig } = loadChannelHelpers();
+  assert.deepEqual(buildChannelConfig("telegram", { botToken: " 123456:ABCDEF " }).config, {
+    enabled: true,
+    dmPolicy: "pairing",
+    botToken: "123456:ABCDEF",
+    groupPolicy: "allowlist",
+    streamMode: "partial",
+  });
+  assert.deepEqual(buildChannelConfig("discord", { token: "tok" }).config, {
+    enabled: true,
+    token: "tok",
+    groupPolicy: "allowlist",
+    dm: { policy: "pairing" },
+  });
+  assert.deepEqual(buildChannelConfig("slack", { botToken: "xoxb-1", appToken: "" }).config, {
+    enabled: true,
+    botToken: "xoxb-1",
+  });
+  assert.match(buildChannelConfig("discord", {}).error, /token is required/);
+});
+
+test("updates merge over the existing channel and keep the stored token", () => {
+  const { buildChannelConfig } = loadChannelHelpers();
+  const existing = { enabled: true, token: "old", groupPolicy: "allowlist", dm: { policy: "pairing" }, guilds: { 1: {} } };
+  const { config } = buildChannelConfig("discord", { enabled: false, token: "", dmPolicy: "allowlist", allowFrom: "1, 2\n3", groupPolicy: "" }, existing);
+  assert.deepEqual(config, {
+    enabled: false,
+    token: "old",
+    groupPolicy: "allowlist",
+    dm: { policy: "allowlist", allowFrom: ["1", "2", "3"] },
+    guilds: { 1: {} },
+  });
+  assert.deepEqual(existing.dm, { policy: "pairing" });
+  assert.equal(buildChannelConfig("discord", { allowFrom: "" }, config).config.dm.allowFrom, undefined);
+  assert.match(buildChannelConfig("telegram", { streamMode: "fast" }, { botToken: "t" }).error, /streamMode must be one of/);
+});
+
+test("channel summaries never include tokens", () => {
+  const { summarizeChannel } = loadChannelHelpers();
+  const summary = summarizeChannel("slack", { enabled: false, botToken: "xoxb-secret", dm: { policy: "open" } });
+  assert.deepEqual(summary.secrets, { botToken: true, appToken: false });
+  assert.equal(summary.enabled, false);
+  assert.equal(summary.dmPolicy, "open");
+  assert.ok(!JSON.stringify(summary).includes("xoxb-secret"));
+  assert.equal(summarizeChannel("telegram", null).configured, false);
+});
+
+test("channel routes are admin-only, audited and snapshot state first", async () => {
+  const stored = { discord: { enabled: true, token: "${DC}", groupPolicy: "allowlist" } };
+  const applied = [];
+  const server = await serveRoutes(
+    [route("get", "/setup/api/channels"), route("put", "/setup/api/channels/:channel"), route("delete", "/setup/api/channels/:channel")],
+    {
+      ...load([...CHANNEL_HELPERS, "requireKnownChannel", "describeChannelChange"]),
+      readConfigObject: () => ({ channels: stored }),
+      readChannelConfig: (name) => stored[name] || null,
+      validateChannelCredentials: async () => ({ ok: true, results: [] }),
+      applyChannelConfig: async (name, cfg) => {
+        applied.push([name, cfg]);
+        return { ok: true };
+      },
+    },
+  );
+  try {
+    assert.equal((await server.request("GET", "/setup/api/channels", { role: "operator" })).status, 403);
+    assert.equal((await server.request("PUT", "/setup/api/channels/discord", { role: "operator", body: {} })).status, 403);
+    assert.deepEqual(server.calls, []);
+
+    const list = await server.request("GET", "/setup/api/channels");
+    assert.deepEqual(list.json.channels.map((c) => [c.name, c.configured]), [["telegram", false], ["discord", true], ["slack", false]]);
+
+    assert.equal((await server.request("PUT", "/setup/api/channels/irc", { body: {} })).status, 404);
+    const saved = await server.request("PUT", "/setup/api/channels/discord", { body: { dmPolicy: "allowlist" } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(server.calls, ["audit:channel.save", "snapshot:channel.save"]);
+    assert.equal(applied[0][1].token, "${DC}");
+
+    assert.equal((await server.request("DELETE", "/setup/api/channels/slack")).status, 404);
+    assert.equal((await server.request("DELETE", "/setup/api/channels/discord")).status, 200);
+    assert.deepEqual(applied[1], ["discord", null]);
+    assert.deepEqual(server.calls.slice(-2), ["audit:channel.remove", "snapshot:channel.remove"]);
+  } finally {
+    await server.close();
+  }
+  assert.match(src, /buildChannelConfig\("telegram", \{ botToken: payload\.telegramToken \}\)/);
+});
+
+// applyConfigValue over a config file in `dir`, with a CLI that writes `config set` into the
+// file and a gateway that only comes up while `isHealthy(config)` holds.
+function loadApplyConfigValue(dir, isHealthy) {
+  const p = path.join(dir, "openclaw.json");
+  const readConfig = () => JSON.parse(fs.readFileSync(p, "utf8"));
+  const restarts = [];
+  const apply = load(["sha256Text", "loadConfigHistoryMeta", "saveConfigHistoryMeta", "getDotted", "setDotted", "backupConfigVersion", "restartGatewayOrRollBack", "applyConfigValue"], {
+    crypto,
+    fs,
+    path,
+    isDeepStrictEqual,
+    STATE_DIR: dir,
+    CONFIG_HISTORY_META_PATH: path.join(dir, "config-history.json"),
+    OPENCLAW_NODE: "node",
+    configPath: () => p,
+    isConfigured: () => true,
+    readConfigObject: readConfig,
+    clawArgs: (args) => args,
+    redactSecrets: (text) => text,
+    externalizeSecrets: (value) => value,
+    pruneConfigHistory: () => [],
+    runCmd: async (_cmd, [, op, ...rest]) => {
+      if (op === "set") {
+        const [, dotted, json] = rest;
+        const cfg = readConfig();
+        apply.setDotted(cfg, dotted, JSON.parse(json));
+        fs.writeFileSync(p, JSON.stringify(cfg));
+      }
+      return { code: 0, output: "" };
+    },
+    restartGateway: async () => {
+      const cfg = readConfig();
+      restarts.push(cfg);
+      if (!isHealthy(cfg)) throw new Error("Gateway did not become ready in time");
+    },
+  });
+  return { ...apply, p, readConfig, restarts };
+}
+
+test("a channel change the gateway cannot start with is rolled back", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apply-value-"));
+  try {
+    const a = loadApplyConfigValue(dir, (cfg) => !cfg.channels?.discord);
+    fs.writeFileSync(a.p, JSON.stringify({ channels: { telegram: { enabled: true } } }));
+
+    const r = await a.applyConfigValue("channels.discord", { enabled: true, token: "bad" }, { label: "discord" });
+    assert.equal(r.ok, false);
+    assert.equal(r.gatewayReady, false);
+    assert.equal(r.rolledBack, true);
+    assert.equal(r.rollbackError, null);
+    assert.match(r.error, /did not become ready/);
+    assert.deepEqual(a.readConfig(), { channels: { telegram: { enabled: true } } });
+    assert.deepEqual(a.restarts.map((cfg) => Object.keys(cfg.channels)), [["telegram", "discord"], ["telegram"]]);
+    assert.ok(fs.existsSync(r.backupPath));
+    assert.ok(a.loadConfigHistoryMeta().versions[path.basename(r.backupPath)], "the old file is kept as a config version");
+
+    const good = await a.applyConfigValue("channels.slack", { enabled: true }, { label: "slack" });
+    assert.deepEqual([good.ok, good.verified, good.gatewayReady, good.rolledBack], [true, true, true, undefined]);
+    assert.deepEqual(Object.keys(a.readConfig().channels), ["telegram", "slack"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
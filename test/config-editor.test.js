@@ -0,0 +1,170 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { structuredPatch } from "diff";
+import JSON5 from "json5";
+import { declaration, load, src } from "./helpers/server-source.js";
+
+function getParseJson5() {
+  return load(["parseJson5"], { JSON5 }).parseJson5;
+}
+
+function getUnifiedConfigDiff() {
+  return load(["CONFIG_DIFF_TIMEOUT_MS", "unifiedConfigDiff"], { structuredPatch }).unifiedConfigDiff;
+}
+
+test("parseJson5 accepts comments, trailing commas, unquoted keys and single quotes", () => {
+  const parseJson5 = getParseJson5();
+  const cfg = parseJson5(`// openclaw config
+{
+  gateway: { port: 18789, bind: 'loopback', },
+  /* block */ "models": { mode: "merge" },
+  list: [1, 0x10, .5, +2, -Infinity,],
+  note: 'it\\'s \\
+continued',
+}
+`);
+  assert.equal(cfg.gateway.port, 18789);
+  assert.equal(cfg.gateway.bind, "loopback");
+  assert.equal(cfg.models.mode, "merge");
+  assert.deepEqual(cfg.list, [1, 16, 0.5, 2, -Infinity]);
+  assert.equal(cfg.note, "it's continued");
+  assert.deepEqual(parseJson5('{"a": [true, false, null]}'), JSON.parse('{"a": [true, false, null]}'));
+});
+
+test("parseJson5 reports line and column of syntax errors", () => {
+  const parseJson5 = getParseJson5();
+  const cases = [
+    ["{\n  a: 1\n  b: 2\n}", 3, 3],
+    ["{\n  a: 'open\n}", 3, 1],
+    ["{ a: tru }", 1, 9],
+    ["{ a: 1 } extra", 1, 10],
+    ["{ a: 01 }", 1, 7],
+    ["{ a: [1, 2", 1, 11],
+  ];
+  for (const [text, line, column] of cases) {
+    assert.throws(
+      () => parseJson5(text),
+      (err) => err.code === "CONFIG_SYNTAX" && err.line === line && err.column === column,
+      JSON.stringify(text),
+    );
+  }
+});
+
+test("parseJson5 keeps __proto__ as a plain key", () => {
+  const parseJson5 = getParseJson5();
+  const obj = parseJson5('{ "__proto__": { polluted: true } }');
+  assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+  assert.deepEqual(Object.keys(obj), ["__proto__"]);
+  assert.equal({}.polluted, undefined);
+});
+
+test("unifiedConfigDiff emits hunks with context", () => {
+  const diff = getUnifiedConfigDiff();
+  assert.equal(diff("a\nb\n", "a\nb\n"), "");
+  const before = ["{", "  a: 1,", "  b: 2,", "  c: 3,", "  d: 4,", "  e: 5,", "  f: 6,", "  g: 7,", "}", ""].join("\n");
+  const after = before.replace("  b: 2,", "  b: 20,").replace("  g: 7,", "  g: 7,\n  h: 8,");
+  assert.equal(
+    diff(before, after),
+    [
+      "--- current",
+      "+++ pending",
+      "@@ -1,9 +1,10 @@",
+      " {",
+      "   a: 1,",
+      "-  b: 2,",
+      "+  b: 20,",
+      "   c: 3,",
+      "   d: 4,",
+      "   e: 5,",
+      "   f: 6,",
+      "   g: 7,",
+      "+  h: 8,",
+      " }",
+      "",
+    ].join("\n"),
+  );
+  assert.equal(diff("", "{}\n"), "--- current\n+++ pending\n@@ -0,0 +1,1 @@\n+{}\n");
+  assert.equal(diff("{}", "[]"), "--- current\n+++ pending\n@@ -1,1 +1,1 @@\n-{}\n\\ No newline at end of file\n+[]\n\\ No newline at end of file\n");
+});
+
+test("config saves are validated and roll back when the gateway does not come back", () => {
+  const route = src.slice(src.indexOf('app.post("/setup/api/config/raw"'), src.indexOf('app.get("/setup/api/config/history"'));
+  assert.match(route, /unmaskConfigText\(content, /);
+  assert.match(route, /await applyConfigContent\(unmasked\.text, /);
+  const apply = declaration("applyConfigContent");
+  assert.match(apply, /parseConfigContent\(content\)/);
+  assert.match(apply, /validateConfigWithCli\(content, parsed\)/);
+  assert.ok(apply.indexOf("validateConfigWithCli") < apply.indexOf("fs.writeFileSync(p, content"));
+  assert.match(apply, /backupConfigVersion\(p, meta\)/);
+  assert.match(apply, /await restartGatewayOrRollBack\(p, backupPath\)/);
+  assert.match(src, /OPENCLAW_CONFIG_PATH: tmpPath/);
+  assert.match(src, /app\.post\("\/setup\/api\/config\/validate", requireSetupAuth, requireRole\("admin"\)/);
+});
+
+test("a failed restart puts the previous file back, waiting for readiness once per restart", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-rollback-"));
+  try {
+    const p = path.join(dir, "openclaw.json");
+    fs.writeFileSync(p, "{ new: true }");
+    fs.writeFileSync(`${p}.bak-1`, "{ old: true }");
+    const restarts = [];
+    const { restartGatewayOrRollBack } = load(["restartGatewayOrRollBack"], {
+      fs,
+      restartGateway: async () => {
+        restarts.push(fs.readFileSync(p, "utf8"));
+        if (restarts.length === 1) throw new Error("Gateway did not become ready in time");
+      },
+      waitForGatewayReady: async () => assert.fail("restartGateway already waits for the gateway"),
+    });
+    assert.deepEqual(await restartGatewayOrRollBack(p, `${p}.bak-1`), {
+      error: "Error: Gateway did not become ready in time",
+      rolledBack: true,
+      backupPath: `${p}.bak-1`,
+      rollbackError: null,
+    });
+    assert.deepEqual(restarts, ["{ new: true }", "{ old: true }"]);
+    assert.equal(await restartGatewayOrRollBack(p, `${p}.bak-1`), null);
+    assert.equal(restarts.length, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI validation runs doctor against a temporary copy and state dir unless told not to", async () => {
+  const runs = [];
+  const { validateConfigWithCli } = load(["validateConfigWithCli"], {
+    fs,
+    os,
+    path,
+    OPENCLAW_NODE: "node",
+    configPath: () => "/data/.openclaw/openclaw.json",
+    clawArgs: (args) => args,
+    redactSecrets: (text) => text,
+    runCmd: async (_cmd, args, { env }) => {
+      assert.equal(path.dirname(env.OPENCLAW_CONFIG_PATH), env.OPENCLAW_STATE_DIR, "the CLI gets the temporary copy as its state dir");
+      assert.ok(env.OPENCLAW_STATE_DIR.startsWith(os.tmpdir()));
+      runs.push([args.join(" "), fs.readFileSync(env.OPENCLAW_CONFIG_PATH, "utf8")]);
+      return { code: args[0] === "doctor" ? 1 : 0, output: `${args[0]} done` };
+    },
+  });
+  const content = '{ gateway: { port: 18789 } }';
+  const full = await validateConfigWithCli(content, { gateway: { port: 18789 } });
+  assert.deepEqual(runs, [
+    ["config get gateway", content],
+    ["doctor", content],
+  ]);
+  assert.deepEqual([full.ok, full.checks.map((c) => [c.step, c.ok])], [
+    false,
+    [
+      ["config get gateway", true],
+      ["doctor", false],
+    ],
+  ]);
+
+  runs.length = 0;
+  const quick = await validateConfigWithCli(content, { gateway: {} }, { doctor: false });
+  assert.deepEqual([quick.ok, runs.map(([cmd]) => cmd)], [true, ["config get gateway"]]);
+});
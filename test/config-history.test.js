@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { load, src } from "./helpers/server-source.js";
+
+test("prune keeps the newest versions and drops expired ones", () => {
+  const { selectConfigVersionsToPrune: select } = load(["selectConfigVersionsToPrune"]);
+  const now = Date.parse("2026-03-10T00:00:00.000Z");
+  const versions = ["2026-03-09", "2026-03-05", "2026-02-01", "2026-01-01"].map((d) => ({
+    id: `openclaw.json.bak-${d}`,
+    createdAt: `${d}T00:00:00.000Z`,
+  }));
+  assert.deepEqual(select(versions, { keep: 2, maxAgeDays: 0, now }), [
+    "openclaw.json.bak-2026-02-01",
+    "openclaw.json.bak-2026-01-01",
+  ]);
+  assert.deepEqual(select(versions, { keep: 0, maxAgeDays: 30, now }), [
+    "openclaw.json.bak-2026-02-01",
+    "openclaw.json.bak-2026-01-01",
+  ]);
+  assert.deepEqual(select(versions, { keep: 3, maxAgeDays: 7, now }), [
+    "openclaw.json.bak-2026-02-01",
+    "openclaw.json.bak-2026-01-01",
+  ]);
+  assert.deepEqual(select(versions, { keep: 0, maxAgeDays: 0, now }), []);
+});
+
+test("only .bak files of the active config are addressable versions", () => {
+  const { configVersionRe, configVersionTime } = load(["configVersionRe", "configVersionTime"], {
+    path,
+    configPath: () => "/data/.openclaw/openclaw.json",
+  });
+  const re = configVersionRe();
+  assert.ok(re.test("openclaw.json.bak-2026-03-08T12-30-00-123Z"));
+  for (const bad of ["openclaw.json", "users.json", "../openclaw.json.bak-2026-03-08T12-30-00-123Z", "openclawXjson.bak-2026-03-08T12-30-00-123Z"]) {
+    assert.equal(re.test(bad), false, bad);
+  }
+  assert.equal(configVersionTime("2026-03-08T12-30-00-123Z"), "2026-03-08T12:30:00.123Z");
+});
+
+test("history routes are admin-only, diffs are redacted and restores go through the save path", () => {
+  for (const route of [
+    'app.get("/setup/api/config/history", requireSetupAuth, requireRole("admin")',
+    'app.get("/setup/api/config/history/diff", requireSetupAuth, requireRole("admin")',
+    'app.post("/setup/api/config/history/prune", requireSetupAuth, requireRole("admin"), audit(',
+    'app.post("/setup/api/config/history/:id/restore", requireSetupAuth, requireRole("admin"), audit(',
+  ]) {
+    assert.ok(src.includes(route), route);
+  }
+  assert.match(src, /unifiedConfigDiff\(maskConfigText\(a\)\.text, maskConfigText\(b\)\.text/);
+  const restore = src.slice(src.indexOf('app.post("/setup/api/config/history/:id/restore"'));
+  assert.match(restore.slice(0, 400), /snapshotState\("config\.restore"\)/);
+  assert.match(restore.slice(0, 1200), /await applyConfigContent\(content, /);
+});
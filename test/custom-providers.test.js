@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { load, route, serveRoutes } from "./helpers/server-source.js";
+
+const PROVIDER_HELPERS = [
+  "CUSTOM_PROVIDER_ID_RE",
+  "CUSTOM_PROVIDER_APIS",
+  "ENV_VAR_NAME_RE",
+  "ENV_REF_RE",
+  "HTTP_HEADER_NAME_RE",
+  "customProviderIdError",
+  "buildCustomProviderConfig",
+  "summarizeCustomProvider",
+];
+
+function loadProviderHelpers() {
+  return load(PROVIDER_HELPERS);
+}
+
+test("onboarding's single provider produces the same object as before", () => {
+  const { buildCustomProviderConfig } = loadProviderHelpers();
+  assert.deepEqual(
+    buildCustomProviderConfig({ baseUrl: " http://h:11434/v1 ", api: undefined, apiKeyEnv: "OLLAMA_API_KEY", models: ["llama3.1:8b"] }).config,
+    { baseUrl: "http://h:11434/v1", api: "openai-completions", apiKey: "${OLLAMA_API_KEY}", models: [{ id: "llama3.1:8b", name: "llama3.1:8b" }] },
+  );
+  assert.deepEqual(buildCustomProviderConfig({ baseUrl: "https://x/v1", api: "openai-responses", apiKeyEnv: "", models: [] }).config, {
+    baseUrl: "https://x/v1",
+    api: "openai-responses",
+  });
+});
+
+test("run handler validation messages are kept", () => {
+  const { customProviderIdError, buildCustomProviderConfig } = loadProviderHelpers();
+  assert.equal(customProviderIdError("my.proxy"), "invalid provider id (use letters/numbers/_/-)");
+  assert.equal(customProviderIdError("my_proxy-2"), null);
+  assert.equal(buildCustomProviderConfig({ baseUrl: "ftp://x" }).error, "baseUrl must start with http(s)://");
+  assert.equal(buildCustomProviderConfig({ baseUrl: "http://x", api: "chat" }).error, "api must be openai-completions or openai-responses");
+  assert.equal(buildCustomProviderConfig({ baseUrl: "http://x", apiKeyEnv: "1BAD" }).error, "invalid api key env var name");
+  assert.equal(buildCustomProviderConfig({ baseUrl: "http://x", headers: { "Bad Header": "v" } }).error, "invalid header name: Bad Header");
+  assert.equal(buildCustomProviderConfig({ baseUrl: "http://x", headers: { "X-New": "" } }).error, "header X-New needs a value");
+});
+
+test("edits keep stored header values, model metadata and unknown keys", () => {
+  const { buildCustomProviderConfig } = loadProviderHelpers();
+  const existing = {
+    baseUrl: "http://h/v1",
+    api: "openai-completions",
+    apiKey: "${KEY}",
+    headers: { "X-Secret": "abc" },
+    models: [{ id: "qwen", name: "Qwen", contextWindow: 32768 }, { id: "old", name: "old" }],
+    extra: true,
+  };
+  const { config } = buildCustomProviderConfig({ headers: { "X-Secret": "", "X-Org": "${ORG}" }, models: ["qwen", "new", "new"] }, existing);
+  assert.deepEqual(config, {
+    baseUrl: "http://h/v1",
+    api: "openai-completions",
+    apiKey: "${KEY}",
+    headers: { "X-Secret": "abc", "X-Org": "${ORG}" },
+    models: [{ id: "qwen", name: "Qwen", contextWindow: 32768 }, { id: "new", name: "new" }],
+    extra: true,
+  });
+  assert.equal(buildCustomProviderConfig({ apiKeyEnv: "" }, existing).config.apiKey, undefined);
+  assert.equal(existing.headers["X-Org"], undefined);
+});
+
+test("summaries hide literal keys and header values", () => {
+  const { summarizeCustomProvider } = loadProviderHelpers();
+  const s = summarizeCustomProvider("p", { baseUrl: "http://h", api: "openai-completions", apiKey: "sk-literal", headers: { A: "secret", B: "${B_VAR}" } });
+  assert.equal(s.apiKeyEnv, null);
+  assert.equal(s.apiKeyLiteral, true);
+  assert.deepEqual(s.headers, { A: null, B: "${B_VAR}" });
+  assert.ok(!JSON.stringify(s).includes("secret") && !JSON.stringify(s).includes("sk-literal"));
+});
+
+test("provider changes keep models.mode at merge and snapshot first", async () => {
+  const writes = [];
+  const { applyCustomProviderConfig } = load(["applyCustomProviderConfig"], {
+    applyConfigValue: async (dotted, value, opts) => {
+      writes.push({ dotted, value, opts });
+      return { ok: true };
+    },
+  });
+  const providers = { ollama: { baseUrl: "http://h/v1", api: "openai-completions" } };
+  const server = await serveRoutes(
+    [route("get", "/setup/api/providers"), route("put", "/setup/api/providers/:id"), route("delete", "/setup/api/providers/:id")],
+    {
+      ...load([...PROVIDER_HELPERS, "getDotted", "requireCustomProviderId", "describeProviderChange"]),
+      readConfigObject: () => ({ models: { mode: "merge", providers } }),
+      applyCustomProviderConfig,
+    },
+  );
+  try {
+    assert.equal((await server.request("PUT", "/setup/api/providers/x", { role: "operator", body: {} })).status, 403);
+    assert.equal((await server.request("PUT", "/setup/api/providers/bad.id", { body: {} })).status, 400);
+    assert.deepEqual(server.calls, []);
+    assert.deepEqual((await server.request("GET", "/setup/api/providers")).json.providers.map((p) => p.id), ["ollama"]);
+
+    const saved = await server.request("PUT", "/setup/api/providers/vllm", { body: { baseUrl: "http://v/v1", models: ["m"] } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(server.calls, ["audit:provider.save", "snapshot:provider.save"]);
+    assert.equal(writes[0].dotted, "models.providers.vllm");
+    assert.deepEqual(writes[0].opts.before, [["config models.mode", ["config", "set", "models.mode", "merge"]]]);
+
+    assert.equal((await server.request("DELETE", "/setup/api/providers/vllm")).status, 404);
+    assert.equal((await server.request("DELETE", "/setup/api/providers/ollama")).status, 200);
+    assert.deepEqual([writes[1].dotted, writes[1].value], ["models.providers.ollama", null]);
+    assert.deepEqual(server.calls.slice(-2), ["audit:provider.remove", "snapshot:provider.remove"]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { load, route, serveRoutes, snippet } from "./helpers/server-source.js";
+
+const DEVICE_HELPERS = [
+  "DEVICE_ID_RE",
+  "PAIRING_CHANNEL_RE",
+  "PAIRING_CODE_RE",
+  "extractDeviceRequestIds",
+  "parseCliJson",
+  "isoTime",
+  "firstOf",
+  "normalizeDevice",
+  "parseDeviceList",
+  "parsePairingList",
+];
+
+function loadDeviceHelpers() {
+  return load(DEVICE_HELPERS);
+}
+
+test("CLI JSON is found after log lines", () => {
+  const { parseCliJson } = loadDeviceHelpers();
+  assert.deepEqual(parseCliJson('[plugins] loaded 3\n{"pending":[]}\n'), { pending: [] });
+  assert.deepEqual(parseCliJson("[1,2]"), [1, 2]);
+  assert.equal(parseCliJson("pending:\n- requestId=abc123"), null);
+});
+
+test("device lists become records with names, platforms and times", () => {
+  const { parseDeviceList } = loadDeviceHelpers();
+  const out = JSON.stringify({
+    pending: [{ requestId: "req_1", deviceId: "dev_1", displayName: "Chrome", platform: "MacIntel", role: "operator", ts: 1760000000000 }],
+    paired: [
+      { deviceId: "dev_9", displayName: "Phone", platform: "iOS", roles: ["node"], createdAtMs: 1750000000, approvedAtMs: 1750000100000 },
+      { deviceId: "../etc" },
+    ],
+  });
+  assert.deepEqual(parseDeviceList(`note\n${out}`), {
+    source: "json",
+    pending: [
+      { id: "req_1", deviceId: "dev_1", name: "Chrome", platform: "MacIntel", roles: ["operator"], requestedAt: "2025-10-09T08:53:20.000Z", approvedAt: null, status: "pending" },
+    ],
+    paired: [
+      { id: "dev_9", deviceId: "dev_9", name: "Phone", platform: "iOS", roles: ["node"], requestedAt: "2025-06-15T15:06:40.000Z", approvedAt: "2025-06-15T15:08:20.000Z", status: "paired" },
+    ],
+  });
+});
+
+test("text output still yields the pending request IDs", () => {
+  const { parseDeviceList } = loadDeviceHelpers();
+  const list = parseDeviceList("pending:\n- requestId=abc123_DEF\n");
+  assert.equal(list.source, "text");
+  assert.deepEqual(list.pending.map((d) => [d.id, d.status]), [["abc123_DEF", "pending"]]);
+  assert.deepEqual(list.paired, []);
+});
+
+test("pairing requests are listed per channel", () => {
+  const { parsePairingList } = loadDeviceHelpers();
+  const json = JSON.stringify({ channel: "telegram", requests: [{ id: "12345", code: "3EY4PUYS", createdAt: "2026-01-02T03:04:05Z", meta: { username: "ana" } }, { code: "bad code" }] });
+  assert.deepEqual(parsePairingList("telegram", json), [
+    { channel: "telegram", code: "3EY4PUYS", senderId: "12345", name: "ana", requestedAt: "2026-01-02T03:04:05.000Z" },
+  ]);
+  assert.deepEqual(
+    parsePairingList("discord", "Pending TELEGRAM requests:\n  3EY4PUYS from 12345\n").map((p) => p.code),
+    ["3EY4PUYS"],
+  );
+});
+
+const DEVICES_HELP = "Usage: openclaw devices [options] [command]\n\nCommands:\n  list [options]   List devices\n  approve <id>     Approve a request\n";
+
+// The device action and pairing routes over a fake CLI; `cli(args)` answers every command but
+// `devices --help`, which prints `help`.
+async function serveDeviceRoutes(cli, help = `${DEVICES_HELP}  reject <id>      Reject a request\n  revoke [options] Revoke a device\n`) {
+  const runs = [];
+  const deps = {
+    OPENCLAW_NODE: "node",
+    clawArgs: (args) => args,
+    redactSecrets: (text) => text,
+    runCmd: async (_cmd, args) => {
+      if (args.join(" ") === "devices --help") return { code: 0, output: help };
+      runs.push(args.join(" "));
+      return cli(args);
+    },
+  };
+  const server = await serveRoutes(
+    [
+      snippet(/for \(const \[action, cliArgs\] of Object\.entries\(DEVICE_ACTIONS\)\) \{[\s\S]*?\n\}/, "device action routes"),
+      route("post", "/setup/api/pairing/approve"),
+    ],
+    {
+      ...deps,
+      ...load(["DEVICE_ID_RE", "PAIRING_CHANNEL_RE", "PAIRING_CODE_RE", "requireDeviceId", "DEVICE_ACTIONS", "deviceActionsCache", "supportedDeviceActions", "unsupportedDeviceAction"], deps),
+    },
+  );
+  return { ...server, runs };
+}
+
+test("device and pairing actions are validated, audited and snapshotted", async () => {
+  const server = await serveDeviceRoutes((args) => ({ code: args.includes("dev_fail") ? 1 : 0, output: "done" }));
+  const { runs } = server;
+  try {
+    assert.equal((await server.request("POST", "/setup/api/devices/req_1/approve")).status, 200);
+    assert.equal((await server.request("POST", "/setup/api/devices/req_2/reject")).status, 200);
+    assert.equal((await server.request("POST", "/setup/api/devices/dev_9/revoke")).status, 200);
+    assert.equal((await server.request("POST", "/setup/api/devices/dev_fail/revoke")).status, 500);
+    assert.equal((await server.request("POST", "/setup/api/devices/bad.id/approve")).status, 400);
+    assert.equal((await server.request("POST", "/setup/api/devices/req_1/approve", { role: null })).status, 401);
+    assert.equal((await server.request("POST", "/setup/api/pairing/approve", { body: { channel: "Telegram", code: "3EY4PUYS" } })).status, 200);
+    assert.equal((await server.request("POST", "/setup/api/pairing/approve", { body: { channel: "telegram", code: "bad code" } })).status, 400);
+    assert.deepEqual(runs, ["devices approve req_1", "devices reject req_2", "devices revoke --device dev_9", "devices revoke --device dev_fail", "pairing approve telegram 3EY4PUYS"]);
+    // Invalid device IDs and logged-out requests are turned away before they are audited.
+    assert.deepEqual(
+      server.calls.filter((c) => c.startsWith("audit:")),
+      ["devices.approve", "devices.reject", "devices.revoke", "devices.revoke", "pairing.approve", "pairing.approve"].map((a) => `audit:${a}`),
+    );
+    assert.equal(server.calls.filter((c) => c.startsWith("snapshot:")).length, 6);
+  } finally {
+    await server.close();
+  }
+});
+
+test("device actions the pinned CLI does not have are refused with a clear error", async () => {
+  const server = await serveDeviceRoutes(() => ({ code: 1, output: "error: unknown command 'revoke'" }), `${DEVICES_HELP}  revoke [options] Revoke a device\n`);
+  try {
+    const rejected = await server.request("POST", "/setup/api/devices/req_1/reject");
+    assert.deepEqual([rejected.status, rejected.json.error], [501, "This OpenClaw build has no `openclaw devices reject` command; update OpenClaw to reject devices from /setup."]);
+    assert.deepEqual(server.runs, [], "the CLI is not asked to run a command it lacks");
+
+    // The help listed revoke, but the CLI still turns it down.
+    const revoked = await server.request("POST", "/setup/api/devices/dev_9/revoke");
+    assert.deepEqual([revoked.status, revoked.json.error], [500, "This OpenClaw build has no `openclaw devices revoke` command; update OpenClaw to revoke devices from /setup."]);
+    assert.match(revoked.json.output, /unknown command/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("the device action list falls back to every action when the help lists none", async () => {
+  const runs = [];
+  const { supportedDeviceActions } = load(["DEVICE_ACTIONS", "deviceActionsCache", "supportedDeviceActions"], {
+    OPENCLAW_NODE: "node",
+    clawArgs: (args) => args,
+    runCmd: async (_cmd, args) => {
+      runs.push(args.join(" "));
+      return { code: 0, output: "openclaw devices: manage paired devices" };
+    },
+  });
+  assert.deepEqual(await supportedDeviceActions(), ["approve", "reject", "revoke"]);
+  await supportedDeviceActions();
+  assert.deepEqual(runs, ["devices --help"], "the answer is cached");
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { load, src } from "./helpers/server-source.js";
+
+test("gateway output is piped (not inherited) and captured", () => {
+  const idx = src.indexOf("async function startGateway(");
+  assert.ok(idx >= 0);
+  const window = src.slice(idx, idx + 1200);
+  assert.doesNotMatch(window, /stdio: "inherit"/);
+  assert.match(window, /captureGatewayStream\(proc\.stdout, "stdout", process\.stdout\)/);
+  assert.match(window, /captureGatewayStream\(proc\.stderr, "stderr", process\.stderr\)/);
+});
+
+// The gateway log writing into `dir`, with a clock that advances a second per line.
+function loadGatewayLog(dir, limits = {}) {
+  const clock = { now: Date.parse("2026-03-01T00:00:00.000Z") };
+  class FakeDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [clock.now]));
+    }
+    static now() {
+      return clock.now;
+    }
+  }
+  const streams = [];
+  const log = load(
+    ["gatewayLog", "pushGatewayLogEntry", "rotateGatewayLog", "openGatewayLogStream", "writeGatewayLogFile", "appendGatewayLog", "queryGatewayLog", "readFileTailLines", "loadGatewayLogTail"],
+    {
+      Date: FakeDate,
+      fs: {
+        ...fs,
+        createWriteStream(...args) {
+          const stream = fs.createWriteStream(...args);
+          streams.push(stream);
+          return stream;
+        },
+      },
+      GATEWAY_LOG_DIR: dir,
+      GATEWAY_LOG_PATH: path.join(dir, "gateway.log"),
+      GATEWAY_LOG_MAX_BYTES: 200,
+      GATEWAY_LOG_FILES: 3,
+      GATEWAY_LOG_BUFFER_LINES: 50,
+      redactSecrets: (text) => text.replaceAll("sk-live-123", "[REDACTED]"),
+      ...limits,
+    },
+  );
+  return {
+    ...log,
+    clock,
+    // Appends lines one by one, letting each new file open before the next write.
+    async append(lines, stream = "stdout") {
+      for (const line of lines) {
+        clock.now += 1_000;
+        log.appendGatewayLog(stream, line);
+        if (log.gatewayLog.stream?.pending) await once(log.gatewayLog.stream, "ready");
+      }
+    },
+    async close() {
+      log.gatewayLog.stream?.end();
+      await Promise.all(streams.filter((s) => !s.closed).map((s) => once(s, "close")));
+    },
+  };
+}
+
+const read = (file) => fs.readFileSync(file, "utf8").trim().split("\n").map((l) => l.split(" ").pop());
+
+test("the log file rotates by size and keeps GATEWAY_LOG_FILES files", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gwlog-"));
+  try {
+    const log = loadGatewayLog(dir);
+    const lines = Array.from({ length: 20 }, (_, i) => `line-${String(i).padStart(2, "0")}`);
+    await log.append(lines);
+    await log.close();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["gateway.log", "gateway.log.1", "gateway.log.2"]);
+    const kept = [...read(path.join(dir, "gateway.log.2")), ...read(path.join(dir, "gateway.log.1")), ...read(path.join(dir, "gateway.log"))];
+    assert.deepEqual(kept, lines.slice(-kept.length), "the files hold the newest lines, oldest first");
+    for (const name of fs.readdirSync(dir)) assert.ok(fs.statSync(path.join(dir, name)).size <= 200, name);
+    assert.match(fs.readFileSync(path.join(dir, "gateway.log"), "utf8"), /^2026-03-01T00:00:20\.000Z \[stdout\] line-19$/m);
+
+    // A restarted wrapper seeds its buffer from the current file.
+    const restarted = loadGatewayLog(dir);
+    restarted.loadGatewayLogTail();
+    assert.deepEqual(restarted.queryGatewayLog().map((e) => e.line), read(path.join(dir, "gateway.log")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a single log file is truncated instead of rotated", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gwlog-"));
+  try {
+    const log = loadGatewayLog(dir, { GATEWAY_LOG_FILES: 1 });
+    await log.append(Array.from({ length: 10 }, (_, i) => `line-${i}`));
+    await log.close();
+    assert.deepEqual(fs.readdirSync(dir), ["gateway.log"]);
+    assert.equal(read(path.join(dir, "gateway.log")).at(-1), "line-9");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("log queries filter by tail, since, cursor and text, and lines are redacted", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gwlog-"));
+  try {
+    const log = loadGatewayLog(dir, { GATEWAY_LOG_MAX_BYTES: 1024 * 1024 });
+    await log.append(["boot", "listening on 18789", "token sk-live-123"]);
+    await log.append(["Telegram ERROR: 409 conflict", "telegram retry"], "stderr");
+    await log.close();
+
+    const lines = (entries) => entries.map((e) => e.line);
+    assert.deepEqual(lines(log.queryGatewayLog({ tail: 2 })), ["Telegram ERROR: 409 conflict", "telegram retry"]);
+    assert.deepEqual(lines(log.queryGatewayLog({ since: Date.parse("2026-03-01T00:00:03.000Z") })), [
+      "token [REDACTED]",
+      "Telegram ERROR: 409 conflict",
+      "telegram retry",
+    ]);
+    const cursor = log.queryGatewayLog()[2].seq;
+    assert.deepEqual(lines(log.queryGatewayLog({ after: cursor })), ["Telegram ERROR: 409 conflict", "telegram retry"]);
+    assert.deepEqual(lines(log.queryGatewayLog({ q: "TELEGRAM", tail: 1 })), ["telegram retry"]);
+    assert.deepEqual(log.queryGatewayLog({ q: "telegram" }).map((e) => e.stream), ["stderr", "stderr"]);
+    assert.doesNotMatch(fs.readFileSync(path.join(dir, "gateway.log"), "utf8"), /sk-live-123/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("server exposes /setup/api/logs behind setup auth", () => {
+  assert.match(src, /app\.get\("\/setup\/api\/logs", requireSetupAuth/);
+});
@@ -0,0 +1,175 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { load, src } from "./helpers/server-source.js";
+
+// The supervisor with a fake clock, fake timers and a fake spawn. Each spawned gateway is a
+// bare EventEmitter; emit "exit" on it to simulate a crash, and run the pending restart timer
+// with runTimer().
+function loadSupervisor(limits = {}) {
+  const clock = { now: 1_000_000 };
+  class FakeDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [clock.now]));
+    }
+    static now() {
+      return clock.now;
+    }
+  }
+  const procs = [];
+  const timers = [];
+  const notified = [];
+  const sup = load(
+    [
+      "gatewayProc",
+      "gatewayStarting",
+      "gatewayStartedAt",
+      "lastGatewayError",
+      "lastGatewayExit",
+      "gatewaySupervisor",
+      "intentionallyStopped",
+      "recordGatewayEvent",
+      "scheduleGatewayRestart",
+      "onGatewayCrash",
+      "gatewaySupervisorSnapshot",
+      "startGateway",
+      "stopGateway",
+      "ensureGatewayRunning",
+    ],
+    {
+      Date: FakeDate,
+      setTimeout: (fn, ms) => {
+        const timer = { fn, ms, cleared: false, unref() {} };
+        timers.push(timer);
+        return timer;
+      },
+      clearTimeout: (timer) => {
+        if (timer) timer.cleared = true;
+      },
+      console: { log() {}, warn() {}, error() {} },
+      GATEWAY_RESTART_BASE_MS: 1_000,
+      GATEWAY_RESTART_MAX_MS: 8_000,
+      GATEWAY_CRASH_LOOP_LIMIT: 10,
+      GATEWAY_CRASH_LOOP_WINDOW_MS: 60_000,
+      GATEWAY_STABLE_UPTIME_MS: 60_000,
+      ...limits,
+      isConfigured: () => true,
+      fs: { mkdirSync() {} },
+      STATE_DIR: "/data/.openclaw",
+      WORKSPACE_DIR: "/data/workspace",
+      INTERNAL_GATEWAY_PORT: 18789,
+      OPENCLAW_GATEWAY_TOKEN: "token",
+      OPENCLAW_NODE: "node",
+      clawArgs: (args) => args,
+      secretsEnv: () => ({}),
+      captureGatewayStream() {},
+      childProcess: {
+        spawn() {
+          const proc = new EventEmitter();
+          proc.kill = () => {};
+          procs.push(proc);
+          return proc;
+        },
+      },
+      waitForGatewayReady: async () => true,
+      runDoctorBestEffort: async () => {},
+      sleep: async () => {},
+      notify: (event) => notified.push(event),
+      metricInc() {},
+    },
+  );
+  const pending = () => timers.filter((t) => !t.cleared && !t.ran);
+  return {
+    ...sup,
+    clock,
+    procs,
+    notified,
+    pending,
+    crash(afterMs = 10) {
+      clock.now += afterMs;
+      procs[procs.length - 1].emit("exit", 1, null);
+    },
+    async runTimer() {
+      const [timer] = pending();
+      assert.ok(timer, "no restart scheduled");
+      timer.ran = true;
+      clock.now += timer.ms;
+      await timer.fn();
+    },
+  };
+}
+
+test("restarts back off exponentially up to the cap", async () => {
+  const s = loadSupervisor();
+  await s.startGateway();
+  const delays = [];
+  for (let i = 0; i < 5; i += 1) {
+    s.crash();
+    delays.push(s.pending()[0].ms);
+    assert.equal(s.gatewaySupervisorSnapshot().state, "backoff");
+    await s.runTimer();
+  }
+  assert.deepEqual(delays, [1_000, 2_000, 4_000, 8_000, 8_000]);
+  assert.equal(s.procs.length, 6);
+  assert.deepEqual([s.gatewaySupervisorSnapshot().state, s.gatewaySupervisor.restarts], ["running", 5]);
+
+  // A gateway that stayed up past GATEWAY_STABLE_UPTIME_MS starts over at the base delay.
+  s.crash(60_000);
+  assert.equal(s.pending()[0].ms, 1_000);
+});
+
+test("too many crashes inside the window mark the gateway degraded", async () => {
+  const s = loadSupervisor({ GATEWAY_CRASH_LOOP_LIMIT: 3 });
+  await s.startGateway();
+  for (let i = 0; i < 2; i += 1) {
+    s.crash();
+    await s.runTimer();
+  }
+  s.crash();
+  assert.equal(s.pending().length, 0);
+  assert.equal(s.gatewaySupervisorSnapshot().state, "degraded");
+  assert.deepEqual(s.notified, ["gateway.crashed", "gateway.crashed", "gateway.crashed", "gateway.degraded"]);
+  await assert.rejects(s.ensureGatewayRunning(), /degraded/);
+  assert.equal(s.procs.length, 3);
+});
+
+test("crashes spread beyond the window do not trip the breaker", async () => {
+  const s = loadSupervisor({ GATEWAY_CRASH_LOOP_LIMIT: 3 });
+  await s.startGateway();
+  for (let i = 0; i < 4; i += 1) {
+    s.crash(30_000);
+    await s.runTimer();
+  }
+  assert.equal(s.gatewaySupervisorSnapshot().state, "running");
+});
+
+test("intentional stops are not treated as crashes", async () => {
+  const s = loadSupervisor();
+  await s.startGateway();
+  const stopped = s.procs[0];
+  await s.stopGateway();
+  stopped.emit("exit", null, "SIGTERM");
+  assert.equal(s.pending().length, 0);
+  assert.deepEqual(s.notified, []);
+  assert.deepEqual([s.gatewaySupervisorSnapshot().state, s.gatewaySupervisor.history.map((e) => e.event)], ["stopped", ["stopped"]]);
+
+  // Stopping while a restart is pending cancels it.
+  await s.startGateway();
+  s.crash();
+  assert.equal(s.pending().length, 1);
+  await s.stopGateway();
+  assert.equal(s.pending().length, 0);
+});
+
+test("gateway.stop, reset and import stop the gateway through stopGateway()", () => {
+  for (const marker of ['cmd === "gateway.stop"', 'app.post("/setup/api/reset"', 'app.post("/setup/import"']) {
+    const idx = src.indexOf(marker);
+    assert.ok(idx >= 0, marker);
+    assert.match(src.slice(idx, idx + 1200), /stopGateway\(\)/, marker);
+  }
+});
+
+test("supervisor state is exposed in /healthz, /readyz?verbose=1 and /setup/api/debug", () => {
+  assert.match(src, /supervisor: gatewaySupervisorSnapshot\(/);
+  assert.match(src, /gatewaySupervisor: gatewaySupervisorSnapshot\(/);
+});
@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { declaration, load, route, serveRoutes } from "./helpers/server-source.js";
+
+// stubs: { configured, gateway, deep, deepCheck, readyWhenUnconfigured }
+function healthDeps(stubs) {
+  return {
+    isConfigured: () => stubs.configured,
+    probeGateway: async () => {
+      stubs.gatewayProbes = (stubs.gatewayProbes || 0) + 1;
+      return stubs.gateway;
+    },
+    deepHealthCheck: async () => stubs.deep,
+    HEALTH_PROBE_CACHE_MS: 60_000,
+    READY_DEEP_CHECK: Boolean(stubs.deepCheck),
+    READY_DEEP_CACHE_MS: 60_000,
+    READY_WHEN_UNCONFIGURED: Boolean(stubs.readyWhenUnconfigured),
+  };
+}
+
+function loadHealth(stubs) {
+  return load(["healthProbes", "cachedProbe", "probeAgeMs", "readinessReport"], healthDeps(stubs));
+}
+
+test("probe results are cached and concurrent callers share one run", async () => {
+  const { cachedProbe } = loadHealth({});
+  let runs = 0;
+  const fn = async () => {
+    runs += 1;
+    await new Promise((r) => setTimeout(r, 10));
+    return runs;
+  };
+  const [a, b] = await Promise.all([cachedProbe("x", 60_000, fn), cachedProbe("x", 60_000, fn)]);
+  assert.deepEqual([a, b, await cachedProbe("x", 60_000, fn)], [1, 1, 1]);
+  assert.equal(await cachedProbe("x", 0, fn), 2);
+  assert.deepEqual(await cachedProbe("boom", 60_000, async () => { throw new Error("nope"); }), { ok: false, error: "Error: nope" });
+});
+
+test("ready needs config and a reachable gateway", async () => {
+  const stubs = { configured: true, gateway: true };
+  const health = loadHealth(stubs);
+  assert.deepEqual(await health.readinessReport(), { ready: true, checks: { configured: true, gateway: true, deep: null }, deep: null });
+  await health.readinessReport();
+  assert.equal(stubs.gatewayProbes, 1);
+
+  assert.equal((await loadHealth({ configured: true, gateway: false }).readinessReport()).ready, false);
+  assert.equal((await loadHealth({ configured: false }).readinessReport()).ready, false);
+  assert.equal((await loadHealth({ configured: false, readyWhenUnconfigured: true }).readinessReport()).ready, true);
+});
+
+test("the deep check can fail readiness when enabled", async () => {
+  const failing = await loadHealth({ configured: true, gateway: true, deepCheck: true, deep: { ok: false, code: 1 } }).readinessReport();
+  assert.deepEqual([failing.ready, failing.checks.deep], [false, false]);
+  const skipped = await loadHealth({ configured: true, gateway: false, deepCheck: true, deep: { ok: true } }).readinessReport();
+  assert.equal(skipped.checks.deep, null);
+});
+
+async function serveHealth(stubs) {
+  const deps = healthDeps(stubs);
+  // verboseNeedsSetupAuth is declared next to the routes so it uses the stub requireSetupAuth.
+  return serveRoutes([declaration("verboseNeedsSetupAuth"), route("get", "/readyz"), route("get", "/healthz")], {
+    ...deps,
+    ...load(["healthProbes", "cachedProbe", "probeAgeMs", "readinessReport"], deps),
+    STATE_DIR: "/data/.openclaw",
+    WORKSPACE_DIR: "/data/workspace",
+    GATEWAY_TARGET: "http://127.0.0.1:18789",
+    lastGatewayError: "boom",
+    lastGatewayExit: { code: 1 },
+    lastDoctorAt: null,
+    gatewaySupervisorSnapshot: () => ({
+      state: "running",
+      restarts: 2,
+      history: [{ at: "2026-01-01T00:00:00.000Z", event: "restart-failed", error: "Error: spawn /data/x" }],
+    }),
+    backupHealthSnapshot: () => ({ lastSuccessAt: null }),
+    backupState: { lastScheduled: { at: "2026-01-02T00:00:00.000Z", ok: false, error: "EACCES /data/.openclaw" } },
+  });
+}
+
+test("/readyz answers 503 when not ready, verbose output needs a setup login and /healthz carries no paths or errors", async () => {
+  const down = await serveHealth({ configured: true, gateway: false });
+  try {
+    const res = await down.request("GET", "/readyz", { role: null });
+    assert.deepEqual([res.status, res.json], [503, { ok: false, checks: { configured: true, gateway: false, deep: null } }]);
+    assert.equal((await down.request("GET", "/readyz?verbose=1", { role: null })).status, 401);
+    const verbose = await down.request("GET", "/readyz?verbose=1", { role: "viewer" });
+    assert.equal(verbose.status, 503);
+    assert.equal(verbose.json.wrapper.stateDir, "/data/.openclaw");
+    assert.deepEqual(verbose.json.gateway, {
+      target: "http://127.0.0.1:18789",
+      probeAgeMs: verbose.json.gateway.probeAgeMs,
+      lastError: "boom",
+      lastExit: { code: 1 },
+      lastDoctorAt: null,
+      supervisor: verbose.json.gateway.supervisor,
+    });
+    assert.equal(verbose.json.gateway.supervisor.restarts, 2);
+    assert.deepEqual(verbose.json.backups, { lastSuccessAt: null });
+  } finally {
+    await down.close();
+  }
+
+  const up = await serveHealth({ configured: true, gateway: true });
+  try {
+    assert.equal((await up.request("GET", "/readyz", { role: null })).status, 200);
+    const health = await up.request("GET", "/healthz", { role: null });
+    assert.deepEqual([health.status, health.json], [
+      200,
+      {
+        ok: true,
+        wrapper: { configured: true },
+        gateway: {
+          reachable: true,
+          supervisor: { state: "running", restarts: 2, history: [{ at: "2026-01-01T00:00:00.000Z", event: "restart-failed" }] },
+        },
+        backups: { last: { ok: false, at: "2026-01-02T00:00:00.000Z" } },
+      },
+    ]);
+    assert.doesNotMatch(health.text, /\/data\//);
+  } finally {
+    await up.close();
+  }
+});
@@ -0,0 +1,103 @@
+// Unit-test access to src/server.js. The server starts listening as soon as it is imported,
+// so tests evaluate just the top-level declarations they need, looked up by name in the source.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+export const src = fs.readFileSync(new URL("../../src/server.js", import.meta.url), "utf8");
+
+export function snippet(re, what) {
+  const m = src.match(re);
+  assert.ok(m, `${what} not found`);
+  return m[0];
+}
+
+// Source of a top-level `function`, `async function`, `const` or `let` declaration. It ends at
+// the function's closing "}" in column 0, or at the first line ending in ";" (before any
+// trailing comment) that is followed by a blank or unindented line.
+export function declaration(name) {
+  const m = new RegExp(`^(async function|function|const|let) ${name}\\b`, "m").exec(src);
+  assert.ok(m, `${name} not found in src/server.js`);
+  const lines = src.slice(m.index).split("\n");
+  const isFunction = m[1].endsWith("function");
+  const end = lines.findIndex((line, i) => {
+    if (isFunction) return i === 0 ? line.endsWith("}") : line.startsWith("}");
+    return line.replace(/\s+\/\/ .*$/, "").endsWith(";") && /^(\S|$)/.test(lines[i + 1] ?? "");
+  });
+  assert.ok(end >= 0, `end of ${name} not found`);
+  return lines.slice(0, end + 1).join("\n");
+}
+
+// Evaluates the named declarations in order and returns them by name. `inject` provides
+// whatever else they reference (modules, stubs); a name present in both is taken from `inject`.
+export function load(names, inject = {}) {
+  const keys = Object.keys(inject);
+  const code = names.filter((n) => !keys.includes(n)).map(declaration).join("\n");
+  // eslint-disable-next-line no-new-func
+  return new Function(...keys, `${code}\nreturn { ${names.join(", ")} };`)(...keys.map((k) => inject[k]));
+}
+
+// Source of the `app.<method>("<path>", ...)` registration.
+export function route(method, routePath) {
+  const start = src.indexOf(`\napp.${method}(${JSON.stringify(routePath)},`);
+  assert.ok(start >= 0, `${method.toUpperCase()} ${routePath} not found`);
+  const lines = src.slice(start + 1).split("\n");
+  const end = lines.findIndex((line, i) => (i === 0 ? line.endsWith(");") : line.startsWith("});")));
+  return lines.slice(0, end + 1).join("\n");
+}
+
+// Serves route registrations (source text, e.g. from route()) on an ephemeral port with the
+// real requireRole. requireSetupAuth logs the request in with the role in the x-test-role
+// header; audit() and snapshotState() record their action in `calls`.
+export async function serveRoutes(sources, inject = {}) {
+  const { default: express } = await import("express");
+  const app = express();
+  app.use(express.json());
+  const calls = [];
+  const { requireRole } = load(["ROLE_LEVELS", "hasRole", "requireRole"]);
+  const deps = {
+    requireSetupAuth(req, res, next) {
+      const role = req.headers["x-test-role"];
+      if (!role) return res.status(401).json({ ok: false });
+      req.authUser = { username: "tester", role };
+      next();
+    },
+    requireRole,
+    audit: (action) => (_req, _res, next) => {
+      calls.push(`audit:${action}`);
+      next();
+    },
+    snapshotState: (action) => (_req, _res, next) => {
+      calls.push(`snapshot:${action}`);
+      next();
+    },
+    ...inject,
+  };
+  const keys = Object.keys(deps);
+  // eslint-disable-next-line no-new-func
+  new Function("app", ...keys, [].concat(sources).join("\n"))(app, ...keys.map((k) => deps[k]));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    calls,
+    // request("PUT", "/setup/api/x", { role: "admin", body, headers, redirect: "manual" })
+    async request(method, urlPath, { role = "admin", body, headers = {}, redirect = "follow" } = {}) {
+      const res = await fetch(base + urlPath, {
+        method,
+        redirect,
+        headers: { "content-type": "application/json", ...(role ? { "x-test-role": role } : {}), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // not JSON
+      }
+      return { status: res.status, headers: res.headers, json, text };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import JSON5 from "json5";
+import { load, src } from "./helpers/server-source.js";
+
+test("archive entries are grouped by their top-level directory", () => {
+  const { archiveTopDir } = load(["archiveTopDir"]);
+  assert.equal(archiveTopDir(".openclaw/openclaw.json"), ".openclaw");
+  assert.equal(archiveTopDir("./workspace/a/b.txt"), "workspace");
+  assert.equal(archiveTopDir("workspace"), "workspace");
+});
+
+test("archived config reports its channels", () => {
+  const { summarizeArchivedConfig: summarize } = load(["parseJson5", "summarizeArchivedConfig"], { JSON5 });
+  const cfg = { channels: { telegram: { enabled: true, botToken: "x" }, discord: { enabled: false }, junk: 1 } };
+  assert.deepEqual(summarize(Buffer.from(JSON.stringify(cfg))), {
+    parsed: true,
+    channels: [
+      { name: "telegram", enabled: true },
+      { name: "discord", enabled: false },
+    ],
+  });
+  assert.deepEqual(summarize(Buffer.from("{ not json")), { parsed: false, channels: [] });
+});
+
+test("archived configs with comments and trailing commas are previewed too", () => {
+  const { summarizeArchivedConfig: summarize } = load(["parseJson5", "summarizeArchivedConfig"], { JSON5 });
+  const cfg = [
+    "{",
+    "  // chat channels",
+    "  channels: {",
+    '    telegram: { enabled: true, botToken: "${OPENCLAW_SECRET_TELEGRAM}", },',
+    "    /* not yet */ slack: { enabled: false },",
+    "  },",
+    "}",
+  ].join("\n");
+  assert.deepEqual(summarize(Buffer.from(cfg)), {
+    parsed: true,
+    channels: [
+      { name: "telegram", enabled: true },
+      { name: "slack", enabled: false },
+    ],
+  });
+});
+
+test("preview never stops the gateway; apply is admin-only, audited and snapshots a clean restore", () => {
+  const preview = src.slice(src.indexOf('app.post("/setup/import/preview"'), src.indexOf("function describeImportApply"));
+  assert.match(preview, /requireRole\("admin"\)/);
+  assert.doesNotMatch(preview, /stopGateway|restoreBackupArchive/);
+
+  const apply = src.slice(src.indexOf('app.post("/setup/import/apply"'));
+  assert.match(apply.slice(0, 200), /requireRole\("admin"\), audit\("backup\.import"/);
+  assert.ok(apply.indexOf('writeBackupArchive("snapshot")') < apply.indexOf("restoreBackupArchive(staged.path"));
+  assert.match(src, /return !groups \|\| groups\.includes\(archiveTopDir\(p\)\);/);
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import path from "node:path";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+function loadMetrics() {
+  return load(
+    ["metrics", "defineMetric", "metricSeries", "metricInc", "metricSet", "metricObserve", "formatMetricLabels", "renderMetrics", "statusClass", "commandLabel"],
+    { path, OPENCLAW_NODE: "node", OPENCLAW_ENTRY: "/openclaw/dist/entry.js" },
+  );
+}
+
+test("counters and gauges render in Prometheus text format", () => {
+  const m = loadMetrics();
+  m.defineMetric("t_requests_total", "counter", "Requests.");
+  m.defineMetric("t_up", "gauge", "Up.");
+  m.metricInc("t_requests_total", { status_class: "2xx" });
+  m.metricInc("t_requests_total", { status_class: "2xx" }, 2);
+  m.metricInc("t_requests_total", { status_class: "5xx" });
+  m.metricSet("t_up", {}, 1);
+  assert.equal(
+    m.renderMetrics(),
+    [
+      "# HELP t_requests_total Requests.",
+      "# TYPE t_requests_total counter",
+      't_requests_total{status_class="2xx"} 3',
+      't_requests_total{status_class="5xx"} 1',
+      "# HELP t_up Up.",
+      "# TYPE t_up gauge",
+      "t_up 1",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("histograms have cumulative buckets, +Inf, sum and count", () => {
+  const m = loadMetrics();
+  m.defineMetric("t_seconds", "histogram", "Latency.", [0.1, 1]);
+  m.metricObserve("t_seconds", { command: "config" }, 0.05);
+  m.metricObserve("t_seconds", { command: "config" }, 0.5);
+  m.metricObserve("t_seconds", { command: "config" }, 3);
+  const out = m.renderMetrics();
+  assert.match(out, /t_seconds_bucket\{command="config",le="0.1"\} 1\n/);
+  assert.match(out, /t_seconds_bucket\{command="config",le="1"\} 2\n/);
+  assert.match(out, /t_seconds_bucket\{command="config",le="\+Inf"\} 3\n/);
+  assert.match(out, /t_seconds_sum\{command="config"\} 3.55\n/);
+  assert.match(out, /t_seconds_count\{command="config"\} 3\n/);
+});
+
+test("label values are escaped and command labels stay bounded", () => {
+  const m = loadMetrics();
+  m.defineMetric("t_errors_total", "counter", "Errors.");
+  m.metricInc("t_errors_total", { code: 'a"b\\c\nd' });
+  assert.match(m.renderMetrics(), /t_errors_total\{code="a\\"b\\\\c\\nd"\} 1/);
+  assert.equal(m.commandLabel("node", ["/openclaw/dist/entry.js", "devices", "list", "--json"]), "devices");
+  assert.equal(m.commandLabel("node", ["/openclaw/dist/entry.js", "--version"]), "other");
+  assert.equal(m.commandLabel("node", ["/openclaw/dist/entry.js", "Bad Input!"]), "other");
+  assert.equal(m.commandLabel("/usr/bin/bash", ["/data/workspace/bootstrap.sh"]), "bash");
+  assert.deepEqual([200, 302, 404, 502, 0].map(m.statusClass), ["2xx", "3xx", "4xx", "5xx", "other"]);
+});
+
+test("the proxy, gateway, CLI runs, backups and restores are instrumented", () => {
+  assert.match(src, /metricInc\("openclaw_proxy_errors_total"/);
+  assert.match(src, /metricInc\("openclaw_proxy_requests_total", labels\);[\s\S]*?return proxy\.web\(/);
+  assert.match(src, /metricInc\("openclaw_proxy_websockets_active"\);\s*socket\.once\("close"/);
+  assert.match(src, /function onGatewayCrash\([^)]*\) \{\n.*\n\s*metricInc\("openclaw_gateway_crashes_total"\)/);
+  assert.match(src, /metricObserve\("openclaw_gateway_ready_seconds", \{ result: "timeout" \}/);
+  assert.match(src, /finish\(124, "timeout"\)/);
+  assert.match(src, /metricInc\("openclaw_backups_total", \{ kind, result: "error" \}\)/);
+  assert.match(src, /metricInc\("openclaw_restores_total", \{ result: isBackupArchiveError\(err\) \? "rejected" : "error" \}\)/);
+});
+
+async function serveMetrics(token) {
+  return serveRoutes(route("get", "/metrics"), {
+    METRICS_TOKEN: token,
+    safeEqual: load(["safeEqual"], { crypto }).safeEqual,
+    collectStateMetrics: () => {},
+    renderMetrics: () => "t_up 1\n",
+  });
+}
+
+test("/metrics requires the bearer token only when METRICS_TOKEN is set", async () => {
+  const open = await serveMetrics("");
+  try {
+    const res = await open.request("GET", "/metrics", { role: null });
+    assert.deepEqual([res.status, res.text], [200, "t_up 1\n"]);
+  } finally {
+    await open.close();
+  }
+
+  const locked = await serveMetrics("m-token");
+  try {
+    assert.equal((await locked.request("GET", "/metrics", { role: null })).status, 401);
+    assert.equal((await locked.request("GET", "/metrics", { role: null, headers: { authorization: "Bearer wrong" } })).status, 401);
+    const res = await locked.request("GET", "/metrics", { role: null, headers: { authorization: "Bearer m-token" } });
+    assert.deepEqual([res.status, res.text], [200, "t_up 1\n"]);
+  } finally {
+    await locked.close();
+  }
+});
@@ -0,0 +1,266 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+function loadNotifyHelpers() {
+  return load(["NOTIFY_TIMEOUT_MS", "wantsEvent", "signWebhookPayload", "isRetryableStatus", "postWebhook"], { crypto });
+}
+
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+test("webhooks with no events get every event; disabled ones get none", () => {
+  const { wantsEvent } = loadNotifyHelpers();
+  assert.equal(wantsEvent({ events: [] }, "gateway.crashed"), true);
+  assert.equal(wantsEvent({ events: ["backup.failed"] }, "gateway.crashed"), false);
+  assert.equal(wantsEvent({ events: ["backup.failed"] }, "test"), true);
+  assert.equal(wantsEvent({ events: [], enabled: false }, "backup.failed"), false);
+});
+
+test("only timeouts, rate limits and server errors are retried", () => {
+  const { isRetryableStatus } = loadNotifyHelpers();
+  assert.deepEqual([400, 401, 404, 408, 429, 500, 503].filter(isRetryableStatus), [408, 429, 500, 503]);
+});
+
+test("deliveries are signed over timestamp and body", async () => {
+  const { postWebhook } = loadNotifyHelpers();
+  let received;
+  const server = await listen((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received = { headers: req.headers, body };
+      res.end("ok");
+    });
+  });
+  try {
+    const delivery = { id: "d-1", event: "device.pending", summary: "Device dev_1 is waiting for approval", data: {} };
+    const result = await postWebhook({ url: `http://127.0.0.1:${server.address().port}/hook`, secret: "s3cret" }, delivery);
+    assert.equal(result.ok, true);
+    assert.equal(result.status, 200);
+    assert.deepEqual(JSON.parse(received.body), delivery);
+    assert.equal(received.headers["x-openclaw-event"], "device.pending");
+    assert.equal(received.headers["x-openclaw-delivery"], "d-1");
+    const expected = crypto.createHmac("sha256", "s3cret").update(`${received.headers["x-openclaw-timestamp"]}.${received.body}`).digest("hex");
+    assert.equal(received.headers["x-openclaw-signature"], `sha256=${expected}`);
+  } finally {
+    server.close();
+  }
+});
+
+test("failed deliveries resolve with the status instead of throwing", async () => {
+  const { postWebhook } = loadNotifyHelpers();
+  const server = await listen((_req, res) => {
+    res.statusCode = 503;
+    res.end();
+  });
+  const port = server.address().port;
+  try {
+    const result = await postWebhook({ url: `http://127.0.0.1:${port}/`, secret: "" }, { id: "d-2", event: "test" });
+    assert.deepEqual([result.ok, result.status, result.error], [false, 503, "HTTP 503"]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  const down = await postWebhook({ url: `http://127.0.0.1:${port}/`, secret: "" }, { id: "d-3", event: "test" });
+  assert.equal(down.ok, false);
+  assert.equal(down.status, null);
+});
+
+test("failures notify from the gateway, doctor, backup and device paths", () => {
+  assert.match(src, /function onGatewayCrash\(uptimeMs, info = \{\}\) \{\s*notify\("gateway\.crashed"/);
+  assert.match(src, /notify\("gateway\.degraded", msg/);
+  assert.match(src, /notify\("gateway\.start_failed", msg/);
+  assert.match(src, /if \(r\.code !== 0\) notify\("doctor\.failed"/);
+  assert.match(src, /notify\("backup\.failed", `\$\{kind\} backup failed/);
+  assert.match(src, /noticePendingDevices\(list\.pending\);\s*return list;/);
+  assert.match(src, /startNotifyPoller\(\);/);
+});
+
+test("webhooks are admin-only, validated and keep their secret in the secrets file", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-routes-"));
+  let store = {};
+  const server = await serveRoutes(
+    [
+      route("put", "/setup/api/notifications/webhooks/:id"),
+      route("delete", "/setup/api/notifications/webhooks/:id"),
+      route("get", "/setup/api/notifications/log"),
+    ],
+    {
+      ...load(
+        ["NOTIFY_EVENTS", "WEBHOOK_ID_RE", "loadNotifySettings", "saveNotifySettings", "webhookSecretName", "notifyWebhooks", "summarizeWebhook", "requireWebhookId"],
+        {
+          fs,
+          process: { env: {} },
+          STATE_DIR: dir,
+          NOTIFY_SETTINGS_PATH: path.join(dir, "notify-settings.json"),
+          SECRET_ENV_PREFIX: load(["SECRET_ENV_PREFIX"]).SECRET_ENV_PREFIX,
+          secretsEnv: () => store,
+        },
+      ),
+      NOTIFY_LOG_PATH: path.join(dir, "notifications.jsonl"),
+      readJsonlTail: () => [{ attempt: 1 }, { attempt: 2 }],
+      loadSecrets: () => ({ ...store }),
+      saveSecrets: (next) => {
+        store = next;
+      },
+    },
+  );
+  try {
+    const body = { url: "https://hooks.example/x", events: ["backup.failed"], secret: "s3cret" };
+    assert.equal((await server.request("PUT", "/setup/api/notifications/webhooks/ops", { role: "operator", body })).status, 403);
+    assert.equal((await server.request("PUT", "/setup/api/notifications/webhooks/env", { body })).status, 400);
+    assert.equal((await server.request("PUT", "/setup/api/notifications/webhooks/ops", { body: { ...body, url: "ftp://x" } })).status, 400);
+    assert.equal((await server.request("PUT", "/setup/api/notifications/webhooks/ops", { body: { ...body, events: ["nope"] } })).status, 400);
+
+    const saved = await server.request("PUT", "/setup/api/notifications/webhooks/ops", { body });
+    assert.deepEqual(saved.json.webhook, { id: "ops", url: body.url, events: body.events, enabled: true, createdAt: saved.json.webhook.createdAt, hasSecret: true });
+    assert.deepEqual(store, { OPENCLAW_SECRET_NOTIFY_OPS: "s3cret" });
+    assert.ok(!fs.readFileSync(path.join(dir, "notify-settings.json"), "utf8").includes("s3cret"));
+
+    assert.equal((await server.request("DELETE", "/setup/api/notifications/webhooks/ops")).status, 200);
+    assert.equal((await server.request("DELETE", "/setup/api/notifications/webhooks/ops")).status, 404);
+    assert.deepEqual(store, {});
+    assert.deepEqual(server.calls, ["audit:notify.webhook.save", "audit:notify.webhook.save", "audit:notify.webhook.save", "audit:notify.webhook.remove", "audit:notify.webhook.remove"]);
+
+    assert.equal((await server.request("GET", "/setup/api/notifications/log", { role: "operator" })).status, 403);
+    assert.deepEqual((await server.request("GET", "/setup/api/notifications/log?limit=1")).json.entries, [{ attempt: 2 }]);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// deliverWebhook and notify with a short backoff and throttle window, logging into `dir`.
+function loadDelivery(dir, { maxAttempts = 3, throttleMs = 60_000 } = {}) {
+  const deliver = load(["NOTIFY_TIMEOUT_MS", "NOTIFY_LOG_MAX_BYTES", "isRetryableStatus", "signWebhookPayload", "postWebhook", "appendJsonl", "deliverWebhook"], {
+    crypto,
+    fs,
+    path,
+    NOTIFY_LOG_PATH: path.join(dir, "notifications.jsonl"),
+    NOTIFY_MAX_ATTEMPTS: maxAttempts,
+    NOTIFY_RETRY_BASE_MS: 20,
+  });
+  let hooks = [];
+  const notifier = load(["wantsEvent", "notifyThrottle", "notify"], {
+    NOTIFY_THROTTLE_MS: throttleMs,
+    notifyWebhooks: () => hooks,
+    buildDelivery: (event, summary, data, suppressedSinceLast) => ({ id: crypto.randomUUID(), event, summary, suppressedSinceLast, data }),
+    deliverWebhook: deliver.deliverWebhook,
+  });
+  const log = () => fs.readFileSync(path.join(dir, "notifications.jsonl"), "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  return { ...deliver, ...notifier, setHooks: (h) => (hooks = h), log };
+}
+
+// Answers with `statuses` in turn (the last one repeats) and records the deliveries.
+async function receiver(statuses) {
+  const received = [];
+  const server = await listen((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+async function waitFor(check, ms = 2000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    assert.ok(Date.now() < until, "timed out");
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+test("failed deliveries are retried with backoff and every attempt is logged", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-retry-"));
+  const hook = await receiver([503, 429, 200]);
+  try {
+    const { deliverWebhook, log } = loadDelivery(dir);
+    const first = await deliverWebhook({ id: "ops", url: hook.url, secret: "" }, { id: "d-1", event: "backup.failed" });
+    assert.deepEqual([first.ok, first.status, first.attempt, first.retryInMs], [false, 503, 1, 20]);
+    await waitFor(() => log().length === 3);
+    assert.equal(hook.received.length, 3);
+    assert.deepEqual(
+      log().map((e) => [e.delivery, e.webhook, e.event, e.attempt, e.status, e.ok, e.retryInMs]),
+      [
+        ["d-1", "ops", "backup.failed", 1, 503, false, 20],
+        ["d-1", "ops", "backup.failed", 2, 429, false, 40],
+        ["d-1", "ops", "backup.failed", 3, 200, true, null],
+      ],
+    );
+  } finally {
+    await hook.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("retries stop at the attempt limit and client errors are not retried", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-giveup-"));
+  const down = await receiver([500]);
+  const rejecting = await receiver([400]);
+  try {
+    const { deliverWebhook, log } = loadDelivery(dir, { maxAttempts: 2 });
+    await deliverWebhook({ id: "down", url: down.url, secret: "" }, { id: "d-2", event: "test" });
+    await deliverWebhook({ id: "bad", url: rejecting.url, secret: "" }, { id: "d-3", event: "test" });
+    await waitFor(() => log().length === 3);
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepEqual([down.received.length, rejecting.received.length], [2, 1]);
+    assert.deepEqual(
+      log()
+        .map((e) => [e.webhook, e.attempt, e.status, e.retryInMs])
+        .sort(),
+      [
+        ["bad", 1, 400, null],
+        ["down", 1, 500, 20],
+        ["down", 2, 500, null],
+      ],
+    );
+  } finally {
+    await down.close();
+    await rejecting.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("notify throttles per event and subject and reports what it suppressed", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-throttle-"));
+  const hook = await receiver([200]);
+  try {
+    const n = loadDelivery(dir, { throttleMs: 200 });
+    assert.equal(n.notify("gateway.crashed", "crashed"), 0);
+    n.setHooks([{ id: "ops", url: hook.url, secret: "", events: ["gateway.crashed", "device.pending"] }]);
+    assert.equal(n.notify("gateway.crashed", "crashed"), 1);
+    assert.equal(n.notify("gateway.crashed", "crashed again"), 0);
+    assert.equal(n.notify("gateway.crashed", "and again"), 0);
+    assert.equal(n.notify("device.pending", "dev_1 waiting", {}, { key: "dev_1" }), 1);
+    assert.equal(n.notify("device.pending", "dev_2 waiting", {}, { key: "dev_2" }), 1);
+    assert.equal(n.notify("backup.failed", "not subscribed"), 0);
+    await new Promise((r) => setTimeout(r, 250));
+    assert.equal(n.notify("gateway.crashed", "crashed later"), 1);
+    await waitFor(() => hook.received.length === 4);
+    assert.deepEqual(
+      hook.received.map((d) => [d.summary, d.suppressedSinceLast]),
+      [
+        ["crashed", 0],
+        ["dev_1 waiting", 0],
+        ["dev_2 waiting", 0],
+        ["crashed later", 2],
+      ],
+    );
+  } finally {
+    await hook.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
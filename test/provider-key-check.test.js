@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { load, route, serveRoutes } from "./helpers/server-source.js";
+
+const PROVIDER_CHECKS = [
+  "CHANNEL_CHECK_TIMEOUT_MS",
+  "fetchJsonWithToken",
+  "PROVIDER_KEY_CHECKS",
+  "MAX_LISTED_MODELS",
+  "providerBaseUrl",
+  "providerErrorText",
+  "modelIdsFromList",
+  "listOpenAiCompatibleModels",
+  "testProviderKey",
+];
+
+function loadProviderChecks(env) {
+  return load(PROVIDER_CHECKS, { process: { env } });
+}
+
+async function withFakeProviders(fn) {
+  const server = http.createServer((req, res) => {
+    const send = (code, body) => {
+      res.writeHead(code, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const h = req.headers;
+    if (req.url === "/oa/models") {
+      return h.authorization === "Bearer sk-good"
+        ? send(200, { data: [{ id: "gpt-b" }, { id: "gpt-a" }] })
+        : send(401, { error: { message: "Incorrect API key provided" } });
+    }
+    if (req.url.startsWith("/an/models")) {
+      return h["x-api-key"] === "ant-good" && h["anthropic-version"]
+        ? send(200, { data: [{ id: "claude-x" }] })
+        : send(401, { type: "error", error: { type: "authentication_error", message: "invalid x-api-key" } });
+    }
+    if (req.url.startsWith("/ge/models")) {
+      return h["x-goog-api-key"] === "g-good" && !req.url.includes("key=")
+        ? send(200, { models: [{ name: "models/gemini-pro" }] })
+        : send(400, { error: { message: "API key not valid" } });
+    }
+    if (req.url === "/or/key") {
+      return h.authorization === "Bearer or-good" ? send(200, { data: { label: "mine" } }) : send(401, { error: { message: "No auth credentials found" } });
+    }
+    if (req.url === "/custom/v1/models") return send(200, { data: ["b", { id: "a" }, { id: "a" }] });
+    send(404, {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const env = {
+    OPENAI_API_BASE_URL: `${base}/oa`,
+    ANTHROPIC_API_BASE_URL: `${base}/an/`,
+    GEMINI_API_BASE_URL: `${base}/ge`,
+    OPENROUTER_API_BASE_URL: `${base}/or`,
+  };
+  try {
+    await fn(loadProviderChecks(env), base);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("working keys report the provider and its models", async () => {
+  await withFakeProviders(async ({ testProviderKey, listOpenAiCompatibleModels }, base) => {
+    assert.deepEqual(await testProviderKey("openai-api-key", " sk-good "), {
+      ok: true,
+      supported: true,
+      provider: "OpenAI",
+      models: ["gpt-a", "gpt-b"],
+    });
+    assert.deepEqual((await testProviderKey("apiKey", "ant-good")).models, ["claude-x"]);
+    assert.deepEqual((await testProviderKey("gemini-api-key", "g-good")).models, ["gemini-pro"]);
+    assert.equal((await testProviderKey("openrouter-api-key", "or-good")).label, "mine");
+    assert.deepEqual(await listOpenAiCompatibleModels(`${base}/custom/v1/`, ""), ["a", "b"]);
+  });
+});
+
+test("rejected keys carry the provider's error message", async () => {
+  await withFakeProviders(async ({ testProviderKey }) => {
+    assert.equal((await testProviderKey("openai-api-key", "sk-bad")).error, "GET /models failed: 401 (Incorrect API key provided)");
+    assert.equal((await testProviderKey("apiKey", "nope")).error, "GET /models failed: 401 (invalid x-api-key)");
+    assert.equal((await testProviderKey("gemini-api-key", "nope")).error, "GET /models failed: 400 (API key not valid)");
+    assert.equal((await testProviderKey("openrouter-api-key", "nope")).error, "GET /key failed: 401 (No auth credentials found)");
+    assert.equal((await testProviderKey("openai-api-key", "")).error, "Enter the key first");
+    assert.deepEqual(await testProviderKey("qwen-portal", "x"), {
+      ok: false,
+      supported: false,
+      error: "No key check is available for qwen-portal",
+    });
+  });
+});
+
+test("provider test routes are admin-only", async () => {
+  const server = await serveRoutes([route("post", "/setup/api/providers/test-key"), route("post", "/setup/api/providers/custom/models")], {
+    modelListingKey: () => ({ apiKey: "" }),
+    testProviderKey: async (authChoice) => ({ ok: true, authChoice }),
+    listOpenAiCompatibleModels: async () => ["m"],
+  });
+  try {
+    assert.equal((await server.request("POST", "/setup/api/providers/test-key", { role: "operator", body: {} })).status, 403);
+    assert.equal((await server.request("POST", "/setup/api/providers/custom/models", { role: "operator", body: {} })).status, 403);
+    assert.deepEqual((await server.request("POST", "/setup/api/providers/test-key", { body: { authChoice: "openai-api-key" } })).json, {
+      ok: true,
+      authChoice: "openai-api-key",
+    });
+    assert.deepEqual((await server.request("POST", "/setup/api/providers/custom/models", { body: { baseUrl: "http://h/v1" } })).json, { ok: true, models: ["m"] });
+  } finally {
+    await server.close();
+  }
+});
+
+test("model listing never sends the wrapper's own credentials", async () => {
+  const sent = [];
+  const server = await serveRoutes(route("post", "/setup/api/providers/custom/models"), {
+    ...load(["SECRET_ENV_PREFIX", "ENV_VAR_NAME_RE", "ENV_REF_RE", "PROVIDER_KEY_ENV_RE", "WRAPPER_SECRET_ENV_RE", "providerApiKeyEnvNames", "modelListingKey"], {
+      process: {
+        env: {
+          SETUP_PASSWORD: "pw",
+          OPENCLAW_GATEWAY_TOKEN: "gw",
+          BACKUP_S3_SECRET_ACCESS_KEY: "s3",
+          BACKUP_S3_API_KEY: "s3-key",
+          AWS_SECRET_ACCESS_KEY: "aws",
+          DATABASE_URL: "postgres://u:p@db/x",
+          OLLAMA_API_KEY: "ol",
+          VLLM_TOKEN: "vllm",
+        },
+      },
+      readConfigObject: () => ({ models: { providers: { p: { apiKey: "${OPENCLAW_SECRET_MODELS_PROVIDERS_P_API_KEY}" }, v: { apiKey: "${VLLM_TOKEN}" } } } }),
+      secretsEnv: () => ({ OPENCLAW_SECRET_MODELS_PROVIDERS_P_API_KEY: "stored", OPENCLAW_SECRET_OTHER: "other" }),
+    }),
+    listOpenAiCompatibleModels: async (_baseUrl, apiKey) => {
+      sent.push(apiKey);
+      return [];
+    },
+  });
+  const list = (apiKeyEnv) => server.request("POST", "/setup/api/providers/custom/models", { body: { baseUrl: "http://attacker.example/v1", apiKeyEnv } });
+  try {
+    for (const name of ["SETUP_PASSWORD", "OPENCLAW_GATEWAY_TOKEN", "BACKUP_S3_SECRET_ACCESS_KEY", "BACKUP_S3_API_KEY", "OPENCLAW_SECRET_OTHER", "AWS_SECRET_ACCESS_KEY", "DATABASE_URL"]) {
+      const r = await list(name);
+      assert.deepEqual([r.status, r.json.error], [400, `${name} is not a provider key (expected a name ending in _API_KEY)`], name);
+    }
+    assert.equal((await list("OLLAMA_API_KEY")).status, 200);
+    assert.equal((await list("OPENCLAW_SECRET_MODELS_PROVIDERS_P_API_KEY")).status, 200);
+    assert.equal((await list("VLLM_TOKEN")).status, 200, "names a configured provider uses are allowed whatever they are called");
+    assert.equal((await list("MISSING_API_KEY")).json.error, "MISSING_API_KEY is not set in the wrapper's environment");
+    assert.deepEqual(sent, ["ol", "stored", "vllm"]);
+  } finally {
+    await server.close();
+  }
+});
@@ -7,5 +7,8 @@ test("reset handler stops gateway before deleting config", () => {
   const idx = src.indexOf('app.post("/setup/api/reset"');
   assert.ok(idx >= 0);
   const window = src.slice(idx, idx + 900);
-  assert.match(window, /gatewayProc\.kill\("SIGTERM"\)/);
+  assert.match(window, /await stopGateway\(\)[\s\S]*fs\.rmSync/);
+
+  const stop = src.slice(src.indexOf("async function stopGateway("));
+  assert.match(stop.slice(0, 800), /\.kill\("SIGTERM"\)/);
 });
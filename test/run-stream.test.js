@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+test("server exposes a streaming /setup/api/run variant", () => {
+  assert.match(src, /app\.post\("\/setup\/api\/run\/stream"/);
+  assert.match(src, /text\/event-stream/);
+  assert.match(src, /opts\.onOutput/);
+});
+
+test("createLineBuffer emits complete lines across chunk boundaries", () => {
+  const { createLineBuffer } = load(["createLineBuffer"]);
+  const lines = [];
+  const buf = createLineBuffer((l) => lines.push(l));
+  buf.push("hel");
+  buf.push("lo\r\nwor");
+  assert.deepEqual(lines, ["hello"]);
+  buf.push("ld\npartial");
+  buf.flush();
+  assert.deepEqual(lines, ["hello", "world", "partial"]);
+});
+
+// runSetup for an empty payload with a CLI that always succeeds and the given restartGateway.
+function loadRunSetup(dir, restartGateway) {
+  let onboarded = false;
+  return load(["createLineBuffer", "runSetup"], {
+    fs,
+    STATE_DIR: path.join(dir, "state"),
+    WORKSPACE_DIR: path.join(dir, "workspace"),
+    OPENCLAW_NODE: "node",
+    INTERNAL_GATEWAY_PORT: 18789,
+    isConfigured: () => onboarded,
+    buildOnboardArgs: () => ["onboard"],
+    clawArgs: (args) => args,
+    redactSecrets: (text) => text,
+    runCmd: async (_cmd, args) => {
+      if (args[0] === "onboard") onboarded = true;
+      return { code: 0, output: "" };
+    },
+    restartGateway,
+  }).runSetup;
+}
+
+test("a gateway that fails to restart fails the setup run", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-restart-"));
+  try {
+    const events = [];
+    let restarts = 0;
+    const runSetup = loadRunSetup(dir, async () => {
+      restarts += 1;
+      if (restarts === 1) throw new Error("gateway did not become ready");
+    });
+    const result = await runSetup({}, (evt) => events.push(evt));
+    assert.deepEqual([result.ok, result.status], [false, 500]);
+    assert.match(result.output, /\[gateway restart\] failed: Error: gateway did not become ready/);
+    assert.deepEqual(
+      events.filter((e) => e.type === "step-end" && e.step.startsWith("gateway restart")).map((e) => [e.step, e.code]),
+      [
+        ["gateway restart", 1],
+        ["gateway restart (post-doctor)", 0],
+      ],
+    );
+
+    const fine = await loadRunSetup(dir, async () => {})({});
+    assert.deepEqual([fine.ok, fine.status], [true, 200]);
+
+    const server = await serveRoutes(route("post", "/setup/api/run"), {
+      summarizeSetupPayload: () => ({}),
+      runSetup: loadRunSetup(dir, async () => {
+        throw new Error("boom");
+      }),
+    });
+    try {
+      const res = await server.request("POST", "/setup/api/run", { body: {} });
+      assert.deepEqual([res.status, res.json.ok], [500, false]);
+    } finally {
+      await server.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+function backupsEvery(hours, count, start = Date.parse("2026-03-31T22:00:00Z")) {
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const createdAt = new Date(start - i * hours * 60 * 60 * 1000).toISOString();
+    out.push({ name: `b${i}`, createdAt });
+  }
+  return out;
+}
+
+test("retention keeps the newest backup per day", () => {
+  const { selectBackupsToPrune: prune } = load(["selectBackupsToPrune"]);
+  // Four backups a day for three days, newest first.
+  const backups = backupsEvery(6, 12);
+  const deleted = prune(backups, { keepDaily: 2, keepWeekly: 0 });
+  const kept = backups.filter((b) => !deleted.includes(b.name)).map((b) => b.createdAt.slice(0, 10));
+  assert.deepEqual(kept, ["2026-03-31", "2026-03-30"]);
+});
+
+test("retention keeps one backup per ISO week beyond the daily window", () => {
+  const { selectBackupsToPrune: prune } = load(["selectBackupsToPrune"]);
+  const backups = backupsEvery(24, 30);
+  const deleted = prune(backups, { keepDaily: 3, keepWeekly: 4 });
+  const kept = backups.filter((b) => !deleted.includes(b.name)).map((b) => b.createdAt.slice(0, 10));
+  // 2026-03-31 is a Tuesday: weeks start 03-30, 03-23, 03-16, 03-09.
+  assert.deepEqual(kept, ["2026-03-31", "2026-03-30", "2026-03-29", "2026-03-22", "2026-03-15"]);
+});
+
+test("keeping zero daily and zero weekly backups prunes nothing", () => {
+  const { selectBackupsToPrune: select } = load(["selectBackupsToPrune"]);
+  const backups = backupsEvery(24, 20);
+  assert.deepEqual(select(backups, { keepDaily: 0, keepWeekly: 0 }), []);
+  assert.deepEqual(select(backups, { keepDaily: Number.NaN, keepWeekly: undefined }), []);
+  assert.equal(select(backups, { keepDaily: 0, keepWeekly: 1 }).length, 19);
+});
+
+test("backup routes are admin-only and audited; archives skip the backup dir", () => {
+  for (const route of [
+    'app.get("/setup/api/backups"',
+    'app.post("/setup/api/backups"',
+    'app.post("/setup/api/backups/settings"',
+    'app.post("/setup/api/backups/:name/restore"',
+    'app.delete("/setup/api/backups/:name"',
+  ]) {
+    const idx = src.indexOf(route);
+    assert.ok(idx >= 0, route);
+    assert.match(src.slice(idx, idx + 120), /requireRole\("admin"\)/, route);
+  }
+  assert.match(src, /return \[BACKUP_DIR, SNAPSHOT_DIR, /);
+  assert.match(src, /filter: \(p\) => !excluded\.some\(\(x\) => isUnderDir\(path\.resolve\(cwd, p\), x\)\)/);
+  assert.match(src, /BACKUP_NAME_RE\.test\(n\)/);
+});
+
+test("a backup that cannot be read fails the download without taking the server down", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backup-download-"));
+  const name = "openclaw-backup-2026-01-01T00-00-00Z-manual.tar.gz";
+  const encName = `${name}.enc`;
+  fs.writeFileSync(path.join(dir, name), "archive");
+  fs.writeFileSync(path.join(dir, encName), "OCBACKUP...");
+  fs.mkdirSync(path.join(dir, "unreadable.tar.gz"));
+  const server = await serveRoutes(route("get", "/setup/api/backups/:name/download"), {
+    fs,
+    pipeline,
+    ...load(["backupContentType"]),
+    backupPathFromParam: (n) => ([name, encName].includes(n) ? path.join(dir, n) : n === "broken" ? path.join(dir, "unreadable.tar.gz") : null),
+  });
+  try {
+    await assert.rejects(server.request("GET", "/setup/api/backups/broken/download"));
+    assert.equal((await server.request("GET", "/setup/api/backups/missing/download")).status, 404);
+    const res = await server.request("GET", `/setup/api/backups/${name}/download`);
+    assert.deepEqual([res.status, res.headers.get("content-type"), res.text], [200, "application/gzip", "archive"]);
+    const enc = await server.request("GET", `/setup/api/backups/${encName}/download`);
+    assert.deepEqual([enc.status, enc.headers.get("content-type")], [200, "application/octet-stream"]);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
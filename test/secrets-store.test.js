@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+function loadSecretHelpers(gatewayToken = "gw-token") {
+  return load(
+    [
+      "SECRET_ENV_PREFIX",
+      "SECRET_CONFIG_KEY_RE",
+      "setDotted",
+      "encryptSecrets",
+      "decryptSecrets",
+      "secretEnvName",
+      "isSecretConfigKey",
+      "findInlineSecrets",
+      "withSecretRefs",
+    ],
+    { crypto, OPENCLAW_GATEWAY_TOKEN: gatewayToken, SECRETS_CIPHER_KEY: crypto.randomBytes(32) },
+  );
+}
+
+test("the secrets file round-trips and rejects the wrong key", () => {
+  const { encryptSecrets, decryptSecrets } = loadSecretHelpers();
+  const key = crypto.randomBytes(32);
+  const file = encryptSecrets({ A: "one", B: "two" }, key);
+  assert.equal(file.version, 1);
+  assert.ok(!JSON.stringify(file).includes("one"));
+  assert.deepEqual(decryptSecrets(JSON.parse(JSON.stringify(file)), key), { A: "one", B: "two" });
+  assert.throws(() => decryptSecrets(file, crypto.randomBytes(32)), /Cannot decrypt secrets\.enc/);
+  assert.throws(() => decryptSecrets({ ...file, version: 2 }, key), /Unsupported secrets file version/);
+});
+
+test("env names follow the config path", () => {
+  const { secretEnvName } = loadSecretHelpers();
+  assert.equal(secretEnvName("channels.telegram.botToken"), "OPENCLAW_SECRET_CHANNELS_TELEGRAM_BOT_TOKEN");
+  assert.equal(secretEnvName("models.providers.my-proxy.headers.X-Api-Key"), "OPENCLAW_SECRET_MODELS_PROVIDERS_MY_PROXY_HEADERS_X_API_KEY");
+});
+
+test("inline secrets are found; references, arrays and other keys are not", () => {
+  const { findInlineSecrets } = loadSecretHelpers("gw-token");
+  const cfg = {
+    gateway: { auth: { mode: "token", token: "gw-token" }, remote: { token: "${OPENCLAW_GATEWAY_TOKEN}" } },
+    channels: { slack: { botToken: "xoxb-1", appToken: "", dm: { allowFrom: ["U1"] } }, telegram: { botToken: "${T}" } },
+    models: { providers: { p: { apiKey: "sk-1", headers: { "X-Org": "acme" }, models: [{ id: "m", apiKey: "nested" }], maxTokens: "9" } } },
+  };
+  assert.deepEqual(findInlineSecrets(cfg), [
+    { path: "gateway.auth.token", name: "OPENCLAW_GATEWAY_TOKEN", value: "gw-token" },
+    { path: "channels.slack.botToken", name: "OPENCLAW_SECRET_CHANNELS_SLACK_BOT_TOKEN", value: "xoxb-1" },
+    { path: "models.providers.p.apiKey", name: "OPENCLAW_SECRET_MODELS_PROVIDERS_P_API_KEY", value: "sk-1" },
+    { path: "models.providers.p.headers.X-Org", name: "OPENCLAW_SECRET_MODELS_PROVIDERS_P_HEADERS_X_ORG", value: "acme" },
+  ]);
+  assert.deepEqual(findInlineSecrets({ "X-Org": "acme" }, "models.providers.p.headers").map((f) => f.path), ["models.providers.p.headers.X-Org"]);
+});
+
+test("values written through the wrapper carry references instead of secrets", () => {
+  const { withSecretRefs } = loadSecretHelpers();
+  const store = {};
+  const cfg = { enabled: true, botToken: "123:abc", dm: { policy: "pairing" } };
+  const out = withSecretRefs(cfg, "channels.telegram", store);
+  assert.deepEqual(out, { enabled: true, botToken: "${OPENCLAW_SECRET_CHANNELS_TELEGRAM_BOT_TOKEN}", dm: { policy: "pairing" } });
+  assert.deepEqual(store, { OPENCLAW_SECRET_CHANNELS_TELEGRAM_BOT_TOKEN: "123:abc" });
+  assert.equal(cfg.botToken, "123:abc");
+});
+
+test("child processes get the secrets and config writes go through externalizeSecrets", () => {
+  assert.equal(src.match(/\.\.\.secretsEnv\(\),/g)?.length, 2);
+  assert.ok(src.includes("const written = value !== null ? externalizeSecrets(value, dotted) : null;"));
+  for (const ch of ["telegram", "discord", "slack"]) {
+    assert.ok(src.includes(`JSON.stringify(externalizeSecrets(cfgObj, "channels.${ch}"))`), ch);
+  }
+  assert.ok(!src.includes('"gateway.auth.token", OPENCLAW_GATEWAY_TOKEN]'));
+});
+
+test("state snapshots include the secrets file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "secrets-snap-"));
+  try {
+    for (const f of ["openclaw.json", "gateway.token", "secrets.enc", "secrets.key"]) fs.writeFileSync(path.join(dir, f), "x");
+    const { stateSnapshotFiles } = load(["isUnderDir", "listFilesUnder", "stateSnapshotFiles"], {
+      fs,
+      path,
+      STATE_DIR: dir,
+      configPath: () => path.join(dir, "openclaw.json"),
+    });
+    assert.deepEqual(stateSnapshotFiles(), ["openclaw.json", "gateway.token", "secrets.enc"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a stored secret cannot be deleted while the config references it", async () => {
+  let store = { OPENCLAW_SECRET_A: "1", OPENCLAW_SECRET_B: "2" };
+  const server = await serveRoutes(route("delete", "/setup/api/secrets/:name"), {
+    describeSecrets: () => ({
+      secrets: Object.keys(store).map((name) => ({ name, usedBy: name.endsWith("A") ? ["channels.telegram.botToken"] : [] })),
+    }),
+    loadSecrets: () => ({ ...store }),
+    saveSecrets: (next) => {
+      store = next;
+    },
+  });
+  try {
+    assert.equal((await server.request("DELETE", "/setup/api/secrets/OPENCLAW_SECRET_B", { role: "operator" })).status, 403);
+    const used = await server.request("DELETE", "/setup/api/secrets/OPENCLAW_SECRET_A");
+    assert.deepEqual([used.status, used.json.error], [409, "OPENCLAW_SECRET_A is still used by channels.telegram.botToken"]);
+    assert.equal((await server.request("DELETE", "/setup/api/secrets/OPENCLAW_SECRET_C")).status, 404);
+    assert.equal((await server.request("DELETE", "/setup/api/secrets/OPENCLAW_SECRET_B")).status, 200);
+    assert.deepEqual(store, { OPENCLAW_SECRET_A: "1" });
+    assert.deepEqual(server.calls, ["audit:secrets.remove", "snapshot:secrets.remove", "audit:secrets.remove", "snapshot:secrets.remove", "audit:secrets.remove", "snapshot:secrets.remove"]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+test("login redirect target is limited to same-origin paths", () => {
+  const { safeNextPath } = load(["safeNextPath"]);
+  assert.equal(safeNextPath("/openclaw?x=1"), "/openclaw?x=1");
+  assert.equal(safeNextPath("//evil.example"), "/setup");
+  assert.equal(safeNextPath("/\\evil.example"), "/setup");
+  assert.equal(safeNextPath("https://evil.example"), "/setup");
+  assert.equal(safeNextPath(""), "/setup");
+});
+
+// users: the users.json entries; mutate them to change a password.
+function loadSessions({ users = [], setupPassword = "pw", maxAgeMs = 60_000 } = {}) {
+  return load(
+    ["credentialFingerprint", "signSession", "createSessionCookieValue", "parseCookies", "verifySessionCookie", "isHttpsRequest", "sessionCookieAttributes"],
+    {
+      crypto,
+      SESSION_SECRET: "test-session-secret",
+      SESSION_COOKIE: "openclaw_session",
+      SESSION_MAX_AGE_MS: maxAgeMs,
+      SETUP_PASSWORD: setupPassword,
+      loadUsers: () => users,
+    },
+  );
+}
+
+const withCookie = (value) => ({ headers: { cookie: `other=1; openclaw_session=${encodeURIComponent(value)}` } });
+
+test("a signed session cookie round-trips and is rejected once tampered with", () => {
+  const users = [{ username: "ops", role: "operator", passwordHash: "hash-1" }];
+  const s = loadSessions({ users });
+  const cookie = s.createSessionCookieValue({ username: "ops", source: "user" });
+  assert.deepEqual(s.verifySessionCookie(withCookie(cookie)), { username: "ops", role: "operator", source: "user", via: "session" });
+
+  const [body, sig] = cookie.split(".");
+  const flipped = Buffer.from(sig, "base64url");
+  flipped[0] ^= 1;
+  assert.equal(s.verifySessionCookie(withCookie(`${body}.${flipped.toString("base64url")}`)), null);
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), u: "admin" })).toString("base64url");
+  assert.equal(s.verifySessionCookie(withCookie(`${forged}.${sig}`)), null);
+  assert.equal(s.verifySessionCookie(withCookie("garbage")), null);
+  assert.equal(s.verifySessionCookie({ headers: {} }), null);
+});
+
+test("an expired session cookie is rejected", () => {
+  const s = loadSessions({ maxAgeMs: -1 });
+  assert.equal(s.verifySessionCookie(withCookie(s.createSessionCookieValue({ username: "admin", source: "setup-password" }))), null);
+  const live = loadSessions();
+  const v = live.credentialFingerprint({ source: "setup-password" });
+  assert.equal(live.verifySessionCookie(withCookie(live.signSession({ u: "admin", s: "setup-password", v, exp: Date.now() - 1 }))), null);
+  assert.equal(live.verifySessionCookie(withCookie(live.signSession({ u: "admin", s: "setup-password", v, exp: Date.now() + 60_000 }))).role, "admin");
+});
+
+test("a password change invalidates sessions signed before it", () => {
+  const users = [{ username: "ops", role: "operator", passwordHash: "hash-1" }];
+  const s = loadSessions({ users });
+  const cookie = s.createSessionCookieValue({ username: "ops", source: "user" });
+  users[0].passwordHash = "hash-2";
+  assert.equal(s.verifySessionCookie(withCookie(cookie)), null);
+  users.length = 0;
+  assert.equal(s.verifySessionCookie(withCookie(s.createSessionCookieValue({ username: "ops", source: "user" }))), null);
+
+  const before = loadSessions({ setupPassword: "old" }).createSessionCookieValue({ username: "admin", source: "setup-password" });
+  assert.equal(loadSessions({ setupPassword: "old" }).verifySessionCookie(withCookie(before)).role, "admin");
+  assert.equal(loadSessions({ setupPassword: "new" }).verifySessionCookie(withCookie(before)), null);
+});
+
+test("session cookies are HttpOnly and SameSite, and Secure behind HTTPS", () => {
+  const s = loadSessions();
+  assert.equal(s.sessionCookieAttributes({ headers: {} }, 60), "Path=/; HttpOnly; SameSite=Lax; Max-Age=60");
+  assert.match(s.sessionCookieAttributes({ headers: { "x-forwarded-proto": "https" } }, 0), /Max-Age=0; Secure$/);
+  assert.match(src, /path\.join\(STATE_DIR, "session\.key"\)/);
+});
+
+test("setup and dashboard auth accept the session cookie or Basic", () => {
+  const fn = src.slice(src.indexOf("function authenticateRequest("));
+  assert.match(fn.slice(0, 400), /verifySessionCookie\(req\)[\s\S]*parseBasicAuth\(req\)/);
+  for (const name of ["function requireSetupAuth(", "function requireDashboardAuth("]) {
+    const idx = src.indexOf(name);
+    assert.ok(idx >= 0, name);
+    assert.match(src.slice(idx, idx + 700), /authenticateRequest\(req\)/, name);
+  }
+});
+
+test("logout is POST only and clears the session cookie", async () => {
+  const events = [];
+  const { logout } = load(["logout"], {
+    SESSION_COOKIE: "openclaw_session",
+    verifySessionCookie: () => ({ username: "ops" }),
+    sessionCookieAttributes: (_req, maxAge) => `Path=/; Max-Age=${maxAge}`,
+    logAuthEvent: (_req, event, details) => events.push([event, details.username]),
+  });
+  const server = await serveRoutes([route("post", "/logout")], { logout });
+  try {
+    assert.equal((await server.request("GET", "/logout", { redirect: "manual" })).status, 404);
+    assert.deepEqual(events, []);
+    const res = await server.request("POST", "/logout", { redirect: "manual" });
+    assert.deepEqual([res.status, res.headers.get("location"), res.headers.get("set-cookie")], [303, "/login", "openclaw_session=; Path=/; Max-Age=0"]);
+    assert.deepEqual(events, [["logout", "ops"]]);
+  } finally {
+    await server.close();
+  }
+  assert.match(src, /<form method="post" action="\/logout"/);
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { load, src } from "./helpers/server-source.js";
+
+test("credential directories are walked recursively with posix paths", () => {
+  const { listFilesUnder } = load(["listFilesUnder"], { fs, path });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "snap-"));
+  fs.mkdirSync(path.join(dir, "credentials", "whatsapp"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "credentials", "telegram-allowFrom.json"), "[]");
+  fs.writeFileSync(path.join(dir, "credentials", "whatsapp", "creds.json"), "{}");
+  assert.deepEqual(listFilesUnder(dir, "credentials").sort(), [
+    "credentials/telegram-allowFrom.json",
+    "credentials/whatsapp/creds.json",
+  ]);
+  assert.deepEqual(listFilesUnder(dir, "missing"), []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a config outside the state dir is left out of snapshots", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "snap-"));
+  const dir = path.join(root, "state");
+  try {
+    fs.mkdirSync(path.join(dir, "config"), { recursive: true });
+    for (const f of ["openclaw.json", "config/openclaw.json", "gateway.token"]) fs.writeFileSync(path.join(dir, f), "x");
+    fs.writeFileSync(path.join(root, "openclaw.json"), "{}");
+    const snapshotFiles = (config) =>
+      load(["isUnderDir", "listFilesUnder", "stateSnapshotFiles"], { fs, path, STATE_DIR: dir, configPath: () => config }).stateSnapshotFiles();
+    assert.deepEqual(snapshotFiles(path.join(dir, "config", "openclaw.json")), ["config/openclaw.json", "gateway.token"]);
+    assert.deepEqual(snapshotFiles(path.join(root, "openclaw.json")), ["gateway.token"]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("every mutating setup route snapshots state first", () => {
+  for (const route of [
+    'app.post("/setup/api/run"',
+    'app.post("/setup/api/run/stream"',
+    'app.post("/setup/api/config/raw"',
+    'app.post("/setup/api/reset"',
+    'app.post("/setup/import"',
+    'app.post("/setup/import/apply"',
+    'app.post("/setup/api/pairing/approve"',
+    'app.post("/setup/api/devices/approve"',
+    'app.post("/setup/api/console/run"',
+  ]) {
+    const idx = src.indexOf(route);
+    assert.ok(idx >= 0, route);
+    assert.match(src.slice(idx, idx + 240), /snapshotState\("/, route);
+  }
+});
+
+test("snapshot restore is admin-only, snapshots first and skips the snapshot dir itself", () => {
+  const idx = src.indexOf('"/setup/api/snapshots/:id/restore"');
+  assert.ok(idx >= 0);
+  assert.match(src.slice(idx, idx + 250), /requireRole\("admin"\),\s*audit\("snapshot\.restore"[^\n]*\n\s*snapshotState\("snapshot\.restore"\)/);
+  assert.match(src, /SNAPSHOT_ID_RE\.test\(id\) \? readSnapshotMeta\(id\) : null/);
+  assert.match(src, /return \[BACKUP_DIR, SNAPSHOT_DIR, /);
+});
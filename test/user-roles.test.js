@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { load, route, serveRoutes, src } from "./helpers/server-source.js";
+
+test("hasRole orders viewer < operator < admin", () => {
+  const { hasRole } = load(["ROLE_LEVELS", "hasRole"]);
+  assert.equal(hasRole({ role: "admin" }, "operator"), true);
+  assert.equal(hasRole({ role: "operator" }, "operator"), true);
+  assert.equal(hasRole({ role: "operator" }, "admin"), false);
+  assert.equal(hasRole({ role: "viewer" }, "operator"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+  assert.equal(hasRole({ role: "admin" }, "bogus"), false);
+});
+
+test("passwords are stored as scrypt hashes", () => {
+  assert.match(src, /crypto\.scryptSync/);
+  assert.match(src, /passwordHash: hashPassword\(password\)/);
+});
+
+// Serves routes behind the real requireSetupAuth, logged in with the x-test-role role.
+// Handlers never run in these tests: every request is turned away before reaching them.
+async function serveAsRole(routes) {
+  const { requireSetupAuth } = load(["ROLE_LEVELS", "hasRole", "requireSetupAuth"], {
+    SETUP_PASSWORD: "pw",
+    authenticateRequest: (req) => ({ user: { username: "tester", role: req.headers["x-test-role"] } }),
+    rejectUnauthenticated: (_req, res) => res.status(401).end(),
+  });
+  return serveRoutes(
+    routes.map(([method, routePath]) => route(method, routePath)),
+    {
+      requireSetupAuth,
+      describeConfigSave: () => ({}),
+      summarizeSetupPayload: () => ({}),
+      isMutatingConsoleCommand: () => false,
+    },
+  );
+}
+
+const ADMIN_ROUTES = [
+  ["get", "/setup/api/users", "/setup/api/users"],
+  ["post", "/setup/api/users", "/setup/api/users"],
+  ["delete", "/setup/api/users/:username", "/setup/api/users/ops"],
+  ["get", "/setup/api/secrets", "/setup/api/secrets"],
+  ["post", "/setup/api/secrets/migrate", "/setup/api/secrets/migrate"],
+  ["delete", "/setup/api/secrets/:name", "/setup/api/secrets/OPENCLAW_SECRET_A"],
+  ["get", "/setup/api/config/raw", "/setup/api/config/raw"],
+  ["post", "/setup/api/config/raw", "/setup/api/config/raw"],
+  ["post", "/setup/api/config/history/:id/restore", "/setup/api/config/history/abc/restore"],
+  ["post", "/setup/api/run", "/setup/api/run"],
+  ["post", "/setup/api/reset", "/setup/api/reset"],
+];
+
+const OPERATOR_ROUTES = [
+  ["get", "/setup/api/debug", "/setup/api/debug"],
+  ["get", "/setup/api/logs", "/setup/api/logs"],
+  ["post", "/setup/api/console/run", "/setup/api/console/run"],
+  ["get", "/setup/api/devices", "/setup/api/devices"],
+  ["post", "/setup/api/devices/approve", "/setup/api/devices/approve"],
+  ["post", "/setup/api/pairing/approve", "/setup/api/pairing/approve"],
+];
+
+test("operators are refused user, secret and config-write routes", async () => {
+  const server = await serveAsRole(ADMIN_ROUTES);
+  try {
+    for (const [method, , url] of ADMIN_ROUTES) {
+      const res = await server.request(method.toUpperCase(), url, { role: "operator", body: method === "get" ? undefined : {} });
+      assert.deepEqual([res.status, res.json?.error], [403, "This action requires the admin role"], `${method} ${url}`);
+    }
+    assert.deepEqual(server.calls, [], "nothing is audited or snapshotted for a refused request");
+  } finally {
+    await server.close();
+  }
+});
+
+test("viewers are refused operator routes", async () => {
+  const server = await serveAsRole([...OPERATOR_ROUTES, ["get", "/setup/api/me"]]);
+  try {
+    for (const [method, , url] of OPERATOR_ROUTES) {
+      const res = await server.request(method.toUpperCase(), url, { role: "viewer", body: method === "get" ? undefined : {} });
+      assert.equal(res.status, 403, `${method} ${url}`);
+    }
+    assert.deepEqual(server.calls, []);
+    assert.equal((await server.request("GET", "/setup/api/me", { role: "viewer" })).status, 403);
+    const me = await server.request("GET", "/setup/api/me", { role: "operator" });
+    assert.deepEqual([me.status, me.json.role], [200, "operator"]);
+  } finally {
+    await server.close();
+  }
+});